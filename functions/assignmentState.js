@@ -0,0 +1,104 @@
+// Placeholder values stored in `rider_assignments.riderId` when no single
+// rider currently holds the offer.
+const RETRY_SEARCH_RIDER_ID = "RETRY_SEARCH";
+const BROADCAST_RIDER_ID = "BROADCAST";
+// Offer deliberately held back until the rider's travel time lines up with prep time
+const DELAYED_START_RIDER_ID = "DELAYED_START";
+// Task target only (never stored): run a waiting order's rider search now
+const QUEUE_WAKE_RIDER_ID = "QUEUE_WAKE";
+
+const SENTINEL_RIDER_IDS = [RETRY_SEARCH_RIDER_ID, BROADCAST_RIDER_ID, DELAYED_START_RIDER_ID, QUEUE_WAKE_RIDER_ID];
+
+const BROADCAST_MIN_SIZE = 2;
+const BROADCAST_MAX_SIZE = 10;
+const BROADCAST_DEFAULT_SIZE = 3;
+
+function isSentinelRiderId(riderId) {
+    return SENTINEL_RIDER_IDS.includes(riderId);
+}
+
+function isBroadcastAssignment(assignData) {
+    return assignData?.mode === "broadcast";
+}
+
+/**
+ * Normalize the branch `broadcastDispatch` setting ({ enabled, size }).
+ * Size is clamped so a misconfigured branch cannot page the whole fleet.
+ */
+function normalizeBroadcastConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object" || rawConfig.enabled !== true) {
+        return { enabled: false, size: 1 };
+    }
+
+    const rawSize = Number(rawConfig.size);
+    const size = Number.isFinite(rawSize)
+        ? Math.min(Math.max(Math.floor(rawSize), BROADCAST_MIN_SIZE), BROADCAST_MAX_SIZE)
+        : BROADCAST_DEFAULT_SIZE;
+
+    return { enabled: true, size };
+}
+
+/**
+ * Riders currently locked by an assignment document: the single offered
+ * rider, or every broadcast recipient that has not declined yet.
+ */
+function getPendingOfferRiders(assignData) {
+    if (!assignData) return [];
+
+    if (isBroadcastAssignment(assignData)) {
+        if (assignData.status !== "pending") return [];
+        const offered = Array.isArray(assignData.offeredRiders) ? assignData.offeredRiders : [];
+        const declined = Array.isArray(assignData.declinedBy) ? assignData.declinedBy : [];
+        return offered.filter((riderId) => !declined.includes(riderId));
+    }
+
+    const riderId = assignData.riderId;
+    if (!riderId || isSentinelRiderId(riderId)) return [];
+    return [riderId];
+}
+
+/**
+ * Riders who declined a broadcast offer between two snapshots.
+ */
+function getNewlyDeclinedRiders(beforeData, afterData) {
+    const before = Array.isArray(beforeData?.declinedBy) ? beforeData.declinedBy : [];
+    const after = Array.isArray(afterData?.declinedBy) ? afterData.declinedBy : [];
+    return after.filter((riderId) => !before.includes(riderId));
+}
+
+/**
+ * True when every broadcast recipient has declined, so the offer round is over.
+ */
+function isBroadcastExhausted(assignData) {
+    if (!isBroadcastAssignment(assignData)) return false;
+    const offered = Array.isArray(assignData.offeredRiders) ? assignData.offeredRiders : [];
+    return offered.length > 0 && getPendingOfferRiders(assignData).length === 0;
+}
+
+/**
+ * Dispatch attempts used against the policy's `maxTriedRiders`. Every rider
+ * offered the order stays in `triedRiders` so searches skip them, but a
+ * broadcast round (whose recipients are also kept in `broadcastRiders`)
+ * counts as one attempt however many riders it reached.
+ */
+function countDispatchAttempts(assignData) {
+    const tried = Array.isArray(assignData?.triedRiders) ? assignData.triedRiders : [];
+    const broadcastRiders = Array.isArray(assignData?.broadcastRiders) ? assignData.broadcastRiders : [];
+    const singleOffers = tried.filter((riderId) => !broadcastRiders.includes(riderId)).length;
+    return singleOffers + (Number(assignData?.broadcastRound) || 0);
+}
+
+module.exports = {
+    RETRY_SEARCH_RIDER_ID,
+    BROADCAST_RIDER_ID,
+    DELAYED_START_RIDER_ID,
+    QUEUE_WAKE_RIDER_ID,
+    SENTINEL_RIDER_IDS,
+    isSentinelRiderId,
+    isBroadcastAssignment,
+    normalizeBroadcastConfig,
+    getPendingOfferRiders,
+    getNewlyDeclinedRiders,
+    isBroadcastExhausted,
+    countDispatchAttempts,
+};
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    normalizeBroadcastConfig,
+    getPendingOfferRiders,
+    getNewlyDeclinedRiders,
+    isBroadcastExhausted,
+    countDispatchAttempts,
+} = require("./assignmentState");
+
+test("normalizeBroadcastConfig is disabled unless explicitly enabled and clamps size", () => {
+    assert.deepEqual(normalizeBroadcastConfig(undefined), { enabled: false, size: 1 });
+    assert.deepEqual(normalizeBroadcastConfig({ enabled: "yes", size: 4 }), { enabled: false, size: 1 });
+    assert.deepEqual(normalizeBroadcastConfig({ enabled: true }), { enabled: true, size: 3 });
+    assert.deepEqual(normalizeBroadcastConfig({ enabled: true, size: 1 }), { enabled: true, size: 2 });
+    assert.deepEqual(normalizeBroadcastConfig({ enabled: true, size: 50 }), { enabled: true, size: 10 });
+});
+
+test("getPendingOfferRiders ignores placeholder rider IDs for single offers", () => {
+    assert.deepEqual(getPendingOfferRiders({ riderId: "rider-1", status: "pending" }), ["rider-1"]);
+    assert.deepEqual(getPendingOfferRiders({ riderId: "RETRY_SEARCH", status: "searching" }), []);
+    assert.deepEqual(getPendingOfferRiders(null), []);
+});
+
+test("broadcast helpers track declines until every recipient has declined", () => {
+    const before = {
+        mode: "broadcast",
+        riderId: "BROADCAST",
+        status: "pending",
+        offeredRiders: ["a", "b", "c"],
+        declinedBy: ["a"],
+    };
+    const after = { ...before, declinedBy: ["a", "b"] };
+
+    assert.deepEqual(getPendingOfferRiders(after), ["c"]);
+    assert.deepEqual(getNewlyDeclinedRiders(before, after), ["b"]);
+    assert.equal(isBroadcastExhausted(after), false);
+    assert.equal(isBroadcastExhausted({ ...after, declinedBy: ["a", "b", "c"] }), true);
+    assert.deepEqual(getPendingOfferRiders({ ...after, status: "accepted" }), []);
+});
+
+test("countDispatchAttempts counts a broadcast round as one attempt", () => {
+    assert.equal(countDispatchAttempts(null), 0);
+    assert.equal(countDispatchAttempts({ triedRiders: ["a", "b"] }), 2);
+    assert.equal(countDispatchAttempts({
+        triedRiders: ["a", "b", "c", "d", "e", "f", "g"],
+        broadcastRiders: ["b", "c", "d", "e", "f", "g"],
+        broadcastRound: 2,
+    }), 3);
+});
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+
+// Branch `deliveryOtp` setting: { enabled, codeLength, maxAttempts }
+// Opt-in: branches whose rider app does not support the code keep marking
+// orders delivered directly.
+const DEFAULT_DELIVERY_OTP_CONFIG = {
+    enabled: false,
+    codeLength: 4,
+    maxAttempts: 5,
+};
+
+// Orders.proofOfDelivery.status
+const PROOF_STATUS = {
+    PENDING: "pending",
+    VERIFIED: "verified",
+    OVERRIDDEN: "overridden",
+    // Too many wrong codes; only an admin override can complete the delivery
+    LOCKED: "locked",
+};
+
+function readInteger(raw, fallback, min, max) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || typeof raw === "boolean" || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(Math.round(value), min), max);
+}
+
+function normalizeDeliveryOtpConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object") {
+        return { ...DEFAULT_DELIVERY_OTP_CONFIG };
+    }
+
+    return {
+        enabled: rawConfig.enabled === true,
+        codeLength: readInteger(rawConfig.codeLength, DEFAULT_DELIVERY_OTP_CONFIG.codeLength, 4, 8),
+        maxAttempts: readInteger(rawConfig.maxAttempts, DEFAULT_DELIVERY_OTP_CONFIG.maxAttempts, 1, 10),
+    };
+}
+
+function generateOtpCode(length, randomInt = crypto.randomInt) {
+    let code = "";
+    for (let i = 0; i < length; i++) {
+        code += String(randomInt(0, 10));
+    }
+    return code;
+}
+
+function hashOtpCode(code, salt) {
+    return crypto.createHash("sha256").update(`${salt}:${code}`).digest("hex");
+}
+
+/**
+ * Fresh code plus the salted hash that is stored instead of it.
+ * @returns {{code: string, salt: string, codeHash: string}}
+ */
+function createOtpSecret(length) {
+    const code = generateOtpCode(length);
+    const salt = crypto.randomBytes(16).toString("hex");
+    return { code, salt, codeHash: hashOtpCode(code, salt) };
+}
+
+// Customers read codes aloud; ignore spaces and dashes
+function normalizeSubmittedCode(rawCode) {
+    if (typeof rawCode !== "string" && typeof rawCode !== "number") return null;
+    const code = String(rawCode).replace(/[\s-]/g, "");
+    return /^\d{4,8}$/.test(code) ? code : null;
+}
+
+function verifyOtpCode(submittedCode, secret) {
+    const code = normalizeSubmittedCode(submittedCode);
+    if (!code || !secret || !secret.codeHash || !secret.salt) return false;
+
+    const expected = Buffer.from(secret.codeHash, "hex");
+    const actual = Buffer.from(hashOtpCode(code, secret.salt), "hex");
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Whether an order may become `delivered`: either no proof was required
+ * when it was picked up, or the code was verified or overridden.
+ */
+function isDeliveryProofSatisfied(proofOfDelivery) {
+    if (!proofOfDelivery || proofOfDelivery.required !== true) return true;
+    return proofOfDelivery.status === PROOF_STATUS.VERIFIED || proofOfDelivery.status === PROOF_STATUS.OVERRIDDEN;
+}
+
+/**
+ * Whether an update may mark an order `delivered`. Only the proof stored
+ * before the update counts, so a client cannot satisfy the code by writing
+ * `proofOfDelivery` together with the status.
+ */
+function canMarkDelivered(beforeOrder) {
+    return isDeliveryProofSatisfied(beforeOrder?.proofOfDelivery);
+}
+
+/**
+ * Whether a Cloud Function settled the proof in the same update that marks
+ * the order delivered (verifyDeliveryOtp, overrideDeliveryOtp). Clients can
+ * write neither `proofOfDelivery` nor `_cloudFunctionUpdate` on a delivery.
+ */
+function isProofSettledByServer(beforeOrder, afterOrder) {
+    const before = beforeOrder?.proofOfDelivery;
+    const after = afterOrder?.proofOfDelivery;
+    return afterOrder?._cloudFunctionUpdate === true &&
+        after?.status !== before?.status &&
+        isDeliveryProofSatisfied(after);
+}
+
+module.exports = {
+    DEFAULT_DELIVERY_OTP_CONFIG,
+    PROOF_STATUS,
+    normalizeDeliveryOtpConfig,
+    generateOtpCode,
+    hashOtpCode,
+    createOtpSecret,
+    normalizeSubmittedCode,
+    verifyOtpCode,
+    isDeliveryProofSatisfied,
+    canMarkDelivered,
+    isProofSettledByServer,
+};
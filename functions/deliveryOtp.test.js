@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_DELIVERY_OTP_CONFIG,
+    PROOF_STATUS,
+    normalizeDeliveryOtpConfig,
+    generateOtpCode,
+    createOtpSecret,
+    normalizeSubmittedCode,
+    verifyOtpCode,
+    isDeliveryProofSatisfied,
+    canMarkDelivered,
+    isProofSettledByServer,
+} = require("./deliveryOtp");
+
+test("normalizeDeliveryOtpConfig is opt-in and clamps values", () => {
+    assert.deepEqual(normalizeDeliveryOtpConfig(undefined), DEFAULT_DELIVERY_OTP_CONFIG);
+    assert.equal(normalizeDeliveryOtpConfig({ enabled: "yes" }).enabled, false);
+    assert.deepEqual(normalizeDeliveryOtpConfig({ enabled: true, codeLength: 12, maxAttempts: 0 }), {
+        enabled: true,
+        codeLength: 8,
+        maxAttempts: 1,
+    });
+});
+
+test("generateOtpCode builds a digit string of the requested length", () => {
+    const digits = [3, 0, 7, 9, 1, 2];
+    assert.equal(generateOtpCode(6, () => digits.shift()), "307912");
+    assert.match(generateOtpCode(4), /^\d{4}$/);
+});
+
+test("verifyOtpCode checks the submitted code against the salted hash", () => {
+    const { code, salt, codeHash } = createOtpSecret(4);
+
+    assert.notEqual(codeHash, code);
+    assert.equal(verifyOtpCode(code, { salt, codeHash }), true);
+    assert.equal(verifyOtpCode(` ${code.slice(0, 2)}-${code.slice(2)} `, { salt, codeHash }), true);
+    assert.equal(verifyOtpCode(code === "0000" ? "1111" : "0000", { salt, codeHash }), false);
+    assert.equal(verifyOtpCode(code, null), false);
+});
+
+test("normalizeSubmittedCode rejects non-digit input", () => {
+    assert.equal(normalizeSubmittedCode(4821), "4821");
+    assert.equal(normalizeSubmittedCode("48a1"), null);
+    assert.equal(normalizeSubmittedCode("123"), null);
+    assert.equal(normalizeSubmittedCode(null), null);
+});
+
+test("isDeliveryProofSatisfied only blocks pending or locked codes", () => {
+    assert.equal(isDeliveryProofSatisfied(undefined), true);
+    assert.equal(isDeliveryProofSatisfied({ required: true, status: PROOF_STATUS.PENDING }), false);
+    assert.equal(isDeliveryProofSatisfied({ required: true, status: PROOF_STATUS.LOCKED }), false);
+    assert.equal(isDeliveryProofSatisfied({ required: true, status: PROOF_STATUS.VERIFIED }), true);
+    assert.equal(isDeliveryProofSatisfied({ required: true, status: PROOF_STATUS.OVERRIDDEN }), true);
+});
+
+test("canMarkDelivered ignores a proof written together with the status", () => {
+    const before = { status: "pickedUp", proofOfDelivery: { required: true, status: PROOF_STATUS.PENDING } };
+    const forged = { ...before, status: "delivered", proofOfDelivery: { required: true, status: PROOF_STATUS.VERIFIED } };
+
+    assert.equal(isDeliveryProofSatisfied(forged.proofOfDelivery), true);
+    assert.equal(canMarkDelivered(before), false);
+    assert.equal(canMarkDelivered({ proofOfDelivery: { required: true, status: PROOF_STATUS.VERIFIED } }), true);
+    assert.equal(canMarkDelivered({ status: "pickedUp" }), true);
+});
+
+test("isProofSettledByServer needs the flag and a proof settled in the same write", () => {
+    const before = { status: "pickedUp", proofOfDelivery: { required: true, status: PROOF_STATUS.PENDING } };
+    const verified = {
+        ...before,
+        status: "delivered",
+        proofOfDelivery: { required: true, status: PROOF_STATUS.VERIFIED },
+        _cloudFunctionUpdate: true,
+    };
+
+    assert.equal(isProofSettledByServer(before, verified), true);
+    assert.equal(isProofSettledByServer(before, { ...verified, _cloudFunctionUpdate: undefined }), false);
+    assert.equal(isProofSettledByServer(before, { ...before, status: "delivered", _cloudFunctionUpdate: true }), false);
+});
@@ -0,0 +1,138 @@
+// Branch `deliveryZones` setting: a list of
+// { id, name, geojson, minOrderAmount, deliveryFee, active }
+// `geojson` is a Polygon/MultiPolygon geometry or Feature. Firestore cannot
+// store nested arrays, so it is usually saved as a JSON string.
+
+function readAmount(raw) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || typeof raw === "boolean" || !Number.isFinite(value)) return 0;
+    return Math.max(value, 0);
+}
+
+function isPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+        Number.isFinite(position[0]) && Number.isFinite(position[1]);
+}
+
+function isRing(ring) {
+    return Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+}
+
+/**
+ * Polygons of a GeoJSON geometry as [outerRing, ...holes] lists of
+ * [lng, lat] positions, or null when the geometry is unusable.
+ */
+function parsePolygons(rawGeojson) {
+    let geojson = rawGeojson;
+    if (typeof geojson === "string") {
+        try {
+            geojson = JSON.parse(geojson);
+        } catch (err) {
+            return null;
+        }
+    }
+    if (geojson && geojson.type === "Feature") geojson = geojson.geometry;
+    if (!geojson || typeof geojson !== "object") return null;
+
+    let polygons = null;
+    if (geojson.type === "Polygon") polygons = [geojson.coordinates];
+    if (geojson.type === "MultiPolygon") polygons = geojson.coordinates;
+    if (!Array.isArray(polygons) || polygons.length === 0) return null;
+
+    const valid = polygons.every((polygon) => Array.isArray(polygon) && polygon.length > 0 && polygon.every(isRing));
+    return valid ? polygons : null;
+}
+
+/**
+ * Validate the branch zone list. Inactive and unparseable zones are dropped
+ * and reported in `issues`.
+ *
+ * @returns {{zones: object[], issues: string[]}}
+ */
+function normalizeDeliveryZones(rawZones) {
+    const zones = [];
+    const issues = [];
+    if (rawZones === undefined || rawZones === null) return { zones, issues };
+    if (!Array.isArray(rawZones)) {
+        issues.push("deliveryZones must be a list");
+        return { zones, issues };
+    }
+
+    rawZones.forEach((rawZone, index) => {
+        if (!rawZone || typeof rawZone !== "object" || rawZone.active === false) return;
+
+        const id = String(rawZone.id || `zone_${index + 1}`);
+        const polygons = parsePolygons(rawZone.geojson);
+        if (!polygons) {
+            issues.push(`Zone "${id}" has no valid Polygon/MultiPolygon geojson, ignored`);
+            return;
+        }
+
+        zones.push({
+            id,
+            name: String(rawZone.name || id),
+            polygons,
+            minOrderAmount: readAmount(rawZone.minOrderAmount),
+            deliveryFee: readAmount(rawZone.deliveryFee),
+        });
+    });
+
+    return { zones, issues };
+}
+
+// Ray casting on [lng, lat] positions
+function isPointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const crosses = (yi > point.latitude) !== (yj > point.latitude) &&
+            point.longitude < ((xj - xi) * (point.latitude - yi)) / (yj - yi) + xi;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+function isPointInZone(point, zone) {
+    return zone.polygons.some(([outer, ...holes]) =>
+        isPointInRing(point, outer) && !holes.some((hole) => isPointInRing(point, hole)));
+}
+
+/**
+ * Zones containing the point, in branch order.
+ */
+function findZonesForPoint(zones, point) {
+    if (!point) return [];
+    return zones.filter((zone) => isPointInZone(point, zone));
+}
+
+/**
+ * Check a delivery against the branch zones:
+ * - `no_zones`: the branch has not configured any (everything is serviceable)
+ * - `no_location`: the order has no usable delivery location
+ * - `outside`: the location is outside every zone
+ * - `below_minimum`: inside a zone, but under that zone's minimum amount
+ * - `ok`: serviceable; `zone` is the first matching zone (its fee applies)
+ */
+function evaluateDeliveryZone(zones, location, orderAmount) {
+    if (zones.length === 0) return { status: "no_zones", zone: null, zoneIds: [] };
+    if (!location) return { status: "no_location", zone: null, zoneIds: [] };
+
+    const matches = findZonesForPoint(zones, location);
+    const zoneIds = matches.map((zone) => zone.id);
+    if (matches.length === 0) return { status: "outside", zone: null, zoneIds };
+
+    const amount = Number(orderAmount) || 0;
+    const zone = matches.find((candidate) => amount >= candidate.minOrderAmount);
+    if (!zone) return { status: "below_minimum", zone: matches[0], zoneIds };
+
+    return { status: "ok", zone, zoneIds };
+}
+
+module.exports = {
+    parsePolygons,
+    normalizeDeliveryZones,
+    isPointInZone,
+    findZonesForPoint,
+    evaluateDeliveryZone,
+};
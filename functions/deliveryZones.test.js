@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    parsePolygons,
+    normalizeDeliveryZones,
+    findZonesForPoint,
+    evaluateDeliveryZone,
+} = require("./deliveryZones");
+
+// ~1km squares around Doha (lng, lat)
+const square = (minLng, minLat, size) => [
+    [minLng, minLat],
+    [minLng + size, minLat],
+    [minLng + size, minLat + size],
+    [minLng, minLat + size],
+    [minLng, minLat],
+];
+const CENTRAL = { type: "Polygon", coordinates: [square(51.50, 25.28, 0.02), square(51.505, 25.285, 0.005)] };
+const NORTH = { type: "Polygon", coordinates: [square(51.50, 25.30, 0.02)] };
+
+test("parsePolygons accepts geometries, features and JSON strings", () => {
+    assert.equal(parsePolygons(CENTRAL).length, 1);
+    assert.equal(parsePolygons(JSON.stringify({ type: "Feature", geometry: NORTH })).length, 1);
+    assert.equal(parsePolygons({ type: "MultiPolygon", coordinates: [CENTRAL.coordinates, NORTH.coordinates] }).length, 2);
+    assert.equal(parsePolygons({ type: "Point", coordinates: [51.5, 25.3] }), null);
+    assert.equal(parsePolygons("{not json"), null);
+    assert.equal(parsePolygons({ type: "Polygon", coordinates: [[[51.5, 25.3], [51.6, 25.3]]] }), null);
+});
+
+test("normalizeDeliveryZones drops inactive and invalid zones", () => {
+    const { zones, issues } = normalizeDeliveryZones([
+        { id: "central", name: "Central", geojson: JSON.stringify(CENTRAL), minOrderAmount: "40", deliveryFee: 10 },
+        { id: "north", geojson: NORTH, active: false },
+        { id: "broken", geojson: "{}" },
+    ]);
+
+    assert.deepEqual(zones.map((zone) => [zone.id, zone.name, zone.minOrderAmount, zone.deliveryFee]), [
+        ["central", "Central", 40, 10],
+    ]);
+    assert.equal(issues.length, 1);
+    assert.deepEqual(normalizeDeliveryZones("zones").issues, ["deliveryZones must be a list"]);
+});
+
+test("findZonesForPoint respects holes", () => {
+    const { zones } = normalizeDeliveryZones([{ id: "central", geojson: CENTRAL }, { id: "north", geojson: NORTH }]);
+
+    assert.deepEqual(findZonesForPoint(zones, { latitude: 25.282, longitude: 51.502 }).map((zone) => zone.id), ["central"]);
+    assert.deepEqual(findZonesForPoint(zones, { latitude: 25.2875, longitude: 51.5075 }), []);
+    assert.deepEqual(findZonesForPoint(zones, { latitude: 25.31, longitude: 51.51 }).map((zone) => zone.id), ["north"]);
+    assert.deepEqual(findZonesForPoint(zones, null), []);
+});
+
+test("evaluateDeliveryZone reports zone status and minimum amounts", () => {
+    const { zones } = normalizeDeliveryZones([
+        { id: "central", geojson: CENTRAL, minOrderAmount: 50, deliveryFee: 5 },
+    ]);
+    const inside = { latitude: 25.282, longitude: 51.502 };
+
+    assert.equal(evaluateDeliveryZone([], inside, 10).status, "no_zones");
+    assert.equal(evaluateDeliveryZone(zones, null, 10).status, "no_location");
+    assert.equal(evaluateDeliveryZone(zones, { latitude: 25.40, longitude: 51.60 }, 100).status, "outside");
+    assert.equal(evaluateDeliveryZone(zones, inside, 20).status, "below_minimum");
+
+    const ok = evaluateDeliveryZone(zones, inside, 60);
+    assert.equal(ok.status, "ok");
+    assert.equal(ok.zone.deliveryFee, 5);
+    assert.deepEqual(ok.zoneIds, ["central"]);
+});
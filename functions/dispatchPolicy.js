@@ -0,0 +1,149 @@
+// Bounds for every `Branch.dispatchPolicy` field. Values outside the range
+// are clamped; non-numeric values fall back to the default.
+const DISPATCH_POLICY_LIMITS = {
+    assignmentTimeoutSeconds: { min: 30, max: 600 },
+    maxTriedRiders: { min: 1, max: 50 },
+    maxWorkflowMinutes: { min: 5, max: 240 },
+    maxSearchRetries: { min: 0, max: 50 },
+    searchRetryDelaySeconds: { min: 5, max: 600 },
+};
+
+const DISPATCH_POLICY_FIELDS = Object.keys(DISPATCH_POLICY_LIMITS);
+
+// Version recorded when a branch has no policy of its own
+const DEFAULT_POLICY_VERSION = 0;
+
+// Branch.estimatedTime (prep minutes), see docs/estimated_time_integration_guide.md
+const PREP_TIME_DEFAULT_MINUTES = 20;
+const PREP_TIME_MIN_MINUTES = 10;
+const PREP_TIME_MAX_MINUTES = 90;
+
+const DELAYED_DISPATCH_DEFAULT_BUFFER_MINUTES = 3;
+const DELAYED_DISPATCH_MAX_BUFFER_MINUTES = 30;
+// Delays shorter than this are not worth a Cloud Task round trip
+const MIN_DISPATCH_DELAY_SECONDS = 60;
+
+/**
+ * Default policy. Env values keep their old meaning as process-wide defaults
+ * so existing deployments behave the same until a branch sets a policy.
+ */
+function buildDefaultDispatchPolicy(env = {}) {
+    const fromEnv = (name, fallback) => {
+        const value = parseInt(env[name], 10);
+        return Number.isFinite(value) && value > 0 ? value : fallback;
+    };
+
+    return {
+        assignmentTimeoutSeconds: fromEnv("ASSIGNMENT_TIMEOUT_SECONDS", 120),
+        maxTriedRiders: fromEnv("MAX_TRIED_RIDERS", 5),
+        maxWorkflowMinutes: fromEnv("MAX_WORKFLOW_MINUTES", 30),
+        maxSearchRetries: fromEnv("MAX_SEARCH_RETRIES", 5),
+        searchRetryDelaySeconds: fromEnv("SEARCH_RETRY_DELAY_SECONDS", 30),
+        version: DEFAULT_POLICY_VERSION,
+    };
+}
+
+/**
+ * Validate a raw `dispatchPolicy` map against the defaults.
+ * `version` is an integer the admin bumps on each change; assignments record
+ * it so a workflow can be traced back to the rules it ran under.
+ *
+ * @returns {{policy: object, issues: string[], isDefault: boolean}}
+ */
+function normalizeDispatchPolicy(rawPolicy, defaults) {
+    const policy = { ...defaults };
+    const issues = [];
+
+    if (rawPolicy === undefined || rawPolicy === null) {
+        return { policy, issues, isDefault: true };
+    }
+    if (typeof rawPolicy !== "object" || Array.isArray(rawPolicy)) {
+        issues.push("dispatchPolicy must be a map");
+        return { policy, issues, isDefault: true };
+    }
+
+    for (const [field, value] of Object.entries(rawPolicy)) {
+        if (field === "version") continue;
+        if (!DISPATCH_POLICY_FIELDS.includes(field)) {
+            issues.push(`Unknown field "${field}" ignored`);
+            continue;
+        }
+
+        const number = Number(value);
+        if (value === null || typeof value === "boolean" || !Number.isFinite(number)) {
+            issues.push(`${field} must be a number, using ${defaults[field]}`);
+            continue;
+        }
+
+        const { min, max } = DISPATCH_POLICY_LIMITS[field];
+        const clamped = Math.min(Math.max(Math.floor(number), min), max);
+        if (clamped !== number) {
+            issues.push(`${field}=${value} clamped to ${clamped}`);
+        }
+        policy[field] = clamped;
+    }
+
+    const version = Number(rawPolicy.version);
+    if (Number.isInteger(version) && version >= 0) {
+        policy.version = version;
+    } else if (rawPolicy.version !== undefined) {
+        issues.push(`version must be a non-negative integer, using ${defaults.version}`);
+    }
+
+    return { policy, issues, isDefault: false };
+}
+
+/**
+ * Branch prep time in minutes. Same rules as the user app: integer, double
+ * or numeric string, clamped to 10..90, 20 when missing.
+ */
+function normalizePrepTimeMinutes(rawTime) {
+    const value = typeof rawTime === "string" ? parseInt(rawTime, 10) : Math.round(Number(rawTime));
+    if (rawTime === null || rawTime === undefined || typeof rawTime === "boolean" || !Number.isFinite(value)) {
+        return PREP_TIME_DEFAULT_MINUTES;
+    }
+    return Math.min(Math.max(value, PREP_TIME_MIN_MINUTES), PREP_TIME_MAX_MINUTES);
+}
+
+/**
+ * Normalize the branch `delayedDispatch` setting ({ enabled, bufferMinutes }).
+ * The buffer is how long before the food is ready the rider should arrive.
+ */
+function normalizeDelayedDispatchConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object" || rawConfig.enabled !== true) {
+        return { enabled: false, bufferMinutes: DELAYED_DISPATCH_DEFAULT_BUFFER_MINUTES };
+    }
+
+    const rawBuffer = Number(rawConfig.bufferMinutes);
+    const bufferMinutes = rawConfig.bufferMinutes !== undefined && rawConfig.bufferMinutes !== null && Number.isFinite(rawBuffer)
+        ? Math.min(Math.max(rawBuffer, 0), DELAYED_DISPATCH_MAX_BUFFER_MINUTES)
+        : DELAYED_DISPATCH_DEFAULT_BUFFER_MINUTES;
+
+    return { enabled: true, bufferMinutes };
+}
+
+/**
+ * Seconds to wait before offering the order so the rider arrives
+ * `bufferMinutes` before the food is ready:
+ *
+ *   delay = (prepStartedAt + prepMinutes - bufferMinutes) - now - travelSeconds
+ *
+ * Returns 0 (dispatch now) when the delay is under MIN_DISPATCH_DELAY_SECONDS.
+ */
+function computeDispatchDelaySeconds({ prepStartedAt, prepMinutes, bufferMinutes, travelSeconds, now = new Date() }) {
+    const startedAtMs = prepStartedAt instanceof Date ? prepStartedAt.getTime() : now.getTime();
+    const readyAtMs = startedAtMs + (prepMinutes - bufferMinutes) * 60 * 1000;
+    const delaySeconds = Math.round((readyAtMs - now.getTime()) / 1000 - (Number(travelSeconds) || 0));
+
+    return delaySeconds >= MIN_DISPATCH_DELAY_SECONDS ? delaySeconds : 0;
+}
+
+module.exports = {
+    DISPATCH_POLICY_LIMITS,
+    DISPATCH_POLICY_FIELDS,
+    buildDefaultDispatchPolicy,
+    normalizeDispatchPolicy,
+    normalizePrepTimeMinutes,
+    normalizeDelayedDispatchConfig,
+    computeDispatchDelaySeconds,
+};
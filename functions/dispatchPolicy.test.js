@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    buildDefaultDispatchPolicy,
+    normalizeDispatchPolicy,
+    normalizePrepTimeMinutes,
+    normalizeDelayedDispatchConfig,
+    computeDispatchDelaySeconds,
+} = require("./dispatchPolicy");
+
+test("buildDefaultDispatchPolicy keeps the env vars as defaults", () => {
+    assert.deepEqual(buildDefaultDispatchPolicy({}), {
+        assignmentTimeoutSeconds: 120,
+        maxTriedRiders: 5,
+        maxWorkflowMinutes: 30,
+        maxSearchRetries: 5,
+        searchRetryDelaySeconds: 30,
+        version: 0,
+    });
+    assert.equal(buildDefaultDispatchPolicy({ ASSIGNMENT_TIMEOUT_SECONDS: "90" }).assignmentTimeoutSeconds, 90);
+    assert.equal(buildDefaultDispatchPolicy({ MAX_TRIED_RIDERS: "abc" }).maxTriedRiders, 5);
+});
+
+test("normalizeDispatchPolicy applies branch overrides and version", () => {
+    const defaults = buildDefaultDispatchPolicy({});
+    const { policy, issues, isDefault } = normalizeDispatchPolicy(
+        { assignmentTimeoutSeconds: 60, maxSearchRetries: 0, version: 3 },
+        defaults
+    );
+
+    assert.equal(isDefault, false);
+    assert.deepEqual(issues, []);
+    assert.equal(policy.assignmentTimeoutSeconds, 60);
+    assert.equal(policy.maxSearchRetries, 0);
+    assert.equal(policy.maxTriedRiders, 5);
+    assert.equal(policy.version, 3);
+    assert.equal(normalizeDispatchPolicy(undefined, defaults).isDefault, true);
+});
+
+test("normalizeDispatchPolicy clamps and reports invalid values", () => {
+    const defaults = buildDefaultDispatchPolicy({});
+    const { policy, issues } = normalizeDispatchPolicy(
+        { assignmentTimeoutSeconds: 5, maxTriedRiders: "many", retryDelay: 10, version: -1 },
+        defaults
+    );
+
+    assert.equal(policy.assignmentTimeoutSeconds, 30);
+    assert.equal(policy.maxTriedRiders, 5);
+    assert.equal(policy.version, 0);
+    assert.equal(issues.length, 4);
+    assert.deepEqual(normalizeDispatchPolicy(["bad"], defaults).issues, ["dispatchPolicy must be a map"]);
+});
+
+test("normalizePrepTimeMinutes follows the estimatedTime rules", () => {
+    assert.equal(normalizePrepTimeMinutes(undefined), 20);
+    assert.equal(normalizePrepTimeMinutes(35), 35);
+    assert.equal(normalizePrepTimeMinutes(35.6), 36);
+    assert.equal(normalizePrepTimeMinutes("45"), 45);
+    assert.equal(normalizePrepTimeMinutes("soon"), 20);
+    assert.equal(normalizePrepTimeMinutes(5), 10);
+    assert.equal(normalizePrepTimeMinutes(200), 90);
+});
+
+test("computeDispatchDelaySeconds lines travel time up with prep time", () => {
+    const now = new Date("2026-04-07T12:00:00Z");
+    assert.deepEqual(normalizeDelayedDispatchConfig({ enabled: true }), { enabled: true, bufferMinutes: 3 });
+    assert.equal(normalizeDelayedDispatchConfig({ enabled: true, bufferMinutes: 99 }).bufferMinutes, 30);
+    assert.equal(normalizeDelayedDispatchConfig({ bufferMinutes: 5 }).enabled, false);
+
+    // 20 min prep - 3 min buffer - 7 min travel = 10 min wait
+    assert.equal(computeDispatchDelaySeconds({
+        prepStartedAt: now, prepMinutes: 20, bufferMinutes: 3, travelSeconds: 420, now,
+    }), 600);
+
+    // Prep started 15 minutes ago: too late to wait
+    assert.equal(computeDispatchDelaySeconds({
+        prepStartedAt: new Date(now.getTime() - 15 * 60 * 1000), prepMinutes: 20, bufferMinutes: 3, travelSeconds: 420, now,
+    }), 0);
+});
@@ -0,0 +1,91 @@
+// Branch `dispatchQueue` setting:
+// { enabled, weights: { age, promisedTime, orderValue, vip }, orderValueScale }
+//
+// Orders waiting for a rider are ranked by a weighted sum of factors that
+// are each scaled to roughly 0..1 (age and lateness can grow to 2).
+const DEFAULT_QUEUE_WEIGHTS = {
+    age: 1,
+    promisedTime: 1,
+    orderValue: 0.5,
+    vip: 1,
+};
+const DEFAULT_ORDER_VALUE_SCALE = 200;
+
+// Waiting this long scores 1 on the age factor
+const AGE_SCALE_MINUTES = 30;
+// Promised time factor starts rising this long before the promise is due
+const PROMISE_HORIZON_MINUTES = 60;
+const MAX_TIME_FACTOR = 2;
+
+function readNonNegative(raw, fallback) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || typeof raw === "boolean" || !Number.isFinite(value)) return fallback;
+    return Math.max(value, 0);
+}
+
+function normalizeDispatchQueueConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object" || rawConfig.enabled !== true) {
+        return { enabled: false, weights: { ...DEFAULT_QUEUE_WEIGHTS }, orderValueScale: DEFAULT_ORDER_VALUE_SCALE };
+    }
+
+    const rawWeights = rawConfig.weights && typeof rawConfig.weights === "object" ? rawConfig.weights : {};
+    const weights = {};
+    for (const [factor, fallback] of Object.entries(DEFAULT_QUEUE_WEIGHTS)) {
+        weights[factor] = readNonNegative(rawWeights[factor], fallback);
+    }
+
+    return {
+        enabled: true,
+        weights,
+        orderValueScale: readNonNegative(rawConfig.orderValueScale, DEFAULT_ORDER_VALUE_SCALE) || DEFAULT_ORDER_VALUE_SCALE,
+    };
+}
+
+/**
+ * Priority of one waiting order.
+ *
+ * @param {{orderId: string, waitingSinceMs: number, promisedAtMs: number|null,
+ *          orderValue: number, isVip: boolean}} entry
+ * @returns {{score: number, factors: object}}
+ */
+function computeQueuePriority(entry, config, nowMs = Date.now()) {
+    const waitMinutes = Math.max((nowMs - entry.waitingSinceMs) / 60000, 0);
+    const age = Math.min(waitMinutes / AGE_SCALE_MINUTES, MAX_TIME_FACTOR);
+
+    let promisedTime = 0;
+    if (Number.isFinite(entry.promisedAtMs)) {
+        const minutesLeft = (entry.promisedAtMs - nowMs) / 60000;
+        promisedTime = Math.min(
+            Math.max((PROMISE_HORIZON_MINUTES - minutesLeft) / PROMISE_HORIZON_MINUTES, 0),
+            MAX_TIME_FACTOR
+        );
+    }
+
+    const orderValue = Math.min(Math.max(Number(entry.orderValue) || 0, 0) / config.orderValueScale, 1);
+    const vip = entry.isVip ? 1 : 0;
+
+    const factors = { age, promisedTime, orderValue, vip };
+    const score = Object.entries(factors)
+        .reduce((sum, [factor, value]) => sum + value * config.weights[factor], 0);
+    return { score, factors };
+}
+
+/**
+ * Rank waiting orders, highest priority first. Ties go to the order that
+ * has waited longest.
+ */
+function rankDispatchQueue(entries, config, nowMs = Date.now()) {
+    return entries
+        .map((entry) => ({ ...entry, ...computeQueuePriority(entry, config, nowMs) }))
+        .sort((left, right) =>
+            right.score - left.score ||
+            left.waitingSinceMs - right.waitingSinceMs ||
+            left.orderId.localeCompare(right.orderId));
+}
+
+module.exports = {
+    DEFAULT_QUEUE_WEIGHTS,
+    normalizeDispatchQueueConfig,
+    computeQueuePriority,
+    rankDispatchQueue,
+};
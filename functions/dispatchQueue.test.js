@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_QUEUE_WEIGHTS,
+    normalizeDispatchQueueConfig,
+    computeQueuePriority,
+    rankDispatchQueue,
+} = require("./dispatchQueue");
+
+const NOW = Date.parse("2026-03-01T20:00:00Z");
+const minutes = (value) => value * 60 * 1000;
+
+function entry(orderId, overrides = {}) {
+    return {
+        orderId,
+        waitingSinceMs: NOW,
+        promisedAtMs: null,
+        orderValue: 0,
+        isVip: false,
+        ...overrides,
+    };
+}
+
+test("normalizeDispatchQueueConfig is opt-in and keeps weights non-negative", () => {
+    assert.equal(normalizeDispatchQueueConfig(undefined).enabled, false);
+
+    const config = normalizeDispatchQueueConfig({
+        enabled: true,
+        weights: { age: 2, vip: -1, orderValue: "x" },
+        orderValueScale: 0,
+    });
+    assert.deepEqual(config.weights, { ...DEFAULT_QUEUE_WEIGHTS, age: 2, vip: 0 });
+    assert.equal(config.orderValueScale, 200);
+});
+
+test("computeQueuePriority scales each factor", () => {
+    const config = normalizeDispatchQueueConfig({ enabled: true });
+    const { factors } = computeQueuePriority(entry("a", {
+        waitingSinceMs: NOW - minutes(15),
+        promisedAtMs: NOW + minutes(30),
+        orderValue: 500,
+        isVip: true,
+    }), config, NOW);
+
+    assert.deepEqual(factors, { age: 0.5, promisedTime: 0.5, orderValue: 1, vip: 1 });
+});
+
+test("computeQueuePriority caps lateness and age", () => {
+    const config = normalizeDispatchQueueConfig({ enabled: true });
+    const { factors } = computeQueuePriority(entry("a", {
+        waitingSinceMs: NOW - minutes(300),
+        promisedAtMs: NOW - minutes(300),
+    }), config, NOW);
+
+    assert.equal(factors.age, 2);
+    assert.equal(factors.promisedTime, 2);
+});
+
+test("rankDispatchQueue puts urgent and VIP orders first, oldest on ties", () => {
+    const config = normalizeDispatchQueueConfig({ enabled: true });
+    const ranked = rankDispatchQueue([
+        entry("fresh"),
+        entry("old", { waitingSinceMs: NOW - minutes(20) }),
+        entry("late", { promisedAtMs: NOW - minutes(10) }),
+        entry("vip", { isVip: true }),
+        entry("older-tie", { waitingSinceMs: NOW - minutes(1) }),
+    ], normalizeDispatchQueueConfig({ enabled: true, weights: { age: 0 } }), NOW);
+
+    assert.deepEqual(ranked.map((item) => item.orderId), ["late", "vip", "old", "older-tie", "fresh"]);
+    assert.equal(rankDispatchQueue([entry("x")], config, NOW)[0].score, 0);
+});
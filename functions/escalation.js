@@ -0,0 +1,66 @@
+// Branch `unassignedEscalation` setting:
+// { enabled, realertMinutes, superAdminAfterMinutes, maxAlerts }
+// Alerts go to branch admins; once an order has waited for
+// `superAdminAfterMinutes` they also go to super admins.
+const DEFAULT_ESCALATION_CONFIG = {
+    enabled: true,
+    realertMinutes: 5,
+    superAdminAfterMinutes: 15,
+    maxAlerts: 12,
+};
+
+const ESCALATION_LEVEL = {
+    BRANCH_ADMIN: "branch_admin",
+    SUPER_ADMIN: "super_admin",
+};
+
+function readNumber(raw, fallback, min, max) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || typeof raw === "boolean" || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(Math.round(value), min), max);
+}
+
+function normalizeEscalationConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object") {
+        return { ...DEFAULT_ESCALATION_CONFIG };
+    }
+
+    return {
+        enabled: rawConfig.enabled !== false,
+        realertMinutes: readNumber(rawConfig.realertMinutes, DEFAULT_ESCALATION_CONFIG.realertMinutes, 2, 120),
+        superAdminAfterMinutes: readNumber(
+            rawConfig.superAdminAfterMinutes,
+            DEFAULT_ESCALATION_CONFIG.superAdminAfterMinutes,
+            0,
+            24 * 60
+        ),
+        maxAlerts: readNumber(rawConfig.maxAlerts, DEFAULT_ESCALATION_CONFIG.maxAlerts, 1, 100),
+    };
+}
+
+/**
+ * Decide whether an unassigned order is due another alert.
+ *
+ * @param {{enteredAtMs: number, lastAlertAtMs: number|null, alertCount: number}} state
+ * @returns {{due: boolean, level: string, minutesUnassigned: number}}
+ */
+function planEscalationAlert(state, config, nowMs = Date.now()) {
+    const minutesUnassigned = Math.max(Math.floor((nowMs - state.enteredAtMs) / 60000), 0);
+    const level = minutesUnassigned >= config.superAdminAfterMinutes
+        ? ESCALATION_LEVEL.SUPER_ADMIN
+        : ESCALATION_LEVEL.BRANCH_ADMIN;
+
+    let due = config.enabled && (state.alertCount || 0) < config.maxAlerts;
+    if (due && Number.isFinite(state.lastAlertAtMs)) {
+        due = nowMs - state.lastAlertAtMs >= config.realertMinutes * 60000;
+    }
+
+    return { due, level, minutesUnassigned };
+}
+
+module.exports = {
+    DEFAULT_ESCALATION_CONFIG,
+    ESCALATION_LEVEL,
+    normalizeEscalationConfig,
+    planEscalationAlert,
+};
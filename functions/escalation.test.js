@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_ESCALATION_CONFIG,
+    ESCALATION_LEVEL,
+    normalizeEscalationConfig,
+    planEscalationAlert,
+} = require("./escalation");
+
+const NOW = Date.parse("2026-03-01T20:00:00Z");
+const minutes = (value) => value * 60 * 1000;
+
+test("normalizeEscalationConfig defaults and clamps values", () => {
+    assert.deepEqual(normalizeEscalationConfig(undefined), DEFAULT_ESCALATION_CONFIG);
+
+    const config = normalizeEscalationConfig({
+        enabled: false,
+        realertMinutes: 0,
+        superAdminAfterMinutes: "30",
+        maxAlerts: true,
+    });
+    assert.deepEqual(config, {
+        enabled: false,
+        realertMinutes: 2,
+        superAdminAfterMinutes: 30,
+        maxAlerts: DEFAULT_ESCALATION_CONFIG.maxAlerts,
+    });
+});
+
+test("planEscalationAlert sends the first alert right away", () => {
+    const config = normalizeEscalationConfig({});
+    const plan = planEscalationAlert({ enteredAtMs: NOW, lastAlertAtMs: null, alertCount: 0 }, config, NOW);
+
+    assert.deepEqual(plan, { due: true, level: ESCALATION_LEVEL.BRANCH_ADMIN, minutesUnassigned: 0 });
+});
+
+test("planEscalationAlert waits for the re-alert interval and escalates", () => {
+    const config = normalizeEscalationConfig({ realertMinutes: 5, superAdminAfterMinutes: 15 });
+    const state = { enteredAtMs: NOW - minutes(16), lastAlertAtMs: NOW - minutes(3), alertCount: 3 };
+
+    assert.equal(planEscalationAlert(state, config, NOW).due, false);
+
+    const plan = planEscalationAlert({ ...state, lastAlertAtMs: NOW - minutes(5) }, config, NOW);
+    assert.equal(plan.due, true);
+    assert.equal(plan.level, ESCALATION_LEVEL.SUPER_ADMIN);
+    assert.equal(plan.minutesUnassigned, 16);
+});
+
+test("planEscalationAlert stops after maxAlerts or when disabled", () => {
+    const state = { enteredAtMs: NOW - minutes(60), lastAlertAtMs: NOW - minutes(10), alertCount: 3 };
+
+    assert.equal(planEscalationAlert(state, normalizeEscalationConfig({ maxAlerts: 3 }), NOW).due, false);
+    assert.equal(planEscalationAlert(state, normalizeEscalationConfig({ enabled: false }), NOW).due, false);
+});
@@ -0,0 +1,78 @@
+const EARTH_DIAMETER_KM = 12742;
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Coerce the location shapes stored across the app (Firestore GeoPoint,
+ * { latitude, longitude }, { lat, lng }) into { latitude, longitude }.
+ */
+function toLatLng(value) {
+    if (!value || typeof value !== "object") return null;
+
+    const latitude = Number(value.latitude ?? value.lat ?? value._latitude);
+    const longitude = Number(value.longitude ?? value.lng ?? value.lon ?? value._longitude);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+
+    return { latitude, longitude };
+}
+
+function haversineKm(from, to) {
+    const c = Math.cos;
+    const a = 0.5 - c((to.latitude - from.latitude) * DEG_TO_RAD) / 2 +
+        c(from.latitude * DEG_TO_RAD) * c(to.latitude * DEG_TO_RAD) *
+        (1 - c((to.longitude - from.longitude) * DEG_TO_RAD)) / 2;
+    return EARTH_DIAMETER_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Initial compass bearing from one point to another, 0..360 degrees.
+ */
+function bearingDegrees(from, to) {
+    const lat1 = from.latitude * DEG_TO_RAD;
+    const lat2 = to.latitude * DEG_TO_RAD;
+    const deltaLon = (to.longitude - from.longitude) * DEG_TO_RAD;
+
+    const y = Math.sin(deltaLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) -
+        Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLon);
+
+    return ((Math.atan2(y, x) / DEG_TO_RAD) + 360) % 360;
+}
+
+/**
+ * Smallest angle between two bearings, 0..180 degrees.
+ */
+function bearingDelta(left, right) {
+    const delta = Math.abs(left - right) % 360;
+    return delta > 180 ? 360 - delta : delta;
+}
+
+/**
+ * Drop-off coordinates of a delivery order. Customer apps have written the
+ * location under a few different keys over time.
+ */
+function resolveDeliveryLocation(orderData) {
+    const address = orderData?.deliveryAddress;
+    const candidates = [
+        address && typeof address === "object" ? address.geolocation : null,
+        address && typeof address === "object" ? address.location : null,
+        address && typeof address === "object" ? address : null,
+        orderData?.deliveryLocation,
+        orderData?.location,
+    ];
+
+    for (const candidate of candidates) {
+        const location = toLatLng(candidate);
+        if (location) return location;
+    }
+    return null;
+}
+
+module.exports = {
+    toLatLng,
+    haversineKm,
+    bearingDegrees,
+    bearingDelta,
+    resolveDeliveryLocation,
+};
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    toLatLng,
+    haversineKm,
+    bearingDegrees,
+    bearingDelta,
+    resolveDeliveryLocation,
+} = require("./geoUtils");
+
+test("toLatLng accepts the stored location shapes and rejects bad coordinates", () => {
+    assert.deepEqual(toLatLng({ latitude: 25.3, longitude: 51.5 }), { latitude: 25.3, longitude: 51.5 });
+    assert.deepEqual(toLatLng({ lat: "25.3", lng: "51.5" }), { latitude: 25.3, longitude: 51.5 });
+    assert.deepEqual(toLatLng({ _latitude: 25.3, _longitude: 51.5 }), { latitude: 25.3, longitude: 51.5 });
+    assert.equal(toLatLng({ latitude: 95, longitude: 51.5 }), null);
+    assert.equal(toLatLng("25.3,51.5"), null);
+});
+
+test("haversineKm and bearing helpers", () => {
+    const origin = { latitude: 25.2854, longitude: 51.531 };
+    const north = { latitude: 25.3754, longitude: 51.531 };
+
+    assert.ok(Math.abs(haversineKm(origin, north) - 10.0) < 0.1);
+    assert.ok(bearingDegrees(origin, north) < 0.01);
+    assert.equal(bearingDelta(350, 10), 20);
+    assert.equal(bearingDelta(90, 270), 180);
+});
+
+test("resolveDeliveryLocation prefers the address geolocation", () => {
+    assert.deepEqual(
+        resolveDeliveryLocation({
+            deliveryAddress: { street: "Main", geolocation: { latitude: 1, longitude: 2 } },
+            location: { latitude: 3, longitude: 4 },
+        }),
+        { latitude: 1, longitude: 2 }
+    );
+    assert.deepEqual(
+        resolveDeliveryLocation({ deliveryAddress: "Main street", location: { lat: 3, lng: 4 } }),
+        { latitude: 3, longitude: 4 }
+    );
+    assert.equal(resolveDeliveryLocation({ deliveryAddress: { street: "Main" } }), null);
+});
@@ -0,0 +1,126 @@
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const KM_PER_DEGREE_LAT = 111.2;
+
+// Stored rider hashes only need to be as fine as the smallest search ring.
+// 7 characters (~150m cells) keeps the trigger from rewriting the staff doc
+// on every GPS tick while still supporting precision-6 ring queries.
+const RIDER_GEOHASH_PRECISION = 7;
+
+function encodeGeohash(latitude, longitude, precision = RIDER_GEOHASH_PRECISION) {
+    let minLat = -90;
+    let maxLat = 90;
+    let minLng = -180;
+    let maxLng = 180;
+    let hash = "";
+    let bits = 0;
+    let bitCount = 0;
+    let evenBit = true;
+
+    while (hash.length < precision) {
+        if (evenBit) {
+            const mid = (minLng + maxLng) / 2;
+            if (longitude >= mid) {
+                bits = bits * 2 + 1;
+                minLng = mid;
+            } else {
+                bits = bits * 2;
+                maxLng = mid;
+            }
+        } else {
+            const mid = (minLat + maxLat) / 2;
+            if (latitude >= mid) {
+                bits = bits * 2 + 1;
+                minLat = mid;
+            } else {
+                bits = bits * 2;
+                maxLat = mid;
+            }
+        }
+        evenBit = !evenBit;
+
+        if (++bitCount === 5) {
+            hash += BASE32[bits];
+            bits = 0;
+            bitCount = 0;
+        }
+    }
+
+    return hash;
+}
+
+/**
+ * Bounding box of a geohash cell.
+ */
+function decodeGeohashBounds(hash) {
+    let minLat = -90;
+    let maxLat = 90;
+    let minLng = -180;
+    let maxLng = 180;
+    let evenBit = true;
+
+    for (const char of hash) {
+        const value = BASE32.indexOf(char);
+        if (value < 0) throw new Error(`Invalid geohash character "${char}"`);
+
+        for (let bit = 4; bit >= 0; bit--) {
+            const isSet = (value >> bit) & 1;
+            if (evenBit) {
+                const mid = (minLng + maxLng) / 2;
+                if (isSet) minLng = mid; else maxLng = mid;
+            } else {
+                const mid = (minLat + maxLat) / 2;
+                if (isSet) minLat = mid; else maxLat = mid;
+            }
+            evenBit = !evenBit;
+        }
+    }
+
+    return { minLat, maxLat, minLng, maxLng };
+}
+
+/**
+ * The cell containing `center` plus its 8 neighbours at the given precision,
+ * and the radius around `center` that this block is guaranteed to cover.
+ * Anything within `coveredRadiusKm` of the centre has one of `prefixes`.
+ */
+function geohashRing(center, precision) {
+    const cell = decodeGeohashBounds(encodeGeohash(center.latitude, center.longitude, precision));
+    const latStep = cell.maxLat - cell.minLat;
+    const lngStep = cell.maxLng - cell.minLng;
+
+    const prefixes = new Set();
+    for (const latOffset of [-1, 0, 1]) {
+        for (const lngOffset of [-1, 0, 1]) {
+            const latitude = Math.min(Math.max(center.latitude + latOffset * latStep, -89.999999), 89.999999);
+            let longitude = center.longitude + lngOffset * lngStep;
+            if (longitude >= 180) longitude -= 360;
+            if (longitude < -180) longitude += 360;
+            prefixes.add(encodeGeohash(latitude, longitude, precision));
+        }
+    }
+
+    const kmPerDegreeLng = KM_PER_DEGREE_LAT * Math.cos(center.latitude * Math.PI / 180);
+    const coveredRadiusKm = Math.min(
+        (center.latitude - (cell.minLat - latStep)) * KM_PER_DEGREE_LAT,
+        ((cell.maxLat + latStep) - center.latitude) * KM_PER_DEGREE_LAT,
+        (center.longitude - (cell.minLng - lngStep)) * kmPerDegreeLng,
+        ((cell.maxLng + lngStep) - center.longitude) * kmPerDegreeLng
+    );
+
+    return { precision, prefixes: Array.from(prefixes), coveredRadiusKm };
+}
+
+/**
+ * Firestore range [start, end) matching every stored hash with this prefix.
+ */
+function geohashPrefixRange(prefix) {
+    return [prefix, `${prefix}~`];
+}
+
+module.exports = {
+    RIDER_GEOHASH_PRECISION,
+    encodeGeohash,
+    decodeGeohashBounds,
+    geohashRing,
+    geohashPrefixRange,
+};
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    encodeGeohash,
+    decodeGeohashBounds,
+    geohashRing,
+    geohashPrefixRange,
+} = require("./geohash");
+
+test("encodeGeohash matches known hashes and round-trips through the cell bounds", () => {
+    assert.equal(encodeGeohash(57.64911, 10.40744, 11), "u4pruydqqvj");
+    assert.equal(encodeGeohash(25.2854, 51.531, 5), encodeGeohash(25.2854, 51.531).slice(0, 5));
+
+    const bounds = decodeGeohashBounds(encodeGeohash(25.2854, 51.531, 7));
+    assert.ok(bounds.minLat <= 25.2854 && 25.2854 <= bounds.maxLat);
+    assert.ok(bounds.minLng <= 51.531 && 51.531 <= bounds.maxLng);
+    assert.throws(() => decodeGeohashBounds("abc"), /Invalid geohash/);
+});
+
+test("geohashRing covers every point inside its covered radius", () => {
+    const center = { latitude: 25.2854, longitude: 51.531 };
+    const ring = geohashRing(center, 6);
+
+    assert.equal(ring.prefixes.length, 9);
+    assert.ok(ring.coveredRadiusKm > 0.6 && ring.coveredRadiusKm < 2.5);
+
+    const radiusDeg = (ring.coveredRadiusKm * 0.99) / 111.2;
+    const lngScale = Math.cos(center.latitude * Math.PI / 180);
+    for (let angle = 0; angle < 360; angle += 15) {
+        const radians = angle * Math.PI / 180;
+        const hash = encodeGeohash(
+            center.latitude + radiusDeg * Math.cos(radians),
+            center.longitude + (radiusDeg * Math.sin(radians)) / lngScale,
+            6
+        );
+        assert.ok(ring.prefixes.includes(hash), `point at ${angle} degrees missed`);
+    }
+});
+
+test("geohashPrefixRange brackets hashes sharing the prefix", () => {
+    const [start, end] = geohashPrefixRange("thkx");
+    assert.ok("thkx" >= start && "thkxzzz" < end);
+    assert.ok(!("thky" < end));
+});
@@ -1,5 +1,5 @@
 const { onDocumentUpdated, onDocumentCreated } = require("firebase-functions/v2/firestore");
-const { onRequest } = require("firebase-functions/v2/https");
+const { onRequest, onCall, HttpsError } = require("firebase-functions/v2/https");
 const { onSchedule } = require("firebase-functions/v2/scheduler"); // <--- V2 Scheduler
 const { setGlobalOptions } = require("firebase-functions/v2"); // <--- Import Global Options
 const { getFirestore, FieldValue, GeoPoint } = require("firebase-admin/firestore");
@@ -11,6 +11,141 @@ const {
     validateTimezone,
     evaluateBranchSchedule,
 } = require("./scheduleUtils");
+const {
+    normalizeScoringWeights,
+    applyDispatchOutcome,
+    extractRiderDispatchStats,
+    rankRiderCandidates,
+    UNKNOWN_DISTANCE_KM,
+    summarizeScoredCandidate,
+} = require("./riderScoring");
+const {
+    BROADCAST_RIDER_ID,
+    DELAYED_START_RIDER_ID,
+    QUEUE_WAKE_RIDER_ID,
+    isSentinelRiderId,
+    isBroadcastAssignment,
+    normalizeBroadcastConfig,
+    getPendingOfferRiders,
+    getNewlyDeclinedRiders,
+    isBroadcastExhausted,
+    countDispatchAttempts,
+} = require("./assignmentState");
+const {
+    toLatLng,
+    resolveDeliveryLocation,
+} = require("./geoUtils");
+const {
+    normalizeDeliveryZones,
+    isPointInZone,
+    findZonesForPoint,
+    evaluateDeliveryZone,
+} = require("./deliveryZones");
+const { createTravelTimeProvider } = require("./travelTime");
+const {
+    normalizeCapacityConfig,
+    resolveRiderCapacity,
+    getActiveOrderIds,
+    getRemainingCapacity,
+    buildRiderLoadUpdate,
+} = require("./riderCapacity");
+const {
+    normalizePresenceConfig,
+    toMillis,
+    classifyRiderPresence,
+} = require("./riderPresence");
+const {
+    normalizeDispatchQueueConfig,
+    rankDispatchQueue,
+} = require("./dispatchQueue");
+const {
+    ESCALATION_LEVEL,
+    normalizeEscalationConfig,
+    planEscalationAlert,
+} = require("./escalation");
+const { SEARCH_QUERY_PATH, buildSearchSnapshot } = require("./searchSnapshot");
+const {
+    ROLLING_WINDOW_DAYS,
+    isRiderStatEvent,
+    applyRiderStatEvent,
+    summarizeRiderStats,
+} = require("./riderStats");
+const {
+    PROOF_STATUS,
+    normalizeDeliveryOtpConfig,
+    createOtpSecret,
+    normalizeSubmittedCode,
+    verifyOtpCode,
+    isDeliveryProofSatisfied,
+    canMarkDelivered,
+    isProofSettledByServer,
+} = require("./deliveryOtp");
+const {
+    PICKED_UP_STATUSES,
+    ETA_NOTIFICATION_REASON,
+    normalizeLiveEtaConfig,
+    isOrderDueForEta,
+    buildLiveEta,
+} = require("./liveEta");
+const {
+    KITCHEN_RESPONSE_ACTION,
+    KITCHEN_DECISION_STATUS,
+    KITCHEN_WARNING_STATUS,
+    normalizeOrderSource,
+    normalizeKitchenResponsePolicies,
+    resolveKitchenResponsePolicy,
+    computeWarningDelaySeconds,
+} = require("./kitchenResponse");
+const {
+    KITCHEN_LOAD_LEVEL,
+    normalizeKitchenLoadConfig,
+    computeKitchenLoad,
+    planKitchenLoadState,
+} = require("./kitchenLoad");
+const {
+    PREP_SLA_STATUS,
+    BREACH_STATUS,
+    normalizePrepSlaConfig,
+    computePrepSlaDueAtMs,
+    summarizePrepCompletion,
+} = require("./prepSla");
+const {
+    TICKET_STATUS,
+    normalizeKitchenStationsConfig,
+    getOrderItemMenuId,
+    splitItemsByStation,
+    isTicketOpen,
+    areAllTicketsDone,
+    shouldSplitOrder,
+} = require("./kitchenStations");
+const {
+    BUILT_IN_STATE_MACHINE,
+    TRANSITION_ERROR_REASON,
+    normalizeStateMachineConfig,
+    applyStateMachineConfig,
+    getAllowedTransitions,
+    getStatusTimestampFields,
+} = require("./orderStateMachine");
+const {
+    buildDefaultDispatchPolicy,
+    normalizeDispatchPolicy,
+    normalizePrepTimeMinutes,
+    normalizeDelayedDispatchConfig,
+    computeDispatchDelaySeconds,
+} = require("./dispatchPolicy");
+const {
+    RIDER_GEOHASH_PRECISION,
+    encodeGeohash,
+    geohashRing,
+    geohashPrefixRange,
+} = require("./geohash");
+const {
+    normalizeBatchingConfig,
+    selectBatchPartners,
+    planDropSequence,
+    removeOrderFromBatch,
+    isBatchPartner,
+} = require("./orderBatching");
 
 // --- GLOBAL OPTIONS (Fix for Quota Exceeded) ---
 setGlobalOptions({ maxInstances: 10 });
@@ -24,17 +159,31 @@ const db = admin.firestore();
 const GCP_PROJECT_ID = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT || 'mddprod-2954f';
 const GCP_LOCATION = process.env.FUNCTION_REGION || 'us-central1';
 const QUEUE_NAME = process.env.ASSIGNMENT_QUEUE_NAME || 'assignment-timeout-queue';
-const ASSIGNMENT_TIMEOUT_SECONDS = parseInt(process.env.ASSIGNMENT_TIMEOUT_SECONDS, 10) || 120;
 const TASK_HANDLER_URL = process.env.TASK_HANDLER_URL || `https://${GCP_LOCATION}-${GCP_PROJECT_ID}.cloudfunctions.net/processAssignmentTask`;
 const KITCHEN_RESPONSE_TIMEOUT_SECONDS = parseInt(process.env.KITCHEN_RESPONSE_TIMEOUT_SECONDS, 10) || 30;
 const KITCHEN_TASK_HANDLER_URL = process.env.KITCHEN_TASK_HANDLER_URL || `https://${GCP_LOCATION}-${GCP_PROJECT_ID}.cloudfunctions.net/processKitchenResponseTask`;
+const PREP_SLA_TASK_HANDLER_URL = process.env.PREP_SLA_TASK_HANDLER_URL || `https://${GCP_LOCATION}-${GCP_PROJECT_ID}.cloudfunctions.net/processPrepSlaTask`;
 const SERVICE_ACCOUNT_EMAIL = process.env.SERVICE_ACCOUNT_EMAIL || `${GCP_PROJECT_ID}@appspot.gserviceaccount.com`;
 
 // --- RIDER ASSIGNMENT LIMITS (Production Safeguards) ---
-const MAX_TRIED_RIDERS = parseInt(process.env.MAX_TRIED_RIDERS, 10) || 5;  // Max riders to try before manual assignment
-const MAX_WORKFLOW_MINUTES = parseInt(process.env.MAX_WORKFLOW_MINUTES, 10) || 30;  // Max time for entire assignment workflow
-const MAX_SEARCH_RETRIES = parseInt(process.env.MAX_SEARCH_RETRIES, 10) || 5;  // Max retries when no riders available
-
+// Per-branch values live in Branch.dispatchPolicy. These env vars
+// (ASSIGNMENT_TIMEOUT_SECONDS, MAX_TRIED_RIDERS, MAX_WORKFLOW_MINUTES,
+// MAX_SEARCH_RETRIES, SEARCH_RETRY_DELAY_SECONDS) only set the defaults.
+const DEFAULT_DISPATCH_POLICY = buildDefaultDispatchPolicy(process.env);
+const BRANCH_DISPATCH_CONFIG_CACHE_MS = 60 * 1000;  // Branch edits apply within a minute, no redeploy
+
+// --- ROUTING (Travel time between riders, branches and customers) ---
+// ROUTING_PROVIDER=osrm + ROUTING_BASE_URL use a self-hosted OSRM-compatible
+// router; otherwise straight-line distance at ROUTING_AVERAGE_SPEED_KMH.
+const travelTimeProvider = createTravelTimeProvider({
+    provider: process.env.ROUTING_PROVIDER,
+    baseUrl: process.env.ROUTING_BASE_URL,
+    profile: process.env.ROUTING_PROFILE,
+    timeoutMs: process.env.ROUTING_TIMEOUT_MS,
+    averageSpeedKmh: process.env.ROUTING_AVERAGE_SPEED_KMH,
+    cacheTtlMs: process.env.ROUTING_CACHE_TTL_MS,
+    onError: (err) => logger.warn(`Routing provider error, using straight-line estimate: ${err.message}`),
+});
 
 // --- STATUS CONSTANTS (Standardized) ---
 const STATUS = {
@@ -185,16 +334,55 @@ function validateTaskAuth(req, res, handlerName) {
     return true;
 }
 
+/**
+ * Kitchen response policy for an order's source (see kitchenResponse.js).
+ * Orders without a branch get the built-in policy.
+ */
+async function getKitchenResponsePolicy(data) {
+    const branchId = (data?.branchIds && data.branchIds[0]) || data?.branchId;
+    const policies = branchId
+        ? (await getBranchDispatchConfig(branchId)).kitchenResponse
+        : normalizeKitchenResponsePolicies(null, KITCHEN_RESPONSE_TIMEOUT_SECONDS);
+    return resolveKitchenResponsePolicy(policies, normalizeOrderSource(data));
+}
+
 async function scheduleKitchenResponseTimeoutTask(orderId, data) {
-    const status = normalizeStatus(data?.status);
-    const source = (data?.source || '').toString().toLowerCase();
+    if (normalizeStatus(data?.status) !== STATUS.PENDING) {
+        return false;
+    }
 
-    if (source !== 'pos' || status !== STATUS.PENDING) {
+    const policy = await getKitchenResponsePolicy(data);
+    if (policy.action === KITCHEN_RESPONSE_ACTION.NONE) {
         return false;
     }
 
-    const delaySeconds = resolveKitchenAutoAcceptDelaySeconds(data);
-    await createKitchenResponseTask(orderId, delaySeconds);
+    // POS orders carry the deadline their KDS counts down to; other sources
+    // get one from the policy timeout
+    let delaySeconds;
+    const updates = {};
+    if (data.autoAcceptDeadline) {
+        delaySeconds = resolveKitchenAutoAcceptDelaySeconds(data);
+    } else {
+        delaySeconds = policy.timeoutSeconds;
+        updates.kitchenResponseDeadline = new Date(Date.now() + delaySeconds * 1000);
+        updates.kitchenResponseAction = policy.action;
+    }
+
+    // With a warning, the task fires at the warning point first and
+    // processKitchenResponseTask reschedules it for the deadline
+    const warningDelaySeconds = computeWarningDelaySeconds(policy, delaySeconds);
+    if (warningDelaySeconds !== null) {
+        updates.kitchenAutoAcceptWarning = {
+            status: KITCHEN_WARNING_STATUS.SCHEDULED,
+            warnAt: new Date(Date.now() + warningDelaySeconds * 1000),
+            warnAtFraction: policy.warnAtFraction,
+        };
+    }
+    if (Object.keys(updates).length > 0) {
+        await db.collection('Orders').doc(orderId).update(updates);
+    }
+
+    await createKitchenResponseTask(orderId, warningDelaySeconds ?? delaySeconds);
     return true;
 }
 
@@ -217,6 +405,9 @@ async function scheduleKitchenResponseTimeoutTask(orderId, data) {
  * =============================================================================
  * Triggered when an order moves to 'preparing' status OR when admin manually
  * triggers auto-assignment by setting 'autoAssignStarted' timestamp.
+ * With Branch.delayedDispatch enabled, the first offer is held back until
+ * the rider's travel time lines up with the branch prep time; marking the
+ * order 'prepared' early releases it immediately.
  *
  * FLOW:
  * 1. Validate order is delivery type and needs a rider
@@ -263,15 +454,31 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
 
         // --- TRIGGER CONDITIONS ---
         // 1. Status just changed TO 'preparing' (admin accepts order)
-        // 2. OR 'autoAssignStarted' was just set (manual trigger from Admin UI)
+        // 2. OR 'autoAssignStarted' was just set (manual trigger from Admin UI,
+        //    or processAssignmentTask releasing a delayed dispatch)
+        // 3. OR kitchen marked the order 'prepared' while its dispatch was still delayed
         const statusBecamePreparing = beforeData.status !== 'preparing' && afterData.status === 'preparing';
         const manualTrigger = !beforeData.autoAssignStarted && afterData.autoAssignStarted;
+        const statusBecamePrepared = beforeData.status !== STATUS.PREPARED && afterData.status === STATUS.PREPARED;
 
-        if (!statusBecamePreparing && !manualTrigger) {
+        if (!statusBecamePreparing && !manualTrigger && !statusBecamePrepared) {
             return null;
         }
 
-        logger.log(`🚀 [${orderId}] STARTING AUTO-ASSIGNMENT WORKFLOW (trigger: ${statusBecamePreparing ? 'status_change' : 'manual'})`);
+        let trigger = statusBecamePreparing ? 'status_change' : 'manual';
+        if (!statusBecamePreparing && !manualTrigger) {
+            // Only a delayed dispatch is released early; otherwise a rider is
+            // already being searched for (or was never needed).
+            const released = await claimScheduledDispatch(orderId);
+            if (!released) {
+                return null;
+            }
+            trigger = 'prepared_early';
+        } else if (manualTrigger && afterData.dispatchReleasedAt && !beforeData.dispatchReleasedAt) {
+            trigger = 'delayed_start';
+        }
+
+        logger.log(`🚀 [${orderId}] STARTING AUTO-ASSIGNMENT WORKFLOW (trigger: ${trigger})`);
 
         let lockedRiderId = null; // Track rider we lock for cleanup on error
 
@@ -294,9 +501,7 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
                     } else {
                         // Stale assignment - clean it up and proceed
                         logger.warn(`[${orderId}] ♻️ Cleaning stale assignment (age: ${ageMinutes.toFixed(1)}min)`);
-                        if (existingData.riderId && existingData.riderId !== 'RETRY_SEARCH') {
-                            await unlockRider(existingData.riderId, orderId);
-                        }
+                        await unlockAssignmentRiders(existingData, orderId);
                         await db.collection('rider_assignments').doc(orderId).delete();
                     }
                 }
@@ -316,10 +521,31 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
 
             logger.log(`[${orderId}] Branch: ${targetBranchId}`);
 
+            // ============================================================
+            // STEP 2a: DELAYED DISPATCH - Time the offer to the prep time
+            // ============================================================
+            const dispatchConfig = await getBranchDispatchConfig(targetBranchId);
+            const { policy } = dispatchConfig;
+
+            if (trigger === 'status_change' && dispatchConfig.delayedDispatch.enabled) {
+                const scheduled = await scheduleDelayedDispatch(orderId, targetBranchId, afterData, dispatchConfig);
+                if (scheduled) {
+                    return null;
+                }
+            }
+
+            // ============================================================
+            // STEP 2b: BATCHING - Absorb waiting orders heading the same way
+            // ============================================================
+            const batch = await tryFormOrderBatch(orderId, targetBranchId, afterData, dispatchConfig);
+            const offerOrderData = batch?.batchId
+                ? { ...afterData, batchId: batch.batchId, batchOrderIds: batch.orderIds }
+                : afterData;
+
             // ============================================================
             // STEP 3: FIND NEAREST AVAILABLE RIDER
             // ============================================================
-            const nextRider = await findNextRider(null, orderId, targetBranchId);
+            const nextRider = await findNextRider(null, orderId, targetBranchId, 'workflow_start');
 
             if (!nextRider) {
                 logger.warn(`[${orderId}] ❌ No riders available right now in branch ${targetBranchId}. Starting search retry workflow.`);
@@ -332,6 +558,7 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
                     triedRiders: [],
                     createdAt: FieldValue.serverTimestamp(),
                     workflowStartedAt: FieldValue.serverTimestamp(),
+                    ...workflowPolicyFields(policy),
                     retryCount: 0,
                     notificationSent: false,
                 });
@@ -348,6 +575,84 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
 
             logger.log(`[${orderId}] 👤 Found nearest rider: ${nextRider.riderId} (distance: ${nextRider.distance?.toFixed(2) || 'N/A'}km)`);
 
+            // ============================================================
+            // DISPATCH QUEUE: Scarce riders go to higher-priority orders first
+            // ============================================================
+            if (dispatchConfig.queue.enabled) {
+                const place = await checkDispatchQueue(
+                    orderId, targetBranchId, offerOrderData, new Date(), nextRider.eligibleCount, dispatchConfig.queue
+                );
+                if (place.shouldWait) {
+                    logger.log(`[${orderId}] ⏳ Queued at #${place.rank + 1}/${place.queueLength} behind higher-priority orders (${nextRider.eligibleCount} eligible riders)`);
+
+                    await db.collection('rider_assignments').doc(orderId).set({
+                        orderId: orderId,
+                        branchId: targetBranchId,
+                        riderId: 'RETRY_SEARCH',
+                        status: 'searching',
+                        triedRiders: [],
+                        createdAt: FieldValue.serverTimestamp(),
+                        workflowStartedAt: FieldValue.serverTimestamp(),
+                        ...workflowPolicyFields(policy),
+                        retryCount: 0,
+                        queuePosition: place.rank + 1,
+                        notificationSent: false,
+                    });
+
+                    logAssignmentEvent(orderId, 'retry_search', {
+                        branchId: targetBranchId,
+                        reason: `Queued behind ${place.rank} higher-priority order(s)`,
+                        retryCount: 0,
+                    });
+
+                    await createAssignmentTask(orderId, 'RETRY_SEARCH', policy.searchRetryDelaySeconds);
+                    return null;
+                }
+            }
+
+            // ============================================================
+            // BROADCAST MODE: Offer top N riders at once, first accept wins
+            // ============================================================
+            const { broadcast } = dispatchConfig;
+            if (broadcast.enabled) {
+                const offeredRiderIds = await startBroadcastOffer(orderId, targetBranchId, nextRider, offerOrderData, null, dispatchConfig);
+
+                if (offeredRiderIds.length === 0) {
+                    logger.warn(`[${orderId}] No broadcast candidates could be locked. Trying again...`);
+                    await db.collection('rider_assignments').doc(orderId).set({
+                        orderId: orderId,
+                        branchId: targetBranchId,
+                        riderId: 'RETRY_SEARCH',
+                        status: 'searching',
+                        triedRiders: [],
+                        createdAt: FieldValue.serverTimestamp(),
+                        workflowStartedAt: FieldValue.serverTimestamp(),
+                        ...workflowPolicyFields(policy),
+                        retryCount: 0,
+                        notificationSent: false,
+                    });
+                    await createAssignmentTask(orderId, 'RETRY_SEARCH', 2);
+                    return null;
+                }
+
+                logAssignmentEvent(orderId, 'workflow_started', {
+                    branchId: targetBranchId,
+                    trigger: trigger,
+                    mode: 'broadcast',
+                    dispatchPolicyVersion: policy.version,
+                });
+
+                if (!manualTrigger && !afterData.autoAssignStarted) {
+                    await db.collection('Orders').doc(orderId).update({
+                        'autoAssignStarted': FieldValue.serverTimestamp(),
+                        'lastAssignmentUpdate': FieldValue.serverTimestamp(),
+                        '_cloudFunctionUpdate': true,
+                    });
+                }
+
+                return null;
+            }
+
             // ============================================================
             // STEP 4: ATOMIC TRANSACTION - Create assignment + Lock rider
             // ============================================================
@@ -383,7 +688,9 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
                     status: 'pending',
                     createdAt: FieldValue.serverTimestamp(),
                     workflowStartedAt: FieldValue.serverTimestamp(),
-                    expiresAt: new Date(Date.now() + ASSIGNMENT_TIMEOUT_SECONDS * 1000),
+                    ...workflowPolicyFields(policy),
+                    assignmentTimeoutSeconds: policy.assignmentTimeoutSeconds,
+                    expiresAt: new Date(Date.now() + policy.assignmentTimeoutSeconds * 1000),
                     triedRiders: [nextRider.riderId],
                     notificationSent: false,
                     retryCount: 0,
@@ -411,6 +718,7 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
                     triedRiders: [nextRider.riderId],
                     createdAt: FieldValue.serverTimestamp(), // BUG FIX #6: Was missing, needed for cleanup queries
                     workflowStartedAt: FieldValue.serverTimestamp(),
+                    ...workflowPolicyFields(policy),
                     retryCount: 0,
                     notificationSent: false,
                 });
@@ -424,16 +732,16 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
             // ============================================================
             // STEP 5: SEND FCM NOTIFICATION
             // ============================================================
-            const fcmSent = await sendAssignmentFCM(lockedRiderId, orderId, afterData);
+            const fcmSent = await sendAssignmentFCM(lockedRiderId, orderId, offerOrderData);
             if (!fcmSent) {
                 logger.warn(`[${orderId}] FCM failed but continuing with assignment`);
             }
 
             // ============================================================
-            // STEP 6: SCHEDULE TIMEOUT TASK (120 seconds)
+            // STEP 6: SCHEDULE TIMEOUT TASK (branch policy, 120 seconds by default)
             // ============================================================
             try {
-                await createAssignmentTask(orderId, lockedRiderId, ASSIGNMENT_TIMEOUT_SECONDS);
+                await createAssignmentTask(orderId, lockedRiderId, policy.assignmentTimeoutSeconds);
             } catch (taskError) {
                 logger.error(`[${orderId}] ❌ Failed to create timeout task: ${taskError.message}`);
                 // CRITICAL: If task creation fails, rider stays locked forever!
@@ -442,7 +750,7 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
                 // The cleanupStaleAssignments scheduled function will handle this
             }
 
-            logger.log(`[${orderId}] ✅ Assignment workflow started. Rider ${lockedRiderId} has ${ASSIGNMENT_TIMEOUT_SECONDS}s to respond.`);
+            logger.log(`[${orderId}] ✅ Assignment workflow started. Rider ${lockedRiderId} has ${policy.assignmentTimeoutSeconds}s to respond.`);
 
             // ============================================================
             // STEP 7: LOG ASSIGNMENT EVENTS (fire-and-forget)
@@ -450,15 +758,19 @@ exports.startAssignmentWorkflowV2 = onDocumentUpdated(
             const riderName = await resolveRiderName(lockedRiderId);
             logAssignmentEvent(orderId, 'workflow_started', {
                 branchId: targetBranchId,
-                trigger: statusBecamePreparing ? 'status_change' : 'manual',
+                trigger: trigger,
+                dispatchPolicyVersion: policy.version,
             });
             logAssignmentEvent(orderId, 'rider_offered', {
                 riderId: lockedRiderId,
                 riderName,
                 attemptNumber: 1,
                 distance: nextRider.distance?.toFixed(2) || 'N/A',
-                timeoutSeconds: ASSIGNMENT_TIMEOUT_SECONDS,
+                timeoutSeconds: policy.assignmentTimeoutSeconds,
+                scoreBreakdown: nextRider.scoreBreakdown,
+                candidateScores: nextRider.candidateScores,
             });
+            recordRiderDispatchOutcome(lockedRiderId, 'offered');
 
             // ============================================================
             // STEP 8: UI SYNC - Ensure 'autoAssignStarted' is set
@@ -508,6 +820,15 @@ exports.handleOrderCancellation = onDocumentUpdated(
         const beforeStatus = normalizeStatus(beforeData.status);
         const afterStatus = normalizeStatus(afterData.status);
 
+        // Delivery completion feeds the idle-time factor of rider scoring.
+        // Checked before the terminal guard because pickedUp is already terminal.
+        // An unverified delivery code means the validator is about to revert it.
+        if (afterStatus === STATUS.DELIVERED && beforeStatus !== STATUS.DELIVERED && afterData.riderId &&
+            (afterData._cloudFunctionUpdate || canMarkDelivered(beforeData))) {
+            await recordRiderDispatchOutcome(afterData.riderId, 'delivered');
+            await logAssignmentEvent(orderId, 'order_delivered', { riderId: afterData.riderId });
+        }
+
         // Only trigger if status just became assignment-terminal
         // (cancelled, delivered, pickedUp, paid, collected)
         const wasTerminal = isAssignmentTerminalStatus(beforeStatus);
@@ -520,34 +841,44 @@ exports.handleOrderCancellation = onDocumentUpdated(
         logger.log(`[${orderId}] 🛑 Order became terminal (${beforeStatus} → ${afterStatus}). Cleaning up assignment...`);
 
         try {
+            // BATCH: Drop the order from its batch. The rider keeps the slots
+            // of the other batch orders and moves on to the next drop.
+            if (afterData.batchId) {
+                await releaseOrderFromBatch(orderId, afterData);
+            }
+
             // Check if there's an active assignment for this order
             const assignDoc = await db.collection('rider_assignments').doc(orderId).get();
-            let riderId = null;
+            let riderIds = [];
 
             if (assignDoc.exists) {
                 const assignData = assignDoc.data();
-                riderId = assignData.riderId;
+                // Broadcast offers lock every recipient that has not declined yet
+                riderIds = isBroadcastAssignment(assignData)
+                    ? getPendingOfferRiders(assignData)
+                    : [assignData.riderId];
             } else {
                 // FALLBACK: If assignment is missing (e.g. rider accepted then delivered),
                 // check if the order itself has a riderId that needs unlocking
                 if (afterData.riderId) {
-                    riderId = afterData.riderId;
-                    logger.log(`[${orderId}] Assignment doc missing, using riderId from order: ${riderId}`);
+                    riderIds = [afterData.riderId];
+                    logger.log(`[${orderId}] Assignment doc missing, using riderId from order: ${afterData.riderId}`);
                 } else {
                     logger.log(`[${orderId}] No active assignment or rider to clean up`);
                     return null;
                 }
             }
 
-            // Unlock the rider if they were waiting for this order
-            if (riderId && riderId !== 'RETRY_SEARCH') {
-                await db.collection('staff').doc(riderId).update({
-                    'isAvailable': true,
-                    'status': 'online',
-                    'currentOfferOrderId': FieldValue.delete(),
-                    'assignedOrderId': FieldValue.delete() // Ensure we clear the assigned order too
-                });
-                logger.log(`[${orderId}] ✅ Unlocked rider ${riderId} after order terminal state`);
+            // Free the rider(s) slot or offer for this order. Riders carrying
+            // other orders stay busy if they are still at capacity.
+            const branchId = (afterData.branchIds && afterData.branchIds[0]) || afterData.branchId;
+            const { capacity: capacityConfig } = await getBranchDispatchConfig(branchId);
+            for (const riderId of riderIds) {
+                if (!riderId || isSentinelRiderId(riderId)) continue;
+                const load = await releaseRiderOrder(riderId, orderId, capacityConfig);
+                if (load) {
+                    logger.log(`[${orderId}] ✅ Released rider ${riderId} after order terminal state (${load.activeOrderIds.length}/${load.capacity} active, available=${load.isAvailable})`);
+                }
             }
 
             // Delete the assignment record if it exists
@@ -766,6 +1097,92 @@ exports.scheduleKitchenResponseTimeout = onDocumentCreated(
     }
 );
 
+/**
+ * =============================================================================
+ * DELIVERY ZONE CHECK
+ * =============================================================================
+ * Checks new delivery orders against the branch `deliveryZones` polygons and
+ * records the result in `deliveryZone`. Orders outside every zone (or under
+ * the zone's minimum amount) are flagged with `deliveryZoneFlagged`, or
+ * cancelled when the branch sets `deliveryZoneEnforcement: 'reject'`.
+ * Branches without zones accept every address.
+ * =============================================================================
+ */
+exports.checkDeliveryZone = onDocumentCreated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const data = event.data?.data();
+        const orderId = event.params.orderId;
+        if (!data) return null;
+
+        if (normalizeOrderType(data.Order_type || data.orderType || '') !== ORDER_TYPE.DELIVERY) {
+            return null;
+        }
+
+        const branchId = (data.branchIds && data.branchIds[0]) || data.branchId;
+        if (!branchId) return null;
+
+        try {
+            const { deliveryZones, rejectOutOfZone } = await getBranchDispatchConfig(branchId);
+            const result = evaluateDeliveryZone(
+                deliveryZones,
+                resolveDeliveryLocation(data),
+                data.subtotal ?? data.totalAmount
+            );
+            if (result.status === 'no_zones') return null;
+
+            const zone = result.zone;
+            const updates = {
+                deliveryZone: {
+                    status: result.status,
+                    zoneId: zone ? zone.id : null,
+                    zoneName: zone ? zone.name : null,
+                    zoneIds: result.zoneIds,
+                    deliveryFee: zone ? zone.deliveryFee : null,
+                    minOrderAmount: zone ? zone.minOrderAmount : null,
+                    checkedAt: FieldValue.serverTimestamp(),
+                },
+            };
+
+            if (result.status === 'ok') {
+                await event.data.ref.update(updates);
+                return null;
+            }
+
+            const reason = result.status === 'below_minimum'
+                ? `Order below the ${zone.name} minimum of ${zone.minOrderAmount}`
+                : result.status === 'outside'
+                    ? 'Delivery address is outside the branch delivery zones'
+                    : 'Delivery address has no location to check against delivery zones';
+
+            // Without a location there is nothing to reject on; staff decide
+            if (rejectOutOfZone && result.status !== 'no_location' && !isTerminalStatus(data.status)) {
+                await event.data.ref.update({
+                    ...updates,
+                    status: STATUS.CANCELLED,
+                    cancellationReason: reason,
+                    cancelledAt: FieldValue.serverTimestamp(),
+                    cancelledBy: 'Delivery Zone Check',
+                    _cloudFunctionUpdate: true,
+                });
+                logger.warn(`[${orderId}] 🚫 Rejected delivery order: ${reason}`);
+                return null;
+            }
+
+            await event.data.ref.update({
+                ...updates,
+                deliveryZoneFlagged: true,
+                deliveryZoneFlagReason: reason,
+            });
+            logger.warn(`[${orderId}] ⚠️ Flagged delivery order: ${reason}`);
+        } catch (error) {
+            logger.error(`[${orderId}] Failed to check delivery zone`, error);
+        }
+
+        return null;
+    }
+);
+
 exports.rescheduleKitchenResponseTimeout = onDocumentUpdated(
     { document: "Orders/{orderId}", region: GCP_LOCATION },
     async (event) => {
@@ -792,6 +1209,80 @@ exports.rescheduleKitchenResponseTimeout = onDocumentUpdated(
     }
 );
 
+async function sendKitchenRejectionToCustomer(orderId, orderData, reason) {
+    const fcmToken = await getCustomerFcmToken(orderId, orderData);
+    if (!fcmToken) return false;
+
+    const orderNumber = orderData.dailyOrderNumber || orderId.substring(0, 6).toUpperCase();
+    const title = 'Order not accepted';
+    const body = `Sorry, order #${orderNumber} was cancelled. ${reason}`;
+
+    await admin.messaging().send({
+        token: fcmToken,
+        notification: { title, body },
+        data: {
+            type: 'order_rejected',
+            orderId: orderId,
+            orderNumber: String(orderNumber),
+            reason: reason,
+            click_action: 'FLUTTER_NOTIFICATION_CLICK',
+        },
+        android: {
+            priority: 'high',
+            notification: {
+                channelId: 'order_updates',
+                sound: 'default',
+                clickAction: 'FLUTTER_NOTIFICATION_CLICK'
+            }
+        },
+        apns: {
+            payload: {
+                aps: {
+                    alert: { title, body },
+                    sound: 'default'
+                }
+            }
+        }
+    });
+    return true;
+}
+
+async function sendKitchenEscalationAlert(orderId, orderData, source) {
+    const branchId = (orderData.branchIds && orderData.branchIds[0]) || orderData.branchId;
+    if (!branchId) return;
+
+    const staffDocs = await getAdminRecipientDocs(branchId);
+    const orderLabel = orderData.dailyOrderNumber || orderId;
+    const { tokenCount, successCount } = await sendAdminAlert(staffDocs, {
+        title: '⏰ Kitchen has not responded',
+        body: `${source.toUpperCase()} order ${orderLabel} is still waiting to be accepted.`,
+        data: { type: 'kitchen_response_escalation', orderId, branchId, source },
+    });
+    logger.log(`[${orderId}] ⏰ Kitchen escalation sent to ${staffDocs.length} admins, ${successCount}/${tokenCount} delivered`);
+}
+
+async function sendKitchenAutoAcceptWarning(orderId, orderData, source, secondsLeft) {
+    const branchId = (orderData.branchIds && orderData.branchIds[0]) || orderData.branchId;
+    if (!branchId) return;
+
+    const staffDocs = await getBranchStaffDocs(branchId);
+    const orderLabel = orderData.dailyOrderNumber || orderId;
+    const timeLeft = secondsLeft >= 120 ? `${Math.round(secondsLeft / 60)} min` : `${secondsLeft}s`;
+    const { tokenCount, successCount, failureCount } = await sendAdminAlert(staffDocs, {
+        title: '⏳ Order about to auto-accept',
+        body: `${source.toUpperCase()} order ${orderLabel} will be accepted automatically in ${timeLeft} unless the kitchen responds.`,
+        data: { type: 'kitchen_auto_accept_warning', orderId, branchId, source },
+    });
+
+    await db.collection('Orders').doc(orderId).update({
+        'kitchenAutoAcceptWarning.recipients': staffDocs.map((doc) => doc.id),
+        'kitchenAutoAcceptWarning.tokenCount': tokenCount,
+        'kitchenAutoAcceptWarning.successCount': successCount,
+        'kitchenAutoAcceptWarning.failureCount': failureCount,
+    });
+    logger.log(`[${orderId}] ⏳ Auto-accept warning sent to ${staffDocs.length} staff, ${successCount}/${tokenCount} delivered`);
+}
+
 exports.processKitchenResponseTask = onRequest({ region: GCP_LOCATION }, async (req, res) => {
     const validationErrors = [];
     if (!req.body?.orderId || typeof req.body.orderId !== 'string') {
@@ -830,10 +1321,11 @@ exports.processKitchenResponseTask = onRequest({ region: GCP_LOCATION }, async (
             }
 
             const orderData = orderDoc.data();
-            const source = (orderData.source || '').toString().toLowerCase();
+            const source = normalizeOrderSource(orderData);
             const status = normalizeStatus(orderData.status);
+            const policy = await getKitchenResponsePolicy(orderData);
 
-            if (source !== 'pos') {
+            if (policy.action === KITCHEN_RESPONSE_ACTION.NONE) {
                 return { outcome: 'skipped_source', source };
             }
 
@@ -841,12 +1333,59 @@ exports.processKitchenResponseTask = onRequest({ region: GCP_LOCATION }, async (
                 return { outcome: 'already_handled', status };
             }
 
+            if (orderData.kitchenDecisionStatus === KITCHEN_DECISION_STATUS.ESCALATED) {
+                return { outcome: 'already_escalated' };
+            }
+
             const deadline = getKitchenAutoAcceptDeadline(orderData);
             if (deadline && deadline.getTime() > Date.now() + 1000) {
-                return {
-                    outcome: 'not_due',
-                    delaySeconds: Math.ceil((deadline.getTime() - Date.now()) / 1000),
-                };
+                const delaySeconds = Math.ceil((deadline.getTime() - Date.now()) / 1000);
+                const warning = orderData.kitchenAutoAcceptWarning;
+                const warnAtMs = toMillis(warning?.warnAt);
+                if (policy.action === KITCHEN_RESPONSE_ACTION.AUTO_ACCEPT &&
+                    warning?.status === KITCHEN_WARNING_STATUS.SCHEDULED &&
+                    Number.isFinite(warnAtMs) && warnAtMs <= Date.now() + 1000) {
+                    transaction.update(orderRef, {
+                        'kitchenAutoAcceptWarning.status': KITCHEN_WARNING_STATUS.SENT,
+                        'kitchenAutoAcceptWarning.sentAt': FieldValue.serverTimestamp(),
+                        'kitchenAutoAcceptWarning.deadline': deadline,
+                        lastUpdated: FieldValue.serverTimestamp(),
+                    });
+                    return { outcome: 'warning', orderData, source, delaySeconds };
+                }
+                return { outcome: 'not_due', delaySeconds };
+            }
+
+            if (policy.action === KITCHEN_RESPONSE_ACTION.AUTO_REJECT) {
+                transaction.update(orderRef, {
+                    status: STATUS.CANCELLED,
+                    orderStatus: STATUS.CANCELLED,
+                    cancelledAt: FieldValue.serverTimestamp(),
+                    cancelledBy: 'Auto-Reject System',
+                    cancelledFromKitchen: true,
+                    cancellationReason: policy.rejectReason,
+                    rejectedBy: 'Auto-Reject System',
+                    rejectedAt: FieldValue.serverTimestamp(),
+                    kitchenDecisionStatus: KITCHEN_DECISION_STATUS.AUTO_REJECTED,
+                    kitchenDecisionAt: FieldValue.serverTimestamp(),
+                    kitchenDecisionBy: 'Auto-Reject System',
+                    lastUpdated: FieldValue.serverTimestamp(),
+                    'timestamps.cancelled': FieldValue.serverTimestamp(),
+                    _cloudFunctionUpdate: true,
+                });
+                return { outcome: KITCHEN_DECISION_STATUS.AUTO_REJECTED, orderData, reason: policy.rejectReason };
+            }
+
+            if (policy.action === KITCHEN_RESPONSE_ACTION.ESCALATE) {
+                // The order stays pending for the kitchen or an admin to decide
+                transaction.update(orderRef, {
+                    kitchenDecisionStatus: KITCHEN_DECISION_STATUS.ESCALATED,
+                    kitchenDecisionAt: FieldValue.serverTimestamp(),
+                    kitchenDecisionBy: 'Escalation System',
+                    kitchenEscalatedAt: FieldValue.serverTimestamp(),
+                    lastUpdated: FieldValue.serverTimestamp(),
+                });
+                return { outcome: KITCHEN_DECISION_STATUS.ESCALATED, orderData, source };
             }
 
             transaction.update(orderRef, {
@@ -857,7 +1396,7 @@ exports.processKitchenResponseTask = onRequest({ region: GCP_LOCATION }, async (
                 acceptedBy: 'Auto-Accept System',
                 autoAcceptedAt: FieldValue.serverTimestamp(),
                 isAutoAccepted: true,
-                kitchenDecisionStatus: 'auto_accepted',
+                kitchenDecisionStatus: KITCHEN_DECISION_STATUS.AUTO_ACCEPTED,
                 kitchenDecisionAt: FieldValue.serverTimestamp(),
                 kitchenDecisionBy: 'Auto-Accept System',
                 lastUpdated: FieldValue.serverTimestamp(),
@@ -865,7 +1404,7 @@ exports.processKitchenResponseTask = onRequest({ region: GCP_LOCATION }, async (
                 _cloudFunctionUpdate: true,
             });
 
-            return { outcome: 'auto_accepted' };
+            return { outcome: KITCHEN_DECISION_STATUS.AUTO_ACCEPTED };
         });
 
         if (result.outcome === 'not_due') {
@@ -875,11 +1414,43 @@ exports.processKitchenResponseTask = onRequest({ region: GCP_LOCATION }, async (
             return res.status(200).json({ message: 'Not due yet - rescheduled' });
         }
 
-        if (result.outcome === 'auto_accepted') {
-            logger.log(`[${sanitizedOrderId}] Auto-accepted pending POS order after kitchen timeout`);
+        if (result.outcome === 'warning') {
+            // Reschedule first: the auto-accept must still run if the push fails
+            await createKitchenResponseTask(sanitizedOrderId, Math.max(result.delaySeconds, 1));
+            logger.log(`[${sanitizedOrderId}] ⏳ Auto-accept in ${result.delaySeconds}s; warning branch staff`);
+            try {
+                await sendKitchenAutoAcceptWarning(sanitizedOrderId, result.orderData, result.source, result.delaySeconds);
+            } catch (alertError) {
+                logger.warn(`[${sanitizedOrderId}] Failed to warn staff about auto-accept: ${alertError.message}`);
+            }
+            return res.status(200).json({ message: 'Auto-accept warning sent' });
+        }
+
+        if (result.outcome === KITCHEN_DECISION_STATUS.AUTO_ACCEPTED) {
+            logger.log(`[${sanitizedOrderId}] Auto-accepted pending order after kitchen timeout`);
             return res.status(200).json({ message: 'Order auto-accepted' });
         }
 
+        if (result.outcome === KITCHEN_DECISION_STATUS.AUTO_REJECTED) {
+            logger.log(`[${sanitizedOrderId}] Auto-rejected pending order after kitchen timeout: ${result.reason}`);
+            try {
+                await sendKitchenRejectionToCustomer(sanitizedOrderId, result.orderData, result.reason);
+            } catch (notifyError) {
+                logger.warn(`[${sanitizedOrderId}] Failed to notify customer of auto-rejection: ${notifyError.message}`);
+            }
+            return res.status(200).json({ message: 'Order auto-rejected' });
+        }
+
+        if (result.outcome === KITCHEN_DECISION_STATUS.ESCALATED) {
+            logger.log(`[${sanitizedOrderId}] Kitchen did not respond; escalating to admins`);
+            try {
+                await sendKitchenEscalationAlert(sanitizedOrderId, result.orderData, result.source);
+            } catch (alertError) {
+                logger.warn(`[${sanitizedOrderId}] Failed to alert admins about kitchen timeout: ${alertError.message}`);
+            }
+            return res.status(200).json({ message: 'Order escalated' });
+        }
+
         logger.log(`[${sanitizedOrderId}] Kitchen timeout task finished with outcome: ${result.outcome}`);
         return res.status(200).json({ message: result.outcome });
     } catch (error) {
@@ -978,16 +1549,54 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
 
         const assignData = assignDoc.data();
 
+        // --- DELAYED DISPATCH RELEASE ---
+        // Claim the scheduled doc and hand over to startAssignmentWorkflowV2
+        // through the same autoAssignStarted flag the Admin UI uses.
+        if (sanitizedRiderId === DELAYED_START_RIDER_ID) {
+            const released = await claimScheduledDispatch(sanitizedOrderId);
+            if (!released) {
+                logger.log(`[${sanitizedOrderId}] Delayed dispatch already released or replaced - ignoring`);
+                return res.status(200).json({ message: 'Stale Task - Ignoring' });
+            }
+            if (orderDoc.data().riderId) {
+                return res.status(200).json({ message: 'Order Already Assigned - Ignoring' });
+            }
+
+            await orderRef.update({
+                'autoAssignStarted': FieldValue.serverTimestamp(),
+                'dispatchReleasedAt': FieldValue.serverTimestamp(),
+            });
+            logger.log(`[${sanitizedOrderId}] ⏰ Delayed dispatch released - starting rider search`);
+            return res.status(200).json({ message: 'Delayed Dispatch Released' });
+        }
+
+        // --- STALE RETRY GUARD ---
+        // A queue wake (or an earlier retry chain) may already have sent an
+        // offer; a search task must not replace a live offer.
+        const isQueueWake = sanitizedRiderId === QUEUE_WAKE_RIDER_ID;
+        if (sanitizedRiderId === 'RETRY_SEARCH' || isQueueWake) {
+            const expiresAt = assignData.expiresAt?.toDate?.();
+            const hasLiveOffer = assignData.status === 'pending' && expiresAt && expiresAt.getTime() > Date.now();
+            if (hasLiveOffer || (isQueueWake && assignData.status !== 'searching')) {
+                logger.log(`[${sanitizedOrderId}] Search task while assignment is ${assignData.status} (${assignData.riderId}) - ignoring`);
+                return res.status(200).json({ message: 'Stale Task - Ignoring' });
+            }
+        }
+
+        // Branch dispatch policy - re-read each step so edits apply mid-workflow
+        const dispatchConfig = await getBranchDispatchConfig(assignData.branchId);
+        const { policy } = dispatchConfig;
+
         // ============================================================
         // WORKFLOW TIMEOUT CHECK: Prevent infinite assignment loops
         // ============================================================
         const workflowStartedAt = assignData.workflowStartedAt?.toDate?.() || assignData.createdAt?.toDate?.() || new Date();
         const workflowAgeMinutes = (Date.now() - workflowStartedAt.getTime()) / (1000 * 60);
 
-        if (workflowAgeMinutes > MAX_WORKFLOW_MINUTES) {
-            logger.warn(`[${sanitizedOrderId}] ⏰ WORKFLOW TIMEOUT (${workflowAgeMinutes.toFixed(1)} mins > ${MAX_WORKFLOW_MINUTES}). Moving to manual.`);
-            await unlockRider(assignData.riderId, sanitizedOrderId);
-            await markOrderForManualAssignment(sanitizedOrderId, `Assignment workflow timeout (${MAX_WORKFLOW_MINUTES} mins exceeded)`);
+        if (workflowAgeMinutes > policy.maxWorkflowMinutes) {
+            logger.warn(`[${sanitizedOrderId}] ⏰ WORKFLOW TIMEOUT (${workflowAgeMinutes.toFixed(1)} mins > ${policy.maxWorkflowMinutes}). Moving to manual.`);
+            await unlockAssignmentRiders(assignData, sanitizedOrderId);
+            await markOrderForManualAssignment(sanitizedOrderId, `Assignment workflow timeout (${policy.maxWorkflowMinutes} mins exceeded)`);
             await assignRef.delete();
             return res.status(200).json({ message: 'Workflow Timeout - Manual Assignment' });
         }
@@ -995,22 +1604,69 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
         // ============================================================
         // MAX RIDERS CHECK: Prevent trying too many riders
         // ============================================================
-        const triedCount = (assignData.triedRiders || []).length;
-        if (triedCount >= MAX_TRIED_RIDERS) {
-            logger.warn(`[${sanitizedOrderId}] 🚫 MAX RIDERS LIMIT (${triedCount}/${MAX_TRIED_RIDERS}). Moving to manual.`);
-            await unlockRider(assignData.riderId, sanitizedOrderId);
-            await markOrderForManualAssignment(sanitizedOrderId, `Max ${MAX_TRIED_RIDERS} riders tried - moving to manual`);
+        const triedCount = countDispatchAttempts(assignData);
+        if (triedCount >= policy.maxTriedRiders) {
+            logger.warn(`[${sanitizedOrderId}] 🚫 MAX RIDERS LIMIT (${triedCount}/${policy.maxTriedRiders}). Moving to manual.`);
+            await unlockAssignmentRiders(assignData, sanitizedOrderId);
+            await markOrderForManualAssignment(sanitizedOrderId, `Max ${policy.maxTriedRiders} riders tried - moving to manual`);
             await assignRef.delete();
             return res.status(200).json({ message: 'Max Riders Tried - Manual Assignment' });
         }
 
         // --- RETRY LOGIC HANDLER (when no riders were available initially) ---
-        if (sanitizedRiderId === 'RETRY_SEARCH') {
+        // A queue wake runs the same search once; its failures do not
+        // reschedule because the order's own retry chain is still pending.
+        if (sanitizedRiderId === 'RETRY_SEARCH' || isQueueWake) {
             const currentRetryCount = assignData.retryCount || 0;
 
-            logger.log(`[${sanitizedOrderId}] Execute SEARCH RETRY (Attempt ${currentRetryCount + 1}/${MAX_SEARCH_RETRIES})...`);
+            logger.log(`[${sanitizedOrderId}] Execute SEARCH ${isQueueWake ? 'QUEUE WAKE' : 'RETRY'} (Attempt ${currentRetryCount + 1}/${policy.maxSearchRetries})...`);
 
-            const nextRider = await findNextRider(assignData, sanitizedOrderId, assignData.branchId);
+            const batch = await tryFormOrderBatch(sanitizedOrderId, assignData.branchId, orderDoc.data(), dispatchConfig);
+            if (batch?.absorbedInto) {
+                // Another waiting order picked this one up as a batch partner
+                return res.status(200).json({ message: 'Order Batched - Ignoring' });
+            }
+
+            const nextRider = await findNextRider(assignData, sanitizedOrderId, assignData.branchId, isQueueWake ? 'queue_wake' : 'retry_search');
+
+            // DISPATCH QUEUE: Let higher-priority waiting orders take scarce riders.
+            // Waiting here does not use up a search retry.
+            if (nextRider && dispatchConfig.queue.enabled) {
+                const place = await checkDispatchQueue(
+                    sanitizedOrderId, assignData.branchId, orderDoc.data(),
+                    assignData.workflowStartedAt || assignData.createdAt,
+                    nextRider.eligibleCount, dispatchConfig.queue
+                );
+                if (place.shouldWait) {
+                    logger.log(`[${sanitizedOrderId}] ⏳ Queued at #${place.rank + 1}/${place.queueLength} (${nextRider.eligibleCount} eligible riders)`);
+                    if (isQueueWake) {
+                        return res.status(200).json({ message: 'Queue Wake - Higher Priority Orders Waiting' });
+                    }
+                    await assignRef.update({ queuePosition: place.rank + 1 });
+                    await createAssignmentTask(sanitizedOrderId, 'RETRY_SEARCH', policy.searchRetryDelaySeconds);
+                    return res.status(200).json({ message: 'Queued - Higher Priority Orders Waiting' });
+                }
+            }
+
+            const { broadcast } = dispatchConfig;
+            if (nextRider && broadcast.enabled) {
+                const freshOrderDoc = await orderRef.get();
+                const orderData = freshOrderDoc.exists ? freshOrderDoc.data() : orderDoc.data();
+                const offeredRiderIds = await startBroadcastOffer(
+                    sanitizedOrderId, assignData.branchId, nextRider, orderData, assignData, dispatchConfig
+                );
+
+                if (offeredRiderIds.length === 0) {
+                    if (isQueueWake) {
+                        return res.status(200).json({ message: 'Queue Wake - Riders Unavailable' });
+                    }
+                    await createAssignmentTask(sanitizedOrderId, 'RETRY_SEARCH', 2); // Min 2s delay
+                    return res.status(200).json({ message: 'Riders unavailable, retrying...' });
+                }
+
+                logger.log(`[${sanitizedOrderId}] ✅ Retry successful! Broadcast sent to ${offeredRiderIds.length} riders`);
+                return res.status(200).json({ message: 'Retry Successful - Broadcast Sent' });
+            }
 
             if (nextRider) {
                 // FOUND RIDER! Use atomic transaction to lock
@@ -1032,7 +1688,10 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
                         status: 'pending',
                         triedRiders: [...(assignData.triedRiders || []), nextRider.riderId],
                         createdAt: FieldValue.serverTimestamp(),
-                        expiresAt: new Date(Date.now() + ASSIGNMENT_TIMEOUT_SECONDS * 1000),
+                        assignmentTimeoutSeconds: policy.assignmentTimeoutSeconds,
+                        expiresAt: new Date(Date.now() + policy.assignmentTimeoutSeconds * 1000),
+                        dispatchPolicyVersion: policy.version,
+                        queuePosition: FieldValue.delete(),
                         notificationSent: false,
                     });
 
@@ -1046,6 +1705,9 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
                 });
 
                 if (!riderLocked) {
+                    if (isQueueWake) {
+                        return res.status(200).json({ message: 'Queue Wake - Rider Unavailable' });
+                    }
                     // Rider was grabbed, try again immediately
                     await createAssignmentTask(sanitizedOrderId, 'RETRY_SEARCH', 2); // Min 2s delay
                     return res.status(200).json({ message: 'Rider unavailable, retrying...' });
@@ -1059,16 +1721,30 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
                 await sendAssignmentFCM(nextRider.riderId, sanitizedOrderId, orderData);
 
                 // Schedule timeout task
-                await createAssignmentTask(sanitizedOrderId, nextRider.riderId, ASSIGNMENT_TIMEOUT_SECONDS);
+                await createAssignmentTask(sanitizedOrderId, nextRider.riderId, policy.assignmentTimeoutSeconds);
 
                 logger.log(`[${sanitizedOrderId}] ✅ Retry successful! Rider ${nextRider.riderId} locked and notified`);
+
+                logAssignmentEvent(sanitizedOrderId, 'rider_offered', {
+                    riderId: nextRider.riderId,
+                    riderName: await resolveRiderName(nextRider.riderId),
+                    attemptNumber: triedCount + 1,
+                    distance: nextRider.distance?.toFixed(2) || 'N/A',
+                    timeoutSeconds: policy.assignmentTimeoutSeconds,
+                    scoreBreakdown: nextRider.scoreBreakdown,
+                    candidateScores: nextRider.candidateScores,
+                });
+                recordRiderDispatchOutcome(nextRider.riderId, 'offered');
                 return res.status(200).json({ message: 'Retry Successful - Rider Assigned' });
+            } else if (isQueueWake) {
+                // The order's own retry chain keeps searching
+                return res.status(200).json({ message: 'Queue Wake - No Rider' });
             } else {
                 // STILL NO RIDER
-                if (currentRetryCount < MAX_SEARCH_RETRIES) {
+                if (currentRetryCount < policy.maxSearchRetries) {
                     // Schedule another retry
                     await assignRef.update({ retryCount: currentRetryCount + 1 });
-                    await createAssignmentTask(sanitizedOrderId, 'RETRY_SEARCH', 30); // Check again in 30s
+                    await createAssignmentTask(sanitizedOrderId, 'RETRY_SEARCH', policy.searchRetryDelaySeconds);
                     logger.log(`[${sanitizedOrderId}] Still no riders. Rescheduling check...`);
                     return res.status(200).json({ message: 'Still Searching - Rescheduled' });
                 } else {
@@ -1087,6 +1763,39 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
             return res.status(200).json({ message: 'Stale Task - Ignoring' });
         }
 
+        // --- BROADCAST ROUND TIMEOUT ---
+        if (isBroadcastAssignment(assignData)) {
+            // Every round uses the same BROADCAST placeholder, so an earlier round's
+            // task is recognised by the current round's expiry still being ahead.
+            const expiresAt = assignData.expiresAt?.toDate?.();
+            if (assignData.status !== 'pending' || (expiresAt && expiresAt.getTime() > Date.now() + 5000)) {
+                logger.log(`[${sanitizedOrderId}] Stale broadcast task for an earlier round - ignoring`);
+                return res.status(200).json({ message: 'Stale Task - Ignoring' });
+            }
+
+            const unresponsiveRiders = getPendingOfferRiders(assignData);
+            logger.log(`[${sanitizedOrderId}] Broadcast round ${assignData.broadcastRound || 1} timed out. ${unresponsiveRiders.length} rider(s) did not respond.`);
+
+            for (const riderId of unresponsiveRiders) {
+                logAssignmentEvent(sanitizedOrderId, 'rider_timeout', {
+                    riderId,
+                    riderName: await resolveRiderName(riderId),
+                    attemptNumber: triedCount,
+                    mode: 'broadcast',
+                });
+                recordRiderDispatchOutcome(riderId, 'timeout');
+            }
+
+            await unlockAssignmentRiders(assignData, sanitizedOrderId);
+            await assignRef.update({
+                status: 'searching',
+                riderId: 'RETRY_SEARCH',
+                notificationSent: false,
+            });
+            await createAssignmentTask(sanitizedOrderId, 'RETRY_SEARCH', 2); // Min 2s delay
+            return res.status(200).json({ message: 'Broadcast Timeout - Searching Again' });
+        }
+
         logger.log(`[${sanitizedOrderId}] Rider ${sanitizedRiderId} timed out. Finding next available...`);
 
         // 📝 Log timeout event
@@ -1095,6 +1804,7 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
             riderName: await resolveRiderName(sanitizedRiderId),
             attemptNumber: triedCount,
         });
+        recordRiderDispatchOutcome(sanitizedRiderId, 'timeout');
 
         // 🔓 UNLOCK THE TIMED-OUT RIDER using the helper function
         await unlockRider(sanitizedRiderId, sanitizedOrderId);
@@ -1104,7 +1814,7 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
         // Note: triedCount already calculated above at line 634
         logger.log(`[${sanitizedOrderId}] Already tried ${triedCount} rider(s). Finding next nearest...`);
 
-        const nextRider = await findNextRider(assignData, sanitizedOrderId, assignData.branchId);
+        const nextRider = await findNextRider(assignData, sanitizedOrderId, assignData.branchId, 'rider_timeout');
 
         if (!nextRider) {
             // No more riders - move to manual assignment
@@ -1138,7 +1848,9 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
                 status: 'pending',
                 triedRiders: [...assignData.triedRiders, nextRider.riderId],
                 createdAt: FieldValue.serverTimestamp(),
-                expiresAt: new Date(Date.now() + ASSIGNMENT_TIMEOUT_SECONDS * 1000),
+                assignmentTimeoutSeconds: policy.assignmentTimeoutSeconds,
+                expiresAt: new Date(Date.now() + policy.assignmentTimeoutSeconds * 1000),
+                dispatchPolicyVersion: policy.version,
                 notificationSent: false,
             });
 
@@ -1165,9 +1877,9 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
         await sendAssignmentFCM(nextRider.riderId, sanitizedOrderId, orderData);
 
         // Schedule timeout for new rider
-        await createAssignmentTask(sanitizedOrderId, nextRider.riderId, ASSIGNMENT_TIMEOUT_SECONDS);
+        await createAssignmentTask(sanitizedOrderId, nextRider.riderId, policy.assignmentTimeoutSeconds);
 
-        logger.log(`[${sanitizedOrderId}] ✅ Retrying with rider ${nextRider.riderId} (try ${triedCount + 1}/${MAX_TRIED_RIDERS}) - locked and notified`);
+        logger.log(`[${sanitizedOrderId}] ✅ Retrying with rider ${nextRider.riderId} (try ${triedCount + 1}/${policy.maxTriedRiders}) - locked and notified`);
 
         // 📝 Log new rider offer event
         logAssignmentEvent(sanitizedOrderId, 'rider_offered', {
@@ -1175,8 +1887,11 @@ exports.processAssignmentTask = onRequest({ region: GCP_LOCATION }, async (req,
             riderName: await resolveRiderName(nextRider.riderId),
             attemptNumber: triedCount + 1,
             distance: nextRider.distance?.toFixed(2) || 'N/A',
-            timeoutSeconds: ASSIGNMENT_TIMEOUT_SECONDS,
+            timeoutSeconds: policy.assignmentTimeoutSeconds,
+            scoreBreakdown: nextRider.scoreBreakdown,
+            candidateScores: nextRider.candidateScores,
         });
+        recordRiderDispatchOutcome(nextRider.riderId, 'offered');
 
         return res.status(200).json({ message: 'Retrying with next rider' });
 
@@ -1212,8 +1927,21 @@ exports.handleRiderAcceptance = onDocumentUpdated(
             return null;
         }
 
+        // ================================================================
+        // BROADCAST DECLINES - Offer stays pending until everyone declines
+        // ================================================================
+        if (isBroadcastAssignment(afterData) && afterData.status === 'pending') {
+            await handleBroadcastDeclines(event, beforeData, afterData, orderId);
+            return null;
+        }
+
         const riderId = afterData.riderId;
 
+        // Broadcast recipients who lost the race get unlocked once acceptance settles
+        const withdrawnRiders = isBroadcastAssignment(beforeData)
+            ? getPendingOfferRiders(beforeData).filter((id) => id !== riderId)
+            : [];
+
         // ================================================================
         // HANDLE REJECTION - Unlock rider and find next one IMMEDIATELY
         // ================================================================
@@ -1225,6 +1953,7 @@ exports.handleRiderAcceptance = onDocumentUpdated(
                 riderId,
                 riderName: await resolveRiderName(riderId),
             });
+            recordRiderDispatchOutcome(riderId, 'rejected');
 
             try {
                 // Step 1: Unlock the rider immediately (NOT in transaction - we want this fast)
@@ -1271,11 +2000,13 @@ exports.handleRiderAcceptance = onDocumentUpdated(
             logger.log(`[${orderId}] ✅ Rider ${riderId} ACCEPTED assignment`);
 
             try {
+                const { capacity: capacityConfig } = await getBranchDispatchConfig(afterData.branchId);
+
                 await db.runTransaction(async (transaction) => {
                     const orderRef = db.collection('Orders').doc(orderId);
                     const riderRef = db.collection('staff').doc(riderId);
 
-                    const orderDoc = await transaction.get(orderRef);
+                    const [orderDoc, riderDoc] = await transaction.getAll(orderRef, riderRef);
 
                     if (!orderDoc.exists) {
                         logger.error(`[${orderId}] Order not found during acceptance`);
@@ -1284,6 +2015,23 @@ exports.handleRiderAcceptance = onDocumentUpdated(
 
                     const orderData = orderDoc.data();
                     const orderStatus = normalizeStatus(orderData.status);
+                    const riderData = riderDoc.exists ? riderDoc.data() : {};
+
+                    // BATCH: Read the batch and its other orders before any write
+                    let batchRef = null;
+                    let batchOrderDocs = [];
+                    if (orderData.batchId) {
+                        batchRef = db.collection('order_batches').doc(orderData.batchId);
+                        const batchDoc = await transaction.get(batchRef);
+                        if (batchDoc.exists) {
+                            const otherOrderIds = (batchDoc.data().activeOrderIds || []).filter((id) => id !== orderId);
+                            batchOrderDocs = otherOrderIds.length > 0
+                                ? await transaction.getAll(...otherOrderIds.map((id) => db.collection('Orders').doc(id)))
+                                : [];
+                        } else {
+                            batchRef = null;
+                        }
+                    }
 
                     // EDGE CASE: Prevent acceptance if order was manually assigned or cancelled
                     if (orderData.riderId && orderData.riderId !== riderId) {
@@ -1295,32 +2043,68 @@ exports.handleRiderAcceptance = onDocumentUpdated(
                         throw new Error("Order was cancelled");
                     }
 
-                    // Determine final status
-                    let finalStatus;
-                    const nonRegressStatuses = [STATUS.RIDER_ASSIGNED, STATUS.PICKED_UP, STATUS.DELIVERED, 'pickedup'];
-
-                    if (orderStatus === STATUS.PREPARING) {
-                        finalStatus = STATUS.RIDER_ASSIGNED;
-                    } else if (nonRegressStatuses.map(s => normalizeStatus(s)).includes(normalizeStatus(orderStatus))) {
-                        finalStatus = orderStatus;
-                    } else {
-                        finalStatus = STATUS.PREPARING;
-                    }
-
                     // Update order with rider assignment
                     transaction.update(orderRef, {
                         'riderId': riderId,
-                        'status': finalStatus,
+                        'status': resolveRiderAcceptedStatus(orderStatus),
                         'timestamps.riderAssigned': FieldValue.serverTimestamp(),
                         'autoAssignStarted': FieldValue.delete(),
                         'assignmentNotes': FieldValue.delete()
                     });
 
-                    // Update rider - mark as busy with this order
+                    if (!batchRef) {
+                        // Update rider - take one capacity slot; busy only once full
+                        const load = buildRiderLoadUpdate(
+                            riderData,
+                            [...new Set([...getActiveOrderIds(riderData), orderId])],
+                            capacityConfig,
+                            orderId
+                        );
+                        transaction.update(riderRef, riderLoadFields(load));
+                        return;
+                    }
+
+                    // BATCH: Attach every still-deliverable order to the same rider.
+                    // Orders cancelled or manually assigned meanwhile drop out of the batch.
+                    const acceptedOrderIds = [orderId];
+                    for (const batchOrderDoc of batchOrderDocs) {
+                        if (!batchOrderDoc.exists) continue;
+                        const batchOrderData = batchOrderDoc.data();
+                        const batchOrderStatus = normalizeStatus(batchOrderData.status);
+                        if (isAssignmentTerminalStatus(batchOrderStatus)) continue;
+                        if (batchOrderData.riderId && batchOrderData.riderId !== riderId) continue;
+
+                        transaction.update(batchOrderDoc.ref, {
+                            'riderId': riderId,
+                            'status': resolveRiderAcceptedStatus(batchOrderStatus),
+                            'timestamps.riderAssigned': FieldValue.serverTimestamp(),
+                            'autoAssignStarted': FieldValue.delete(),
+                            'assignmentNotes': FieldValue.delete()
+                        });
+                        acceptedOrderIds.push(batchOrderDoc.id);
+                    }
+
+                    const dropSequence = (orderData.batchOrderIds || acceptedOrderIds)
+                        .filter((id) => acceptedOrderIds.includes(id));
+
+                    transaction.update(batchRef, {
+                        status: 'accepted',
+                        riderId: riderId,
+                        activeOrderIds: dropSequence,
+                        acceptedAt: FieldValue.serverTimestamp(),
+                    });
+
+                    // Rider works the batch in drop order; each batch order takes a slot
+                    const load = buildRiderLoadUpdate(
+                        riderData,
+                        [...new Set([...getActiveOrderIds(riderData), ...dropSequence])],
+                        capacityConfig,
+                        orderId
+                    );
                     transaction.update(riderRef, {
-                        'assignedOrderId': orderId,
-                        'isAvailable': false,
-                        'currentOfferOrderId': FieldValue.delete()
+                        ...riderLoadFields(load),
+                        'assignedBatchId': orderData.batchId,
+                        'batchOrderIds': dropSequence,
                     });
                 });
 
@@ -1334,6 +2118,7 @@ exports.handleRiderAcceptance = onDocumentUpdated(
                     riderId,
                     riderName: await resolveRiderName(riderId),
                 });
+                recordRiderDispatchOutcome(riderId, 'accepted');
 
             } catch (err) {
                 logger.error(`[${orderId}] Error in handleRiderAcceptance:`, err);
@@ -1352,6 +2137,10 @@ exports.handleRiderAcceptance = onDocumentUpdated(
                 }
             }
 
+            if (withdrawnRiders.length > 0) {
+                await withdrawBroadcastOffer(orderId, withdrawnRiders);
+            }
+
             return null;
         }
 
@@ -1361,1646 +2150,4793 @@ exports.handleRiderAcceptance = onDocumentUpdated(
 
 /**
  * =============================================================================
- * MANUALLY ASSIGNED ORDER HANDLER
+ * MANUAL RIDER ASSIGNMENT (CALLABLE)
  * =============================================================================
- * Triggered when a rider is assigned MANUALLY (e.g. via Admin Panel).
- * Logic:
- * 1. Check if riderId changed and is not null.
- * 2. Send "You've been assigned" FCM to the new rider.
- * 3. AVOID DUPLICATES: Checks if this was part of the auto-assignment system.
+ * Admin-panel entry point for assigning a rider by hand. Everything happens
+ * in one transaction so it cannot race an in-flight auto-offer:
+ * 1. Verify the caller is an admin or branch manager with access to the
+ *    order's branch.
+ * 2. Withdraw any pending auto-offer and unlock the offered rider(s).
+ * 3. Free the previously assigned rider's slot (reassignment).
+ * 4. Take a capacity slot on the chosen rider and update the order.
+ * 5. Write a 'manual_assigned' event with the admin's identity.
+ * sendManualAssignmentNotification then notifies the rider; riders whose
+ * offer was withdrawn get the offer-withdrawn push.
  * =============================================================================
  */
-exports.sendManualAssignmentNotification = onDocumentUpdated(
-    { document: "Orders/{orderId}", region: GCP_LOCATION },
-    async (event) => {
-        const beforeData = event.data.before.data();
-        const afterData = event.data.after.data();
-        const orderId = event.params.orderId;
-
-        const prevRider = beforeData.riderId;
-        const newRider = afterData.riderId;
+const DOC_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const MANUAL_ASSIGNMENT_ROLES = ['super_admin', 'branchadmin', 'branch_admin', 'manager'];
 
-        // Condition 1: Rider must have changed AND be a valid new rider
-        if (!newRider || newRider === '' || newRider === prevRider) {
-            return null;
+/**
+ * Staff doc of the caller. Staff docs are keyed by email, phone number or
+ * uid (same lookup order as firestore.rules getStaffData()).
+ * @returns {Promise<{id: string, data: object}|null>}
+ */
+async function getCallerStaff(auth) {
+    const keys = [auth.token.email, auth.token.phone_number, auth.uid].filter(Boolean);
+    for (const key of keys) {
+        const staffDoc = await db.collection('staff').doc(key).get();
+        if (staffDoc.exists) {
+            return { id: staffDoc.id, data: staffDoc.data() };
         }
+    }
+    return null;
+}
 
-        // BUG FIX #3: Detect auto-assignment acceptance and skip notification.
-        // When handleRiderAcceptance sets riderId, it also deletes autoAssignStarted
-        // in the same transaction. So: beforeData HAD autoAssignStarted, afterData does NOT.
-        // This is the definitive signature of an auto-accepted order.
-        const wasAutoAssigning = !!beforeData.autoAssignStarted;
-        const autoAssignRemoved = wasAutoAssigning && !afterData.autoAssignStarted;
+function hasBranchAccess(staffData, branchId) {
+    if (staffData.role === 'super_admin') return true;
+    const branchIds = Array.isArray(staffData.branchIds) ? staffData.branchIds : [];
+    return Boolean(branchId) && branchIds.includes(branchId);
+}
 
-        if (autoAssignRemoved) {
-            logger.log(`[${orderId}] ⏩ Skipping manual FCM: rider ${newRider} accepted via auto-assignment`);
-            return null;
+function resolveManualAssignmentStatus(orderStatus) {
+    if (orderStatus === STATUS.NEEDS_ASSIGNMENT) {
+        return STATUS.RIDER_ASSIGNED;
+    }
+    return resolveRiderAcceptedStatus(orderStatus);
+}
+
+exports.assignRiderManually = onCall(
+    { region: GCP_LOCATION },
+    async (request) => {
+        if (!request.auth) {
+            throw new HttpsError('unauthenticated', 'Authentication required');
+        }
+
+        const { orderId, riderId } = request.data || {};
+        if (typeof orderId !== 'string' || !DOC_ID_PATTERN.test(orderId)) {
+            throw new HttpsError('invalid-argument', 'orderId is required and must be a valid document ID');
+        }
+        if (typeof riderId !== 'string' || !DOC_ID_PATTERN.test(riderId) || isSentinelRiderId(riderId)) {
+            throw new HttpsError('invalid-argument', 'riderId is required and must be a valid document ID');
+        }
+
+        const caller = await getCallerStaff(request.auth);
+        if (!caller || caller.data.staffType === 'driver' || !MANUAL_ASSIGNMENT_ROLES.includes(caller.data.role)) {
+            logger.warn(`🔒 SECURITY: Non-admin caller ${request.auth.uid} tried to assign rider ${riderId} to order ${orderId}`);
+            throw new HttpsError('permission-denied', 'Only admins and branch managers can assign riders');
+        }
+
+        const orderRef = db.collection('Orders').doc(orderId);
+        const riderRef = db.collection('staff').doc(riderId);
+        const assignRef = db.collection('rider_assignments').doc(orderId);
+
+        // Pre-transaction read: branch access and the capacity config
+        const preDoc = await orderRef.get();
+        if (!preDoc.exists) {
+            throw new HttpsError('not-found', 'Order not found');
+        }
+        const preData = preDoc.data();
+        const branchId = (preData.branchIds && preData.branchIds[0]) || preData.branchId;
+        if (!hasBranchAccess(caller.data, branchId)) {
+            logger.warn(`🔒 SECURITY: ${caller.id} has no access to branch ${branchId} (order ${orderId})`);
+            throw new HttpsError('permission-denied', 'No access to this branch');
+        }
+        const { capacity: capacityConfig } = await getBranchDispatchConfig(branchId);
+
+        // A batched order leaves its batch before being assigned on its own
+        if (preData.batchId) {
+            await releaseOrderFromBatch(orderId, preData);
         }
 
         try {
-            logger.log(`[${orderId}] 👮 Manual Assignment Detect: ${prevRider} -> ${newRider}`);
+            const result = await db.runTransaction(async (transaction) => {
+                const [orderDoc, riderDoc, assignDoc] = await transaction.getAll(orderRef, riderRef, assignRef);
+                if (!orderDoc.exists) {
+                    throw new HttpsError('not-found', 'Order not found');
+                }
+                if (!riderDoc.exists) {
+                    throw new HttpsError('not-found', 'Rider not found');
+                }
 
-            await sendManualAssignmentFCM(newRider, orderId);
+                const orderData = orderDoc.data();
+                const riderData = riderDoc.data();
+                const orderStatus = normalizeStatus(orderData.status);
 
-            return null;
+                if (normalizeOrderType(orderData.Order_type || orderData.orderType || '') !== ORDER_TYPE.DELIVERY) {
+                    throw new HttpsError('failed-precondition', 'Only delivery orders take a rider');
+                }
+                if (isAssignmentTerminalStatus(orderStatus)) {
+                    throw new HttpsError('failed-precondition', `Order is already ${orderStatus}`);
+                }
+                const riderBranchIds = Array.isArray(riderData.branchIds) ? riderData.branchIds : [];
+                if (riderData.staffType !== 'driver' ||
+                    !(riderBranchIds.includes(branchId) || riderData.branchId === branchId)) {
+                    throw new HttpsError('failed-precondition', 'Rider does not deliver for this branch');
+                }
+                if (orderData.riderId === riderId) {
+                    return { alreadyAssigned: true, status: orderStatus, withdrawnOfferRiders: [], previousRiderId: null };
+                }
+
+                // Busy check: a free slot and no offer for another order
+                if (getRemainingCapacity(riderData, capacityConfig) === 0) {
+                    throw new HttpsError('failed-precondition', 'Rider is at capacity');
+                }
+                if (riderData.currentOfferOrderId && riderData.currentOfferOrderId !== orderId) {
+                    throw new HttpsError('failed-precondition', 'Rider is evaluating another order offer');
+                }
+
+                // Riders to release: pending offer holders and the previous rider
+                const assignData = assignDoc.exists ? assignDoc.data() : null;
+                const offerRiderIds = assignData
+                    ? getPendingOfferRiders(assignData).filter((id) => id !== riderId)
+                    : [];
+                const previousRiderId = orderData.riderId && !isSentinelRiderId(orderData.riderId)
+                    ? orderData.riderId
+                    : null;
+                const releaseIds = [...new Set([...offerRiderIds, previousRiderId].filter(Boolean))];
+                const releaseDocs = releaseIds.length > 0
+                    ? await transaction.getAll(...releaseIds.map((id) => db.collection('staff').doc(id)))
+                    : [];
+
+                // ---- WRITES ----
+                releaseDocs.forEach((doc) => {
+                    if (!doc.exists) return;
+                    const data = doc.data();
+                    const activeOrderIds = getActiveOrderIds(data).filter((id) => id !== orderId);
+                    transaction.update(doc.ref, riderLoadFields(buildRiderLoadUpdate(data, activeOrderIds, capacityConfig, orderId)));
+                });
+
+                const load = buildRiderLoadUpdate(
+                    riderData,
+                    [...new Set([...getActiveOrderIds(riderData), orderId])],
+                    capacityConfig,
+                    orderId
+                );
+                transaction.update(riderRef, riderLoadFields(load));
+
+                const status = resolveManualAssignmentStatus(orderStatus);
+                const assignedBy = {
+                    uid: request.auth.uid,
+                    staffId: caller.id,
+                    name: caller.data.name || null,
+                    email: request.auth.token.email || null,
+                    role: caller.data.role || null,
+                };
+                transaction.update(orderRef, {
+                    'riderId': riderId,
+                    'status': status,
+                    'timestamps.riderAssigned': FieldValue.serverTimestamp(),
+                    'assignmentNotes': `Manually assigned by ${assignedBy.name || assignedBy.staffId}`,
+                    'manualAssignment': {
+                        riderId,
+                        assignedBy,
+                        assignedAt: FieldValue.serverTimestamp(),
+                    },
+                    'autoAssignStarted': FieldValue.delete(),
+                    'batchId': FieldValue.delete(),
+                    'batchOrderIds': FieldValue.delete(),
+                    'lastAssignmentUpdate': FieldValue.serverTimestamp(),
+                });
+
+                // Deleting the assignment stops its pending Cloud Task
+                if (assignDoc.exists) {
+                    transaction.delete(assignRef);
+                }
+
+                transaction.set(assignRef.collection('events').doc(), {
+                    type: 'manual_assigned',
+                    timestamp: FieldValue.serverTimestamp(),
+                    riderId,
+                    riderName: riderData.name || riderId,
+                    previousRiderId,
+                    withdrawnOfferRiders: offerRiderIds,
+                    previousStatus: orderStatus,
+                    status,
+                    assignedBy,
+                });
+
+                return { alreadyAssigned: false, status, withdrawnOfferRiders: offerRiderIds, previousRiderId };
+            });
+
+            logger.log(`[${orderId}] 👮 Rider ${riderId} assigned manually by ${caller.id}` +
+                (result.withdrawnOfferRiders.length > 0 ? ` (withdrew offer from ${result.withdrawnOfferRiders.join(', ')})` : '') +
+                (result.previousRiderId ? ` (replaced ${result.previousRiderId})` : ''));
+
+            await Promise.all(result.withdrawnOfferRiders.map((id) =>
+                sendOfferWithdrawnFCM(id, orderId, 'This order was assigned to another rider by the branch.')
+            ));
+
+            return { success: true, orderId, riderId, ...result };
         } catch (err) {
-            logger.error(`[${orderId}] Manual Assignment Notification Error:`, err);
-            return null;
+            if (err instanceof HttpsError) {
+                throw err;
+            }
+            logger.error(`[${orderId}] Manual assignment of rider ${riderId} failed:`, err);
+            throw new HttpsError('internal', 'Failed to assign rider. Please try again.');
         }
     }
 );
 
 /**
- * Helper to send the "You have been assigned" notification (V1 API)
+ * =============================================================================
+ * RIDER DROP ORDER (CALLABLE)
+ * =============================================================================
+ * Lets the assigned rider hand an accepted order back before pickup
+ * (breakdown, accident, ...). In one transaction the rider is cleared from
+ * the order and their slot freed, the event is logged, and a fresh searching
+ * assignment is seeded with the dropping rider already in triedRiders. The
+ * RETRY_SEARCH task then dispatches it like any other workflow. The kitchen
+ * flow is not reopened: the order goes back to `prepared` if the food is
+ * ready, otherwise to `needs_rider_assignment`.
+ * =============================================================================
  */
-async function sendManualAssignmentFCM(riderId, orderId) {
-    try {
-        const driverDoc = await db.collection('staff').doc(riderId).get();
-        if (!driverDoc.exists) return;
+const DROP_ORDER_REASONS = ['vehicle_breakdown', 'accident', 'personal_emergency', 'cannot_reach_customer', 'other'];
+const DROP_ORDER_NOTE_MAX_LENGTH = 300;
 
-        const fcmToken = driverDoc.data().fcmToken;
-        if (!fcmToken) return;
+exports.riderDropOrder = onCall(
+    { region: GCP_LOCATION },
+    async (request) => {
+        if (!request.auth) {
+            throw new HttpsError('unauthenticated', 'Authentication required');
+        }
 
-        // V1 Message
-        const message = {
-            token: fcmToken,
-            notification: {
-                title: "You’ve been assigned an order!",
-                body: "A new delivery is now assigned to you."
-            },
-            data: {
-                type: "manual_assignment",
-                orderId: orderId,
-                click_action: "FLUTTER_NOTIFICATION_CLICK",
-                // Legacy required for some receivers
-                title: "You’ve been assigned an order!",
-                body: "A new delivery is now assigned to you."
-            },
-            android: {
-                priority: "high",
-                notification: {
-                    channelId: "rider-assignment",
-                    priority: "high",
-                    defaultSound: true
+        const { orderId, reason } = request.data || {};
+        if (typeof orderId !== 'string' || !DOC_ID_PATTERN.test(orderId)) {
+            throw new HttpsError('invalid-argument', 'orderId is required and must be a valid document ID');
+        }
+        if (!DROP_ORDER_REASONS.includes(reason)) {
+            throw new HttpsError('invalid-argument', `reason must be one of: ${DROP_ORDER_REASONS.join(', ')}`);
+        }
+        const note = typeof request.data.note === 'string'
+            ? request.data.note
+                .substring(0, DROP_ORDER_NOTE_MAX_LENGTH)
+                .replace(/<[^>]*>/g, '')
+                .replace(/[\x00-\x1F\x7F]/g, '')
+                .trim()
+            : '';
+        if (reason === 'other' && !note) {
+            throw new HttpsError('invalid-argument', 'A note is required when reason is "other"');
+        }
+
+        const caller = await getCallerStaff(request.auth);
+        if (!caller || caller.data.staffType !== 'driver') {
+            throw new HttpsError('permission-denied', 'Only riders can drop orders');
+        }
+        const riderId = caller.id;
+
+        const orderRef = db.collection('Orders').doc(orderId);
+        const riderRef = db.collection('staff').doc(riderId);
+        const assignRef = db.collection('rider_assignments').doc(orderId);
+
+        const preDoc = await orderRef.get();
+        if (!preDoc.exists) {
+            throw new HttpsError('not-found', 'Order not found');
+        }
+        const preData = preDoc.data();
+        if (preData.riderId !== riderId) {
+            throw new HttpsError('permission-denied', 'Order is not assigned to you');
+        }
+        const branchId = (preData.branchIds && preData.branchIds[0]) || preData.branchId;
+        const { capacity: capacityConfig, policy } = await getBranchDispatchConfig(branchId);
+
+        // A batched order leaves the rider's batch; the other drops stay with them
+        if (preData.batchId) {
+            await releaseOrderFromBatch(orderId, preData);
+        }
+
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const [orderDoc, riderDoc] = await transaction.getAll(orderRef, riderRef);
+                if (!orderDoc.exists) {
+                    throw new HttpsError('not-found', 'Order not found');
                 }
-            },
-            apns: {
-                payload: {
-                    aps: {
-                        alert: {
-                            title: "You’ve been assigned an order!",
-                            body: "A new delivery is now assigned to you."
-                        },
-                        sound: "default"
-                    }
+
+                const orderData = orderDoc.data();
+                const orderStatus = normalizeStatus(orderData.status);
+                if (orderData.riderId !== riderId) {
+                    throw new HttpsError('permission-denied', 'Order is not assigned to you');
+                }
+                if (isAssignmentTerminalStatus(orderStatus)) {
+                    throw new HttpsError('failed-precondition', `Order is already ${orderStatus} and can no longer be dropped`);
                 }
-            }
-        };
 
-        await admin.messaging().send(message);
-        logger.log(`[${orderId}] 📨 Sent Manual Assignment FCM to ${riderId}`);
-    } catch (e) {
-        logger.error(`[${orderId}] Failed to send manual FCM: ${e.message}`);
-    }
-}
+                if (riderDoc.exists) {
+                    const riderData = riderDoc.data();
+                    const activeOrderIds = getActiveOrderIds(riderData).filter((id) => id !== orderId);
+                    transaction.update(riderRef, riderLoadFields(buildRiderLoadUpdate(riderData, activeOrderIds, capacityConfig, orderId)));
+                }
 
-// --- HELPERS ---
+                // Back to waiting for a rider; the next acceptance moves it on.
+                // Never back to preparing, which would re-run the kitchen triggers.
+                // Escalation stays quiet while the retry search below is active.
+                let status = orderStatus;
+                if (orderStatus === STATUS.RIDER_ASSIGNED) {
+                    const isFoodReady = Boolean(orderData.timestamps?.prepared || orderData.preparedAt);
+                    status = isFoodReady ? STATUS.PREPARED : STATUS.NEEDS_ASSIGNMENT;
+                }
+                transaction.update(orderRef, {
+                    'riderId': FieldValue.delete(),
+                    'status': status,
+                    'timestamps.riderAssigned': FieldValue.delete(),
+                    'manualAssignment': FieldValue.delete(),
+                    'batchId': FieldValue.delete(),
+                    'batchOrderIds': FieldValue.delete(),
+                    'assignmentNotes': `Dropped by rider (${reason}) - searching for a new rider`,
+                    'lastAssignmentUpdate': FieldValue.serverTimestamp(),
+                    '_cloudFunctionUpdate': true,
+                });
 
-/**
- * Safely unlock a rider back to available/online status.
- * This ensures riders don't get stuck as "unavailable" on any failure path.
- * @param {string} riderId - The rider's document ID
- * @param {string} orderId - For logging purposes
- */
-async function unlockRider(riderId, orderId) {
-    if (!riderId || riderId === 'RETRY_SEARCH') return;
-    try {
-        await db.collection('staff').doc(riderId).update({
-            'isAvailable': true,
-            'status': 'online',
-            'currentOfferOrderId': FieldValue.delete()
-        });
-        logger.log(`[${orderId}] ✅ Unlocked rider ${riderId} (set to available/online)`);
-    } catch (err) {
-        // Log but don't throw - rider unlock failure shouldn't break main flow
-        logger.warn(`[${orderId}] ⚠️ Failed to unlock rider ${riderId}: ${err.message}`);
+                transaction.set(assignRef, {
+                    orderId,
+                    branchId,
+                    riderId: 'RETRY_SEARCH',
+                    status: 'searching',
+                    triedRiders: [riderId],
+                    createdAt: FieldValue.serverTimestamp(),
+                    workflowStartedAt: FieldValue.serverTimestamp(),
+                    ...workflowPolicyFields(policy),
+                    retryCount: 0,
+                    notificationSent: false,
+                });
+
+                transaction.set(assignRef.collection('events').doc(), {
+                    type: 'rider_dropped',
+                    timestamp: FieldValue.serverTimestamp(),
+                    riderId,
+                    riderName: caller.data.name || riderId,
+                    reason,
+                    note: note || null,
+                    previousStatus: orderStatus,
+                    status,
+                });
+
+                return { status };
+            });
+
+            logger.log(`[${orderId}] 🔙 Rider ${riderId} dropped the order (${reason}) - restarting dispatch`);
+            await createAssignmentTask(orderId, 'RETRY_SEARCH', 2);
+
+            return { success: true, orderId, ...result };
+        } catch (err) {
+            if (err instanceof HttpsError) {
+                throw err;
+            }
+            logger.error(`[${orderId}] Rider ${riderId} failed to drop order:`, err);
+            throw new HttpsError('internal', 'Failed to drop the order. Please try again.');
+        }
     }
-}
+);
 
 /**
- * Log an assignment event to the audit trail subcollection.
- * Events are fire-and-forget — failures are logged but never block the main workflow.
- *
- * @param {string} orderId - The order document ID
- * @param {string} eventType - One of: 'workflow_started', 'rider_offered', 'rider_timeout',
- *                             'rider_rejected', 'rider_accepted', 'retry_search', 'moved_to_manual'
- * @param {object} details - Event-specific metadata
+ * =============================================================================
+ * PROOF-OF-DELIVERY OTP
+ * =============================================================================
+ * For branches with `deliveryOtp.enabled`, a one-time code is generated when
+ * a delivery order is picked up and pushed to the customer. Only its salted
+ * hash is stored (Orders/{orderId}/private/delivery_otp). The rider completes
+ * the delivery through verifyDeliveryOtp; validateOrderStatusTransition
+ * reverts direct writes to `delivered`. Admins can complete a delivery
+ * without the code through overrideDeliveryOtp, which records who and why.
+ * =============================================================================
  */
-async function logAssignmentEvent(orderId, eventType, details = {}) {
-    try {
-        await db.collection('rider_assignments').doc(orderId)
-            .collection('events').add({
-                type: eventType,
-                timestamp: FieldValue.serverTimestamp(),
-                ...details,
-            });
-    } catch (err) {
-        // Fire-and-forget: never block the main workflow for logging failures
-        logger.warn(`[${orderId}] Failed to log assignment event '${eventType}': ${err.message}`);
-    }
+const DELIVERY_OTP_OVERRIDE_REASON_MAX_LENGTH = 300;
+const DELIVERY_OTP_ADMIN_ROLES = ['super_admin', 'branchadmin', 'branch_admin', 'manager'];
+
+function deliveryOtpSecretRef(orderId) {
+    return db.collection('Orders').doc(orderId).collection('private').doc('delivery_otp');
 }
 
 /**
- * Resolve rider name from staff doc for event logging.
- * Returns the riderId on any failure to avoid blocking.
+ * FCM token of the order's customer (Users/{email}.fcmToken), or null.
  */
-async function resolveRiderName(riderId) {
-    try {
-        const doc = await db.collection('staff').doc(riderId).get();
-        return doc.exists ? (doc.data().name || riderId) : riderId;
-    } catch {
-        return riderId;
+async function getCustomerFcmToken(orderId, orderData) {
+    const customerEmail = orderData.userEmail || orderData.email || orderData.customerEmail;
+    if (!customerEmail) {
+        logger.warn(`[${orderId}] ❌ No customer email found on order`);
+        return null;
+    }
+
+    const userDoc = await db.collection('Users').doc(customerEmail).get();
+    const fcmToken = userDoc.exists ? userDoc.data().fcmToken : null;
+    if (!fcmToken) {
+        logger.warn(`[${orderId}] ❌ No FCM token for customer: ${customerEmail}`);
     }
+    return fcmToken || null;
 }
 
 /**
- * Move order to manual assignment and clean up any pending assignment state.
- * ALWAYS unlocks the pending rider before transitioning.
- * @param {string} orderId - The order ID
- * @param {string} reason - Reason for moving to manual
- * @param {string|null} riderToUnlock - Specific rider to unlock (optional)
- * @param {boolean} skipAssignmentCleanup - If true, skip deleting the assignment doc
- *   (caller will handle it). Prevents double-delete when caller also deletes.
+ * Push the delivery code to the customer's device.
+ * @returns {Promise<boolean>} true when the notification was sent
  */
-async function markOrderForManualAssignment(orderId, reason, riderToUnlock = null, skipAssignmentCleanup = false) {
-    logger.warn(`[${orderId}] Moving to manual assignment. Reason: ${reason}`);
-    try {
-        // Step 1: Unlock any pending rider first
-        if (riderToUnlock) {
-            await unlockRider(riderToUnlock, orderId);
-        } else if (!skipAssignmentCleanup) {
-            // Only fetch and clean assignment record if caller hasn't opted out
-            try {
-                const assignDoc = await db.collection('rider_assignments').doc(orderId).get();
-                if (assignDoc.exists) {
-                    const assignData = assignDoc.data();
-                    const riderId = assignData.riderId;
-                    if (riderId && riderId !== 'RETRY_SEARCH') {
-                        await unlockRider(riderId, orderId);
-                    }
-                    // Clean up assignment record
-                    await db.collection('rider_assignments').doc(orderId).delete();
-                    logger.log(`[${orderId}] Cleaned up assignment record`);
+async function sendDeliveryOtpToCustomer(orderId, orderData, code) {
+    const fcmToken = await getCustomerFcmToken(orderId, orderData);
+    if (!fcmToken) return false;
+
+    const orderNumber = orderData.dailyOrderNumber || orderId.substring(0, 6).toUpperCase();
+    const title = '🛵 Your order is on the way';
+    const body = `Share code ${code} with your rider to receive order #${orderNumber}.`;
+
+    await admin.messaging().send({
+        token: fcmToken,
+        notification: { title, body },
+        data: {
+            type: 'delivery_otp',
+            orderId: orderId,
+            orderNumber: String(orderNumber),
+            deliveryCode: code,
+            click_action: 'FLUTTER_NOTIFICATION_CLICK',
+        },
+        android: {
+            priority: 'high',
+            notification: {
+                channelId: 'order_updates',
+                priority: 'high',
+                sound: 'default',
+                clickAction: 'FLUTTER_NOTIFICATION_CLICK'
+            }
+        },
+        apns: {
+            payload: {
+                aps: {
+                    alert: { title, body },
+                    sound: 'default'
                 }
-            } catch (cleanupErr) {
-                logger.warn(`[${orderId}] Assignment cleanup warning: ${cleanupErr.message}`);
             }
         }
-
-        // Step 2: Update order status to manual assignment
-        await db.collection('Orders').doc(orderId).update({
-            'status': STATUS.NEEDS_ASSIGNMENT,
-            'assignmentNotes': reason,
-            'autoAssignStarted': FieldValue.delete(),
-        });
-        logger.log(`[${orderId}] ✅ Order marked for manual assignment`);
-    } catch (err) {
-        logger.error(`[${orderId}] Failed to mark for manual assignment:`, err);
-    }
+    });
+    return true;
 }
 
-async function findNextRider(assignmentData, orderId, branchId) {
-    const triedRiders = assignmentData ? assignmentData.triedRiders : [];
-    logger.log(`[${orderId}] findNextRider called. BranchId: ${branchId}, Already tried: ${JSON.stringify(triedRiders)}`);
+exports.issueDeliveryOtp = onDocumentUpdated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const orderId = event.params.orderId;
 
-    try {
-        // Fetch branch location. If branch metadata is missing, continue
-        // because riders can still be matched by branchIds/currentLocation.
-        const branchDoc = await db.collection('Branch').doc(branchId).get();
-        const branchData = branchDoc.exists ? branchDoc.data() : {};
-        const branchLoc = branchData.location || null;
-
-        if (!branchDoc.exists) {
-            logger.warn(`[${orderId}] ⚠️ Branch ${branchId} not found in database. Continuing rider search without branch distance origin.`);
+        if (normalizeStatus(beforeData.status) === STATUS.PICKED_UP ||
+            normalizeStatus(afterData.status) !== STATUS.PICKED_UP) {
+            return null;
         }
-
-        // Log branch data for debugging
-        if (!branchLoc) {
-            logger.warn(`[${orderId}] ⚠️ Branch ${branchId} has no location configured. Will still try to find riders but can't sort by distance.`);
-        } else {
-            logger.log(`[${orderId}] Branch location: lat=${branchLoc.latitude}, lng=${branchLoc.longitude}`);
+        if (normalizeOrderType(afterData.Order_type || afterData.orderType || '') !== ORDER_TYPE.DELIVERY) {
+            return null;
         }
 
-        // PRIMARY QUERY: Available + Online + Branch + staffType=driver
-        // STRICT: Only riders who are BOTH isAvailable=true AND status='online'
-        // CRITICAL FIX: Queries 'staff' collection (where all rider data lives) with staffType filter
-        logger.log(`[${orderId}] 🔍 Searching for riders in staff: staffType=driver, isAvailable=true, status=online, branchIds contains ${branchId}`);
-        let candidateDocs = [];
-        let usedFallbackQuery = false;
-        let relaxedBranchScope = false;
+        const branchId = (afterData.branchIds && afterData.branchIds[0]) || afterData.branchId;
+        if (!branchId) return null;
+        const { deliveryOtp: otpConfig } = await getBranchDispatchConfig(branchId);
+        if (!otpConfig.enabled) return null;
+
         try {
-            const driversSnapshot = await db.collection('staff')
-                .where('staffType', '==', 'driver')
-                .where('isAvailable', '==', true)
-                .where('status', '==', 'online')
-                .where('branchIds', 'array-contains', branchId)
-                .limit(15)
-                .get();
+            const { code, salt, codeHash } = createOtpSecret(otpConfig.codeLength);
+            const batch = db.batch();
+            batch.set(deliveryOtpSecretRef(orderId), {
+                codeHash,
+                salt,
+                attempts: 0,
+                maxAttempts: otpConfig.maxAttempts,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+            // Not a status change, so no _cloudFunctionUpdate flag
+            batch.update(event.data.after.ref, {
+                'proofOfDelivery': {
+                    required: true,
+                    method: 'otp',
+                    status: PROOF_STATUS.PENDING,
+                    attempts: 0,
+                    issuedAt: FieldValue.serverTimestamp(),
+                },
+            });
+            await batch.commit();
 
-            logger.log(`[${orderId}] Primary query returned ${driversSnapshot.size} riders`);
-            candidateDocs = driversSnapshot.docs;
-        } catch (queryError) {
-            // Graceful fallback: query branch-scoped staff with lighter indexes,
-            // then enforce rider availability rules in memory.
-            logger.warn(`[${orderId}] Primary rider query failed, falling back to in-memory filtering: ${queryError.message}`);
-            logger.warn(`[${orderId}] Expected index: staff(staffType ASC, isAvailable ASC, status ASC, branchIds ARRAY)`);
+            const sent = await sendDeliveryOtpToCustomer(orderId, afterData, code);
+            await event.data.after.ref.update({ 'proofOfDelivery.codeSentToCustomer': sent });
+            logger.log(`[${orderId}] 🔐 Delivery code issued${sent ? ' and sent to customer' : ' (customer not notified)'}`);
+        } catch (err) {
+            logger.error(`[${orderId}] Failed to issue delivery code:`, err);
         }
+        return null;
+    }
+);
 
-        if (candidateDocs.length === 0) {
-            usedFallbackQuery = true;
-            const fallbackDocsById = new Map();
-
-            try {
-                const branchScopedSnapshot = await db.collection('staff')
-                    .where('branchIds', 'array-contains', branchId)
-                    .limit(30)
-                    .get();
-                branchScopedSnapshot.docs.forEach((doc) => fallbackDocsById.set(doc.id, doc));
-                logger.log(`[${orderId}] Branch-scoped fallback returned ${branchScopedSnapshot.size} staff docs`);
-            } catch (branchQueryError) {
-                logger.warn(`[${orderId}] BranchIds fallback query failed: ${branchQueryError.message}`);
-            }
-
-            try {
-                const legacyBranchSnapshot = await db.collection('staff')
-                    .where('branchId', '==', branchId)
-                    .limit(30)
-                    .get();
-                legacyBranchSnapshot.docs.forEach((doc) => fallbackDocsById.set(doc.id, doc));
-                logger.log(`[${orderId}] Legacy branchId fallback returned ${legacyBranchSnapshot.size} staff docs`);
-            } catch (legacyQueryError) {
-                logger.warn(`[${orderId}] Legacy branchId fallback query failed: ${legacyQueryError.message}`);
-            }
+exports.verifyDeliveryOtp = onCall(
+    { region: GCP_LOCATION },
+    async (request) => {
+        if (!request.auth) {
+            throw new HttpsError('unauthenticated', 'Authentication required');
+        }
 
-            candidateDocs = Array.from(fallbackDocsById.values());
+        const { orderId } = request.data || {};
+        if (typeof orderId !== 'string' || !DOC_ID_PATTERN.test(orderId)) {
+            throw new HttpsError('invalid-argument', 'orderId is required and must be a valid document ID');
+        }
+        const code = normalizeSubmittedCode(request.data.code);
+        if (!code) {
+            throw new HttpsError('invalid-argument', 'code must be 4-8 digits');
         }
 
-        if (candidateDocs.length === 0) {
-            relaxedBranchScope = true;
-            logger.warn(`[${orderId}] No riders matched branch "${branchId}" exactly. Falling back to all online available drivers and sorting by distance.`);
+        const caller = await getCallerStaff(request.auth);
+        if (!caller || caller.data.staffType !== 'driver') {
+            throw new HttpsError('permission-denied', 'Only riders can submit delivery codes');
+        }
+        const riderId = caller.id;
 
-            try {
-                const allAvailableDrivers = await db.collection('staff')
-                    .where('staffType', '==', 'driver')
-                    .where('isAvailable', '==', true)
-                    .where('status', '==', 'online')
-                    .limit(50)
-                    .get();
+        const orderRef = db.collection('Orders').doc(orderId);
+        const secretRef = deliveryOtpSecretRef(orderId);
 
-                logger.log(`[${orderId}] All-driver fallback returned ${allAvailableDrivers.size} available drivers`);
-                candidateDocs = allAvailableDrivers.docs;
-            } catch (allDriverQueryError) {
-                logger.warn(`[${orderId}] All-driver fallback query failed: ${allDriverQueryError.message}`);
-            }
-        }
+        let result;
+        try {
+            result = await db.runTransaction(async (transaction) => {
+                const [orderDoc, secretDoc] = await transaction.getAll(orderRef, secretRef);
+                if (!orderDoc.exists) {
+                    throw new HttpsError('not-found', 'Order not found');
+                }
+                const orderData = orderDoc.data();
+                if (orderData.riderId !== riderId) {
+                    throw new HttpsError('permission-denied', 'Order is not assigned to you');
+                }
+                if (normalizeStatus(orderData.status) !== STATUS.PICKED_UP) {
+                    throw new HttpsError('failed-precondition', `Order is ${orderData.status}, not picked up`);
+                }
+                const proof = orderData.proofOfDelivery || {};
+                if (proof.status === PROOF_STATUS.LOCKED) {
+                    throw new HttpsError('failed-precondition', 'Too many wrong codes. Ask an admin to confirm the delivery.');
+                }
+                if (proof.status !== PROOF_STATUS.PENDING || !secretDoc.exists) {
+                    throw new HttpsError('failed-precondition', 'No delivery code is pending for this order');
+                }
 
-        // DIAGNOSTIC: If no results, check if ANY riders exist for this branch
-        if (candidateDocs.length === 0) {
-            logger.warn(`[${orderId}] ⚠️ No available riders. Checking if ANY riders exist for branch...`);
-            try {
-                const allBranchRiders = await db.collection('staff')
-                    .where('staffType', '==', 'driver')
-                    .where('branchIds', 'array-contains', branchId)
-                    .limit(5)
-                    .get();
+                const secret = secretDoc.data();
+                const attempts = (secret.attempts || 0) + 1;
 
-                if (allBranchRiders.empty) {
-                    logger.error(`[${orderId}] ❌ No riders (staffType=driver) assigned to branch ${branchId} at all!`);
-                } else {
-                    logger.warn(`[${orderId}] Found ${allBranchRiders.size} riders for branch, but none are available/online:`);
-                    allBranchRiders.forEach(doc => {
-                        const d = doc.data();
-                        logger.warn(`  - ${doc.id}: isAvailable=${d.isAvailable}, status=${d.status}, hasLocation=${!!d.currentLocation}`);
+                if (!verifyOtpCode(code, secret)) {
+                    const locked = attempts >= secret.maxAttempts;
+                    transaction.update(secretRef, { attempts });
+                    transaction.update(orderRef, {
+                        'proofOfDelivery.attempts': attempts,
+                        'proofOfDelivery.status': locked ? PROOF_STATUS.LOCKED : PROOF_STATUS.PENDING,
                     });
+                    return { verified: false, attemptsRemaining: Math.max(secret.maxAttempts - attempts, 0) };
                 }
-            } catch (checkError) {
-                logger.warn(`[${orderId}] Failed to check for generic riders: ${checkError.message}`);
+
+                transaction.update(orderRef, {
+                    'status': STATUS.DELIVERED,
+                    'deliveredAt': FieldValue.serverTimestamp(),
+                    'proofOfDelivery.status': PROOF_STATUS.VERIFIED,
+                    'proofOfDelivery.attempts': attempts,
+                    'proofOfDelivery.verifiedAt': FieldValue.serverTimestamp(),
+                    'proofOfDelivery.verifiedBy': riderId,
+                    '_cloudFunctionUpdate': true,
+                });
+                transaction.delete(secretRef);
+                transaction.set(db.collection('rider_assignments').doc(orderId).collection('events').doc(), {
+                    type: 'delivery_otp_verified',
+                    timestamp: FieldValue.serverTimestamp(),
+                    riderId,
+                    riderName: caller.data.name || riderId,
+                    attempts,
+                });
+                return { verified: true, attempts };
+            });
+        } catch (err) {
+            if (err instanceof HttpsError) {
+                throw err;
             }
-            return null;
+            logger.error(`[${orderId}] Delivery code check by rider ${riderId} failed:`, err);
+            throw new HttpsError('internal', 'Failed to verify the delivery code. Please try again.');
         }
 
-        // Process found riders
-        const riders = [];
-        const skippedRiders = [];
+        if (!result.verified) {
+            logger.warn(`[${orderId}] 🔐 Wrong delivery code from rider ${riderId} (${result.attemptsRemaining} attempts left)`);
+            throw new HttpsError('permission-denied', 'Incorrect delivery code', { attemptsRemaining: result.attemptsRemaining });
+        }
 
-        candidateDocs.forEach(doc => {
-            const driverData = doc.data();
+        logger.log(`[${orderId}] ✅ Delivery confirmed by code (rider ${riderId})`);
+        return { success: true, orderId, status: STATUS.DELIVERED };
+    }
+);
 
-            const branchIds = Array.isArray(driverData.branchIds) ? driverData.branchIds : [];
-            const normalizedBranchId = String(branchId).toLowerCase().replace(/[\s-]+/g, '_');
-            const normalizedDriverBranches = branchIds.map((id) =>
-                String(id).toLowerCase().replace(/[\s-]+/g, '_'));
-            const belongsToBranch = relaxedBranchScope ||
-                branchIds.includes(branchId) ||
-                normalizedDriverBranches.includes(normalizedBranchId) ||
-                driverData.branchId === branchId ||
-                String(driverData.branchId || '').toLowerCase().replace(/[\s-]+/g, '_') === normalizedBranchId;
-            const isDriver = driverData.staffType === 'driver' || driverData.role === 'driver';
-            const isOnline = driverData.status === 'online';
-            const isAvailable = driverData.isAvailable === true;
-            const hasConflictingOffer = driverData.currentOfferOrderId && driverData.currentOfferOrderId !== orderId;
-            const hasAssignedOrder = driverData.assignedOrderId && driverData.assignedOrderId !== '';
+exports.overrideDeliveryOtp = onCall(
+    { region: GCP_LOCATION },
+    async (request) => {
+        if (!request.auth) {
+            throw new HttpsError('unauthenticated', 'Authentication required');
+        }
 
-            if (!belongsToBranch) {
-                skippedRiders.push({ id: doc.id, reason: 'outside branch scope' });
-                return;
-            }
-            if (!isDriver) {
-                skippedRiders.push({ id: doc.id, reason: 'not a driver' });
-                return;
-            }
+        const { orderId } = request.data || {};
+        if (typeof orderId !== 'string' || !DOC_ID_PATTERN.test(orderId)) {
+            throw new HttpsError('invalid-argument', 'orderId is required and must be a valid document ID');
+        }
+        const reason = typeof request.data.reason === 'string'
+            ? request.data.reason
+                .substring(0, DELIVERY_OTP_OVERRIDE_REASON_MAX_LENGTH)
+                .replace(/<[^>]*>/g, '')
+                .replace(/[\x00-\x1F\x7F]/g, '')
+                .trim()
+            : '';
+        if (!reason) {
+            throw new HttpsError('invalid-argument', 'A reason is required to override the delivery code');
+        }
 
-            // Skip already tried riders
-            if (triedRiders.includes(doc.id)) {
-                skippedRiders.push({ id: doc.id, reason: 'already tried' });
-                return;
-            }
+        const caller = await getCallerStaff(request.auth);
+        if (!caller || !DELIVERY_OTP_ADMIN_ROLES.includes(caller.data.role)) {
+            logger.warn(`🔒 SECURITY: Non-admin caller ${request.auth.uid} tried to override the delivery code of order ${orderId}`);
+            throw new HttpsError('permission-denied', 'Only admins can override delivery codes');
+        }
 
-            // BUG FIX #5: ALWAYS apply availability + conflict checks regardless of query path.
-            // The primary Firestore query filters by isAvailable+status+staffType, but cannot
-            // filter by currentOfferOrderId or assignedOrderId. Those must be checked in code.
-            if (usedFallbackQuery) {
-                // Fallback results need ALL checks since the query was less restrictive
-                if (!isOnline) {
-                    skippedRiders.push({ id: doc.id, reason: `status=${driverData.status || 'unknown'}` });
-                    return;
+        const orderRef = db.collection('Orders').doc(orderId);
+        const secretRef = deliveryOtpSecretRef(orderId);
+
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists) {
+                    throw new HttpsError('not-found', 'Order not found');
                 }
-                if (!isAvailable) {
-                    skippedRiders.push({ id: doc.id, reason: `isAvailable=${driverData.isAvailable}` });
-                    return;
+                const orderData = orderDoc.data();
+                const branchId = (orderData.branchIds && orderData.branchIds[0]) || orderData.branchId;
+                if (!hasBranchAccess(caller.data, branchId)) {
+                    throw new HttpsError('permission-denied', 'No access to this branch');
+                }
+                if (normalizeStatus(orderData.status) !== STATUS.PICKED_UP) {
+                    throw new HttpsError('failed-precondition', `Order is ${orderData.status}, not picked up`);
+                }
+                if (isDeliveryProofSatisfied(orderData.proofOfDelivery)) {
+                    throw new HttpsError('failed-precondition', 'Order does not need a delivery code');
                 }
-            }
-
-            // These checks apply to ALL query paths (primary + fallback)
-            if (hasAssignedOrder) {
-                skippedRiders.push({ id: doc.id, reason: `assignedOrderId=${driverData.assignedOrderId}` });
-                return;
-            }
-            if (hasConflictingOffer) {
-                skippedRiders.push({ id: doc.id, reason: `currentOfferOrderId=${driverData.currentOfferOrderId}` });
-                return;
-            }
 
-            const loc = driverData.currentLocation;
+                const overriddenBy = {
+                    uid: request.auth.uid,
+                    staffId: caller.id,
+                    name: caller.data.name || null,
+                    email: request.auth.token.email || null,
+                    role: caller.data.role || null,
+                };
+                transaction.update(orderRef, {
+                    'status': STATUS.DELIVERED,
+                    'deliveredAt': FieldValue.serverTimestamp(),
+                    'proofOfDelivery.status': PROOF_STATUS.OVERRIDDEN,
+                    'proofOfDelivery.verifiedAt': FieldValue.serverTimestamp(),
+                    'proofOfDelivery.overriddenBy': overriddenBy,
+                    'proofOfDelivery.overrideReason': reason,
+                    '_cloudFunctionUpdate': true,
+                });
+                transaction.delete(secretRef);
+                transaction.set(db.collection('rider_assignments').doc(orderId).collection('events').doc(), {
+                    type: 'delivery_otp_override',
+                    timestamp: FieldValue.serverTimestamp(),
+                    riderId: orderData.riderId || null,
+                    previousProofStatus: orderData.proofOfDelivery.status || null,
+                    attempts: orderData.proofOfDelivery.attempts || 0,
+                    reason,
+                    overriddenBy,
+                });
+                return { riderId: orderData.riderId || null };
+            });
 
-            // If branch has no location, we can't calculate distance - just add all riders
-            if (!branchLoc) {
-                riders.push({ riderId: doc.id, distance: 0 });
-                return;
+            logger.log(`[${orderId}] 👮 Delivery code overridden by ${caller.id}: ${reason}`);
+            return { success: true, orderId, status: STATUS.DELIVERED, ...result };
+        } catch (err) {
+            if (err instanceof HttpsError) {
+                throw err;
             }
+            logger.error(`[${orderId}] Delivery code override by ${caller.id} failed:`, err);
+            throw new HttpsError('internal', 'Failed to override the delivery code. Please try again.');
+        }
+    }
+);
 
-            // If rider has no location, log it but still include them (with max distance)
-            if (!loc || loc.latitude === undefined || loc.longitude === undefined) {
-                logger.warn(`[${orderId}] ⚠️ Rider ${doc.id} has no currentLocation, adding with max distance`);
-                riders.push({ riderId: doc.id, distance: 999999 });
-                return;
-            }
+/**
+ * =============================================================================
+ * MANUALLY ASSIGNED ORDER HANDLER
+ * =============================================================================
+ * Triggered when a rider is assigned MANUALLY (e.g. via Admin Panel).
+ * Logic:
+ * 1. Check if riderId changed and is not null.
+ * 2. Send "You've been assigned" FCM to the new rider.
+ * 3. AVOID DUPLICATES: Checks if this was part of the auto-assignment system.
+ * =============================================================================
+ */
+exports.sendManualAssignmentNotification = onDocumentUpdated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const orderId = event.params.orderId;
 
-            const dist = _calculateDistance(branchLoc.latitude, branchLoc.longitude, loc.latitude, loc.longitude);
-            riders.push({ riderId: doc.id, distance: dist });
-        });
+        const prevRider = beforeData.riderId;
+        const newRider = afterData.riderId;
 
-        if (skippedRiders.length > 0) {
-            logger.log(`[${orderId}] Skipped ${skippedRiders.length} riders after eligibility checks`);
+        // Condition 1: Rider must have changed AND be a valid new rider
+        if (!newRider || newRider === '' || newRider === prevRider) {
+            return null;
         }
 
-        if (riders.length === 0) {
-            logger.warn(`[${orderId}] ❌ No eligible riders found after filtering`);
+        // BUG FIX #3: Detect auto-assignment acceptance and skip notification.
+        // When handleRiderAcceptance sets riderId, it also deletes autoAssignStarted
+        // in the same transaction. So: beforeData HAD autoAssignStarted, afterData does NOT.
+        // This is the definitive signature of an auto-accepted order.
+        const wasAutoAssigning = !!beforeData.autoAssignStarted;
+        const autoAssignRemoved = wasAutoAssigning && !afterData.autoAssignStarted;
+
+        // assignRiderManually also removes autoAssignStarted; its marker wins.
+        const assignedByCallable = afterData.manualAssignment?.riderId === newRider;
+
+        if (autoAssignRemoved && !assignedByCallable) {
+            logger.log(`[${orderId}] ⏩ Skipping manual FCM: rider ${newRider} accepted via auto-assignment`);
             return null;
         }
 
-        // Sort by distance and return nearest
-        riders.sort((a, b) => a.distance - b.distance);
-        const selected = riders[0];
-        logger.log(`[${orderId}] ✅ Selected rider: ${selected.riderId} (distance: ${selected.distance.toFixed(2)}km)`);
+        try {
+            logger.log(`[${orderId}] 👮 Manual Assignment Detect: ${prevRider} -> ${newRider}`);
 
-        return selected;
-    } catch (e) {
-        logger.error(`[${orderId}] CRITICAL ERROR in findNextRider:`, e);
-        return null;
+            await sendManualAssignmentFCM(newRider, orderId);
+
+            return null;
+        } catch (err) {
+            logger.error(`[${orderId}] Manual Assignment Notification Error:`, err);
+            return null;
+        }
     }
-}
+);
 
-async function createAssignmentTask(orderId, riderId, delayInSeconds) {
+/**
+ * Helper to send the "You have been assigned" notification (V1 API)
+ */
+async function sendManualAssignmentFCM(riderId, orderId) {
     try {
-        const client = new CloudTasksClient();
-        const queuePath = client.queuePath(GCP_PROJECT_ID, GCP_LOCATION, QUEUE_NAME);
-        const task = {
-            httpRequest: {
-                httpMethod: 'POST',
-                url: TASK_HANDLER_URL,
-                headers: { 'Content-Type': 'application/json' },
-                body: Buffer.from(JSON.stringify({ orderId, expectedRiderId: riderId })).toString('base64'),
-                // OIDC token for authentication
-                oidcToken: {
-                    serviceAccountEmail: SERVICE_ACCOUNT_EMAIL,
-                    audience: TASK_HANDLER_URL,
-                },
-            },
-            scheduleTime: { seconds: Math.floor(Date.now() / 1000) + delayInSeconds },
-        };
-        await client.createTask({ parent: queuePath, task });
-        logger.log(`[${orderId}] Created timeout task for rider ${riderId}, delay: ${delayInSeconds}s`);
-    } catch (err) {
-        logger.error(`[${orderId}] Failed to create assignment task:`, err);
-        throw err;
-    }
-}
+        const driverDoc = await db.collection('staff').doc(riderId).get();
+        if (!driverDoc.exists) return;
 
-async function createKitchenResponseTask(orderId, delayInSeconds) {
-    try {
-        const client = new CloudTasksClient();
-        const queuePath = client.queuePath(GCP_PROJECT_ID, GCP_LOCATION, QUEUE_NAME);
-        const task = {
-            httpRequest: {
-                httpMethod: 'POST',
-                url: KITCHEN_TASK_HANDLER_URL,
-                headers: { 'Content-Type': 'application/json' },
-                body: Buffer.from(JSON.stringify({ orderId })).toString('base64'),
-                oidcToken: {
-                    serviceAccountEmail: SERVICE_ACCOUNT_EMAIL,
-                    audience: KITCHEN_TASK_HANDLER_URL,
-                },
+        const fcmToken = driverDoc.data().fcmToken;
+        if (!fcmToken) return;
+
+        // V1 Message
+        const message = {
+            token: fcmToken,
+            notification: {
+                title: "You’ve been assigned an order!",
+                body: "A new delivery is now assigned to you."
             },
-            scheduleTime: { seconds: Math.floor(Date.now() / 1000) + delayInSeconds },
+            data: {
+                type: "manual_assignment",
+                orderId: orderId,
+                click_action: "FLUTTER_NOTIFICATION_CLICK",
+                // Legacy required for some receivers
+                title: "You’ve been assigned an order!",
+                body: "A new delivery is now assigned to you."
+            },
+            android: {
+                priority: "high",
+                notification: {
+                    channelId: "rider-assignment",
+                    priority: "high",
+                    defaultSound: true
+                }
+            },
+            apns: {
+                payload: {
+                    aps: {
+                        alert: {
+                            title: "You’ve been assigned an order!",
+                            body: "A new delivery is now assigned to you."
+                        },
+                        sound: "default"
+                    }
+                }
+            }
         };
-        await client.createTask({ parent: queuePath, task });
-        logger.log(`[${orderId}] Created kitchen response timeout task, delay: ${delayInSeconds}s`);
-    } catch (err) {
-        logger.error(`[${orderId}] Failed to create kitchen response task:`, err);
-        throw err;
-    }
-}
 
-function _calculateDistance(lat1, lon1, lat2, lon2) {
-    const p = 0.017453292519943295; // Math.PI / 180
-    const c = Math.cos;
-    const a = 0.5 - c((lat2 - lat1) * p) / 2 +
-        c(lat1 * p) * c(lat2 * p) * (1 - c((lon2 - lon1) * p)) / 2;
-    return 12742 * Math.asin(Math.sqrt(a)); // 2 * R; R = 6371 km
+        await admin.messaging().send(message);
+        logger.log(`[${orderId}] 📨 Sent Manual Assignment FCM to ${riderId}`);
+    } catch (e) {
+        logger.error(`[${orderId}] Failed to send manual FCM: ${e.message}`);
+    }
 }
 
 /**
- * PRODUCTION-GRADE FCM: Send Assignment Notification to Rider
- * Uses V1 API for reliable delivery.
- * Updates the `notificationSent` flag to track delivery status.
- * 
- * @param {string} riderId - The rider's document ID
- * @param {string} orderId - The order ID
- * @param {object} orderData - Order data for notification content
+ * Helper to tell a rider that their pending offer is gone: another broadcast
+ * recipient accepted first, or the order was assigned manually (V1 API)
  */
-async function sendAssignmentFCM(riderId, orderId, orderData) {
-    logger.log(`[${orderId}] 📤 PREPARING FCM (V1) for rider ${riderId}...`);
+async function sendOfferWithdrawnFCM(riderId, orderId, body = "Another rider accepted this order first.") {
     try {
-        // BUG FIX: Check notificationSent flag FIRST to prevent duplicate FCM
-        const assignDoc = await db.collection('rider_assignments').doc(orderId).get();
-        if (assignDoc.exists) {
-            const assignData = assignDoc.data();
-            // Only block if notificationSent is true AND riderId matches (same notification attempt)
-            if (assignData.notificationSent === true && assignData.riderId === riderId) {
-                logger.warn(`[${orderId}] ⚠️ FCM already sent to rider ${riderId}, skipping duplicate`);
-                return true; // Return true since notification was already sent
-            }
-        }
-
         const driverDoc = await db.collection('staff').doc(riderId).get();
+        if (!driverDoc.exists) return;
 
-        if (!driverDoc.exists) {
-            logger.warn(`[${orderId}] ❌ Rider ${riderId} not found for FCM`);
-            return false;
-        }
-
-        const driverData = driverDoc.data();
-        const fcmToken = driverData.fcmToken;
-
-        if (!fcmToken) {
-            logger.warn(`[${orderId}] ❌ Rider ${riderId} has no FCM token`);
-            return false;
-        }
-
-        logger.log(`[${orderId}] 🔹 Found FCM token for ${riderId}: ${fcmToken.substring(0, 10)}...`);
-
-        const assignData = assignDoc.exists ? assignDoc.data() : null;
-        const attemptNumber = assignData?.triedRiders?.length || 1;
-        const customerName = orderData?.customerName || 'Customer';
-        const orderTotal = `${orderData?.totalAmount || 0} ${orderData?.currency || 'QAR'}`;
+        const fcmToken = driverDoc.data().fcmToken;
+        if (!fcmToken) return;
 
-        // V1 API PAYLOAD - PLATFORM SPECIFIC
-        // Avoiding top-level 'notification' to ensure precise control and prevent duplicates
         const message = {
             token: fcmToken,
-            // Custom Data (Payload)
             data: {
-                type: 'auto_assignment',
-                title: `🚨 Offer ${attemptNumber}: New Order!`,
-                body: `Tap quickly! You have 2 minutes to accept. ${orderTotal}`,
+                type: "offer_withdrawn",
                 orderId: orderId,
-                timeoutSeconds: String(ASSIGNMENT_TIMEOUT_SECONDS),
-                attemptNumber: String(attemptNumber),
-                customerName: customerName,
-                click_action: 'FLUTTER_NOTIFICATION_CLICK', // For legacy listeners
-                priority: 'high',
-                content_available: 'true',
-                timestamp: String(Date.now()),
+                click_action: "FLUTTER_NOTIFICATION_CLICK",
+                title: "Offer no longer available",
+                body: body
             },
-            // Android Specifics
             android: {
-                priority: 'high',
+                priority: "high",
                 notification: {
-                    title: `🚨 Offer ${attemptNumber}: New Order!`,
-                    body: `Tap quickly! You have 2 minutes to accept. ${orderTotal}`,
-                    clickAction: 'FLUTTER_NOTIFICATION_CLICK', // RESTORED: Critical for routing
-                    sound: 'default',
-                    priority: 'high',
-                    channelId: 'fcm_default_channel' // Safe default for Flutter
+                    title: "Offer no longer available",
+                    body: body,
+                    channelId: "rider-assignment"
                 }
             },
-            // iOS Specifics
             apns: {
-                headers: {
-                    'apns-priority': '10',
-                },
                 payload: {
                     aps: {
                         alert: {
-                            title: '🚨 New Order Offer!',
-                            body: `Tap quickly! You have 2 minutes to accept.`,
+                            title: "Offer no longer available",
+                            body: body
                         },
-                        contentAvailable: true,
-                        sound: 'default',
-                        badge: 1
+                        sound: "default"
                     }
                 }
             }
         };
 
-        const response = await admin.messaging().send(message);
-
-        // V1 API returns a message ID string on success
-        if (response) {
-            await db.collection('rider_assignments').doc(orderId).update({
-                notificationSent: true
-            });
-            logger.log(`[${orderId}] ✅ FCM SENT via V1 API to ${driverData.name || 'Rider'} (MsgID: ${response})`);
-            return true;
-        } else {
-            logger.warn(`[${orderId}] ⚠️ FCM Send returned empty response`);
-            return false;
-        }
+        await admin.messaging().send(message);
+        logger.log(`[${orderId}] 📨 Sent offer withdrawn FCM to ${riderId}`);
+    } catch (e) {
+        logger.error(`[${orderId}] Failed to send offer withdrawn FCM: ${e.message}`);
+    }
+}
 
-    } catch (err) {
-        logger.error(`[${orderId}] 🔥 FCM FAILURE for rider ${riderId}:`, err);
+/**
+ * Helper to tell a rider they were switched offline by the presence sweep (V1 API)
+ */
+async function sendForcedOfflineFCM(riderId, fcmToken, silentMinutes) {
+    if (!fcmToken) return;
+    const title = "You are now offline";
+    const body = `We haven't heard from your app for ${silentMinutes} minutes. Go online again to receive orders.`;
 
-        // Handle invalid token cleanup
-        if (err.code === 'messaging/registration-token-not-registered' ||
-            err.code === 'messaging/invalid-argument') {
-            logger.warn(`[${orderId}] 🗑️ Removing invalid FCM token for rider ${riderId}`);
-            try {
-                await db.collection('staff').doc(riderId).update({
-                    fcmToken: FieldValue.delete()
-                });
-            } catch (e) {
-                logger.error(`Failed to remove token: ${e.message}`);
+    try {
+        await admin.messaging().send({
+            token: fcmToken,
+            data: {
+                type: "forced_offline",
+                click_action: "FLUTTER_NOTIFICATION_CLICK",
+                title,
+                body
+            },
+            android: {
+                priority: "high",
+                notification: {
+                    title,
+                    body,
+                    channelId: "rider-assignment"
+                }
+            },
+            apns: {
+                payload: {
+                    aps: {
+                        alert: { title, body },
+                        sound: "default"
+                    }
+                }
             }
-        }
-
-        return false;
+        });
+        logger.log(`📨 Sent forced offline FCM to ${riderId}`);
+    } catch (e) {
+        logger.error(`Failed to send forced offline FCM to ${riderId}: ${e.message}`);
     }
 }
 
-// BUG FIX #11: Removed dead code sendRiderNotificationInternal (was never called)
+// --- HELPERS ---
 
-// --- STATUS TRANSITION VALIDATION ---
+/**
+ * Safely unlock a rider back to available/online status.
+ * This ensures riders don't get stuck as "unavailable" on any failure path.
+ * @param {string} riderId - The rider's document ID
+ * @param {string} orderId - For logging purposes
+ */
+async function unlockRider(riderId, orderId) {
+    if (!riderId || isSentinelRiderId(riderId)) return;
+    try {
+        await db.collection('staff').doc(riderId).update({
+            'isAvailable': true,
+            'status': 'online',
+            'currentOfferOrderId': FieldValue.delete()
+        });
+        logger.log(`[${orderId}] ✅ Unlocked rider ${riderId} (set to available/online)`);
+    } catch (err) {
+        // Log but don't throw - rider unlock failure shouldn't break main flow
+        logger.warn(`[${orderId}] ⚠️ Failed to unlock rider ${riderId}: ${err.message}`);
+    }
+}
 
 /**
- * Industry-Level Order Type-Aware State Machine
- * 
- * Order Flows:
- * - DELIVERY:  pending → preparing → needs_rider_assignment → rider_assigned → pickedUp → delivered
- * - PICKUP:    pending → preparing → prepared → collected (prepaid orders)
- * - TAKEAWAY:  pending → preparing → prepared → paid (pay at counter)
- * - DINE_IN:   pending → preparing → prepared → served → paid
- * 
- * Each status maps to valid next statuses. The validateOrderStatusTransition
- * function uses order type to determine if a transition is valid.
- */
-const VALID_TRANSITIONS = {
-    // Common starting point
-    'pending': ['preparing', 'cancelled'],
-    'pending_payment': ['pending', 'preparing', 'cancelled'],
-
-    // Preparing can go to different states based on order type
-    // - Delivery: needs_rider_assignment or rider_assigned
-    // - Non-delivery: prepared
-    'preparing': [
-        'prepared',                 // Non-delivery orders
-        'rider_assigned',           // Delivery (direct assignment)
-        'needs_rider_assignment',   // Delivery (auto-assign failed)
-        'cancelled'
-    ],
-
-    // NEW: Prepared status for non-delivery orders
-    // - Pickup: goes to collected
-    // - Takeaway: goes to paid
-    // - Dine-in: goes to served
-    'prepared': [
-        'served',       // Dine-in only
-        'paid',         // Takeaway only
-        'collected',    // Pickup only (prepaid)
-        'cancelled'
-    ],
-
-    // NEW: Served status (dine-in only)
-    'served': ['paid', 'cancelled'],
-
-    // NEW: Terminal statuses for non-delivery
-    'paid': ['refunded'],       // Terminal for takeaway/dine-in
-    'collected': ['refunded'],  // Terminal for pickup
-
-    // Delivery flow (unchanged)
-    'needs_rider_assignment': ['rider_assigned', 'cancelled', 'pickedUp', 'pickedup', 'delivered'],
-    'rider_assigned': ['pickedUp', 'pickedup', 'cancelled'],
-    'pickedup': ['delivered', 'cancelled', 'preparing'],
-    'pickedUp': ['delivered', 'cancelled', 'refunded', 'preparing'],
-    'delivered': ['refunded', 'preparing'],
-
-    // Cancellation and refunds
-    'cancelled': ['refunded', 'preparing'],
-    'refunded': [], // Terminal state
-};
+ * Unlock every rider currently holding an offer for this assignment:
+ * the single offered rider, or all broadcast recipients that have not declined.
+ * @param {object} assignData - The rider_assignments document data
+ * @param {string} orderId - For logging purposes
+ * @returns {Promise<string[]>} The rider IDs that were unlocked
+ */
+async function unlockAssignmentRiders(assignData, orderId) {
+    const riderIds = getPendingOfferRiders(assignData);
+    await Promise.all(riderIds.map((riderId) => unlockRider(riderId, orderId)));
+    return riderIds;
+}
 
 /**
- * Get valid next statuses for a given order type and current status.
- * This provides stricter validation based on order type.
+ * Firestore update for a buildRiderLoadUpdate result.
  */
-function getValidTransitionsForOrderType(currentStatus, orderType) {
-    const normalized = normalizeOrderType(orderType);
-    const baseTransitions = VALID_TRANSITIONS[currentStatus] || [];
+function riderLoadFields(load) {
+    return {
+        'activeOrderIds': load.activeOrderIds,
+        'assignedOrderId': load.assignedOrderId || FieldValue.delete(),
+        'isAvailable': load.isAvailable,
+        ...(load.clearOffer ? { 'currentOfferOrderId': FieldValue.delete() } : {}),
+    };
+}
 
-    // Filter based on order type
-    switch (normalized) {
-        case ORDER_TYPE.DELIVERY:
-            // Delivery orders skip prepared/served/paid/collected
-            return baseTransitions.filter(s =>
-                !['prepared', 'served', 'paid', 'collected'].includes(s)
-            );
+/**
+ * Free the capacity slot (or pending offer) an order holds on a rider.
+ * The rider becomes available again unless still full or evaluating
+ * another order's offer.
+ *
+ * @returns {Promise<object|null>} The applied load, or null if the rider is missing
+ */
+async function releaseRiderOrder(riderId, orderId, capacityConfig) {
+    if (!riderId || isSentinelRiderId(riderId)) return null;
+    const riderRef = db.collection('staff').doc(riderId);
+
+    return db.runTransaction(async (transaction) => {
+        const riderDoc = await transaction.get(riderRef);
+        if (!riderDoc.exists) return null;
+
+        const riderData = riderDoc.data();
+        const activeOrderIds = getActiveOrderIds(riderData).filter((id) => id !== orderId);
+        const load = buildRiderLoadUpdate(riderData, activeOrderIds, capacityConfig, orderId);
+
+        const updates = { ...riderLoadFields(load), 'status': 'online' };
+        if (activeOrderIds.length === 0) {
+            updates['assignedBatchId'] = FieldValue.delete();
+            updates['batchOrderIds'] = FieldValue.delete();
+        }
+        transaction.update(riderRef, updates);
+        return load;
+    });
+}
 
-        case ORDER_TYPE.PICKUP:
-            // Pickup: prepared → collected (prepaid) OR paid (cash)
-            if (currentStatus === 'preparing') return ['prepared', 'cancelled'];
-            if (currentStatus === 'prepared') return ['collected', 'paid', 'cancelled'];
-            return baseTransitions.filter(s =>
-                !['served', 'rider_assigned', 'needs_rider_assignment', 'pickedUp', 'pickedup', 'delivered'].includes(s)
-            );
+const branchDispatchConfigCache = new Map();
+
+// Opt-in branch features: config key -> [Branch field, normalizer]
+const BRANCH_FEATURE_CONFIGS = {
+    delayedDispatch: ['delayedDispatch', normalizeDelayedDispatchConfig],
+    broadcast: ['broadcastDispatch', normalizeBroadcastConfig],
+    batching: ['orderBatching', normalizeBatchingConfig],
+    capacity: ['riderCapacity', normalizeCapacityConfig],
+    presence: ['riderPresence', normalizePresenceConfig],
+    queue: ['dispatchQueue', normalizeDispatchQueueConfig],
+    escalation: ['unassignedEscalation', normalizeEscalationConfig],
+    deliveryOtp: ['deliveryOtp', normalizeDeliveryOtpConfig],
+    liveEta: ['liveEta', normalizeLiveEtaConfig],
+    kitchenLoad: ['kitchenLoad', normalizeKitchenLoadConfig],
+    prepSla: ['prepSla', normalizePrepSlaConfig],
+    kitchenStations: ['kitchenStations', normalizeKitchenStationsConfig],
+};
 
-        case ORDER_TYPE.TAKEAWAY:
-            // Takeaway: prepared → paid (skip served, collected)
-            if (currentStatus === 'preparing') return ['prepared', 'cancelled'];
-            if (currentStatus === 'prepared') return ['paid', 'cancelled'];
-            return baseTransitions.filter(s =>
-                !['served', 'collected', 'rider_assigned', 'needs_rider_assignment', 'pickedUp', 'pickedup', 'delivered'].includes(s)
-            );
+/**
+ * Read the branch dispatch settings: `dispatchPolicy`, the features in
+ * BRANCH_FEATURE_CONFIGS, `estimatedTime` prep minutes, `deliveryZones`,
+ * `kitchenResponsePolicy`, `orderStateMachine`, and the
+ * `timezone`/`orderResetHour` that define its business day. Falls back to
+ * the default policy with one-rider, one-order offers when the branch is
+ * missing or the read fails.
+ * Cached per instance for BRANCH_DISPATCH_CONFIG_CACHE_MS.
+ */
+async function getBranchDispatchConfig(branchId) {
+    const cached = branchDispatchConfigCache.get(branchId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.config;
+    }
 
-        case ORDER_TYPE.DINE_IN:
-            // Dine-in: prepared → served → paid (skip collected)
-            if (currentStatus === 'preparing') return ['prepared', 'cancelled'];
-            if (currentStatus === 'prepared') return ['served', 'cancelled'];
-            if (currentStatus === 'served') return ['paid', 'cancelled'];
-            return baseTransitions.filter(s =>
-                !['collected', 'rider_assigned', 'needs_rider_assignment', 'pickedUp', 'pickedup', 'delivered'].includes(s)
-            );
+    let branchData = {};
+    let readFailed = false;
+    try {
+        const branchDoc = await db.collection('Branch').doc(branchId).get();
+        branchData = branchDoc.exists ? branchDoc.data() : {};
+    } catch (err) {
+        readFailed = true;
+        logger.warn(`[${branchId}] Failed to read dispatch config, using defaults: ${err.message}`);
+    }
 
-        default:
-            return baseTransitions;
+    const policyResult = normalizeDispatchPolicy(branchData.dispatchPolicy, DEFAULT_DISPATCH_POLICY);
+    if (policyResult.issues.length > 0) {
+        logger.warn(`[${branchId}] Dispatch policy issues: ${policyResult.issues.join(' | ')}`);
     }
-}
+
+    const zoneResult = normalizeDeliveryZones(branchData.deliveryZones);
+    if (zoneResult.issues.length > 0) {
+        logger.warn(`[${branchId}] Delivery zone issues: ${zoneResult.issues.join(' | ')}`);
+    }
+
+    const kitchenResult = normalizeKitchenResponsePolicies(branchData.kitchenResponsePolicy, KITCHEN_RESPONSE_TIMEOUT_SECONDS);
+    if (kitchenResult.issues.length > 0) {
+        logger.warn(`[${branchId}] Kitchen response policy issues: ${kitchenResult.issues.join(' | ')}`);
+    }
+
+    const stateMachineResult = normalizeStateMachineConfig(branchData.orderStateMachine);
+    if (stateMachineResult.issues.length > 0) {
+        logger.warn(`[${branchId}] Order state machine override issues: ${stateMachineResult.issues.join(' | ')}`);
+    }
+
+    const config = {
+        policy: policyResult.policy,
+        prepTimeMinutes: normalizePrepTimeMinutes(branchData.estimatedTime),
+        deliveryZones: zoneResult.zones,
+        rejectOutOfZone: branchData.deliveryZoneEnforcement === 'reject',
+        kitchenResponse: kitchenResult,
+        orderStateMachine: stateMachineResult.config,
+        businessDay: {
+            timezone: branchData.timezone ? validateTimezone(branchData.timezone) : DEFAULT_TIMEZONE,
+            resetHour: typeof branchData.orderResetHour === 'number' ? branchData.orderResetHour : ORDER_RESET_HOUR,
+        },
+        branchLocation: branchData.location || null,
+    };
+    for (const [key, [field, normalize]] of Object.entries(BRANCH_FEATURE_CONFIGS)) {
+        config[key] = normalize(branchData[field]);
+    }
+
+    if (!readFailed) {
+        branchDispatchConfigCache.set(branchId, { config, expiresAt: Date.now() + BRANCH_DISPATCH_CONFIG_CACHE_MS });
+    }
+    return config;
+}
 
 /**
- * FUNCTION 4: Status Transition Validator (Failsafe)
- * Triggered on ANY order update. Validates status transitions and reverts invalid ones.
- * 
- * Industry-Level Features:
- * - Order-type-aware validation (different flows for delivery/pickup/takeaway/dine-in)
- * - Backward compatibility with legacy statuses
- * - Detailed logging for debugging
- * - Auto-correction for invalid transitions
+ * Fields stamped on a new `rider_assignments` workflow: the policy version it
+ * runs under and the deadline cleanupStaleAssignments enforces.
  */
-exports.validateOrderStatusTransition = onDocumentUpdated(
-    { document: "Orders/{orderId}", region: GCP_LOCATION },
-    async (event) => {
-        const beforeData = event.data.before.data();
-        const afterData = event.data.after.data();
-        const orderId = event.params.orderId;
+function workflowPolicyFields(policy) {
+    return {
+        dispatchPolicyVersion: policy.version,
+        workflowDeadlineAt: new Date(Date.now() + policy.maxWorkflowMinutes * 60 * 1000),
+    };
+}
 
-        const oldStatus = beforeData.status;
-        const newStatus = afterData.status;
+const DISPATCH_QUEUE_SCAN_LIMIT = 50;
 
-        // Only validate if status actually changed
-        if (oldStatus === newStatus) return null;
+/**
+ * Queue entry for an order waiting on a rider. `waitingSince` is when its
+ * rider search started; the promised time is `estimatedDeliveryAt`.
+ */
+function buildDispatchQueueEntry(orderId, orderData, waitingSince) {
+    return {
+        orderId,
+        waitingSinceMs: toMillis(waitingSince) ?? Date.now(),
+        promisedAtMs: toMillis(orderData.estimatedDeliveryAt),
+        orderValue: Number(orderData.totalAmount ?? orderData.subtotal) || 0,
+        isVip: orderData.isVip === true,
+    };
+}
 
-        // Skip validation for Cloud Function-initiated changes
-        if (afterData._cloudFunctionUpdate) {
-            await event.data.after.ref.update({ '_cloudFunctionUpdate': FieldValue.delete() });
-            return null;
+/**
+ * Branch orders waiting for a rider (assignment `searching`), highest
+ * priority first. `extraEntry` adds an order that has no searching doc yet.
+ */
+async function getBranchDispatchQueue(branchId, queueConfig, extraEntry = null) {
+    const snapshot = await db.collection('rider_assignments')
+        .where('branchId', '==', branchId)
+        .where('status', '==', 'searching')
+        .limit(DISPATCH_QUEUE_SCAN_LIMIT)
+        .get();
+
+    const waiting = snapshot.docs.filter((doc) =>
+        doc.data().riderId === 'RETRY_SEARCH' && doc.id !== extraEntry?.orderId);
+    const orderDocs = waiting.length > 0
+        ? await db.getAll(...waiting.map((doc) => db.collection('Orders').doc(doc.id)))
+        : [];
+
+    const entries = [];
+    orderDocs.forEach((orderDoc, index) => {
+        if (!orderDoc.exists) return;
+        const orderData = orderDoc.data();
+        if (orderData.riderId || isAssignmentTerminalStatus(normalizeStatus(orderData.status))) return;
+        const assignData = waiting[index].data();
+        entries.push(buildDispatchQueueEntry(orderDoc.id, orderData, assignData.workflowStartedAt || assignData.createdAt));
+    });
+    if (extraEntry) entries.push(extraEntry);
+
+    return rankDispatchQueue(entries, queueConfig);
+}
+
+/**
+ * Place of an order in its branch dispatch queue. The order should wait
+ * when at least as many orders rank ahead of it as there are eligible
+ * riders, so scarce riders go to the highest-priority orders first.
+ * Never waits if the queue cannot be read.
+ *
+ * @returns {Promise<{shouldWait: boolean, rank: number, queueLength: number}>}
+ */
+async function checkDispatchQueue(orderId, branchId, orderData, waitingSince, eligibleCount, queueConfig) {
+    try {
+        const entry = buildDispatchQueueEntry(orderId, orderData, waitingSince);
+        const queue = await getBranchDispatchQueue(branchId, queueConfig, entry);
+        const rank = queue.findIndex((queued) => queued.orderId === orderId);
+        return { shouldWait: rank >= Math.max(eligibleCount || 0, 1), rank, queueLength: queue.length };
+    } catch (err) {
+        logger.warn(`[${orderId}] Dispatch queue check failed, dispatching anyway: ${err.message}`);
+        return { shouldWait: false, rank: 0, queueLength: 0 };
+    }
+}
+
+/**
+ * Hold the first rider offer back so the best rider's travel time ends
+ * `bufferMinutes` before the branch prep time runs out. Writes a 'scheduled'
+ * assignment (riderId=DELAYED_START) and a Cloud Task that releases it.
+ *
+ * @returns {Promise<boolean>} true when the dispatch was scheduled, false to dispatch now
+ */
+async function scheduleDelayedDispatch(orderId, branchId, orderData, dispatchConfig) {
+    const { policy, delayedDispatch, prepTimeMinutes } = dispatchConfig;
+
+    // Travel estimate from whichever rider would be offered right now
+    const bestRider = await findNextRider(null, orderId, branchId, 'dispatch_estimate');
+    if (!bestRider) {
+        logger.log(`[${orderId}] No rider to time the dispatch against - dispatching now`);
+        return false;
+    }
+
+    const prepStartedAt = orderData.timestamps?.preparing?.toDate?.() || orderData.preparingAt?.toDate?.() || new Date();
+    const delaySeconds = computeDispatchDelaySeconds({
+        prepStartedAt,
+        prepMinutes: prepTimeMinutes,
+        bufferMinutes: delayedDispatch.bufferMinutes,
+        travelSeconds: bestRider.travelSeconds,
+    });
+    if (delaySeconds === 0) {
+        return false;
+    }
+
+    const scheduledDispatchAt = new Date(Date.now() + delaySeconds * 1000);
+    await db.collection('rider_assignments').doc(orderId).set({
+        orderId: orderId,
+        branchId: branchId,
+        riderId: DELAYED_START_RIDER_ID,
+        status: 'scheduled',
+        scheduledDispatchAt: scheduledDispatchAt,
+        prepTimeMinutes: prepTimeMinutes,
+        bufferMinutes: delayedDispatch.bufferMinutes,
+        estimatedTravelSeconds: bestRider.travelSeconds ?? null,
+        dispatchPolicyVersion: policy.version,
+        triedRiders: [],
+        createdAt: FieldValue.serverTimestamp(),
+        retryCount: 0,
+        notificationSent: false,
+    });
+
+    try {
+        await createAssignmentTask(orderId, DELAYED_START_RIDER_ID, delaySeconds);
+    } catch (taskError) {
+        // Without the release task the order would never be offered
+        logger.error(`[${orderId}] ❌ Failed to schedule delayed dispatch, dispatching now: ${taskError.message}`);
+        await db.collection('rider_assignments').doc(orderId).delete();
+        return false;
+    }
+
+    logger.log(`[${orderId}] ⏳ Dispatch delayed ${delaySeconds}s (prep ${prepTimeMinutes}min, buffer ${delayedDispatch.bufferMinutes}min, travel ${bestRider.travelSeconds ?? 'n/a'}s)`);
+    logAssignmentEvent(orderId, 'dispatch_scheduled', {
+        branchId,
+        delaySeconds,
+        scheduledDispatchAt: scheduledDispatchAt.toISOString(),
+        prepTimeMinutes,
+        bufferMinutes: delayedDispatch.bufferMinutes,
+        estimatedTravelSeconds: bestRider.travelSeconds ?? null,
+    });
+    return true;
+}
+
+/**
+ * Atomically remove a 'scheduled' (delayed) assignment so exactly one of the
+ * release task and the early 'prepared' trigger starts the rider search.
+ *
+ * @returns {Promise<boolean>} true if this caller released the dispatch
+ */
+async function claimScheduledDispatch(orderId) {
+    const assignRef = db.collection('rider_assignments').doc(orderId);
+    return db.runTransaction(async (transaction) => {
+        const assignDoc = await transaction.get(assignRef);
+        if (!assignDoc.exists || assignDoc.data().status !== 'scheduled') {
+            return false;
         }
+        transaction.delete(assignRef);
+        return true;
+    });
+}
 
-        // Get order type for type-aware validation
-        const rawOrderType = afterData.Order_type || afterData.orderType || 'delivery';
-        const orderType = normalizeOrderType(rawOrderType);
+/**
+ * Order status after a rider accepts. Preparing (or already prepared)
+ * orders advance to rider_assigned, later statuses are never regressed.
+ */
+function resolveRiderAcceptedStatus(orderStatus) {
+    const nonRegressStatuses = [STATUS.RIDER_ASSIGNED, STATUS.PICKED_UP, STATUS.DELIVERED, 'pickedup'];
 
-        // Normalize statuses for comparison
-        const normalizedOld = normalizeStatus(oldStatus);
-        const normalizedNew = normalizeStatus(newStatus);
+    // needs_rider_assignment: dropped by the previous rider before food was ready
+    if (orderStatus === STATUS.PREPARING || orderStatus === STATUS.PREPARED || orderStatus === STATUS.NEEDS_ASSIGNMENT) {
+        return STATUS.RIDER_ASSIGNED;
+    }
+    if (nonRegressStatuses.map(s => normalizeStatus(s)).includes(normalizeStatus(orderStatus))) {
+        return orderStatus;
+    }
+    return STATUS.PREPARING;
+}
+
+/**
+ * Try to batch waiting same-branch orders with the order being dispatched.
+ * Partners are orders whose assignment is 'searching' (no rider holds an
+ * offer) and whose drop-off is near the anchor's and in the same direction
+ * from the branch. Their assignment docs are absorbed into the anchor's so
+ * one rider gets a single offer for the whole batch.
+ *
+ * @returns {Promise<object|null>} { batchId, orderIds } when a batch was formed,
+ *   { absorbedInto } when this order rides in another order's batch, or null
+ *   when nothing was batched (a batch anchor searches for its batch as is).
+ */
+async function tryFormOrderBatch(orderId, branchId, orderData, dispatchConfig) {
+    const { batching, branchLocation } = dispatchConfig;
+    if (!batching.enabled) return null;
+    if (orderData?.batchId) {
+        const batchDoc = await db.collection('order_batches').doc(orderData.batchId).get();
+        return isBatchPartner(batchDoc.exists ? batchDoc.data() : null, orderId)
+            ? { absorbedInto: orderData.batchId }
+            : null;
+    }
 
-        // Get valid transitions based on order type
-        const allowedNextStatuses = getValidTransitionsForOrderType(normalizedOld, rawOrderType);
+    const origin = toLatLng(branchLocation);
+    const anchorLocation = resolveDeliveryLocation(orderData);
+    if (!origin || !anchorLocation) {
+        logger.log(`[${orderId}] Batching skipped - missing branch or drop-off location`);
+        return null;
+    }
 
-        // Also check base transitions for PERMISSIVE backward compatibility
-        // If the base state machine allows the transition, we always allow it
-        // This prevents blocking valid transitions when order type detection fails
-        const baseTransitions = VALID_TRANSITIONS[normalizedOld] || VALID_TRANSITIONS[oldStatus] || [];
+    try {
+        const waitingSnapshot = await db.collection('rider_assignments')
+            .where('branchId', '==', branchId)
+            .where('status', '==', 'searching')
+            .limit(20)
+            .get();
 
-        // IMPORTANT: Allow if EITHER the order-type-specific OR the base allows it
-        const isValidTransition = allowedNextStatuses.includes(newStatus) ||
-            allowedNextStatuses.includes(normalizedNew) ||
-            baseTransitions.includes(newStatus) ||
-            baseTransitions.includes(normalizedNew);
-
-        // Additional safety: Always allow transitions to new non-delivery statuses
-        const isNewNonDeliveryStatus = ['prepared', 'served', 'paid', 'collected'].includes(newStatus);
-        const fromPreparing = normalizedOld === 'preparing';
-        const fromPrepared = normalizedOld === 'prepared';
-        const fromServed = normalizedOld === 'served';
-
-        // Always allow: preparing -> prepared, prepared -> served/paid/collected, served -> paid
-        const isValidNonDeliveryFlow =
-            (fromPreparing && newStatus === 'prepared') ||
-            (fromPrepared && ['served', 'paid', 'collected'].includes(newStatus)) ||
-            (fromServed && newStatus === 'paid');
-
-        if (!isValidTransition && !isValidNonDeliveryFlow) {
-            logger.warn(`⚠️ [${orderId}] Invalid status transition for ${orderType}: ${oldStatus} → ${newStatus}. Reverting...`);
-            logger.warn(`[${orderId}] Valid transitions from '${oldStatus}': order-type=${JSON.stringify(allowedNextStatuses)}, base=${JSON.stringify(baseTransitions)}`);
+        const waitingOrderIds = waitingSnapshot.docs.map((doc) => doc.id).filter((id) => id !== orderId);
+        if (waitingOrderIds.length === 0) return null;
 
-            let correctedStatus = oldStatus;
+        const waitingOrderDocs = await db.getAll(...waitingOrderIds.map((id) => db.collection('Orders').doc(id)));
+        const candidates = waitingOrderDocs
+            .filter((doc) => {
+                if (!doc.exists) return false;
+                const data = doc.data();
+                return normalizeOrderType(data.Order_type || data.orderType) === ORDER_TYPE.DELIVERY &&
+                    !data.riderId &&
+                    !data.batchId &&
+                    !isAssignmentTerminalStatus(normalizeStatus(data.status));
+            })
+            .map((doc) => ({ orderId: doc.id, location: resolveDeliveryLocation(doc.data()) }));
 
-            // Special case: If jumping to rider_assigned from pending
-            if (newStatus === STATUS.RIDER_ASSIGNED && oldStatus === STATUS.PENDING) {
-                correctedStatus = STATUS.PREPARING;
-                logger.log(`[${orderId}] Cannot skip to rider_assigned from pending. Setting to preparing`);
-            }
+        const partners = selectBatchPartners(origin, { orderId, location: anchorLocation }, candidates, batching);
+        if (partners.length === 0) return null;
 
-            // Special case: Non-delivery trying to go to needs_rider_assignment
-            if (newStatus === STATUS.NEEDS_ASSIGNMENT && orderType !== ORDER_TYPE.DELIVERY) {
-                if (oldStatus === STATUS.PREPARING) {
-                    correctedStatus = STATUS.PREPARED;
-                    logger.log(`[${orderId}] Non-delivery order cannot go to needs_rider_assignment. Setting to prepared`);
-                }
+        const plannedSequence = planDropSequence(origin, [{ orderId, location: anchorLocation }, ...partners]);
+        const batchRef = db.collection('order_batches').doc();
+
+        const result = await db.runTransaction(async (transaction) => {
+            const anchorOrderRef = db.collection('Orders').doc(orderId);
+            const partnerAssignRefs = partners.map((partner) => db.collection('rider_assignments').doc(partner.orderId));
+            const partnerOrderRefs = partners.map((partner) => db.collection('Orders').doc(partner.orderId));
+
+            const [anchorOrderDoc, ...partnerDocs] = await transaction.getAll(
+                anchorOrderRef, ...partnerAssignRefs, ...partnerOrderRefs
+            );
+            if (anchorOrderDoc.exists && anchorOrderDoc.data().batchId) {
+                return { absorbedInto: anchorOrderDoc.data().batchId };
             }
 
-            await event.data.after.ref.update({
-                'status': correctedStatus,
-                '_cloudFunctionUpdate': true,
-                '_invalidTransitionLog': FieldValue.arrayUnion({
-                    attemptedTransition: `${oldStatus} → ${newStatus}`,
-                    orderType: orderType,
-                    allowedTransitions: allowedNextStatuses,
-                    correctedTo: correctedStatus,
-                    timestamp: new Date().toISOString(),
-                }),
+            const partnerAssignDocs = partnerDocs.slice(0, partners.length);
+            const partnerOrderDocs = partnerDocs.slice(partners.length);
+
+            // CRITICAL: Re-verify partners are still waiting inside the transaction
+            const joinedPartnerIds = partners
+                .filter((partner, index) => {
+                    const assignDoc = partnerAssignDocs[index];
+                    const partnerOrderDoc = partnerOrderDocs[index];
+                    return assignDoc.exists && assignDoc.data().status === 'searching' &&
+                        partnerOrderDoc.exists && !partnerOrderDoc.data().riderId && !partnerOrderDoc.data().batchId;
+                })
+                .map((partner) => partner.orderId);
+
+            if (joinedPartnerIds.length === 0) return null;
+
+            const orderIds = plannedSequence.filter((id) => id === orderId || joinedPartnerIds.includes(id));
+
+            transaction.set(batchRef, {
+                batchId: batchRef.id,
+                branchId: branchId,
+                anchorOrderId: orderId,
+                orderIds: orderIds,
+                dropSequence: orderIds,
+                activeOrderIds: orderIds,
+                status: 'offering',
+                riderId: null,
+                radiusKm: batching.radiusKm,
+                maxBearingDeltaDegrees: batching.maxBearingDeltaDegrees,
+                createdAt: FieldValue.serverTimestamp(),
             });
 
-            logger.log(`✅ [${orderId}] Status corrected to '${correctedStatus}'`);
+            orderIds.forEach((id, index) => {
+                transaction.update(db.collection('Orders').doc(id), {
+                    'batchId': batchRef.id,
+                    'batchOrderIds': orderIds,
+                    'batchSequence': index + 1,
+                    'lastAssignmentUpdate': FieldValue.serverTimestamp(),
+                });
+            });
+
+            // Partners stop searching on their own; the anchor's offer covers them
+            joinedPartnerIds.forEach((id) => {
+                transaction.delete(db.collection('rider_assignments').doc(id));
+            });
+
+            return { batchId: batchRef.id, orderIds, joinedPartnerIds };
+        });
+
+        if (result?.batchId) {
+            logger.log(`[${orderId}] 📦 Formed batch ${result.batchId} with ${result.orderIds.length} orders: ${result.orderIds.join(', ')}`);
+            for (const id of result.orderIds) {
+                logAssignmentEvent(id, 'order_batched', {
+                    batchId: result.batchId,
+                    anchorOrderId: orderId,
+                    dropSequence: result.orderIds,
+                });
+            }
         }
 
+        return result;
+    } catch (err) {
+        // Batching is an optimisation - dispatch the order on its own if it fails
+        logger.warn(`[${orderId}] Order batching failed, dispatching alone: ${err.message}`);
         return null;
     }
-);
+}
 
 /**
- * FUNCTION 5: Send FCM notification to rider (called from client)
- * This is the proper way to send FCM - from server with Admin SDK
- * 
- * SECURITY FEATURES:
- * - onCall functions automatically verify Firebase Auth tokens
- * - Input validation with type checking and length limits
- * - Sanitization of string inputs
- * - Audit logging for security events
+ * Remove an order that reached an assignment-terminal status from its batch.
+ * - Accepted batch: the rider's batch drop list shrinks. Capacity slots are
+ *   freed separately by releaseRiderOrder.
+ * - Batch still being offered and the anchor left: the next order becomes the
+ *   anchor and gets its own searching assignment.
+ *
+ * @returns {Promise<{riderId: string|null, reanchoredTo: string|null}>}
  */
-exports.sendRiderNotification = require("firebase-functions/v2/https").onCall(
-    { region: GCP_LOCATION },
-    async (request) => {
-        // ===============================================================
-        // SECURITY: Authentication is automatically handled by onCall
-        // request.auth contains the verified auth token if user is logged in
-        // ===============================================================
-        if (!request.auth) {
-            logger.error('🔒 SECURITY: Unauthenticated call to sendRiderNotification');
-            throw new Error('Authentication required');
-        }
+async function releaseOrderFromBatch(orderId, orderData) {
+    const outcome = { riderId: null, reanchoredTo: null };
+    const batchRef = db.collection('order_batches').doc(orderData.batchId);
 
-        const callerUid = request.auth.uid;
-        const callerEmail = request.auth.token.email || 'unknown';
+    try {
+        const result = await db.runTransaction(async (transaction) => {
+            const batchDoc = await transaction.get(batchRef);
+            if (!batchDoc.exists) return outcome;
 
-        // ===============================================================
-        // INPUT VALIDATION
-        // ===============================================================
-        const { riderId, orderId, title, body } = request.data || {};
+            const batchData = batchDoc.data();
+            const removal = removeOrderFromBatch(batchData, orderId);
+            if (!removal.wasActive) return outcome;
 
-        // Validate riderId
-        if (!riderId || typeof riderId !== 'string') {
-            throw new Error('riderId is required and must be a string');
-        }
-        if (riderId.length > 128 || !/^[A-Za-z0-9_-]+$/.test(riderId)) {
-            logger.warn(`Invalid riderId format from ${callerEmail}: ${riderId.substring(0, 20)}...`);
-            throw new Error('Invalid riderId format');
-        }
+            const isAccepted = batchData.status === 'accepted' && batchData.riderId;
+            const riderRef = isAccepted ? db.collection('staff').doc(batchData.riderId) : null;
+            const riderDoc = riderRef ? await transaction.get(riderRef) : null;
 
-        // Validate orderId
-        if (!orderId || typeof orderId !== 'string') {
-            throw new Error('orderId is required and must be a string');
-        }
-        if (orderId.length > 128 || !/^[A-Za-z0-9_-]+$/.test(orderId)) {
-            logger.warn(`Invalid orderId format from ${callerEmail}: ${orderId.substring(0, 20)}...`);
-            throw new Error('Invalid orderId format');
-        }
+            const batchUpdate = {
+                activeOrderIds: removal.activeOrderIds,
+                lastUpdated: FieldValue.serverTimestamp(),
+            };
+            if (removal.isEmpty) {
+                batchUpdate.status = isAccepted ? 'completed' : 'cancelled';
+            }
 
-        // Validate and sanitize title (optional)
-        let sanitizedTitle = '🎯 New Order Assignment';
-        if (title) {
-            if (typeof title !== 'string') {
-                throw new Error('title must be a string');
+            if (isAccepted) {
+                if (riderDoc?.exists && riderDoc.data().assignedBatchId === batchDoc.id) {
+                    transaction.update(riderRef, removal.isEmpty
+                        ? {
+                            'assignedBatchId': FieldValue.delete(),
+                            'batchOrderIds': FieldValue.delete(),
+                        }
+                        : {
+                            'batchOrderIds': removal.activeOrderIds,
+                        });
+                }
+                transaction.update(batchRef, batchUpdate);
+                return { ...outcome, riderId: batchData.riderId };
             }
-            // Max 100 characters, remove HTML tags and control characters
-            sanitizedTitle = title
-                .substring(0, 100)
-                .replace(/<[^>]*>/g, '')
-                .replace(/[\x00-\x1F\x7F]/g, '')
-                .trim();
-        }
 
-        // Validate and sanitize body (optional)
-        let sanitizedBody = `You have been assigned order ${orderId}`;
-        if (body) {
-            if (typeof body !== 'string') {
-                throw new Error('body must be a string');
+            if (batchData.anchorOrderId === orderId && !removal.isEmpty) {
+                const { policy } = await getBranchDispatchConfig(batchData.branchId);
+                batchUpdate.anchorOrderId = removal.nextOrderId;
+                transaction.set(db.collection('rider_assignments').doc(removal.nextOrderId), {
+                    orderId: removal.nextOrderId,
+                    branchId: batchData.branchId,
+                    riderId: 'RETRY_SEARCH',
+                    status: 'searching',
+                    triedRiders: [],
+                    createdAt: FieldValue.serverTimestamp(),
+                    workflowStartedAt: FieldValue.serverTimestamp(),
+                    ...workflowPolicyFields(policy),
+                    retryCount: 0,
+                    notificationSent: false,
+                });
+                transaction.update(batchRef, batchUpdate);
+                return { ...outcome, reanchoredTo: removal.nextOrderId };
             }
-            // Max 500 characters, remove HTML tags and control characters
-            sanitizedBody = body
-                .substring(0, 500)
-                .replace(/<[^>]*>/g, '')
-                .replace(/[\x00-\x1F\x7F]/g, '')
-                .trim();
+
+            transaction.update(batchRef, batchUpdate);
+            return outcome;
+        });
+
+        if (result.reanchoredTo) {
+            logger.log(`[${orderId}] Batch ${orderData.batchId} re-anchored to ${result.reanchoredTo}`);
+            await createAssignmentTask(result.reanchoredTo, 'RETRY_SEARCH', 2);
         }
+        return result;
+    } catch (err) {
+        logger.error(`[${orderId}] Failed to release order from batch ${orderData.batchId}:`, err);
+        return outcome;
+    }
+}
 
-        // Sanitize IDs for use in database queries
-        const sanitizedRiderId = riderId.replace(/[^A-Za-z0-9_-]/g, '');
-        const sanitizedOrderId = orderId.replace(/[^A-Za-z0-9_-]/g, '');
+/**
+ * Offer an order to the top N ranked riders at once (broadcast mode).
+ * All lockable candidates are locked in one transaction and share a single
+ * assignment doc with riderId=BROADCAST. The first rider to write
+ * status='accepted' (with their own riderId) wins; Firestore rules reject
+ * every later write because the status is no longer 'pending'.
+ *
+ * @param {string} orderId - The order ID
+ * @param {string} branchId - Branch the assignment belongs to
+ * @param {object} nextRider - findNextRider result (uses its candidateScores)
+ * @param {object} orderData - Order data for notification content
+ * @param {object|null} previousAssignment - Existing assignment data when retrying
+ * @param {object} dispatchConfig - getBranchDispatchConfig result (broadcast size, policy)
+ * @returns {Promise<string[]>} Rider IDs that were locked and notified
+ */
+async function startBroadcastOffer(orderId, branchId, nextRider, orderData, previousAssignment, dispatchConfig) {
+    const { broadcast, policy } = dispatchConfig;
+    const assignRef = db.collection('rider_assignments').doc(orderId);
+    const candidates = (nextRider.candidateScores && nextRider.candidateScores.length > 0)
+        ? nextRider.candidateScores
+        : [{ riderId: nextRider.riderId, distanceKm: nextRider.distance }];
+    const candidateIds = candidates.slice(0, broadcast.size).map((candidate) => candidate.riderId);
+    const previousTried = previousAssignment?.triedRiders || [];
+    const previousBroadcastRiders = previousAssignment?.broadcastRiders || [];
+    const attemptNumber = countDispatchAttempts(previousAssignment) + 1;
+
+    const lockedRiderIds = await db.runTransaction(async (transaction) => {
+        const riderRefs = candidateIds.map((riderId) => db.collection('staff').doc(riderId));
+        const riderDocs = await transaction.getAll(...riderRefs);
+
+        // CRITICAL: Re-verify each rider is still available inside the transaction
+        const lockable = riderDocs.filter((riderDoc) => {
+            if (!riderDoc.exists) return false;
+            const riderData = riderDoc.data();
+            return riderData.isAvailable === true &&
+                riderData.status === 'online' &&
+                (!riderData.currentOfferOrderId || riderData.currentOfferOrderId === orderId);
+        });
 
-        try {
-            const riderDoc = await db.collection('staff').doc(sanitizedRiderId).get();
-            if (!riderDoc.exists) {
-                logger.warn(`Rider ${sanitizedRiderId} not found (called by ${callerEmail})`);
-                return { success: false, reason: 'Rider not found' };
-            }
+        if (lockable.length === 0) {
+            return [];
+        }
 
-            const fcmToken = riderDoc.data().fcmToken;
-            if (!fcmToken) {
-                logger.warn(`Rider ${sanitizedRiderId} has no FCM token`);
-                return { success: false, reason: 'No FCM token' };
-            }
+        const riderIds = lockable.map((riderDoc) => riderDoc.id);
+        transaction.set(assignRef, {
+            orderId: orderId,
+            branchId: branchId,
+            riderId: BROADCAST_RIDER_ID,
+            mode: 'broadcast',
+            offeredRiders: riderIds,
+            declinedBy: [],
+            broadcastRound: (previousAssignment?.broadcastRound || 0) + 1,
+            status: 'pending',
+            createdAt: FieldValue.serverTimestamp(),
+            workflowStartedAt: previousAssignment?.workflowStartedAt || FieldValue.serverTimestamp(),
+            ...(previousAssignment
+                ? { workflowDeadlineAt: previousAssignment.workflowDeadlineAt || null, dispatchPolicyVersion: policy.version }
+                : workflowPolicyFields(policy)),
+            assignmentTimeoutSeconds: policy.assignmentTimeoutSeconds,
+            expiresAt: new Date(Date.now() + policy.assignmentTimeoutSeconds * 1000),
+            triedRiders: [...new Set([...previousTried, ...riderIds])],
+            broadcastRiders: [...new Set([...previousBroadcastRiders, ...riderIds])],
+            rejectedBy: previousAssignment?.rejectedBy || [],
+            notificationSent: false,
+            retryCount: previousAssignment?.retryCount || 0,
+        });
 
-            const message = {
-                notification: {
-                    title: sanitizedTitle,
-                    body: sanitizedBody,
-                },
-                data: {
-                    type: 'order_assignment',
-                    orderId: sanitizedOrderId,
-                    click_action: 'FLUTTER_NOTIFICATION_CLICK',
-                },
-                token: fcmToken,
-            };
+        lockable.forEach((riderDoc) => {
+            transaction.update(riderDoc.ref, {
+                'isAvailable': false,
+                'currentOfferOrderId': orderId
+            });
+        });
 
-            await admin.messaging().send(message);
-            logger.log(`FCM sent to rider ${sanitizedRiderId} for order ${sanitizedOrderId} (by ${callerEmail})`);
-            return { success: true };
-        } catch (err) {
-            // SECURITY: Don't expose internal error details
-            logger.error(`Failed to send FCM to rider ${sanitizedRiderId}:`, err);
-            return {
-                success: false,
-                reason: 'Failed to send notification. Please try again.'
-            };
-        }
+        return riderIds;
+    });
+
+    if (lockedRiderIds.length === 0) {
+        return [];
     }
-);
 
-// -------------------- ORDER NUMBER CONFIGURATION --------------------
-const ORDER_RESET_HOUR = 0; // Reset at 12:00 AM (midnight) local time
-const DEFAULT_TIMEZONE = 'Asia/Qatar'; // Default timezone for Qatar-based operations
-const MAX_RETRIES = 3;
-const DEFAULT_BRANCH_PREFIX = 'ORD'; // Default prefix if branch has none configured
+    await Promise.all(lockedRiderIds.map((riderId) => sendAssignmentFCM(riderId, orderId, orderData)));
+
+    try {
+        await createAssignmentTask(orderId, BROADCAST_RIDER_ID, policy.assignmentTimeoutSeconds);
+    } catch (taskError) {
+        // cleanupStaleAssignments unlocks the riders if the timeout never fires
+        logger.error(`[${orderId}] ❌ Failed to create broadcast timeout task: ${taskError.message}`);
+    }
+
+    logger.log(`[${orderId}] 📣 Broadcast offer sent to ${lockedRiderIds.length} riders: ${lockedRiderIds.join(', ')}`);
+
+    for (const riderId of lockedRiderIds) {
+        const candidate = candidates.find((entry) => entry.riderId === riderId);
+        logAssignmentEvent(orderId, 'rider_offered', {
+            riderId,
+            riderName: await resolveRiderName(riderId),
+            attemptNumber,
+            distance: typeof candidate?.distanceKm === 'number' ? candidate.distanceKm.toFixed(2) : 'N/A',
+            timeoutSeconds: policy.assignmentTimeoutSeconds,
+            mode: 'broadcast',
+            scoreBreakdown: candidate || null,
+        });
+        recordRiderDispatchOutcome(riderId, 'offered');
+    }
+
+    return lockedRiderIds;
+}
 
 /**
- * Calculate business date based on reset hour.
- * Orders placed before reset hour belong to previous business day.
- * @param {DateTime} now - Current time in branch timezone
- * @param {number} resetHour - Hour when order numbers reset (0-23)
- * @returns {string} Business date in YYYY-MM-DD format
+ * Unlock broadcast recipients that newly declined and, once every recipient
+ * has declined, return the assignment to searching for the next round.
  */
-function getBusinessDate(now, resetHour = ORDER_RESET_HOUR) {
-    if (now.hour < resetHour) {
-        return now.minus({ days: 1 }).toFormat('yyyy-MM-dd');
+async function handleBroadcastDeclines(event, beforeData, afterData, orderId) {
+    const declinedRiders = getNewlyDeclinedRiders(beforeData, afterData);
+    if (declinedRiders.length === 0) {
+        return;
+    }
+
+    for (const riderId of declinedRiders) {
+        logger.log(`[${orderId}] 🚫 Rider ${riderId} DECLINED broadcast offer`);
+        logAssignmentEvent(orderId, 'rider_rejected', {
+            riderId,
+            riderName: await resolveRiderName(riderId),
+            mode: 'broadcast',
+        });
+        recordRiderDispatchOutcome(riderId, 'rejected');
+        await unlockRider(riderId, orderId);
+    }
+
+    if (!isBroadcastExhausted(afterData)) {
+        return;
+    }
+
+    logger.log(`[${orderId}] All broadcast recipients declined. Searching for next round...`);
+    try {
+        await event.data.after.ref.update({
+            status: 'searching',
+            riderId: 'RETRY_SEARCH',
+            rejectedBy: FieldValue.arrayUnion(...afterData.declinedBy),
+            lastRejectionAt: FieldValue.serverTimestamp(),
+            notificationSent: false,
+        });
+        await createAssignmentTask(orderId, 'RETRY_SEARCH', 2); // Min 2s delay
+    } catch (err) {
+        logger.error(`[${orderId}] Failed to restart search after broadcast declines:`, err);
     }
-    return now.toFormat('yyyy-MM-dd');
 }
 
 /**
- * Format business date for display in order number (YYMMDD)
- * @param {string} businessDate - Date in YYYY-MM-DD format
- * @returns {string} Date in YYMMDD format
+ * Unlock broadcast recipients who lost the race and tell their app the
+ * offer is gone.
  */
-function formatDateForOrderNumber(businessDate) {
-    const parts = businessDate.split('-');
-    const year = parts[0].slice(-2); // Last 2 digits of year
-    const month = parts[1];
-    const day = parts[2];
-    return `${year}${month}${day}`;
+async function withdrawBroadcastOffer(orderId, riderIds) {
+    for (const riderId of riderIds) {
+        await unlockRider(riderId, orderId);
+        await sendOfferWithdrawnFCM(riderId, orderId);
+        logAssignmentEvent(orderId, 'offer_withdrawn', {
+            riderId,
+            reason: 'Another rider accepted first',
+        });
+    }
 }
 
 /**
- * Generate fallback order number when counter fails.
- * Uses timestamp to ensure uniqueness while still being readable.
- * @param {string} prefix - Branch prefix
- * @param {string} businessDate - Business date
- * @returns {string} Fallback order number like "ZKD-260107-T456"
+ * Log an assignment event to the audit trail subcollection.
+ * Events are fire-and-forget — failures are logged but never block the main workflow.
+ *
+ * @param {string} orderId - The order document ID
+ * @param {string} eventType - One of: 'workflow_started', 'rider_offered', 'rider_timeout',
+ *                             'rider_rejected', 'rider_accepted', 'retry_search', 'moved_to_manual',
+ *                             'offer_withdrawn', 'manual_assigned', 'rider_dropped',
+ *                             'rider_search', 'order_delivered', 'delivery_otp_verified',
+ *                             'delivery_otp_override'
+ * @param {object} details - Event-specific metadata
  */
-function generateFallbackOrderNumber(prefix, businessDate) {
-    const dateStr = formatDateForOrderNumber(businessDate);
-    const timestamp = Date.now().toString().slice(-3);
-    return `${prefix}-${dateStr}-T${timestamp}`;
+async function logAssignmentEvent(orderId, eventType, details = {}) {
+    try {
+        await db.collection('rider_assignments').doc(orderId)
+            .collection('events').add({
+                type: eventType,
+                timestamp: FieldValue.serverTimestamp(),
+                ...details,
+            });
+    } catch (err) {
+        // Fire-and-forget: never block the main workflow for logging failures
+        logger.warn(`[${orderId}] Failed to log assignment event '${eventType}': ${err.message}`);
+    }
 }
 
 /**
- * Format the order number with proper padding
- * @param {string} prefix - Branch prefix (e.g., "ZKD")
- * @param {string} businessDate - Business date (YYYY-MM-DD)
- * @param {number} sequenceNumber - Sequential number for the day
- * @returns {string} Formatted order number (e.g., "ZKD-260107-001")
+ * Resolve rider name from staff doc for event logging.
+ * Returns the riderId on any failure to avoid blocking.
  */
-function formatOrderNumber(prefix, businessDate, sequenceNumber) {
-    const dateStr = formatDateForOrderNumber(businessDate);
-    // Pad to 3 digits, supports up to 999 orders per branch per day
-    // If more than 999, it will show 1000, 1001, etc. (4 digits)
-    const paddedSequence = String(sequenceNumber).padStart(3, '0');
-    return `${prefix}-${dateStr}-${paddedSequence}`;
+async function resolveRiderName(riderId) {
+    try {
+        const doc = await db.collection('staff').doc(riderId).get();
+        return doc.exists ? (doc.data().name || riderId) : riderId;
+    } catch {
+        return riderId;
+    }
 }
 
+const MAX_LOGGED_CANDIDATE_SCORES = 10;
+
+// Geohash rider search: ring precisions from ~0.6km up to ~20km around the branch
+const GEOHASH_SEARCH_PRECISIONS = [6, 5, 4];
+const GEOHASH_MIN_CANDIDATES = 5;
+
 /**
- * FUNCTION 6: Generate Daily Order Number
- * 
- * Industry-Grade Features:
- * - Formatted order numbers: {PREFIX}-{YYMMDD}-{NNN}
- * - One shared sequence for every order source in the same branch/business day
- * - Branch-specific prefixes for easy identification
- * - Business day logic (configurable reset hour)
- * - Timezone-aware using branch configuration
- * - Atomic counter increment using Firestore transactions
- * - Retry logic with exponential backoff
- * - Fallback mechanism if all retries fail
- * - Rich metadata for debugging and analytics
- * 
- * Example output: "ZKD-260107-001" (Branch ZKD, Jan 7 2026, Order #1)
+ * Whether a staff doc is a rider who could take this order's offer right
+ * now. findNextRider widens its search until GEOHASH_MIN_CANDIDATES of
+ * these are known.
  */
-const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+function isDispatchableRiderDoc(doc, orderId, triedRiders, capacityConfig, presenceConfig, nowMs) {
+    const data = doc.data();
+    const presence = classifyRiderPresence(data, presenceConfig, nowMs);
+    return (data.staffType === 'driver' || data.role === 'driver') &&
+        data.isAvailable === true &&
+        data.status === 'online' &&
+        !triedRiders.includes(doc.id) &&
+        getRemainingCapacity(data, capacityConfig) > 0 &&
+        !presence.isSilent &&
+        !presence.isLocationStale &&
+        !(data.currentOfferOrderId && data.currentOfferOrderId !== orderId);
+}
+const GEOHASH_CELL_QUERY_LIMIT = 20;
+
+function getDispatchStatsDateKey() {
+    return DateTime.now().setZone(DEFAULT_TIMEZONE).toFormat('yyyy-MM-dd');
+}
 
 /**
- * FUNCTION 6: Generate Daily Order Number
- * 
- * Industry-Grade Features:
- * - Formatted order numbers: {PREFIX}-{YYMMDD}-{NNN}
- * - One shared sequence for every order source in the same branch/business day
- * - Branch-specific prefixes for easy identification
- * - Business day logic (configurable reset hour)
- * - Timezone-aware using branch configuration
- * - Atomic counter increment using Firestore transactions
- * - Retry logic with exponential backoff
- * - Fallback mechanism if all retries fail
- * - Rich metadata for debugging and analytics
- * - Supports both Creation and Updates (e.g. if branchId is patched in late)
- * 
- * Example output: "ZKD-260107-001" (Branch ZKD, Jan 7 2026, Order #1)
+ * Record a dispatch outcome on the rider's `dispatchStats` map, which feeds
+ * the acceptance-rate, idle-time and timeout factors of rider scoring.
+ * Fire-and-forget like logAssignmentEvent.
+ *
+ * @param {string} riderId - The rider's document ID
+ * @param {string} outcome - One of: 'offered', 'accepted', 'rejected', 'timeout', 'delivered'
  */
-exports.generateOrderNumber = onDocumentWritten(
-    { document: "Orders/{orderId}", region: GCP_LOCATION },
-    async (event) => {
-        // 1. Skip if document was deleted
-        if (!event.data.after.exists) return;
-
-        const orderData = event.data.after.data();
-        const orderId = event.params.orderId;
+async function recordRiderDispatchOutcome(riderId, outcome) {
+    if (!riderId || riderId === 'RETRY_SEARCH') return;
+    try {
+        const riderRef = db.collection('staff').doc(riderId);
+        await db.runTransaction(async (transaction) => {
+            const riderDoc = await transaction.get(riderRef);
+            if (!riderDoc.exists) return;
+            const dispatchStats = applyDispatchOutcome(
+                riderDoc.data().dispatchStats,
+                outcome,
+                getDispatchStatsDateKey()
+            );
+            transaction.update(riderRef, { dispatchStats });
+        });
+    } catch (err) {
+        logger.warn(`Failed to record dispatch outcome '${outcome}' for rider ${riderId}: ${err.message}`);
+    }
+}
 
-        // 2. IDEMPOTENCY CHECK:
-        // Only skip when a final formatted order number is already assigned.
-        // Legacy POS clients may still write an integer here; we intentionally
-        // replace that with the shared backend-generated sequence.
-        const existingDailyOrderNumber = orderData.dailyOrderNumber;
-        if (typeof existingDailyOrderNumber === 'string' &&
-            existingDailyOrderNumber.trim() !== '') {
-            return;
+/**
+ * Move order to manual assignment and clean up any pending assignment state.
+ * ALWAYS unlocks the pending rider before transitioning.
+ * @param {string} orderId - The order ID
+ * @param {string} reason - Reason for moving to manual
+ * @param {string|null} riderToUnlock - Specific rider to unlock (optional)
+ * @param {boolean} skipAssignmentCleanup - If true, skip deleting the assignment doc
+ *   (caller will handle it). Prevents double-delete when caller also deletes.
+ */
+async function markOrderForManualAssignment(orderId, reason, riderToUnlock = null, skipAssignmentCleanup = false) {
+    logger.warn(`[${orderId}] Moving to manual assignment. Reason: ${reason}`);
+    try {
+        // Step 1: Unlock any pending rider first
+        if (riderToUnlock) {
+            await unlockRider(riderToUnlock, orderId);
+        } else if (!skipAssignmentCleanup) {
+            // Only fetch and clean assignment record if caller hasn't opted out
+            try {
+                const assignDoc = await db.collection('rider_assignments').doc(orderId).get();
+                if (assignDoc.exists) {
+                    await unlockAssignmentRiders(assignDoc.data(), orderId);
+                    // Clean up assignment record
+                    await db.collection('rider_assignments').doc(orderId).delete();
+                    logger.log(`[${orderId}] Cleaned up assignment record`);
+                }
+            } catch (cleanupErr) {
+                logger.warn(`[${orderId}] Assignment cleanup warning: ${cleanupErr.message}`);
+            }
         }
 
-        // 3. Extract branchId with robust fallback logic
-        // Priority: top-level branchId -> top-level branchIds[0] -> items[0].branchId
-        let branchId = orderData.branchId;
+        // Step 2: Update order status to manual assignment
+        await db.collection('Orders').doc(orderId).update({
+            'status': STATUS.NEEDS_ASSIGNMENT,
+            'assignmentNotes': reason,
+            'autoAssignStarted': FieldValue.delete(),
+        });
+        logger.log(`[${orderId}] ✅ Order marked for manual assignment`);
 
-        if (!branchId && orderData.branchIds && Array.isArray(orderData.branchIds) && orderData.branchIds.length > 0) {
-            branchId = orderData.branchIds[0];
-        }
+        // Step 3: An unclaimed batch falls apart - its other orders go to manual too
+        await dissolveOfferingBatch(orderId, reason);
+    } catch (err) {
+        logger.error(`[${orderId}] Failed to mark for manual assignment:`, err);
+    }
+}
 
-        if (!branchId && orderData.items && Array.isArray(orderData.items) && orderData.items.length > 0) {
-            // Check first item for branchId
-            if (orderData.items[0].branchId) {
-                branchId = orderData.items[0].branchId;
-                logger.log(`[${orderId}] Found branchId ${branchId} in items list`);
-            }
-        }
+/**
+ * Dissolve the batch an order belongs to if no rider has accepted it yet.
+ * The remaining batch orders are moved to manual assignment with the same reason.
+ */
+async function dissolveOfferingBatch(orderId, reason) {
+    const orderDoc = await db.collection('Orders').doc(orderId).get();
+    const batchId = orderDoc.exists ? orderDoc.data().batchId : null;
+    if (!batchId) return;
+
+    const batchRef = db.collection('order_batches').doc(batchId);
+    const otherOrderIds = await db.runTransaction(async (transaction) => {
+        const batchDoc = await transaction.get(batchRef);
+        if (!batchDoc.exists || batchDoc.data().status !== 'offering') return [];
+
+        const activeOrderIds = batchDoc.data().activeOrderIds || [];
+        transaction.update(batchRef, {
+            status: 'dissolved',
+            activeOrderIds: [],
+            dissolvedReason: reason,
+            lastUpdated: FieldValue.serverTimestamp(),
+        });
+        activeOrderIds.forEach((id) => {
+            transaction.update(db.collection('Orders').doc(id), {
+                'batchId': FieldValue.delete(),
+                'batchOrderIds': FieldValue.delete(),
+                'batchSequence': FieldValue.delete(),
+            });
+        });
+        return activeOrderIds.filter((id) => id !== orderId);
+    });
 
-        // 4. If still no branchId, warn but don't fail hard - we might need to wait for a future update
-        // However, to avoid being stuck forever, if the order is old (> 1 min) and still no branchId, we might default to global?
-        // For now, let's log a warning. If we don't return here, we fall back to global sequence.
-        // Better to wait if it's very fresh, but for now we proceed to Global if missing.
+    for (const otherOrderId of otherOrderIds) {
+        const otherOrderDoc = await db.collection('Orders').doc(otherOrderId).get();
+        if (!otherOrderDoc.exists) continue;
+        const otherOrderData = otherOrderDoc.data();
+        if (otherOrderData.riderId || isAssignmentTerminalStatus(normalizeStatus(otherOrderData.status))) continue;
 
-        // Fetch branch configuration
-        let branchPrefix = DEFAULT_BRANCH_PREFIX;
-        let branchTimezone = DEFAULT_TIMEZONE;
-        let resetHour = ORDER_RESET_HOUR;
+        await otherOrderDoc.ref.update({
+            'status': STATUS.NEEDS_ASSIGNMENT,
+            'assignmentNotes': `${reason} (batch ${batchId})`,
+            'autoAssignStarted': FieldValue.delete(),
+        });
+        logger.log(`[${otherOrderId}] ✅ Batch ${batchId} dissolved - order marked for manual assignment`);
+    }
+}
 
-        if (branchId) {
-            try {
-                const branchDoc = await db.collection('Branch').doc(branchId).get();
-                if (branchDoc.exists) {
-                    const branchData = branchDoc.data();
+/**
+ * Find the best available rider for an order.
+ * Candidates come from expanding geohash rings around the branch, adding
+ * capped branch scans while fewer than GEOHASH_MIN_CANDIDATES riders could
+ * take the offer (riders without a stored geohash or beyond the widest ring).
+ * Candidates are ranked by the branch's `riderScoringWeights` (distance,
+ * recent acceptance rate, idle time since last delivery, timeouts today).
+ * Returns the selected rider with its score breakdown plus the top
+ * candidate scores for logging, or null when nobody is eligible.
+ * Every search is recorded as a `rider_search` event (query path,
+ * candidates, skip reasons, pick); `trigger` says what ran the search.
+ */
+async function findNextRider(assignmentData, orderId, branchId, trigger = null) {
+    const triedRiders = assignmentData ? assignmentData.triedRiders : [];
+    logger.log(`[${orderId}] findNextRider called. BranchId: ${branchId}, Already tried: ${JSON.stringify(triedRiders)}`);
 
-                    // Get branch prefix (e.g., "ZKD" for Zayka Downtown)
-                    if (branchData.orderPrefix && typeof branchData.orderPrefix === 'string') {
-                        branchPrefix = branchData.orderPrefix.toUpperCase().slice(0, 4);
-                    } else if (branchData.name) {
-                        // Auto-generate prefix from branch name (first 3 letters)
-                        branchPrefix = branchData.name.replace(/[^A-Za-z]/g, '').toUpperCase().slice(0, 3) || DEFAULT_BRANCH_PREFIX;
-                    }
+    try {
+        // Fetch branch location. If branch metadata is missing, continue
+        // because riders can still be matched by branchIds/currentLocation.
+        const branchDoc = await db.collection('Branch').doc(branchId).get();
+        const branchData = branchDoc.exists ? branchDoc.data() : {};
+        const branchLoc = branchData.location || null;
 
-                    // Get timezone
-                    if (branchData.timezone) {
-                        branchTimezone = validateTimezone(branchData.timezone);
-                        if (branchTimezone !== branchData.timezone) {
-                            logger.warn(`[${branchId}] Invalid timezone '${branchData.timezone}', using UTC for order numbering`);
-                        }
-                    }
+        if (!branchDoc.exists) {
+            logger.warn(`[${orderId}] ⚠️ Branch ${branchId} not found in database. Continuing rider search without branch distance origin.`);
+        }
 
-                    // Get reset hour
-                    if (typeof branchData.orderResetHour === 'number') {
-                        resetHour = branchData.orderResetHour;
-                    }
+        const scoringConfig = normalizeScoringWeights(branchData.riderScoringWeights);
+        const scoringWeights = scoringConfig.weights;
+        if (scoringConfig.issues.length > 0) {
+            logger.warn(`[${orderId}] Rider scoring weight issues for branch ${branchId}: ${scoringConfig.issues.join(' | ')}`);
+        }
+        const statsDateKey = getDispatchStatsDateKey();
+        const capacityConfig = normalizeCapacityConfig(branchData.riderCapacity);
+        const presenceConfig = normalizePresenceConfig(branchData.riderPresence);
+        const nowMs = Date.now();
+
+        // Log branch data for debugging
+        if (!branchLoc) {
+            logger.warn(`[${orderId}] ⚠️ Branch ${branchId} has no location configured. Will still try to find riders but can't sort by distance.`);
+        } else {
+            logger.log(`[${orderId}] Branch location: lat=${branchLoc.latitude}, lng=${branchLoc.longitude}`);
+        }
+
+        let candidateDocs = [];
+        let usedFallbackQuery = false;
+        let relaxedBranchScope = false;
+        let queryPath = SEARCH_QUERY_PATH.GEOHASH;
+        const recordSearch = (skippedRiders = [], ranked = []) => logAssignmentEvent(orderId, 'rider_search', {
+            branchId,
+            ...buildSearchSnapshot({
+                trigger,
+                queryPath,
+                candidateCount: candidateDocs.length,
+                riderNames: new Map(candidateDocs.map((doc) => [doc.id, doc.data().name])),
+                triedRiders,
+                skippedRiders,
+                ranked,
+            }),
+        });
+
+        // Each wider query below runs while fewer than GEOHASH_MIN_CANDIDATES
+        // riders could take the offer; its docs are added to what was found.
+        const candidateDocsById = new Map();
+        const addCandidateDocs = (docs) => {
+            docs.forEach((doc) => candidateDocsById.set(doc.id, doc));
+            candidateDocs = Array.from(candidateDocsById.values());
+        };
+        const needsWiderSearch = () => candidateDocs.filter((doc) =>
+            isDispatchableRiderDoc(doc, orderId, triedRiders, capacityConfig, presenceConfig, nowMs)
+        ).length < GEOHASH_MIN_CANDIDATES;
+
+        // GEOHASH SEARCH: Expanding rings around the branch so the nearest
+        // riders are found no matter how many are online city-wide.
+        const searchOrigin = toLatLng(branchLoc);
+        if (searchOrigin) {
+            addCandidateDocs(await findRidersByGeohashRings(
+                orderId, branchId, searchOrigin, triedRiders, capacityConfig, presenceConfig
+            ));
+        }
+
+        // PRIMARY QUERY: Available + Online + Branch + staffType=driver
+        // STRICT: Only riders who are BOTH isAvailable=true AND status='online'
+        // CRITICAL FIX: Queries 'staff' collection (where all rider data lives) with staffType filter
+        // Used when the branch has no location, or the rings found too few
+        // eligible riders (riders without a geohash or beyond the widest ring).
+        if (needsWiderSearch()) {
+            queryPath = SEARCH_QUERY_PATH.PRIMARY;
+            logger.log(`[${orderId}] 🔍 Searching for riders in staff: staffType=driver, isAvailable=true, status=online, branchIds contains ${branchId}`);
+            try {
+                const driversSnapshot = await db.collection('staff')
+                    .where('staffType', '==', 'driver')
+                    .where('isAvailable', '==', true)
+                    .where('status', '==', 'online')
+                    .where('branchIds', 'array-contains', branchId)
+                    .limit(15)
+                    .get();
+
+                logger.log(`[${orderId}] Primary query returned ${driversSnapshot.size} riders`);
+                addCandidateDocs(driversSnapshot.docs);
+            } catch (queryError) {
+                // Graceful fallback: query branch-scoped staff with lighter indexes,
+                // then enforce rider availability rules in memory.
+                logger.warn(`[${orderId}] Primary rider query failed, falling back to in-memory filtering: ${queryError.message}`);
+                logger.warn(`[${orderId}] Expected index: staff(staffType ASC, isAvailable ASC, status ASC, branchIds ARRAY)`);
+            }
+        }
+
+        if (needsWiderSearch()) {
+            usedFallbackQuery = true;
+            queryPath = SEARCH_QUERY_PATH.FALLBACK;
+            const fallbackDocsById = new Map();
+
+            try {
+                const branchScopedSnapshot = await db.collection('staff')
+                    .where('branchIds', 'array-contains', branchId)
+                    .limit(30)
+                    .get();
+                branchScopedSnapshot.docs.forEach((doc) => fallbackDocsById.set(doc.id, doc));
+                logger.log(`[${orderId}] Branch-scoped fallback returned ${branchScopedSnapshot.size} staff docs`);
+            } catch (branchQueryError) {
+                logger.warn(`[${orderId}] BranchIds fallback query failed: ${branchQueryError.message}`);
+            }
+
+            try {
+                const legacyBranchSnapshot = await db.collection('staff')
+                    .where('branchId', '==', branchId)
+                    .limit(30)
+                    .get();
+                legacyBranchSnapshot.docs.forEach((doc) => fallbackDocsById.set(doc.id, doc));
+                logger.log(`[${orderId}] Legacy branchId fallback returned ${legacyBranchSnapshot.size} staff docs`);
+            } catch (legacyQueryError) {
+                logger.warn(`[${orderId}] Legacy branchId fallback query failed: ${legacyQueryError.message}`);
+            }
+
+            addCandidateDocs(Array.from(fallbackDocsById.values()));
+        }
+
+        // Borrowed riders must already be inside a zone the drop-off is in.
+        // null = no zones configured, borrow from anywhere as before.
+        let borrowZones = null;
+
+        if (needsWiderSearch()) {
+            relaxedBranchScope = true;
+            queryPath = SEARCH_QUERY_PATH.RELAXED_SCOPE;
+            logger.warn(`[${orderId}] Too few eligible riders matched branch "${branchId}" exactly. Adding all online available drivers and sorting by distance.`);
+
+            const { zones } = normalizeDeliveryZones(branchData.deliveryZones);
+            if (zones.length > 0) {
+                const orderDoc = await db.collection('Orders').doc(orderId).get();
+                borrowZones = findZonesForPoint(zones, resolveDeliveryLocation(orderDoc.exists ? orderDoc.data() : null));
+                logger.log(`[${orderId}] Borrowing limited to riders inside zones: ${borrowZones.map((zone) => zone.id).join(', ') || 'none'}`);
+            }
+
+            try {
+                const allAvailableDrivers = await db.collection('staff')
+                    .where('staffType', '==', 'driver')
+                    .where('isAvailable', '==', true)
+                    .where('status', '==', 'online')
+                    .limit(50)
+                    .get();
+
+                logger.log(`[${orderId}] All-driver fallback returned ${allAvailableDrivers.size} available drivers`);
+                addCandidateDocs(allAvailableDrivers.docs);
+            } catch (allDriverQueryError) {
+                logger.warn(`[${orderId}] All-driver fallback query failed: ${allDriverQueryError.message}`);
+            }
+        }
+
+        // DIAGNOSTIC: If no results, check if ANY riders exist for this branch
+        if (candidateDocs.length === 0) {
+            logger.warn(`[${orderId}] ⚠️ No available riders. Checking if ANY riders exist for branch...`);
+            try {
+                const allBranchRiders = await db.collection('staff')
+                    .where('staffType', '==', 'driver')
+                    .where('branchIds', 'array-contains', branchId)
+                    .limit(5)
+                    .get();
+
+                if (allBranchRiders.empty) {
+                    logger.error(`[${orderId}] ❌ No riders (staffType=driver) assigned to branch ${branchId} at all!`);
                 } else {
-                    logger.warn(`[${orderId}] Branch ${branchId} not found, using defaults.`);
+                    logger.warn(`[${orderId}] Found ${allBranchRiders.size} riders for branch, but none are available/online:`);
+                    allBranchRiders.forEach(doc => {
+                        const d = doc.data();
+                        logger.warn(`  - ${doc.id}: isAvailable=${d.isAvailable}, status=${d.status}, hasLocation=${!!d.currentLocation}`);
+                    });
                 }
-            } catch (e) {
-                logger.warn(`[${orderId}] Failed to fetch branch: ${e.message}. Using defaults.`);
+            } catch (checkError) {
+                logger.warn(`[${orderId}] Failed to check for generic riders: ${checkError.message}`);
             }
-        } else {
-            // If it's a freshly created order (within last 5 seconds), maybe we should WAIT for an update?
-            // checking timestamp
-            const createdAt = orderData.createdAt || orderData.timestamp;
-            if (createdAt) {
-                const createdTime = createdAt.toDate ? createdAt.toDate().getTime() : new Date(createdAt).getTime();
-                const now = Date.now();
-                if (now - createdTime < 5000) {
-                    logger.log(`[${orderId}] No branchId yet, but order is fresh (<5s). Skipping global assignment to allow for update.`);
+            await recordSearch();
+            return null;
+        }
+
+        // Process found riders
+        const riders = [];
+        const locatedRiders = [];
+        const skippedRiders = [];
+
+        candidateDocs.forEach(doc => {
+            const driverData = doc.data();
+
+            const branchIds = Array.isArray(driverData.branchIds) ? driverData.branchIds : [];
+            const normalizedBranchId = String(branchId).toLowerCase().replace(/[\s-]+/g, '_');
+            const normalizedDriverBranches = branchIds.map((id) =>
+                String(id).toLowerCase().replace(/[\s-]+/g, '_'));
+            const isBranchRider = branchIds.includes(branchId) ||
+                normalizedDriverBranches.includes(normalizedBranchId) ||
+                driverData.branchId === branchId ||
+                String(driverData.branchId || '').toLowerCase().replace(/[\s-]+/g, '_') === normalizedBranchId;
+            const belongsToBranch = relaxedBranchScope || isBranchRider;
+            const isDriver = driverData.staffType === 'driver' || driverData.role === 'driver';
+            const isOnline = driverData.status === 'online';
+            const isAvailable = driverData.isAvailable === true;
+            const hasConflictingOffer = driverData.currentOfferOrderId && driverData.currentOfferOrderId !== orderId;
+            const isAtCapacity = getRemainingCapacity(driverData, capacityConfig) === 0;
+
+            if (!belongsToBranch) {
+                skippedRiders.push({ id: doc.id, reason: 'outside branch scope' });
+                return;
+            }
+            if (!isBranchRider && borrowZones) {
+                const riderLocation = toLatLng(driverData.currentLocation);
+                if (!riderLocation || !borrowZones.some((zone) => isPointInZone(riderLocation, zone))) {
+                    skippedRiders.push({ id: doc.id, reason: 'borrowed rider outside order delivery zones' });
                     return;
                 }
             }
-            logger.warn(`[${orderId}] ⚠️ Missing branchId after wait period, using default prefix (Global Sequence).`);
-        }
+            if (!isDriver) {
+                skippedRiders.push({ id: doc.id, reason: 'not a driver' });
+                return;
+            }
 
-        // Calculate business date using branch timezone and reset hour
-        const now = DateTime.now().setZone(branchTimezone);
-        const businessDate = getBusinessDate(now, resetHour);
+            // Skip already tried riders
+            if (triedRiders.includes(doc.id)) {
+                skippedRiders.push({ id: doc.id, reason: 'already tried' });
+                return;
+            }
 
-        logger.log(`[${orderId}] Branch: ${branchId || 'Global'}, Prefix: ${branchPrefix}, TZ: ${branchTimezone}, Date: ${businessDate}`);
+            // BUG FIX #5: ALWAYS apply availability + conflict checks regardless of query path.
+            // The primary Firestore query filters by isAvailable+status+staffType, but cannot
+            // filter by currentOfferOrderId or rider capacity. Those must be checked in code.
+            if (usedFallbackQuery) {
+                // Fallback results need ALL checks since the query was less restrictive
+                if (!isOnline) {
+                    skippedRiders.push({ id: doc.id, reason: `status=${driverData.status || 'unknown'}` });
+                    return;
+                }
+                if (!isAvailable) {
+                    skippedRiders.push({ id: doc.id, reason: `isAvailable=${driverData.isAvailable}` });
+                    return;
+                }
+            }
 
-        // Counter document ID includes branch ID and date for uniqueness
-        // If branchId is missing, we use 'global' to separate it from actual branches
-        const safeBranchId = branchId || 'global';
-        const counterDocId = `branch_${safeBranchId}_${businessDate}`;
+            // These checks apply to ALL query paths (primary + fallback)
+            if (isAtCapacity) {
+                const activeCount = getActiveOrderIds(driverData).length;
+                skippedRiders.push({ id: doc.id, reason: `at capacity ${activeCount}/${resolveRiderCapacity(driverData, capacityConfig)}` });
+                return;
+            }
+            if (hasConflictingOffer) {
+                skippedRiders.push({ id: doc.id, reason: `currentOfferOrderId=${driverData.currentOfferOrderId}` });
+                return;
+            }
 
-        const counterRef = db.collection('Counters').doc(counterDocId);
+            // PRESENCE: "online" riders whose app went silent would only time out
+            const presence = classifyRiderPresence(driverData, presenceConfig, nowMs);
+            if (presence.isSilent) {
+                skippedRiders.push({ id: doc.id, reason: `silent for ${Math.round(presence.silentSeconds / 60)}m` });
+                return;
+            }
+            if (presence.isLocationStale && presenceConfig.staleLocationMode === 'skip') {
+                skippedRiders.push({ id: doc.id, reason: `location ${presence.locationAgeSeconds}s old` });
+                return;
+            }
 
-        // Retry logic for transient failures
-        let lastError = null;
-        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-            try {
-                const orderNumber = await db.runTransaction(async (t) => {
-                    const counterDoc = await t.get(counterRef);
-                    let currentCount = 0;
-                    let isFirstOrder = false;
+            const loc = driverData.currentLocation;
+            const stats = extractRiderDispatchStats(driverData, statsDateKey);
 
-                    if (counterDoc.exists) {
-                        currentCount = counterDoc.data().count || 0;
-                    } else {
-                        isFirstOrder = true;
-                    }
+            // If branch has no location, we can't calculate distance - just add all riders
+            if (!branchLoc) {
+                riders.push({ riderId: doc.id, distance: 0, stats });
+                return;
+            }
 
-                    const nextCount = currentCount + 1;
+            // If rider has no location, log it but still include them (with max distance)
+            if (!loc || loc.latitude === undefined || loc.longitude === undefined) {
+                logger.warn(`[${orderId}] ⚠️ Rider ${doc.id} has no currentLocation, adding with max distance`);
+                riders.push({ riderId: doc.id, distance: UNKNOWN_DISTANCE_KM, stats });
+                return;
+            }
 
-                    // Format the order number
-                    const formattedOrderNumber = formatOrderNumber(branchPrefix, businessDate, nextCount);
+            // A stale position is no better than none: rank it last
+            if (presence.isLocationStale) {
+                logger.warn(`[${orderId}] ⚠️ Rider ${doc.id} location is ${presence.locationAgeSeconds}s old, adding with max distance`);
+                riders.push({ riderId: doc.id, distance: UNKNOWN_DISTANCE_KM, stats });
+                return;
+            }
 
-                    // Enhanced counter metadata
-                    const counterData = {
-                        count: nextCount,
-                        branchId: safeBranchId,
-                        branchPrefix: branchPrefix,
-                        date: businessDate,
-                        timezone: branchTimezone,
-                        resetHour: resetHour,
-                        lastUpdated: FieldValue.serverTimestamp(),
-                        lastOrderAt: FieldValue.serverTimestamp(),
-                        lastOrderNumber: formattedOrderNumber,
-                    };
+            locatedRiders.push({ riderId: doc.id, location: loc, stats });
+        });
 
-                    // Track first order time
-                    if (isFirstOrder) {
-                        counterData.firstOrderAt = FieldValue.serverTimestamp();
+        // Road distance/time from each rider to the branch (one batched routing call)
+        if (locatedRiders.length > 0) {
+            const travelTimes = await getTravelTimes(locatedRiders.map((rider) => rider.location), branchLoc);
+            locatedRiders.forEach((rider, index) => {
+                const travel = travelTimes[index];
+                riders.push({
+                    riderId: rider.riderId,
+                    distance: travel ? travel.distanceKm : UNKNOWN_DISTANCE_KM,
+                    travelSeconds: travel ? travel.durationSeconds : null,
+                    stats: rider.stats,
+                });
+            });
+        }
+
+        if (skippedRiders.length > 0) {
+            logger.log(`[${orderId}] Skipped ${skippedRiders.length} riders after eligibility checks`);
+        }
+
+        if (riders.length === 0) {
+            logger.warn(`[${orderId}] ❌ No eligible riders found after filtering`);
+            await recordSearch(skippedRiders);
+            return null;
+        }
+
+        // Rank by the branch's weighted score (distance-only unless configured)
+        const ranked = rankRiderCandidates(riders, scoringWeights);
+        const candidateScores = ranked.slice(0, MAX_LOGGED_CANDIDATE_SCORES).map(summarizeScoredCandidate);
+        const selected = ranked[0];
+        logger.log(`[${orderId}] ✅ Selected rider: ${selected.riderId} (distance: ${selected.distance.toFixed(2)}km, travel: ${selected.travelSeconds ?? 'n/a'}s, score: ${selected.score.toFixed(3)})`);
+        logger.log(`[${orderId}] Candidate scores: ${JSON.stringify(candidateScores)}`);
+        await recordSearch(skippedRiders, ranked);
+
+        return {
+            riderId: selected.riderId,
+            distance: selected.distance,
+            travelSeconds: selected.travelSeconds ?? null,
+            eligibleCount: ranked.length,
+            score: selected.score,
+            scoreBreakdown: summarizeScoredCandidate(selected),
+            candidateScores,
+        };
+    } catch (e) {
+        logger.error(`[${orderId}] CRITICAL ERROR in findNextRider:`, e);
+        return null;
+    }
+}
+
+async function createAssignmentTask(orderId, riderId, delayInSeconds) {
+    try {
+        const client = new CloudTasksClient();
+        const queuePath = client.queuePath(GCP_PROJECT_ID, GCP_LOCATION, QUEUE_NAME);
+        const task = {
+            httpRequest: {
+                httpMethod: 'POST',
+                url: TASK_HANDLER_URL,
+                headers: { 'Content-Type': 'application/json' },
+                body: Buffer.from(JSON.stringify({ orderId, expectedRiderId: riderId })).toString('base64'),
+                // OIDC token for authentication
+                oidcToken: {
+                    serviceAccountEmail: SERVICE_ACCOUNT_EMAIL,
+                    audience: TASK_HANDLER_URL,
+                },
+            },
+            scheduleTime: { seconds: Math.floor(Date.now() / 1000) + delayInSeconds },
+        };
+        await client.createTask({ parent: queuePath, task });
+        logger.log(`[${orderId}] Created timeout task for rider ${riderId}, delay: ${delayInSeconds}s`);
+    } catch (err) {
+        logger.error(`[${orderId}] Failed to create assignment task:`, err);
+        throw err;
+    }
+}
+
+async function createKitchenResponseTask(orderId, delayInSeconds) {
+    try {
+        const client = new CloudTasksClient();
+        const queuePath = client.queuePath(GCP_PROJECT_ID, GCP_LOCATION, QUEUE_NAME);
+        const task = {
+            httpRequest: {
+                httpMethod: 'POST',
+                url: KITCHEN_TASK_HANDLER_URL,
+                headers: { 'Content-Type': 'application/json' },
+                body: Buffer.from(JSON.stringify({ orderId })).toString('base64'),
+                oidcToken: {
+                    serviceAccountEmail: SERVICE_ACCOUNT_EMAIL,
+                    audience: KITCHEN_TASK_HANDLER_URL,
+                },
+            },
+            scheduleTime: { seconds: Math.floor(Date.now() / 1000) + delayInSeconds },
+        };
+        await client.createTask({ parent: queuePath, task });
+        logger.log(`[${orderId}] Created kitchen response timeout task, delay: ${delayInSeconds}s`);
+    } catch (err) {
+        logger.error(`[${orderId}] Failed to create kitchen response task:`, err);
+        throw err;
+    }
+}
+
+async function createPrepSlaTask(orderId, delayInSeconds) {
+    try {
+        const client = new CloudTasksClient();
+        const queuePath = client.queuePath(GCP_PROJECT_ID, GCP_LOCATION, QUEUE_NAME);
+        const task = {
+            httpRequest: {
+                httpMethod: 'POST',
+                url: PREP_SLA_TASK_HANDLER_URL,
+                headers: { 'Content-Type': 'application/json' },
+                body: Buffer.from(JSON.stringify({ orderId })).toString('base64'),
+                oidcToken: {
+                    serviceAccountEmail: SERVICE_ACCOUNT_EMAIL,
+                    audience: PREP_SLA_TASK_HANDLER_URL,
+                },
+            },
+            scheduleTime: { seconds: Math.floor(Date.now() / 1000) + delayInSeconds },
+        };
+        await client.createTask({ parent: queuePath, task });
+        logger.log(`[${orderId}] Created prep SLA task, delay: ${delayInSeconds}s`);
+    } catch (err) {
+        logger.error(`[${orderId}] Failed to create prep SLA task:`, err);
+        throw err;
+    }
+}
+
+/**
+ * Query available branch riders by `currentLocationGeohash`, widening the
+ * ring around `origin` until GEOHASH_MIN_CANDIDATES eligible riders are
+ * known to be inside the covered radius (or the widest ring was searched).
+ * Each ring reads at most 9 cells x GEOHASH_CELL_QUERY_LIMIT docs.
+ *
+ * @returns {Promise<Array>} Staff docs matching the primary query filters,
+ *   or [] if nothing was found or the query failed.
+ */
+async function findRidersByGeohashRings(orderId, branchId, origin, triedRiders = [], capacityConfig = null, presenceConfig = null) {
+    const docsById = new Map();
+    const nowMs = Date.now();
+
+    try {
+        for (const precision of GEOHASH_SEARCH_PRECISIONS) {
+            const ring = geohashRing(origin, precision);
+            const snapshots = await Promise.all(ring.prefixes.map((prefix) => {
+                const [start, end] = geohashPrefixRange(prefix);
+                return db.collection('staff')
+                    .where('staffType', '==', 'driver')
+                    .where('isAvailable', '==', true)
+                    .where('status', '==', 'online')
+                    .where('branchIds', 'array-contains', branchId)
+                    .where('currentLocationGeohash', '>=', start)
+                    .where('currentLocationGeohash', '<', end)
+                    .limit(GEOHASH_CELL_QUERY_LIMIT)
+                    .get();
+            }));
+            snapshots.forEach((snapshot) => snapshot.docs.forEach((doc) => docsById.set(doc.id, doc)));
+
+            // Only riders inside the covered radius are certain to be ranked
+            // against everyone closer; count those before stopping.
+            const eligibleInRange = Array.from(docsById.values()).filter((doc) => {
+                const location = toLatLng(doc.data().currentLocation);
+                return location &&
+                    isDispatchableRiderDoc(doc, orderId, triedRiders, capacityConfig, presenceConfig, nowMs) &&
+                    _calculateDistance(origin.latitude, origin.longitude, location.latitude, location.longitude) <= ring.coveredRadiusKm;
+            }).length;
+
+            logger.log(`[${orderId}] Geohash ring p${precision} (${ring.coveredRadiusKm.toFixed(2)}km): ${docsById.size} riders, ${eligibleInRange} eligible in range`);
+            if (eligibleInRange >= GEOHASH_MIN_CANDIDATES) break;
+        }
+    } catch (queryError) {
+        logger.warn(`[${orderId}] Geohash rider query failed, using branch scan: ${queryError.message}`);
+        logger.warn(`[${orderId}] Expected index: staff(branchIds ARRAY, staffType ASC, isAvailable ASC, status ASC, currentLocationGeohash ASC)`);
+        return [];
+    }
+
+    return Array.from(docsById.values());
+}
+
+/**
+ * Travel distance/time from each origin to one destination using the
+ * configured routing provider. Results line up with `origins`; an entry is
+ * null when that location is unusable.
+ */
+async function getTravelTimes(origins, destination) {
+    // OSRM tables are one-to-many from a source, and routes are close enough
+    // to symmetric for ranking, so query from the destination outwards.
+    try {
+        return await travelTimeProvider.getTravelTimes(destination, origins);
+    } catch (err) {
+        logger.warn(`Travel time lookup failed: ${err.message}`);
+        return origins.map(() => null);
+    }
+}
+
+function _calculateDistance(lat1, lon1, lat2, lon2) {
+    const p = 0.017453292519943295; // Math.PI / 180
+    const c = Math.cos;
+    const a = 0.5 - c((lat2 - lat1) * p) / 2 +
+        c(lat1 * p) * c(lat2 * p) * (1 - c((lon2 - lon1) * p)) / 2;
+    return 12742 * Math.asin(Math.sqrt(a)); // 2 * R; R = 6371 km
+}
+
+/**
+ * PRODUCTION-GRADE FCM: Send Assignment Notification to Rider
+ * Uses V1 API for reliable delivery.
+ * Updates the `notificationSent` flag to track delivery status.
+ * 
+ * @param {string} riderId - The rider's document ID
+ * @param {string} orderId - The order ID
+ * @param {object} orderData - Order data for notification content
+ */
+async function sendAssignmentFCM(riderId, orderId, orderData) {
+    logger.log(`[${orderId}] 📤 PREPARING FCM (V1) for rider ${riderId}...`);
+    try {
+        // BUG FIX: Check notificationSent flag FIRST to prevent duplicate FCM
+        const assignDoc = await db.collection('rider_assignments').doc(orderId).get();
+        if (assignDoc.exists) {
+            const assignData = assignDoc.data();
+            // Only block if notificationSent is true AND riderId matches (same notification attempt)
+            if (assignData.notificationSent === true && assignData.riderId === riderId) {
+                logger.warn(`[${orderId}] ⚠️ FCM already sent to rider ${riderId}, skipping duplicate`);
+                return true; // Return true since notification was already sent
+            }
+        }
+
+        const driverDoc = await db.collection('staff').doc(riderId).get();
+
+        if (!driverDoc.exists) {
+            logger.warn(`[${orderId}] ❌ Rider ${riderId} not found for FCM`);
+            return false;
+        }
+
+        const driverData = driverDoc.data();
+        const fcmToken = driverData.fcmToken;
+
+        if (!fcmToken) {
+            logger.warn(`[${orderId}] ❌ Rider ${riderId} has no FCM token`);
+            return false;
+        }
+
+        logger.log(`[${orderId}] 🔹 Found FCM token for ${riderId}: ${fcmToken.substring(0, 10)}...`);
+
+        const assignData = assignDoc.exists ? assignDoc.data() : null;
+        const attemptNumber = assignData?.triedRiders?.length || 1;
+        const timeoutSeconds = assignData?.assignmentTimeoutSeconds || DEFAULT_DISPATCH_POLICY.assignmentTimeoutSeconds;
+        const timeoutText = timeoutSeconds % 60 === 0
+            ? `${timeoutSeconds / 60} minute${timeoutSeconds === 60 ? '' : 's'}`
+            : `${timeoutSeconds} seconds`;
+        const customerName = orderData?.customerName || 'Customer';
+        const orderTotal = `${orderData?.totalAmount || 0} ${orderData?.currency || 'QAR'}`;
+        const batchSize = orderData?.batchId && Array.isArray(orderData.batchOrderIds)
+            ? orderData.batchOrderIds.length
+            : 1;
+        const offerTitle = batchSize > 1
+            ? `🚨 Offer ${attemptNumber}: ${batchSize} Orders Batch!`
+            : `🚨 Offer ${attemptNumber}: New Order!`;
+
+        // V1 API PAYLOAD - PLATFORM SPECIFIC
+        // Avoiding top-level 'notification' to ensure precise control and prevent duplicates
+        const message = {
+            token: fcmToken,
+            // Custom Data (Payload)
+            data: {
+                type: 'auto_assignment',
+                title: offerTitle,
+                body: `Tap quickly! You have ${timeoutText} to accept. ${orderTotal}`,
+                orderId: orderId,
+                batchId: orderData?.batchId || '',
+                batchSize: String(batchSize),
+                timeoutSeconds: String(timeoutSeconds),
+                attemptNumber: String(attemptNumber),
+                customerName: customerName,
+                click_action: 'FLUTTER_NOTIFICATION_CLICK', // For legacy listeners
+                priority: 'high',
+                content_available: 'true',
+                timestamp: String(Date.now()),
+            },
+            // Android Specifics
+            android: {
+                priority: 'high',
+                notification: {
+                    title: offerTitle,
+                    body: `Tap quickly! You have ${timeoutText} to accept. ${orderTotal}`,
+                    clickAction: 'FLUTTER_NOTIFICATION_CLICK', // RESTORED: Critical for routing
+                    sound: 'default',
+                    priority: 'high',
+                    channelId: 'fcm_default_channel' // Safe default for Flutter
+                }
+            },
+            // iOS Specifics
+            apns: {
+                headers: {
+                    'apns-priority': '10',
+                },
+                payload: {
+                    aps: {
+                        alert: {
+                            title: batchSize > 1 ? `🚨 New ${batchSize}-Order Batch Offer!` : '🚨 New Order Offer!',
+                            body: `Tap quickly! You have ${timeoutText} to accept.`,
+                        },
+                        contentAvailable: true,
+                        sound: 'default',
+                        badge: 1
+                    }
+                }
+            }
+        };
+
+        const response = await admin.messaging().send(message);
+
+        // V1 API returns a message ID string on success
+        if (response) {
+            await db.collection('rider_assignments').doc(orderId).update({
+                notificationSent: true
+            });
+            logger.log(`[${orderId}] ✅ FCM SENT via V1 API to ${driverData.name || 'Rider'} (MsgID: ${response})`);
+            return true;
+        } else {
+            logger.warn(`[${orderId}] ⚠️ FCM Send returned empty response`);
+            return false;
+        }
+
+    } catch (err) {
+        logger.error(`[${orderId}] 🔥 FCM FAILURE for rider ${riderId}:`, err);
+
+        // Handle invalid token cleanup
+        if (err.code === 'messaging/registration-token-not-registered' ||
+            err.code === 'messaging/invalid-argument') {
+            logger.warn(`[${orderId}] 🗑️ Removing invalid FCM token for rider ${riderId}`);
+            try {
+                await db.collection('staff').doc(riderId).update({
+                    fcmToken: FieldValue.delete()
+                });
+            } catch (e) {
+                logger.error(`Failed to remove token: ${e.message}`);
+            }
+        }
+
+        return false;
+    }
+}
+
+// BUG FIX #11: Removed dead code sendRiderNotificationInternal (was never called)
+
+// --- STATUS TRANSITION VALIDATION ---
+
+const ORDER_STATE_MACHINE_CACHE_MS = 60 * 1000;
+let orderStateMachineCache = null;
+
+/**
+ * Global transition config from `order_state_machine/default` (see
+ * orderStateMachine.js), validated and cached per instance for
+ * ORDER_STATE_MACHINE_CACHE_MS. Falls back to the built-in tables when the
+ * doc is missing or unreadable.
+ */
+async function getGlobalOrderStateMachine() {
+    if (orderStateMachineCache && orderStateMachineCache.expiresAt > Date.now()) {
+        return orderStateMachineCache.machine;
+    }
+
+    let machine = BUILT_IN_STATE_MACHINE;
+    let readFailed = false;
+    try {
+        const configDoc = await db.collection('order_state_machine').doc('default').get();
+        const { config, issues } = normalizeStateMachineConfig(configDoc.exists ? configDoc.data() : null);
+        if (issues.length > 0) {
+            logger.warn(`Order state machine issues: ${issues.join(' | ')}`);
+        }
+        machine = applyStateMachineConfig(BUILT_IN_STATE_MACHINE, config);
+    } catch (err) {
+        readFailed = true;
+        logger.warn(`Failed to read order state machine, using built-in transitions: ${err.message}`);
+    }
+
+    if (!readFailed) {
+        orderStateMachineCache = { machine, expiresAt: Date.now() + ORDER_STATE_MACHINE_CACHE_MS };
+    }
+    return machine;
+}
+
+/**
+ * Transitions in force for a branch: the global config with the branch's
+ * `orderStateMachine` override on top.
+ */
+async function getOrderStateMachine(branchId) {
+    const machine = await getGlobalOrderStateMachine();
+    if (!branchId) return machine;
+
+    const { orderStateMachine: branchOverride } = await getBranchDispatchConfig(branchId);
+    return applyStateMachineConfig(machine, branchOverride, { isBranchOverride: true });
+}
+
+/**
+ * Next statuses allowed from `status` for an order. Legacy spellings
+ * (e.g. 'pickedup') are looked up as stored and normalized.
+ */
+function getAllowedNextStatuses(machine, orderData, status) {
+    const orderType = normalizeOrderType(orderData.Order_type || orderData.orderType || 'delivery');
+    const normalized = normalizeStatus(status);
+    const allowed = getAllowedTransitions(machine, orderType, normalized);
+    return normalized === status
+        ? allowed
+        : [...new Set([...allowed, ...getAllowedTransitions(machine, orderType, status)])];
+}
+
+/**
+ * FUNCTION 4: Status Transition Validator (Failsafe)
+ * Triggered on ANY order update. Validates status transitions and reverts invalid ones.
+ * 
+ * Industry-Level Features:
+ * - Transitions from the order state machine config (global + branch override)
+ * - Backward compatibility with legacy statuses
+ * - Detailed logging for debugging
+ * - Auto-correction for invalid transitions
+ */
+exports.validateOrderStatusTransition = onDocumentUpdated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const orderId = event.params.orderId;
+
+        const oldStatus = beforeData.status;
+        const newStatus = afterData.status;
+
+        // Only validate if status actually changed
+        if (oldStatus === newStatus) return null;
+
+        // Proof of delivery: a required code must go through verifyDeliveryOtp
+        // or overrideDeliveryOtp, which settle the proof in the same write.
+        // Checked before the flag bypass, so the flag alone cannot skip it.
+        if (normalizeStatus(newStatus) === STATUS.DELIVERED &&
+            !canMarkDelivered(beforeData) && !isProofSettledByServer(beforeData, afterData)) {
+            logger.warn(`⚠️ [${orderId}] Delivery code not verified: ${oldStatus} → ${newStatus}. Reverting...`);
+            await event.data.after.ref.update({
+                'status': oldStatus,
+                '_cloudFunctionUpdate': true,
+                '_invalidTransitionLog': FieldValue.arrayUnion({
+                    attemptedTransition: `${oldStatus} → ${newStatus}`,
+                    reason: 'delivery_otp_required',
+                    correctedTo: oldStatus,
+                    timestamp: new Date().toISOString(),
+                }),
+            });
+            return null;
+        }
+
+        // Skip validation for Cloud Function-initiated changes
+        if (afterData._cloudFunctionUpdate) {
+            await event.data.after.ref.update({ '_cloudFunctionUpdate': FieldValue.delete() });
+            return null;
+        }
+
+        // Get order type for type-aware validation
+        const rawOrderType = afterData.Order_type || afterData.orderType || 'delivery';
+        const orderType = normalizeOrderType(rawOrderType);
+
+        // Normalize statuses for comparison
+        const normalizedNew = normalizeStatus(newStatus);
+
+        const branchId = (afterData.branchIds && afterData.branchIds[0]) || afterData.branchId;
+        const stateMachine = await getOrderStateMachine(branchId);
+        const allowedNextStatuses = getAllowedNextStatuses(stateMachine, afterData, oldStatus);
+        const isValidTransition = allowedNextStatuses.includes(newStatus) ||
+            allowedNextStatuses.includes(normalizedNew);
+
+        if (!isValidTransition) {
+            logger.warn(`⚠️ [${orderId}] Invalid status transition for ${orderType}: ${oldStatus} → ${newStatus}. Reverting...`);
+            logger.warn(`[${orderId}] Valid transitions from '${oldStatus}' (state machine v${stateMachine.version}${stateMachine.branchVersion ? `, branch v${stateMachine.branchVersion}` : ''}): ${JSON.stringify(allowedNextStatuses)}`);
+
+            let correctedStatus = oldStatus;
+
+            // Special case: If jumping to rider_assigned from pending
+            if (newStatus === STATUS.RIDER_ASSIGNED && oldStatus === STATUS.PENDING) {
+                correctedStatus = STATUS.PREPARING;
+                logger.log(`[${orderId}] Cannot skip to rider_assigned from pending. Setting to preparing`);
+            }
+
+            // Special case: Non-delivery trying to go to needs_rider_assignment
+            if (newStatus === STATUS.NEEDS_ASSIGNMENT && orderType !== ORDER_TYPE.DELIVERY) {
+                if (oldStatus === STATUS.PREPARING) {
+                    correctedStatus = STATUS.PREPARED;
+                    logger.log(`[${orderId}] Non-delivery order cannot go to needs_rider_assignment. Setting to prepared`);
+                }
+            }
+
+            await event.data.after.ref.update({
+                'status': correctedStatus,
+                '_cloudFunctionUpdate': true,
+                '_invalidTransitionLog': FieldValue.arrayUnion({
+                    attemptedTransition: `${oldStatus} → ${newStatus}`,
+                    orderType: orderType,
+                    allowedTransitions: allowedNextStatuses,
+                    stateMachineVersion: stateMachine.version,
+                    branchStateMachineVersion: stateMachine.branchVersion,
+                    correctedTo: correctedStatus,
+                    timestamp: new Date().toISOString(),
+                }),
+            });
+
+            logger.log(`✅ [${orderId}] Status corrected to '${correctedStatus}'`);
+        }
+
+        return null;
+    }
+);
+
+/**
+ * FUNCTION 5: Send FCM notification to rider (called from client)
+ * This is the proper way to send FCM - from server with Admin SDK
+ * 
+ * SECURITY FEATURES:
+ * - onCall functions automatically verify Firebase Auth tokens
+ * - Input validation with type checking and length limits
+ * - Sanitization of string inputs
+ * - Audit logging for security events
+ */
+exports.sendRiderNotification = require("firebase-functions/v2/https").onCall(
+    { region: GCP_LOCATION },
+    async (request) => {
+        // ===============================================================
+        // SECURITY: Authentication is automatically handled by onCall
+        // request.auth contains the verified auth token if user is logged in
+        // ===============================================================
+        if (!request.auth) {
+            logger.error('🔒 SECURITY: Unauthenticated call to sendRiderNotification');
+            throw new Error('Authentication required');
+        }
+
+        const callerUid = request.auth.uid;
+        const callerEmail = request.auth.token.email || 'unknown';
+
+        // ===============================================================
+        // INPUT VALIDATION
+        // ===============================================================
+        const { riderId, orderId, title, body } = request.data || {};
+
+        // Validate riderId
+        if (!riderId || typeof riderId !== 'string') {
+            throw new Error('riderId is required and must be a string');
+        }
+        if (riderId.length > 128 || !/^[A-Za-z0-9_-]+$/.test(riderId)) {
+            logger.warn(`Invalid riderId format from ${callerEmail}: ${riderId.substring(0, 20)}...`);
+            throw new Error('Invalid riderId format');
+        }
+
+        // Validate orderId
+        if (!orderId || typeof orderId !== 'string') {
+            throw new Error('orderId is required and must be a string');
+        }
+        if (orderId.length > 128 || !/^[A-Za-z0-9_-]+$/.test(orderId)) {
+            logger.warn(`Invalid orderId format from ${callerEmail}: ${orderId.substring(0, 20)}...`);
+            throw new Error('Invalid orderId format');
+        }
+
+        // Validate and sanitize title (optional)
+        let sanitizedTitle = '🎯 New Order Assignment';
+        if (title) {
+            if (typeof title !== 'string') {
+                throw new Error('title must be a string');
+            }
+            // Max 100 characters, remove HTML tags and control characters
+            sanitizedTitle = title
+                .substring(0, 100)
+                .replace(/<[^>]*>/g, '')
+                .replace(/[\x00-\x1F\x7F]/g, '')
+                .trim();
+        }
+
+        // Validate and sanitize body (optional)
+        let sanitizedBody = `You have been assigned order ${orderId}`;
+        if (body) {
+            if (typeof body !== 'string') {
+                throw new Error('body must be a string');
+            }
+            // Max 500 characters, remove HTML tags and control characters
+            sanitizedBody = body
+                .substring(0, 500)
+                .replace(/<[^>]*>/g, '')
+                .replace(/[\x00-\x1F\x7F]/g, '')
+                .trim();
+        }
+
+        // Sanitize IDs for use in database queries
+        const sanitizedRiderId = riderId.replace(/[^A-Za-z0-9_-]/g, '');
+        const sanitizedOrderId = orderId.replace(/[^A-Za-z0-9_-]/g, '');
+
+        try {
+            const riderDoc = await db.collection('staff').doc(sanitizedRiderId).get();
+            if (!riderDoc.exists) {
+                logger.warn(`Rider ${sanitizedRiderId} not found (called by ${callerEmail})`);
+                return { success: false, reason: 'Rider not found' };
+            }
+
+            const fcmToken = riderDoc.data().fcmToken;
+            if (!fcmToken) {
+                logger.warn(`Rider ${sanitizedRiderId} has no FCM token`);
+                return { success: false, reason: 'No FCM token' };
+            }
+
+            const message = {
+                notification: {
+                    title: sanitizedTitle,
+                    body: sanitizedBody,
+                },
+                data: {
+                    type: 'order_assignment',
+                    orderId: sanitizedOrderId,
+                    click_action: 'FLUTTER_NOTIFICATION_CLICK',
+                },
+                token: fcmToken,
+            };
+
+            await admin.messaging().send(message);
+            logger.log(`FCM sent to rider ${sanitizedRiderId} for order ${sanitizedOrderId} (by ${callerEmail})`);
+            return { success: true };
+        } catch (err) {
+            // SECURITY: Don't expose internal error details
+            logger.error(`Failed to send FCM to rider ${sanitizedRiderId}:`, err);
+            return {
+                success: false,
+                reason: 'Failed to send notification. Please try again.'
+            };
+        }
+    }
+);
+
+// -------------------- ORDER NUMBER CONFIGURATION --------------------
+const ORDER_RESET_HOUR = 0; // Reset at 12:00 AM (midnight) local time
+const DEFAULT_TIMEZONE = 'Asia/Qatar'; // Default timezone for Qatar-based operations
+const MAX_RETRIES = 3;
+const DEFAULT_BRANCH_PREFIX = 'ORD'; // Default prefix if branch has none configured
+
+/**
+ * Calculate business date based on reset hour.
+ * Orders placed before reset hour belong to previous business day.
+ * @param {DateTime} now - Current time in branch timezone
+ * @param {number} resetHour - Hour when order numbers reset (0-23)
+ * @returns {string} Business date in YYYY-MM-DD format
+ */
+function getBusinessDate(now, resetHour = ORDER_RESET_HOUR) {
+    if (now.hour < resetHour) {
+        return now.minus({ days: 1 }).toFormat('yyyy-MM-dd');
+    }
+    return now.toFormat('yyyy-MM-dd');
+}
+
+/**
+ * Format business date for display in order number (YYMMDD)
+ * @param {string} businessDate - Date in YYYY-MM-DD format
+ * @returns {string} Date in YYMMDD format
+ */
+function formatDateForOrderNumber(businessDate) {
+    const parts = businessDate.split('-');
+    const year = parts[0].slice(-2); // Last 2 digits of year
+    const month = parts[1];
+    const day = parts[2];
+    return `${year}${month}${day}`;
+}
+
+/**
+ * Generate fallback order number when counter fails.
+ * Uses timestamp to ensure uniqueness while still being readable.
+ * @param {string} prefix - Branch prefix
+ * @param {string} businessDate - Business date
+ * @returns {string} Fallback order number like "ZKD-260107-T456"
+ */
+function generateFallbackOrderNumber(prefix, businessDate) {
+    const dateStr = formatDateForOrderNumber(businessDate);
+    const timestamp = Date.now().toString().slice(-3);
+    return `${prefix}-${dateStr}-T${timestamp}`;
+}
+
+/**
+ * Format the order number with proper padding
+ * @param {string} prefix - Branch prefix (e.g., "ZKD")
+ * @param {string} businessDate - Business date (YYYY-MM-DD)
+ * @param {number} sequenceNumber - Sequential number for the day
+ * @returns {string} Formatted order number (e.g., "ZKD-260107-001")
+ */
+function formatOrderNumber(prefix, businessDate, sequenceNumber) {
+    const dateStr = formatDateForOrderNumber(businessDate);
+    // Pad to 3 digits, supports up to 999 orders per branch per day
+    // If more than 999, it will show 1000, 1001, etc. (4 digits)
+    const paddedSequence = String(sequenceNumber).padStart(3, '0');
+    return `${prefix}-${dateStr}-${paddedSequence}`;
+}
+
+/**
+ * FUNCTION 6: Generate Daily Order Number
+ * 
+ * Industry-Grade Features:
+ * - Formatted order numbers: {PREFIX}-{YYMMDD}-{NNN}
+ * - One shared sequence for every order source in the same branch/business day
+ * - Branch-specific prefixes for easy identification
+ * - Business day logic (configurable reset hour)
+ * - Timezone-aware using branch configuration
+ * - Atomic counter increment using Firestore transactions
+ * - Retry logic with exponential backoff
+ * - Fallback mechanism if all retries fail
+ * - Rich metadata for debugging and analytics
+ * 
+ * Example output: "ZKD-260107-001" (Branch ZKD, Jan 7 2026, Order #1)
+ */
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+
+/**
+ * FUNCTION 6: Generate Daily Order Number
+ * 
+ * Industry-Grade Features:
+ * - Formatted order numbers: {PREFIX}-{YYMMDD}-{NNN}
+ * - One shared sequence for every order source in the same branch/business day
+ * - Branch-specific prefixes for easy identification
+ * - Business day logic (configurable reset hour)
+ * - Timezone-aware using branch configuration
+ * - Atomic counter increment using Firestore transactions
+ * - Retry logic with exponential backoff
+ * - Fallback mechanism if all retries fail
+ * - Rich metadata for debugging and analytics
+ * - Supports both Creation and Updates (e.g. if branchId is patched in late)
+ * 
+ * Example output: "ZKD-260107-001" (Branch ZKD, Jan 7 2026, Order #1)
+ */
+exports.generateOrderNumber = onDocumentWritten(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        // 1. Skip if document was deleted
+        if (!event.data.after.exists) return;
+
+        const orderData = event.data.after.data();
+        const orderId = event.params.orderId;
+
+        // 2. IDEMPOTENCY CHECK:
+        // Only skip when a final formatted order number is already assigned.
+        // Legacy POS clients may still write an integer here; we intentionally
+        // replace that with the shared backend-generated sequence.
+        const existingDailyOrderNumber = orderData.dailyOrderNumber;
+        if (typeof existingDailyOrderNumber === 'string' &&
+            existingDailyOrderNumber.trim() !== '') {
+            return;
+        }
+
+        // 3. Extract branchId with robust fallback logic
+        // Priority: top-level branchId -> top-level branchIds[0] -> items[0].branchId
+        let branchId = orderData.branchId;
+
+        if (!branchId && orderData.branchIds && Array.isArray(orderData.branchIds) && orderData.branchIds.length > 0) {
+            branchId = orderData.branchIds[0];
+        }
+
+        if (!branchId && orderData.items && Array.isArray(orderData.items) && orderData.items.length > 0) {
+            // Check first item for branchId
+            if (orderData.items[0].branchId) {
+                branchId = orderData.items[0].branchId;
+                logger.log(`[${orderId}] Found branchId ${branchId} in items list`);
+            }
+        }
+
+        // 4. If still no branchId, warn but don't fail hard - we might need to wait for a future update
+        // However, to avoid being stuck forever, if the order is old (> 1 min) and still no branchId, we might default to global?
+        // For now, let's log a warning. If we don't return here, we fall back to global sequence.
+        // Better to wait if it's very fresh, but for now we proceed to Global if missing.
+
+        // Fetch branch configuration
+        let branchPrefix = DEFAULT_BRANCH_PREFIX;
+        let branchTimezone = DEFAULT_TIMEZONE;
+        let resetHour = ORDER_RESET_HOUR;
+
+        if (branchId) {
+            try {
+                const branchDoc = await db.collection('Branch').doc(branchId).get();
+                if (branchDoc.exists) {
+                    const branchData = branchDoc.data();
+
+                    // Get branch prefix (e.g., "ZKD" for Zayka Downtown)
+                    if (branchData.orderPrefix && typeof branchData.orderPrefix === 'string') {
+                        branchPrefix = branchData.orderPrefix.toUpperCase().slice(0, 4);
+                    } else if (branchData.name) {
+                        // Auto-generate prefix from branch name (first 3 letters)
+                        branchPrefix = branchData.name.replace(/[^A-Za-z]/g, '').toUpperCase().slice(0, 3) || DEFAULT_BRANCH_PREFIX;
+                    }
+
+                    // Get timezone
+                    if (branchData.timezone) {
+                        branchTimezone = validateTimezone(branchData.timezone);
+                        if (branchTimezone !== branchData.timezone) {
+                            logger.warn(`[${branchId}] Invalid timezone '${branchData.timezone}', using UTC for order numbering`);
+                        }
+                    }
+
+                    // Get reset hour
+                    if (typeof branchData.orderResetHour === 'number') {
+                        resetHour = branchData.orderResetHour;
+                    }
+                } else {
+                    logger.warn(`[${orderId}] Branch ${branchId} not found, using defaults.`);
+                }
+            } catch (e) {
+                logger.warn(`[${orderId}] Failed to fetch branch: ${e.message}. Using defaults.`);
+            }
+        } else {
+            // If it's a freshly created order (within last 5 seconds), maybe we should WAIT for an update?
+            // checking timestamp
+            const createdAt = orderData.createdAt || orderData.timestamp;
+            if (createdAt) {
+                const createdTime = createdAt.toDate ? createdAt.toDate().getTime() : new Date(createdAt).getTime();
+                const now = Date.now();
+                if (now - createdTime < 5000) {
+                    logger.log(`[${orderId}] No branchId yet, but order is fresh (<5s). Skipping global assignment to allow for update.`);
+                    return;
+                }
+            }
+            logger.warn(`[${orderId}] ⚠️ Missing branchId after wait period, using default prefix (Global Sequence).`);
+        }
+
+        // Calculate business date using branch timezone and reset hour
+        const now = DateTime.now().setZone(branchTimezone);
+        const businessDate = getBusinessDate(now, resetHour);
+
+        logger.log(`[${orderId}] Branch: ${branchId || 'Global'}, Prefix: ${branchPrefix}, TZ: ${branchTimezone}, Date: ${businessDate}`);
+
+        // Counter document ID includes branch ID and date for uniqueness
+        // If branchId is missing, we use 'global' to separate it from actual branches
+        const safeBranchId = branchId || 'global';
+        const counterDocId = `branch_${safeBranchId}_${businessDate}`;
+
+        const counterRef = db.collection('Counters').doc(counterDocId);
+
+        // Retry logic for transient failures
+        let lastError = null;
+        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+            try {
+                const orderNumber = await db.runTransaction(async (t) => {
+                    const counterDoc = await t.get(counterRef);
+                    let currentCount = 0;
+                    let isFirstOrder = false;
+
+                    if (counterDoc.exists) {
+                        currentCount = counterDoc.data().count || 0;
+                    } else {
+                        isFirstOrder = true;
+                    }
+
+                    const nextCount = currentCount + 1;
+
+                    // Format the order number
+                    const formattedOrderNumber = formatOrderNumber(branchPrefix, businessDate, nextCount);
+
+                    // Enhanced counter metadata
+                    const counterData = {
+                        count: nextCount,
+                        branchId: safeBranchId,
+                        branchPrefix: branchPrefix,
+                        date: businessDate,
+                        timezone: branchTimezone,
+                        resetHour: resetHour,
+                        lastUpdated: FieldValue.serverTimestamp(),
+                        lastOrderAt: FieldValue.serverTimestamp(),
+                        lastOrderNumber: formattedOrderNumber,
+                    };
+
+                    // Track first order time
+                    if (isFirstOrder) {
+                        counterData.firstOrderAt = FieldValue.serverTimestamp();
+                    }
+
+                    t.set(counterRef, counterData, { merge: true });
+
+                    // Update order with both the formatted number and raw sequence
+                    t.update(event.data.after.ref, {
+                        dailyOrderNumber: formattedOrderNumber,
+                        orderSequence: nextCount, // Raw sequence number for sorting
+                        orderNumberAssignedAt: FieldValue.serverTimestamp(),
+                    });
+
+                    return formattedOrderNumber;
+                });
+
+                logger.log(`[${orderId}] ✅ Assigned ${orderNumber} for branch ${safeBranchId}`);
+                return; // Success, exit function
+            } catch (e) {
+                lastError = e;
+                logger.warn(`[${orderId}] Attempt ${attempt}/${MAX_RETRIES} failed: ${e.message}`);
+
+                if (attempt < MAX_RETRIES) {
+                    // Exponential backoff: 100ms, 200ms, 400ms
+                    await new Promise(resolve => setTimeout(resolve, 100 * Math.pow(2, attempt - 1)));
+                }
+            }
+        }
+
+        // All retries failed - use fallback
+        logger.error(`[${orderId}] ❌ All retries failed. Using fallback order number. Error: ${lastError?.message}`);
+        const fallbackNumber = generateFallbackOrderNumber(branchPrefix, businessDate);
+
+        try {
+            await event.data.after.ref.update({
+                dailyOrderNumber: fallbackNumber,
+                orderNumberAssignedAt: FieldValue.serverTimestamp(),
+                orderNumberFallback: true, // Flag to identify fallback numbers
+            });
+            logger.log(`[${orderId}] Assigned fallback order number: ${fallbackNumber}`);
+        } catch (updateError) {
+            logger.error(`[${orderId}] Failed to set fallback order number: ${updateError.message}`);
+        }
+    }
+);
+
+// -------------------- TRIGGER: Immediate update when schedule changes --------------------
+exports.onBranchScheduleUpdate = onDocumentUpdated(
+    { document: "Branch/{branchId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const branchId = event.params.branchId;
+
+        const beforeScheduleInputs = JSON.stringify({
+            workingHours: beforeData.workingHours || {},
+            holidayClosures: beforeData.holidayClosures || [],
+            timezone: beforeData.timezone || 'UTC',
+        });
+        const afterScheduleInputs = JSON.stringify({
+            workingHours: afterData.workingHours || {},
+            holidayClosures: afterData.holidayClosures || [],
+            timezone: afterData.timezone || 'UTC',
+        });
+
+        if (beforeScheduleInputs === afterScheduleInputs) {
+            return;
+        }
+
+        logger.log(`[${branchId}] Scheduling inputs changed, recalculating status immediately...`);
+
+        const result = processBranchStatus(afterData, branchId);
+
+        if (!result) {
+            // No schedule or no change needed
+            return;
+        }
+
+        if (Array.isArray(result.scheduleIssues) && result.scheduleIssues.length > 0) {
+            logger.warn(
+                `[${branchId}] Scheduling data issues detected: ${result.scheduleIssues.slice(0, 5).join(' | ')}`
+            );
+        }
+
+        // When schedule changes, we update status and optionally reset manual flags
+        // But we give user control: only reset flags if the schedule change would naturally
+        // open/close the restaurant at its scheduled time
+        const updateData = {
+            ...result.updateData,
+        };
+
+        // If status is changing due to schedule update, reset manual flags
+        if (result.statusChanged) {
+            updateData.manuallyClosed = false;
+            updateData.manuallyOpened = false;
+            updateData.statusReason = result.toStatus
+                ? 'Auto-Opened (Scheduling Changed)'
+                : 'Auto-Closed (Scheduling Changed)';
+        }
+
+        if (Object.keys(updateData).length === 0) {
+            return;
+        }
+
+        await event.data.after.ref.update(updateData);
+
+        // Log to history
+        if (result.statusChanged) {
+            await logStatusChange(
+                event.data.after.ref,
+                branchId,
+                result.fromStatus,
+                result.toStatus,
+                'Scheduling Changed',
+                'schedule_update_trigger'
+            );
+            logger.log(`[${branchId}] Immediate update: ${result.fromStatus} → ${result.toStatus}`);
+        }
+    }
+);
+
+/**
+ * =============================================================================
+ * FUNCTION: SYNC RIDER LOCATION GEOHASH
+ * =============================================================================
+ * Keeps `currentLocationGeohash` in step with `currentLocation` on staff docs
+ * so findNextRider can query riders by expanding geohash rings.
+ * Also stamps `currentLocationUpdatedAt` when the location moves without the
+ * app setting it (older rider app builds).
+ * Only writes when the stored cell or stamp changes, which also stops the
+ * trigger from re-firing on its own update.
+ * =============================================================================
+ */
+exports.syncRiderLocationGeohash = onDocumentWritten(
+    { document: "staff/{staffId}", region: GCP_LOCATION },
+    async (event) => {
+        if (!event.data.after.exists) return null;
+
+        const staffData = event.data.after.data();
+        const beforeData = event.data.before.exists ? event.data.before.data() : {};
+        const location = toLatLng(staffData.currentLocation);
+        const previousLocation = toLatLng(beforeData.currentLocation);
+        const geohash = location
+            ? encodeGeohash(location.latitude, location.longitude, RIDER_GEOHASH_PRECISION)
+            : null;
+
+        const updates = {};
+        if ((staffData.currentLocationGeohash || null) !== geohash) {
+            updates.currentLocationGeohash = geohash || FieldValue.delete();
+        }
+
+        const locationMoved = location && (!previousLocation ||
+            previousLocation.latitude !== location.latitude ||
+            previousLocation.longitude !== location.longitude);
+        const stampUnchanged = toMillis(staffData.currentLocationUpdatedAt) === toMillis(beforeData.currentLocationUpdatedAt);
+        if (locationMoved && stampUnchanged) {
+            updates.currentLocationUpdatedAt = FieldValue.serverTimestamp();
+        }
+
+        if (Object.keys(updates).length === 0) return null;
+
+        try {
+            await event.data.after.ref.update(updates);
+        } catch (err) {
+            logger.warn(`[${event.params.staffId}] Failed to sync location geohash: ${err.message}`);
+        }
+        return null;
+    }
+);
+
+/**
+ * =============================================================================
+ * FUNCTION: LIVE DELIVERY ETA
+ * =============================================================================
+ * When a rider carrying picked-up deliveries moves, recompute the travel
+ * time to each drop-off, store it as `Orders.liveEta` and push the customer
+ * a throttled update (see liveEta.js). Batched drops are timed directly from
+ * the rider's position, not along the drop sequence. Orders are looked up by
+ * riderId: a picked-up order has already left the rider's activeOrderIds.
+ * =============================================================================
+ */
+async function sendLiveEtaNotification(orderId, orderData, plan) {
+    const fcmToken = await getCustomerFcmToken(orderId, orderData);
+    if (!fcmToken) return false;
+
+    const orderNumber = orderData.dailyOrderNumber || orderId.substring(0, 6).toUpperCase();
+    const title = plan.reason === ETA_NOTIFICATION_REASON.NEARBY
+        ? '📍 Your rider is almost there'
+        : '🛵 Your order is on the way';
+    const body = plan.reason === ETA_NOTIFICATION_REASON.NEARBY
+        ? `Order #${orderNumber} is arriving in about ${plan.etaMinutes} min.`
+        : `Order #${orderNumber} should arrive in about ${plan.etaMinutes} min.`;
+
+    await admin.messaging().send({
+        token: fcmToken,
+        notification: { title, body },
+        data: {
+            type: 'delivery_eta',
+            orderId: orderId,
+            orderNumber: String(orderNumber),
+            etaMinutes: String(plan.etaMinutes),
+            reason: plan.reason,
+            click_action: 'FLUTTER_NOTIFICATION_CLICK',
+        },
+        android: {
+            priority: 'high',
+            notification: {
+                channelId: 'order_updates',
+                sound: 'default',
+                clickAction: 'FLUTTER_NOTIFICATION_CLICK'
+            }
+        },
+        apns: {
+            payload: {
+                aps: {
+                    alert: { title, body },
+                    sound: 'default'
+                }
+            }
+        }
+    });
+    return true;
+}
+
+exports.updateLiveDeliveryEta = onDocumentUpdated(
+    { document: "staff/{staffId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const riderId = event.params.staffId;
+
+        if (afterData.staffType !== 'driver') return null;
+        const location = toLatLng(afterData.currentLocation);
+        const previousLocation = toLatLng(beforeData.currentLocation);
+        if (!location || (previousLocation &&
+            previousLocation.latitude === location.latitude &&
+            previousLocation.longitude === location.longitude)) {
+            return null;
+        }
+
+        try {
+            // Cheap cached check first; most location updates come from
+            // branches without live ETA and must not query Orders
+            const riderBranchId = (Array.isArray(afterData.branchIds) && afterData.branchIds[0]) || afterData.branchId;
+            if (riderBranchId) {
+                const { liveEta: riderEtaConfig } = await getBranchDispatchConfig(riderBranchId);
+                if (!riderEtaConfig.enabled) return null;
+            }
+
+            const nowMs = Date.now();
+            const carriedSnap = await db.collection('Orders')
+                .where('riderId', '==', riderId)
+                .where('status', 'in', PICKED_UP_STATUSES)
+                .get();
+            const due = [];
+            for (const orderDoc of carriedSnap.docs) {
+                const orderData = orderDoc.data();
+                const dropOff = resolveDeliveryLocation(orderData);
+                if (!dropOff) continue;
+
+                const branchId = (orderData.branchIds && orderData.branchIds[0]) || orderData.branchId;
+                const { liveEta: etaConfig } = await getBranchDispatchConfig(branchId);
+                if (isOrderDueForEta(orderData, riderId, etaConfig, nowMs)) {
+                    due.push({ orderDoc, dropOff, etaConfig });
+                }
+            }
+            if (due.length === 0) return null;
+
+            const travelTimes = await travelTimeProvider.getTravelTimes(location, due.map((entry) => entry.dropOff))
+                .catch((err) => {
+                    logger.warn(`[${riderId}] Live ETA travel time lookup failed: ${err.message}`);
+                    return due.map(() => null);
+                });
+
+            for (const [index, { orderDoc, etaConfig }] of due.entries()) {
+                const travel = travelTimes[index];
+                if (!travel) continue;
+                const orderId = orderDoc.id;
+
+                // Decide and record the notification atomically so concurrent
+                // location updates cannot both notify
+                const plan = await db.runTransaction(async (transaction) => {
+                    const freshDoc = await transaction.get(orderDoc.ref);
+                    const freshData = freshDoc.exists ? freshDoc.data() : null;
+                    if (!freshData || freshData.riderId !== riderId || normalizeStatus(freshData.status) !== STATUS.PICKED_UP) {
+                        return null;
+                    }
+
+                    const { liveEta, notification } = buildLiveEta(
+                        freshData.liveEta,
+                        travel,
+                        new GeoPoint(location.latitude, location.longitude),
+                        riderId,
+                        etaConfig,
+                        nowMs
+                    );
+                    transaction.update(orderDoc.ref, { 'liveEta': liveEta });
+                    return { ...notification, orderData: freshData };
+                });
+
+                if (plan?.notify) {
+                    try {
+                        const sent = await sendLiveEtaNotification(orderId, plan.orderData, plan);
+                        logger.log(`[${orderId}] 🕒 Live ETA ${plan.etaMinutes}m (${plan.reason})${sent ? ' sent to customer' : ''}`);
+                    } catch (err) {
+                        logger.warn(`[${orderId}] Failed to send live ETA notification: ${err.message}`);
+                    }
+                }
+            }
+        } catch (err) {
+            logger.error(`[${riderId}] Failed to update live delivery ETA:`, err);
+        }
+        return null;
+    }
+);
+
+/**
+ * =============================================================================
+ * FUNCTION: WAKE DISPATCH QUEUE
+ * =============================================================================
+ * When a rider becomes available (online with a free slot), run the search
+ * of the highest-priority waiting order in each of the rider's branches
+ * right away instead of waiting for whichever retry task fires first.
+ * Only for branches with `dispatchQueue.enabled`.
+ * =============================================================================
+ */
+exports.wakeDispatchQueue = onDocumentUpdated(
+    { document: "staff/{staffId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const riderId = event.params.staffId;
+
+        if (afterData.staffType !== 'driver') return null;
+
+        const isReady = (data) => data.isAvailable === true && data.status === 'online';
+        if (isReady(beforeData) || !isReady(afterData)) return null;
+
+        const branchIds = Array.isArray(afterData.branchIds) ? afterData.branchIds : [afterData.branchId].filter(Boolean);
+
+        for (const branchId of branchIds) {
+            try {
+                const { queue: queueConfig } = await getBranchDispatchConfig(branchId);
+                if (!queueConfig.enabled) continue;
+
+                const queue = await getBranchDispatchQueue(branchId, queueConfig);
+                if (queue.length === 0) continue;
+
+                const head = queue[0];
+                logger.log(`[${head.orderId}] 🔔 Rider ${riderId} available - waking top of ${branchId} queue (${queue.length} waiting, score ${head.score.toFixed(3)})`);
+                await createAssignmentTask(head.orderId, QUEUE_WAKE_RIDER_ID, 1);
+            } catch (err) {
+                logger.warn(`[${branchId}] Failed to wake dispatch queue for rider ${riderId}: ${err.message}`);
+            }
+        }
+        return null;
+    }
+);
+
+/**
+ * =============================================================================
+ * FUNCTION: CLEANUP STALE ASSIGNMENTS
+ * =============================================================================
+ * Scheduled function that runs every 5 minutes to clean up stuck assignments.
+ * This is a CRITICAL failsafe for when:
+ * - Cloud Tasks fails to trigger
+ * - A rider gets stuck in "pending" state
+ * - The workflow crashes mid-execution
+ * 
+ * Actions:
+ * 1. Find all assignments past their branch policy's workflow deadline
+ * 2. Unlock any locked riders
+ * 3. Move orders to manual assignment
+ * 4. Delete stale assignment records
+ * =============================================================================
+ */
+exports.cleanupStaleAssignments = onSchedule("every 5 minutes", async (event) => {
+    try {
+        logger.log('🧹 Running stale assignment cleanup...');
+
+        const now = new Date();
+        const legacyCutoffTime = new Date(now.getTime() - (DEFAULT_DISPATCH_POLICY.maxWorkflowMinutes * 60 * 1000));
+
+        // Workflows carry the deadline of the branch policy they started under.
+        const [pastDeadline, legacyStale] = await Promise.all([
+            db.collection('rider_assignments')
+                .where('workflowDeadlineAt', '<', now)
+                .limit(50) // Process 50 at a time to avoid timeout
+                .get(),
+            // BUG FIX #7: Query workflowStartedAt instead of createdAt.
+            // createdAt resets every time a new rider is assigned, so a workflow
+            // cycling through 5 riders could have a recent createdAt and never be caught.
+            // workflowStartedAt is set once at workflow start and never updated.
+            // Only used for docs written before workflowDeadlineAt existed.
+            db.collection('rider_assignments')
+                .where('workflowStartedAt', '<', legacyCutoffTime)
+                .limit(50)
+                .get(),
+        ]);
+
+        const staleDocs = new Map();
+        pastDeadline.docs.forEach((doc) => staleDocs.set(doc.id, doc));
+        legacyStale.docs
+            .filter((doc) => !doc.data().workflowDeadlineAt)
+            .forEach((doc) => staleDocs.set(doc.id, doc));
+
+        if (staleDocs.size === 0) {
+            logger.log('✅ No stale assignments found');
+            return;
+        }
+
+        logger.log(`🔍 Found ${staleDocs.size} stale assignments to clean up`);
+
+        let cleanedCount = 0;
+        let errorCount = 0;
+
+        for (const doc of staleDocs.values()) {
+            const data = doc.data();
+            const orderId = doc.id;
+
+            try {
+                // 1. Unlock the rider(s) if any were offered the order
+                const unlockedRiders = await unlockAssignmentRiders(data, orderId);
+                if (unlockedRiders.length > 0) {
+                    logger.log(`[${orderId}] 🔓 Unlocked stale rider(s) ${unlockedRiders.join(', ')}`);
+                }
+
+                // 2. Check if order still needs assignment
+                const orderDoc = await db.collection('Orders').doc(orderId).get();
+                if (orderDoc.exists) {
+                    const orderData = orderDoc.data();
+                    const status = normalizeStatus(orderData.status);
+
+                    // Only move to manual if not already terminal or assigned
+                    if (!isTerminalStatus(status) &&
+                        status !== STATUS.RIDER_ASSIGNED &&
+                        (!orderData.riderId || orderData.riderId === '')) {
+                        await markOrderForManualAssignment(orderId, 'Workflow timeout (cleanup)');
+                        logger.log(`[${orderId}] 📋 Moved to manual assignment`);
+                    }
+                }
+
+                // 3. Delete the stale assignment
+                await doc.ref.delete();
+                cleanedCount++;
+
+            } catch (err) {
+                logger.error(`[${orderId}] Error cleaning up stale assignment:`, err);
+                errorCount++;
+            }
+        }
+
+        logger.log(`🧹 Cleanup complete: ${cleanedCount} cleaned, ${errorCount} errors`);
+
+    } catch (error) {
+        logger.error('🔥 Error in cleanupStaleAssignments:', error);
+    }
+});
+
+/**
+ * =============================================================================
+ * FUNCTION: CLEANUP STUCK RIDERS
+ * =============================================================================
+ * Scheduled function that runs every 10 minutes to find and unlock riders
+ * that are stuck in an unavailable state without an active assignment.
+ * =============================================================================
+ */
+exports.cleanupStuckRiders = onSchedule("every 10 minutes", async (event) => {
+    try {
+        logger.log('🔍 Checking for stuck riders...');
+
+        // Find riders (staffType=driver) who are unavailable but have a currentOfferOrderId
+        const stuckRiders = await db.collection('staff')
+            .where('staffType', '==', 'driver')
+            .where('isAvailable', '==', false)
+            .where('status', '==', 'online')
+            .limit(50)
+            .get();
+
+        if (stuckRiders.empty) {
+            logger.log('✅ No potentially stuck riders found');
+            return;
+        }
+
+        let unlockedCount = 0;
+
+        for (const riderDoc of stuckRiders.docs) {
+            const riderData = riderDoc.data();
+            const riderId = riderDoc.id;
+            const offerOrderId = riderData.currentOfferOrderId;
+
+            try {
+                // Keep only the active orders the rider is still attached to
+                const activeOrderIds = getActiveOrderIds(riderData);
+                const liveOrderIds = [];
+                if (activeOrderIds.length > 0) {
+                    const orderDocs = await db.getAll(
+                        ...activeOrderIds.map((id) => db.collection('Orders').doc(id))
+                    );
+                    orderDocs.forEach((orderDoc) => {
+                        if (!orderDoc.exists) return;
+                        const orderData = orderDoc.data();
+                        if (isTerminalStatus(normalizeStatus(orderData.status))) return;
+                        if ((orderData.riderId || '') !== riderId) return;
+                        liveOrderIds.push(orderDoc.id);
+                    });
+                }
+
+                // If rider has a current offer, check if the assignment is still active
+                let hasFreshOffer = false;
+                if (offerOrderId) {
+                    const assignDoc = await db.collection('rider_assignments').doc(offerOrderId).get();
+
+                    if (assignDoc.exists) {
+                        const assignData = assignDoc.data();
+                        // Check if the assignment is recent (within 3 minutes = 180 seconds)
+                        const createdAt = assignData.createdAt?.toDate?.() || new Date(0);
+                        const ageSeconds = (Date.now() - createdAt.getTime()) / 1000;
+                        hasFreshOffer = ageSeconds < 180;
+                    }
+                }
+                if (hasFreshOffer) {
+                    // Rider is legitimately locked while evaluating the offer
+                    continue;
+                }
+
+                const staleOrderIds = activeOrderIds.filter((id) => !liveOrderIds.includes(id));
+                const riderBranchId = (Array.isArray(riderData.branchIds) && riderData.branchIds[0]) || riderData.branchId;
+                const { capacity: capacityConfig } = await getBranchDispatchConfig(riderBranchId);
+                const load = buildRiderLoadUpdate(
+                    { ...riderData, currentOfferOrderId: null },
+                    liveOrderIds,
+                    capacityConfig
+                );
+                if (!load.isAvailable && staleOrderIds.length === 0 && !offerOrderId) {
+                    // Rider is still legitimately at capacity with live orders.
+                    continue;
+                }
+
+                await riderDoc.ref.update({
+                    ...riderLoadFields(load),
+                    'currentOfferOrderId': FieldValue.delete()
+                });
+                logger.log(`🔓 Released stuck rider ${riderId} (stale orders: ${staleOrderIds.join(', ') || 'none'}, offer: ${offerOrderId || 'none'}, ${load.activeOrderIds.length}/${load.capacity} active)`);
+                unlockedCount++;
+            } catch (err) {
+                logger.warn(`Failed to unlock rider ${riderId}: ${err.message}`);
+            }
+        }
+
+        if (unlockedCount > 0) {
+            logger.log(`✅ Unlocked ${unlockedCount} stuck riders`);
+        }
+
+    } catch (error) {
+        logger.error('🔥 Error in cleanupStuckRiders:', error);
+    }
+});
+
+/**
+ * =============================================================================
+ * FUNCTION: SWEEP SILENT RIDERS
+ * =============================================================================
+ * Scheduled function that switches "online" riders offline once nothing was
+ * heard from their app (heartbeat or location) for the branch's
+ * `riderPresence.offlineAfterMinutes`, and notifies them. Opt-in per branch
+ * (`riderPresence.enabled`).
+ * - Riders holding an offer are left alone; the offer timeout runs first.
+ * - Riders with active orders are left alone until they finish them.
+ * - Riders without any timestamp get a starting heartbeat, so they are
+ *   swept one silence period later if the app never reports in.
+ * =============================================================================
+ */
+exports.sweepSilentRiders = onSchedule("every 5 minutes", async (event) => {
+    try {
+        const onlineRiders = await db.collection('staff')
+            .where('staffType', '==', 'driver')
+            .where('status', '==', 'online')
+            .limit(500)
+            .get();
+
+        if (onlineRiders.empty) {
+            return;
+        }
+
+        let offlineCount = 0;
+
+        for (const riderDoc of onlineRiders.docs) {
+            const riderId = riderDoc.id;
+
+            try {
+                const riderData = riderDoc.data();
+                const riderBranchId = (Array.isArray(riderData.branchIds) && riderData.branchIds[0]) || riderData.branchId;
+                const { presence: presenceConfig } = await getBranchDispatchConfig(riderBranchId);
+                if (!presenceConfig.enabled) continue;
+
+                const forced = await db.runTransaction(async (transaction) => {
+                    const freshDoc = await transaction.get(riderDoc.ref);
+                    if (!freshDoc.exists) return null;
+
+                    const freshData = freshDoc.data();
+                    if (freshData.status !== 'online' || freshData.currentOfferOrderId) return null;
+                    if (getActiveOrderIds(freshData).length > 0) return null;
+
+                    const presence = classifyRiderPresence(freshData, presenceConfig);
+                    if (presence.lastSeenMs === null) {
+                        transaction.update(riderDoc.ref, { 'lastHeartbeatAt': FieldValue.serverTimestamp() });
+                        return null;
+                    }
+                    if (!presence.isSilent) return null;
+
+                    transaction.update(riderDoc.ref, {
+                        'status': 'offline',
+                        'isAvailable': false,
+                        'forcedOfflineAt': FieldValue.serverTimestamp(),
+                        'forcedOfflineReason': 'no_heartbeat',
+                    });
+                    return { fcmToken: freshData.fcmToken, silentMinutes: Math.round(presence.silentSeconds / 60) };
+                });
+
+                if (forced) {
+                    offlineCount++;
+                    logger.log(`📴 Rider ${riderId} set offline after ${forced.silentMinutes}m without heartbeat`);
+                    await sendForcedOfflineFCM(riderId, forced.fcmToken, forced.silentMinutes);
+                }
+            } catch (err) {
+                logger.warn(`Failed to sweep rider ${riderId}: ${err.message}`);
+            }
+        }
+
+        if (offlineCount > 0) {
+            logger.log(`✅ Set ${offlineCount} silent riders offline`);
+        }
+    } catch (error) {
+        logger.error('🔥 Error in sweepSilentRiders:', error);
+    }
+});
+
+/**
+ * =============================================================================
+ * RIDER PERFORMANCE STATS
+ * =============================================================================
+ * Rolls rider offer/accept/reject/timeout/delivery events from the
+ * assignment trail into `rider_stats/{riderId}/daily/{yyyy-MM-dd}`, and
+ * hourly into a rolling 30-day summary on `rider_stats/{riderId}`.
+ * =============================================================================
+ */
+exports.aggregateRiderStats = onDocumentCreated(
+    { document: "rider_assignments/{orderId}/events/{eventId}", region: GCP_LOCATION },
+    async (event) => {
+        const eventData = event.data?.data();
+        const orderId = event.params.orderId;
+        if (!eventData || !isRiderStatEvent(eventData.type) || !eventData.riderId) return null;
+
+        const riderId = eventData.riderId;
+        const atMs = toMillis(eventData.timestamp) ?? Date.parse(event.time);
+        const dateKey = DateTime.fromMillis(atMs).setZone(DEFAULT_TIMEZONE).toFormat('yyyy-MM-dd');
+        const statsRef = db.collection('rider_stats').doc(riderId);
+        const dailyRef = statsRef.collection('daily').doc(dateKey);
+
+        try {
+            await db.runTransaction(async (transaction) => {
+                const [statsDoc, dailyDoc] = await transaction.getAll(statsRef, dailyRef);
+                const { daily, openOffers, applied } = applyRiderStatEvent(
+                    dailyDoc.exists ? dailyDoc.data() : null,
+                    statsDoc.exists ? statsDoc.data().openOffers : null,
+                    { eventId: event.params.eventId, type: eventData.type, orderId, atMs },
+                    dateKey
+                );
+                if (!applied) return;
+
+                transaction.set(dailyRef, { ...daily, riderId, updatedAt: FieldValue.serverTimestamp() });
+                // mergeFields replaces the whole openOffers map so answered offers are dropped
+                transaction.set(statsRef, {
+                    riderId,
+                    openOffers,
+                    updatedAt: FieldValue.serverTimestamp(),
+                }, { mergeFields: ['riderId', 'openOffers', 'updatedAt'] });
+            });
+        } catch (err) {
+            logger.warn(`[${orderId}] Failed to aggregate '${eventData.type}' into rider stats for ${riderId}: ${err.message}`);
+        }
+        return null;
+    }
+);
+
+exports.rollUpRiderStats = onSchedule("every 60 minutes", async (event) => {
+    try {
+        const today = DateTime.now().setZone(DEFAULT_TIMEZONE);
+        const fromKey = today.minus({ days: ROLLING_WINDOW_DAYS - 1 }).toFormat('yyyy-MM-dd');
+        const toKey = today.toFormat('yyyy-MM-dd');
+        const statsSnapshot = await db.collection('rider_stats').get();
+
+        for (const statsDoc of statsSnapshot.docs) {
+            try {
+                const dailySnapshot = await statsDoc.ref.collection('daily')
+                    .where('date', '>=', fromKey)
+                    .get();
+                const summary = summarizeRiderStats(dailySnapshot.docs.map((doc) => doc.data()));
+
+                await statsDoc.ref.update({
+                    'rolling30d': { ...summary, from: fromKey, to: toKey },
+                    'rolling30dUpdatedAt': FieldValue.serverTimestamp(),
+                });
+            } catch (err) {
+                logger.warn(`Failed to roll up stats for rider ${statsDoc.id}: ${err.message}`);
+            }
+        }
+        logger.log(`📊 Rolled up ${ROLLING_WINDOW_DAYS}-day stats for ${statsSnapshot.size} riders`);
+    } catch (error) {
+        logger.error('🔥 Error in rollUpRiderStats:', error);
+    }
+});
+
+/**
+ * =============================================================================
+ * UNASSIGNED ORDER ESCALATION
+ * =============================================================================
+ * Orders in `needs_rider_assignment` page the branch admins as soon as they
+ * enter it, then again every `realertMinutes` while still unassigned. After
+ * `superAdminAfterMinutes` the super admins are paged too. Progress is kept
+ * in `Orders.escalation` and every alert is recorded in the order's
+ * `escalation_alerts` subcollection.
+ * =============================================================================
+ */
+const BRANCH_ADMIN_ROLES = ['branchadmin', 'branch_admin', 'manager'];
+const FCM_MULTICAST_LIMIT = 500;
+
+/**
+ * Reserve the next alert for an unassigned order. Returns the alert plan,
+ * or null when the order is assigned, still being searched for
+ * automatically, or not yet due. `resetEpisode` starts a new escalation
+ * (the order just entered manual assignment).
+ */
+async function claimEscalationAlert(orderRef, config, resetEpisode = false) {
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) return null;
+
+        const orderData = orderDoc.data();
+        if (normalizeStatus(orderData.status) !== STATUS.NEEDS_ASSIGNMENT || orderData.riderId) return null;
+
+        // A dropped order waits here while the retry search runs; the episode
+        // only starts once that search gives up and the sweep picks it up.
+        const assignDoc = await transaction.get(db.collection('rider_assignments').doc(orderRef.id));
+        const assignStatus = assignDoc.exists ? assignDoc.data().status : null;
+        if (assignStatus === 'searching' || assignStatus === 'pending') {
+            if (resetEpisode && orderData.escalation) {
+                transaction.update(orderRef, { 'escalation': FieldValue.delete() });
+            }
+            return null;
+        }
+
+        const nowMs = Date.now();
+        const previous = resetEpisode ? {} : (orderData.escalation || {});
+        const state = {
+            enteredAtMs: toMillis(previous.enteredAt) ?? nowMs,
+            lastAlertAtMs: toMillis(previous.lastAlertAt),
+            alertCount: previous.alertCount || 0,
+        };
+
+        const plan = planEscalationAlert(state, config, nowMs);
+        if (!plan.due) return null;
+
+        const alertNumber = state.alertCount + 1;
+        transaction.update(orderRef, {
+            'escalation': {
+                enteredAt: new Date(state.enteredAtMs),
+                lastAlertAt: new Date(nowMs),
+                alertCount: alertNumber,
+                level: plan.level,
+            },
+        });
+        return { ...plan, alertNumber, orderData };
+    });
+}
+
+/**
+ * FCM tokens of staff docs: the `tokens` subcollection the admin app writes,
+ * plus the legacy `fcmToken` field.
+ */
+async function getStaffFcmTokens(staffDocs) {
+    const tokenSnapshots = await Promise.all(staffDocs.map((doc) => doc.ref.collection('tokens').get()));
+    const tokens = new Set();
+    staffDocs.forEach((doc, index) => {
+        if (doc.data().fcmToken) tokens.add(doc.data().fcmToken);
+        tokenSnapshots[index].docs.forEach((tokenDoc) => tokens.add(tokenDoc.data().token || tokenDoc.id));
+    });
+    return Array.from(tokens);
+}
+
+/**
+ * Staff docs of the branch admins, plus every super admin when asked.
+ */
+async function getAdminRecipientDocs(branchId, includeSuperAdmins = false) {
+    const recipientDocs = new Map();
+
+    const branchAdmins = await db.collection('staff')
+        .where('branchIds', 'array-contains', branchId)
+        .where('role', 'in', BRANCH_ADMIN_ROLES)
+        .get();
+    branchAdmins.docs.forEach((doc) => recipientDocs.set(doc.id, doc));
+
+    if (includeSuperAdmins) {
+        const superAdmins = await db.collection('staff').where('role', '==', 'super_admin').get();
+        superAdmins.docs.forEach((doc) => recipientDocs.set(doc.id, doc));
+    }
+
+    return Array.from(recipientDocs.values());
+}
+
+/**
+ * Every non-rider staff member with access to the branch.
+ */
+async function getBranchStaffDocs(branchId) {
+    const snapshot = await db.collection('staff')
+        .where('branchIds', 'array-contains', branchId)
+        .get();
+    return snapshot.docs.filter((doc) => doc.data().staffType !== 'driver');
+}
+
+/**
+ * Push an alert to every device of the given staff.
+ * `data` values must be strings.
+ * @returns {Promise<{tokenCount: number, successCount: number, failureCount: number}>}
+ */
+async function sendAdminAlert(staffDocs, { title, body, data }) {
+    const tokens = await getStaffFcmTokens(staffDocs);
+
+    let successCount = 0;
+    let failureCount = 0;
+    for (let start = 0; start < tokens.length; start += FCM_MULTICAST_LIMIT) {
+        const response = await admin.messaging().sendEachForMulticast({
+            tokens: tokens.slice(start, start + FCM_MULTICAST_LIMIT),
+            notification: { title, body },
+            data: {
+                ...data,
+                click_action: "FLUTTER_NOTIFICATION_CLICK",
+            },
+            android: {
+                priority: "high",
+                notification: { channelId: "fcm_default_channel" }
+            },
+            apns: {
+                payload: { aps: { sound: "default" } }
+            }
+        });
+        successCount += response.successCount;
+        failureCount += response.failureCount;
+    }
+
+    return { tokenCount: tokens.length, successCount, failureCount };
+}
+
+/**
+ * Page the admins for an unassigned order and record the alert.
+ */
+async function sendUnassignedOrderAlert(orderId, branchId, alert) {
+    const staffDocs = await getAdminRecipientDocs(branchId, alert.level === ESCALATION_LEVEL.SUPER_ADMIN);
+
+    const orderLabel = alert.orderData.dailyOrderNumber || alert.orderData.orderNumber || orderId;
+    const title = alert.level === ESCALATION_LEVEL.SUPER_ADMIN
+        ? "⚠️ Escalated: order still has no rider"
+        : "🚨 Order needs a rider";
+    const body = `Order ${orderLabel} has been waiting ${alert.minutesUnassigned} min for manual rider assignment.`;
+
+    const { tokenCount, successCount, failureCount } = await sendAdminAlert(staffDocs, {
+        title,
+        body,
+        data: { type: "unassigned_order_alert", orderId, branchId, level: alert.level },
+    });
+
+    await db.collection('Orders').doc(orderId).collection('escalation_alerts').add({
+        alertNumber: alert.alertNumber,
+        level: alert.level,
+        minutesUnassigned: alert.minutesUnassigned,
+        recipients: staffDocs.map((doc) => doc.id),
+        tokenCount,
+        successCount,
+        failureCount,
+        sentAt: FieldValue.serverTimestamp(),
+    });
+
+    logger.log(`[${orderId}] 🚨 Unassigned alert #${alert.alertNumber} (${alert.level}, ${alert.minutesUnassigned}m) sent to ${staffDocs.length} admins, ${successCount}/${tokenCount} delivered`);
+}
+
+async function escalateUnassignedOrder(orderId, orderData, resetEpisode) {
+    const branchId = (orderData.branchIds && orderData.branchIds[0]) || orderData.branchId;
+    if (!branchId) return;
+
+    const { escalation: config } = await getBranchDispatchConfig(branchId);
+    if (!config.enabled) return;
+
+    const alert = await claimEscalationAlert(db.collection('Orders').doc(orderId), config, resetEpisode);
+    if (alert) {
+        await sendUnassignedOrderAlert(orderId, branchId, alert);
+    }
+}
+
+exports.alertUnassignedOrder = onDocumentUpdated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeStatus = normalizeStatus(event.data.before.data().status);
+        const afterData = event.data.after.data();
+        const orderId = event.params.orderId;
+
+        if (beforeStatus === STATUS.NEEDS_ASSIGNMENT || normalizeStatus(afterData.status) !== STATUS.NEEDS_ASSIGNMENT) {
+            return null;
+        }
+
+        try {
+            await escalateUnassignedOrder(orderId, afterData, true);
+        } catch (err) {
+            logger.error(`[${orderId}] Failed to alert admins about unassigned order:`, err);
+        }
+        return null;
+    }
+);
+
+exports.escalateUnassignedOrders = onSchedule("every 2 minutes", async (event) => {
+    try {
+        const unassigned = await db.collection('Orders')
+            .where('status', '==', STATUS.NEEDS_ASSIGNMENT)
+            .limit(100)
+            .get();
+
+        for (const orderDoc of unassigned.docs) {
+            try {
+                await escalateUnassignedOrder(orderDoc.id, orderDoc.data(), false);
+            } catch (err) {
+                logger.warn(`[${orderDoc.id}] Escalation sweep failed: ${err.message}`);
+            }
+        }
+    } catch (error) {
+        logger.error('🔥 Error in escalateUnassignedOrders:', error);
+    }
+});
+
+/**
+ * =============================================================================
+ * FUNCTION: NOTIFY CUSTOMER - PICKUP ORDER READY
+ * =============================================================================
+ * Triggered when an order's status changes to 'prepared' for pickup/takeaway orders.
+ * Sends a push notification to the customer's device to let them know their order
+ * is ready for collection.
+ * 
+ * TRIGGER CONDITIONS:
+ * - Order status changes TO 'prepared'
+ * - Order type is 'pickup' OR 'takeaway'
+ * - Customer has a valid FCM token
+ * =============================================================================
+ */
+exports.notifyCustomerPickupReady = onDocumentUpdated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const orderId = event.params.orderId;
+
+        // --- GUARD 1: Status must have changed TO 'prepared' ---
+        const beforeStatus = normalizeStatus(beforeData.status);
+        const afterStatus = normalizeStatus(afterData.status);
+
+        if (beforeStatus === STATUS.PREPARED || afterStatus !== STATUS.PREPARED) {
+            return null; // Not a transition to 'prepared'
+        }
+
+        // --- GUARD 2: Only for pickup/takeaway orders (not delivery, not dine-in) ---
+        const rawOrderType = afterData.Order_type || afterData.orderType || '';
+        const orderType = normalizeOrderType(rawOrderType);
+
+        if (orderType !== ORDER_TYPE.PICKUP && orderType !== ORDER_TYPE.TAKEAWAY) {
+            return null; // Not a pickup/takeaway order
+        }
+
+        logger.log(`[${orderId}] 📦 PICKUP ORDER READY - Notifying customer (type: ${orderType})`);
+
+        try {
+            // --- STEP 1: Get customer email from order ---
+            const customerEmail = afterData.userEmail || afterData.email || afterData.customerEmail;
+
+            if (!customerEmail) {
+                logger.warn(`[${orderId}] ❌ No customer email found on order`);
+                return null;
+            }
+
+            // --- STEP 2: Get customer's FCM token from Users collection ---
+            const userDoc = await db.collection('Users').doc(customerEmail).get();
+
+            if (!userDoc.exists) {
+                logger.warn(`[${orderId}] ❌ User document not found for: ${customerEmail}`);
+                return null;
+            }
+
+            const userData = userDoc.data();
+            const fcmToken = userData.fcmToken;
+
+            if (!fcmToken) {
+                logger.warn(`[${orderId}] ❌ No FCM token for customer: ${customerEmail}`);
+                return null;
+            }
+
+            // --- STEP 3: Build and send FCM notification ---
+            const orderNumber = afterData.dailyOrderNumber || orderId.substring(0, 6).toUpperCase();
+            const branchName = afterData.branchName || 'the restaurant';
+
+            const message = {
+                token: fcmToken,
+                notification: {
+                    title: '🎉 Your Order is Ready!',
+                    body: `Order #${orderNumber} is prepared and waiting for you at ${branchName}.`
+                },
+                data: {
+                    type: 'pickup_ready',
+                    orderId: orderId,
+                    orderNumber: String(orderNumber),
+                    click_action: 'FLUTTER_NOTIFICATION_CLICK',
+                    // For background handling
+                    title: '🎉 Your Order is Ready!',
+                    body: `Order #${orderNumber} is prepared and waiting for you at ${branchName}.`
+                },
+                android: {
+                    priority: 'high',
+                    notification: {
+                        channelId: 'order_updates',
+                        priority: 'high',
+                        sound: 'default',
+                        clickAction: 'FLUTTER_NOTIFICATION_CLICK'
+                    }
+                },
+                apns: {
+                    payload: {
+                        aps: {
+                            alert: {
+                                title: '🎉 Your Order is Ready!',
+                                body: `Order #${orderNumber} is prepared and waiting for you at ${branchName}.`
+                            },
+                            sound: 'default',
+                            badge: 1
+                        }
                     }
+                }
+            };
 
-                    t.set(counterRef, counterData, { merge: true });
-
-                    // Update order with both the formatted number and raw sequence
-                    t.update(event.data.after.ref, {
-                        dailyOrderNumber: formattedOrderNumber,
-                        orderSequence: nextCount, // Raw sequence number for sorting
-                        orderNumberAssignedAt: FieldValue.serverTimestamp(),
-                    });
+            await admin.messaging().send(message);
+            logger.log(`[${orderId}] ✅ Sent PICKUP READY notification to customer: ${customerEmail}`);
 
-                    return formattedOrderNumber;
-                });
+            // --- STEP 4: Mark notification as sent on order (optional, for tracking) ---
+            await event.data.after.ref.update({
+                'pickupReadyNotificationSent': true,
+                'pickupReadyNotificationAt': FieldValue.serverTimestamp()
+            });
 
-                logger.log(`[${orderId}] ✅ Assigned ${orderNumber} for branch ${safeBranchId}`);
-                return; // Success, exit function
-            } catch (e) {
-                lastError = e;
-                logger.warn(`[${orderId}] Attempt ${attempt}/${MAX_RETRIES} failed: ${e.message}`);
+            return null;
 
-                if (attempt < MAX_RETRIES) {
-                    // Exponential backoff: 100ms, 200ms, 400ms
-                    await new Promise(resolve => setTimeout(resolve, 100 * Math.pow(2, attempt - 1)));
+        } catch (error) {
+            // Handle invalid FCM token (token expired or app uninstalled)
+            if (error.code === 'messaging/registration-token-not-registered' ||
+                error.code === 'messaging/invalid-registration-token') {
+                logger.warn(`[${orderId}] Customer FCM token is invalid/expired. Cleaning up...`);
+                // Optionally clean up invalid token from user document
+                try {
+                    const customerEmail = afterData.userEmail || afterData.email || afterData.customerEmail;
+                    if (customerEmail) {
+                        await db.collection('Users').doc(customerEmail).update({
+                            'fcmToken': FieldValue.delete()
+                        });
+                        logger.log(`[${orderId}] Removed invalid FCM token for: ${customerEmail}`);
+                    }
+                } catch (cleanupErr) {
+                    logger.warn(`[${orderId}] Failed to cleanup invalid token: ${cleanupErr.message}`);
                 }
+                return null;
             }
-        }
-
-        // All retries failed - use fallback
-        logger.error(`[${orderId}] ❌ All retries failed. Using fallback order number. Error: ${lastError?.message}`);
-        const fallbackNumber = generateFallbackOrderNumber(branchPrefix, businessDate);
 
-        try {
-            await event.data.after.ref.update({
-                dailyOrderNumber: fallbackNumber,
-                orderNumberAssignedAt: FieldValue.serverTimestamp(),
-                orderNumberFallback: true, // Flag to identify fallback numbers
-            });
-            logger.log(`[${orderId}] Assigned fallback order number: ${fallbackNumber}`);
-        } catch (updateError) {
-            logger.error(`[${orderId}] Failed to set fallback order number: ${updateError.message}`);
+            logger.error(`[${orderId}] ❌ Error sending pickup ready notification:`, error);
+            return null;
         }
     }
 );
 
-// -------------------- TRIGGER: Immediate update when schedule changes --------------------
-exports.onBranchScheduleUpdate = onDocumentUpdated(
-    { document: "Branch/{branchId}", region: GCP_LOCATION },
-    async (event) => {
-        const beforeData = event.data.before.data();
-        const afterData = event.data.after.data();
-        const branchId = event.params.branchId;
-
-        const beforeScheduleInputs = JSON.stringify({
-            workingHours: beforeData.workingHours || {},
-            holidayClosures: beforeData.holidayClosures || [],
-            timezone: beforeData.timezone || 'UTC',
-        });
-        const afterScheduleInputs = JSON.stringify({
-            workingHours: afterData.workingHours || {},
-            holidayClosures: afterData.holidayClosures || [],
-            timezone: afterData.timezone || 'UTC',
-        });
-
-        if (beforeScheduleInputs === afterScheduleInputs) {
-            return;
+/**
+ * =============================================================================
+ * KITCHEN LOAD MONITOR
+ * =============================================================================
+ * For branches with `kitchenLoad.enabled`, every order entering or leaving
+ * `preparing` recomputes the branch load (see kitchenLoad.js). The monitor
+ * raises `estimatedTime` above the admin's value while the kitchen is
+ * loaded, sets `isBusy` past the busy threshold, and restores both as the
+ * load drops. Level changes are logged to `statusHistory`. While busy, new
+ * online (non-POS) orders are rejected.
+ * =============================================================================
+ */
+const KITCHEN_LOAD_QUERY_LIMIT = 500;
+const BUSY_REJECT_REASON = 'The restaurant is very busy right now. Please try again in a few minutes.';
+
+async function refreshKitchenLoad(branchId) {
+    const { kitchenLoad: config } = await getBranchDispatchConfig(branchId);
+    if (!config.enabled) return null;
+
+    const preparingSnapshot = await db.collection('Orders')
+        .where('branchIds', 'array-contains', branchId)
+        .where('status', '==', STATUS.PREPARING)
+        .select('itemCount', 'items')
+        .limit(KITCHEN_LOAD_QUERY_LIMIT)
+        .get();
+    const orders = preparingSnapshot.docs.map((doc) => doc.data());
+    const load = computeKitchenLoad(orders, config);
+
+    const branchRef = db.collection('Branch').doc(branchId);
+    const change = await db.runTransaction(async (transaction) => {
+        const branchDoc = await transaction.get(branchRef);
+        if (!branchDoc.exists) return null;
+
+        const branchData = branchDoc.data();
+        const previous = branchData.kitchenLoad || {};
+        const wasBusy = branchData.isBusy === true;
+        const currentEstimate = normalizePrepTimeMinutes(branchData.estimatedTime);
+        // An admin edit since the monitor's last write becomes the new base
+        const baseEstimatedTime = previous.autoEstimatedTime === currentEstimate && Number.isFinite(previous.baseEstimatedTime)
+            ? previous.baseEstimatedTime
+            : currentEstimate;
+
+        const plan = planKitchenLoadState({ load, baseEstimatedTime, wasBusy }, config);
+        const updates = {
+            'kitchenLoad': {
+                load,
+                activeOrders: orders.length,
+                level: plan.level,
+                baseEstimatedTime,
+                autoEstimatedTime: plan.estimatedTime,
+                updatedAt: FieldValue.serverTimestamp(),
+            },
+        };
+        if (plan.estimatedTime !== currentEstimate) {
+            updates.estimatedTime = plan.estimatedTime;
+            updates.estimatedTimeUpdatedAt = FieldValue.serverTimestamp();
         }
+        if (plan.busy !== wasBusy) {
+            updates.isBusy = plan.busy;
+            updates.busySince = plan.busy ? FieldValue.serverTimestamp() : FieldValue.delete();
+        }
+        transaction.update(branchRef, updates);
 
-        logger.log(`[${branchId}] Scheduling inputs changed, recalculating status immediately...`);
+        return {
+            fromLevel: previous.level || KITCHEN_LOAD_LEVEL.NORMAL,
+            toLevel: plan.level,
+            estimatedTime: plan.estimatedTime,
+            baseEstimatedTime,
+        };
+    });
 
-        const result = processBranchStatus(afterData, branchId);
+    if (change && change.fromLevel !== change.toLevel) {
+        const reason = `Kitchen load ${load} (${orders.length} preparing): estimatedTime ` +
+            `${change.estimatedTime}m (base ${change.baseEstimatedTime}m)`;
+        await logStatusChange(branchRef, branchId, change.fromLevel, change.toLevel, reason, 'kitchen_load_monitor');
+        logger.log(`[${branchId}] 🍳 Kitchen ${change.fromLevel} → ${change.toLevel} | ${reason}`);
+    }
+    return change;
+}
 
-        if (!result) {
-            // No schedule or no change needed
-            return;
-        }
+exports.monitorKitchenLoad = onDocumentWritten(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.exists ? event.data.before.data() : {};
+        const afterData = event.data.after.exists ? event.data.after.data() : {};
 
-        if (Array.isArray(result.scheduleIssues) && result.scheduleIssues.length > 0) {
-            logger.warn(
-                `[${branchId}] Scheduling data issues detected: ${result.scheduleIssues.slice(0, 5).join(' | ')}`
-            );
-        }
+        const wasPreparing = normalizeStatus(beforeData.status) === STATUS.PREPARING;
+        const isPreparing = normalizeStatus(afterData.status) === STATUS.PREPARING;
+        if (wasPreparing === isPreparing) return null;
 
-        // When schedule changes, we update status and optionally reset manual flags
-        // But we give user control: only reset flags if the schedule change would naturally
-        // open/close the restaurant at its scheduled time
-        const updateData = {
-            ...result.updateData,
-        };
+        const data = event.data.after.exists ? afterData : beforeData;
+        const branchId = (data.branchIds && data.branchIds[0]) || data.branchId;
+        if (!branchId) return null;
 
-        // If status is changing due to schedule update, reset manual flags
-        if (result.statusChanged) {
-            updateData.manuallyClosed = false;
-            updateData.manuallyOpened = false;
-            updateData.statusReason = result.toStatus
-                ? 'Auto-Opened (Scheduling Changed)'
-                : 'Auto-Closed (Scheduling Changed)';
+        try {
+            await refreshKitchenLoad(branchId);
+        } catch (err) {
+            logger.error(`[${branchId}] Failed to refresh kitchen load (order ${event.params.orderId}):`, err);
         }
+        return null;
+    }
+);
 
-        if (Object.keys(updateData).length === 0) {
-            return;
+exports.pauseOnlineOrdersWhenBusy = onDocumentCreated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const data = event.data?.data();
+        const orderId = event.params.orderId;
+        if (!data || normalizeOrderSource(data) === 'pos' || normalizeStatus(data.status) !== STATUS.PENDING) {
+            return null;
         }
 
-        await event.data.after.ref.update(updateData);
+        const branchId = (data.branchIds && data.branchIds[0]) || data.branchId;
+        if (!branchId) return null;
 
-        // Log to history
-        if (result.statusChanged) {
-            await logStatusChange(
-                event.data.after.ref,
-                branchId,
-                result.fromStatus,
-                result.toStatus,
-                'Scheduling Changed',
-                'schedule_update_trigger'
-            );
-            logger.log(`[${branchId}] Immediate update: ${result.fromStatus} → ${result.toStatus}`);
+        try {
+            const { kitchenLoad: config } = await getBranchDispatchConfig(branchId);
+            if (!config.enabled) return null;
+
+            // Busy state changes by the minute; read it fresh
+            const branchDoc = await db.collection('Branch').doc(branchId).get();
+            if (!branchDoc.exists || branchDoc.data().isBusy !== true) return null;
+
+            const rejected = await db.runTransaction(async (transaction) => {
+                const orderDoc = await transaction.get(event.data.ref);
+                if (!orderDoc.exists || normalizeStatus(orderDoc.data().status) !== STATUS.PENDING) return false;
+
+                transaction.update(event.data.ref, {
+                    status: STATUS.CANCELLED,
+                    orderStatus: STATUS.CANCELLED,
+                    cancelledAt: FieldValue.serverTimestamp(),
+                    cancelledBy: 'Kitchen Load Monitor',
+                    cancellationReason: BUSY_REJECT_REASON,
+                    rejectedBy: 'Kitchen Load Monitor',
+                    rejectedAt: FieldValue.serverTimestamp(),
+                    kitchenDecisionStatus: KITCHEN_DECISION_STATUS.AUTO_REJECTED,
+                    kitchenDecisionAt: FieldValue.serverTimestamp(),
+                    kitchenDecisionBy: 'Kitchen Load Monitor',
+                    lastUpdated: FieldValue.serverTimestamp(),
+                    'timestamps.cancelled': FieldValue.serverTimestamp(),
+                    _cloudFunctionUpdate: true,
+                });
+                return true;
+            });
+
+            if (rejected) {
+                logger.log(`[${orderId}] 🍳 Rejected online order while branch ${branchId} is busy`);
+                await sendKitchenRejectionToCustomer(orderId, data, BUSY_REJECT_REASON);
+            }
+        } catch (err) {
+            logger.error(`[${orderId}] Failed to apply busy mode to new order:`, err);
         }
+        return null;
     }
 );
 
 /**
  * =============================================================================
- * FUNCTION: CLEANUP STALE ASSIGNMENTS
+ * PREPARATION SLA
  * =============================================================================
- * Scheduled function that runs every 5 minutes to clean up stuck assignments.
- * This is a CRITICAL failsafe for when:
- * - Cloud Tasks fails to trigger
- * - A rider gets stuck in "pending" state
- * - The workflow crashes mid-execution
- * 
- * Actions:
- * 1. Find all assignments older than MAX_WORKFLOW_MINUTES
- * 2. Unlock any locked riders
- * 3. Move orders to manual assignment
- * 4. Delete stale assignment records
+ * For branches with `prepSla.enabled`: when an order starts `preparing`, a
+ * Cloud Task is scheduled for the branch's promised prep time plus grace
+ * (see prepSla.js). If the order is
+ * still preparing when it fires, the order is marked overdue, branch admins
+ * are alerted, and a breach is logged to
+ * `Branch/{branchId}/prep_sla_breaches/{orderId}` with its business date.
+ * The breach is resolved with the actual prep time once the order moves on.
  * =============================================================================
  */
-exports.cleanupStaleAssignments = onSchedule("every 5 minutes", async (event) => {
-    try {
-        logger.log('🧹 Running stale assignment cleanup...');
+function prepSlaBreachRef(branchId, orderId) {
+    return db.collection('Branch').doc(branchId).collection('prep_sla_breaches').doc(orderId);
+}
 
-        const cutoffTime = new Date(Date.now() - (MAX_WORKFLOW_MINUTES * 60 * 1000));
+async function startPrepSla(orderId, branchId, orderData) {
+    const { prepSla: slaConfig, prepTimeMinutes } = await getBranchDispatchConfig(branchId);
+    if (!slaConfig.enabled) return false;
+
+    const preparingAtMs = toMillis(orderData.timestamps?.preparing) ?? toMillis(orderData.preparingAt) ?? Date.now();
+    const dueAtMs = computePrepSlaDueAtMs(preparingAtMs, prepTimeMinutes, slaConfig.graceMinutes);
+
+    // Not a status change, so no _cloudFunctionUpdate flag
+    await db.collection('Orders').doc(orderId).update({
+        prepSla: {
+            status: PREP_SLA_STATUS.ON_TRACK,
+            branchId,
+            promisedMinutes: prepTimeMinutes,
+            graceMinutes: slaConfig.graceMinutes,
+            preparingAt: new Date(preparingAtMs),
+            dueAt: new Date(dueAtMs),
+        },
+        isPrepOverdue: false,
+    });
 
-        // BUG FIX #7: Query workflowStartedAt instead of createdAt.
-        // createdAt resets every time a new rider is assigned, so a workflow
-        // cycling through 5 riders could have a recent createdAt and never be caught.
-        // workflowStartedAt is set once at workflow start and never updated.
-        const staleAssignments = await db.collection('rider_assignments')
-            .where('workflowStartedAt', '<', cutoffTime)
-            .limit(50) // Process 50 at a time to avoid timeout
-            .get();
+    await createPrepSlaTask(orderId, Math.max(Math.ceil((dueAtMs - Date.now()) / 1000), 1));
+    return true;
+}
 
-        if (staleAssignments.empty) {
-            logger.log('✅ No stale assignments found');
-            return;
+async function completePrepSla(orderId, orderData) {
+    const sla = orderData.prepSla;
+    const preparingAtMs = toMillis(sla.preparingAt);
+    if (!Number.isFinite(preparingAtMs)) return;
+
+    const wasOverdue = sla.status === PREP_SLA_STATUS.OVERDUE;
+    const completion = summarizePrepCompletion({
+        preparingAtMs,
+        promisedMinutes: sla.promisedMinutes,
+        wasOverdue,
+    }, Date.now());
+
+    const batch = db.batch();
+    batch.update(db.collection('Orders').doc(orderId), {
+        'prepSla.status': completion.status,
+        'prepSla.completedAt': FieldValue.serverTimestamp(),
+        'prepSla.actualPrepMinutes': completion.actualPrepMinutes,
+        isPrepOverdue: false,
+    });
+    if (wasOverdue && sla.branchId) {
+        batch.update(prepSlaBreachRef(sla.branchId, orderId), {
+            status: BREACH_STATUS.RESOLVED,
+            resolvedAt: FieldValue.serverTimestamp(),
+            resolvedStatus: normalizeStatus(orderData.status),
+            actualPrepMinutes: completion.actualPrepMinutes,
+            overrunMinutes: completion.overrunMinutes,
+        });
+    }
+    await batch.commit();
+    logger.log(`[${orderId}] ⏱️ Prep SLA ${completion.status}: ${completion.actualPrepMinutes}m of ${sla.promisedMinutes}m promised`);
+}
+
+exports.trackPrepSla = onDocumentUpdated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const orderId = event.params.orderId;
+
+        const wasPreparing = normalizeStatus(beforeData.status) === STATUS.PREPARING;
+        const isPreparing = normalizeStatus(afterData.status) === STATUS.PREPARING;
+        if (wasPreparing === isPreparing) return null;
+
+        try {
+            if (isPreparing) {
+                const branchId = (afterData.branchIds && afterData.branchIds[0]) || afterData.branchId;
+                if (branchId && await startPrepSla(orderId, branchId, afterData)) {
+                    logger.log(`[${orderId}] ⏱️ Prep SLA started`);
+                }
+            } else if (afterData.prepSla && afterData.prepSla.completedAt === undefined) {
+                await completePrepSla(orderId, afterData);
+            }
+        } catch (error) {
+            logger.error(`[${orderId}] Failed to track prep SLA:`, error);
         }
+        return null;
+    }
+);
 
-        logger.log(`🔍 Found ${staleAssignments.size} stale assignments to clean up`);
+exports.processPrepSlaTask = onRequest({ region: GCP_LOCATION }, async (req, res) => {
+    const validationErrors = [];
+    if (!req.body?.orderId || typeof req.body.orderId !== 'string') {
+        validationErrors.push('orderId is required and must be a string');
+    } else if (req.body.orderId.length > 128 || !/^[A-Za-z0-9_-]+$/.test(req.body.orderId)) {
+        validationErrors.push('orderId contains invalid characters or is too long');
+    }
 
-        let cleanedCount = 0;
-        let errorCount = 0;
+    const unexpectedFields = Object.keys(req.body || {}).filter((key) => key !== 'orderId');
+    if (unexpectedFields.length > 0) {
+        validationErrors.push(`Unexpected fields: ${unexpectedFields.join(', ')}`);
+    }
 
-        for (const doc of staleAssignments.docs) {
-            const data = doc.data();
-            const orderId = doc.id;
+    if (!validateTaskAuth(req, res, 'processPrepSlaTask')) {
+        return;
+    }
 
-            try {
-                // 1. Unlock the rider if one was assigned
-                if (data.riderId && data.riderId !== 'RETRY_SEARCH') {
-                    await unlockRider(data.riderId, orderId);
-                    logger.log(`[${orderId}] 🔓 Unlocked stale rider ${data.riderId}`);
-                }
+    if (validationErrors.length > 0) {
+        logger.error('Prep SLA task input validation failed:', validationErrors);
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Input validation failed',
+            details: process.env.FUNCTIONS_EMULATOR === 'true' ? validationErrors : undefined,
+        });
+    }
 
-                // 2. Check if order still needs assignment
-                const orderDoc = await db.collection('Orders').doc(orderId).get();
-                if (orderDoc.exists) {
-                    const orderData = orderDoc.data();
-                    const status = normalizeStatus(orderData.status);
+    const sanitizedOrderId = req.body.orderId.replace(/[^A-Za-z0-9_-]/g, '');
 
-                    // Only move to manual if not already terminal or assigned
-                    if (!isTerminalStatus(status) &&
-                        status !== STATUS.RIDER_ASSIGNED &&
-                        (!orderData.riderId || orderData.riderId === '')) {
-                        await markOrderForManualAssignment(orderId, 'Workflow timeout (cleanup)');
-                        logger.log(`[${orderId}] 📋 Moved to manual assignment`);
-                    }
-                }
+    try {
+        const orderRef = db.collection('Orders').doc(sanitizedOrderId);
+        const result = await db.runTransaction(async (transaction) => {
+            const orderDoc = await transaction.get(orderRef);
+            if (!orderDoc.exists) {
+                return { outcome: 'missing' };
+            }
+
+            const orderData = orderDoc.data();
+            const sla = orderData.prepSla;
+            if (normalizeStatus(orderData.status) !== STATUS.PREPARING || !sla || sla.status !== PREP_SLA_STATUS.ON_TRACK) {
+                return { outcome: 'already_handled' };
+            }
+
+            // A task left over from an earlier preparing stint fires before the current due time
+            const dueAtMs = toMillis(sla.dueAt);
+            if (Number.isFinite(dueAtMs) && dueAtMs > Date.now() + 1000) {
+                return { outcome: 'not_due', delaySeconds: Math.ceil((dueAtMs - Date.now()) / 1000) };
+            }
+
+            const { businessDay } = await getBranchDispatchConfig(sla.branchId);
+            const preparingAtMs = toMillis(sla.preparingAt);
+            const businessDate = getBusinessDate(
+                DateTime.fromMillis(preparingAtMs ?? Date.now()).setZone(businessDay.timezone),
+                businessDay.resetHour
+            );
+            const overdueMinutes = Number.isFinite(preparingAtMs)
+                ? Math.max(Math.round((Date.now() - preparingAtMs) / 60000) - sla.promisedMinutes, 0)
+                : null;
+
+            transaction.update(orderRef, {
+                'prepSla.status': PREP_SLA_STATUS.OVERDUE,
+                'prepSla.overdueAt': FieldValue.serverTimestamp(),
+                'prepSla.businessDate': businessDate,
+                isPrepOverdue: true,
+                lastUpdated: FieldValue.serverTimestamp(),
+            });
+            transaction.set(prepSlaBreachRef(sla.branchId, sanitizedOrderId), {
+                orderId: sanitizedOrderId,
+                branchId: sla.branchId,
+                businessDate,
+                orderNumber: orderData.dailyOrderNumber || orderData.orderNumber || null,
+                source: normalizeOrderSource(orderData),
+                promisedMinutes: sla.promisedMinutes,
+                graceMinutes: sla.graceMinutes,
+                preparingAt: sla.preparingAt,
+                dueAt: sla.dueAt,
+                overdueMinutes,
+                status: BREACH_STATUS.OPEN,
+                detectedAt: FieldValue.serverTimestamp(),
+            });
 
-                // 3. Delete the stale assignment
-                await doc.ref.delete();
-                cleanedCount++;
+            return { outcome: PREP_SLA_STATUS.OVERDUE, orderData, branchId: sla.branchId, overdueMinutes };
+        });
 
-            } catch (err) {
-                logger.error(`[${orderId}] Error cleaning up stale assignment:`, err);
-                errorCount++;
-            }
+        if (result.outcome === 'not_due') {
+            const delaySeconds = Math.max(result.delaySeconds || 0, 1);
+            await createPrepSlaTask(sanitizedOrderId, delaySeconds);
+            logger.log(`[${sanitizedOrderId}] Prep SLA task fired early; rescheduled for ${delaySeconds}s`);
+            return res.status(200).json({ message: 'Not due yet - rescheduled' });
         }
 
-        logger.log(`🧹 Cleanup complete: ${cleanedCount} cleaned, ${errorCount} errors`);
+        if (result.outcome !== PREP_SLA_STATUS.OVERDUE) {
+            logger.log(`[${sanitizedOrderId}] Prep SLA task finished with outcome: ${result.outcome}`);
+            return res.status(200).json({ message: result.outcome });
+        }
+
+        logger.log(`[${sanitizedOrderId}] ⏱️ Order overdue in preparing (${result.overdueMinutes ?? '?'}m over promise)`);
+        try {
+            const staffDocs = await getAdminRecipientDocs(result.branchId);
+            const orderLabel = result.orderData.dailyOrderNumber || result.orderData.orderNumber || sanitizedOrderId;
+            const { tokenCount, successCount, failureCount } = await sendAdminAlert(staffDocs, {
+                title: "⏱️ Order running late in the kitchen",
+                body: `Order ${orderLabel} has passed its promised prep time of ${result.orderData.prepSla.promisedMinutes} min.`,
+                data: { type: "prep_sla_overdue", orderId: sanitizedOrderId, branchId: result.branchId },
+            });
+            await prepSlaBreachRef(result.branchId, sanitizedOrderId).update({
+                alertRecipients: staffDocs.map((doc) => doc.id),
+                alertTokenCount: tokenCount,
+                alertSuccessCount: successCount,
+                alertFailureCount: failureCount,
+            });
+        } catch (alertError) {
+            logger.error(`[${sanitizedOrderId}] Failed to send prep SLA alert:`, alertError);
+        }
 
+        return res.status(200).json({ message: 'Order marked overdue' });
     } catch (error) {
-        logger.error('🔥 Error in cleanupStaleAssignments:', error);
+        logger.error(`🔥 CRITICAL ERROR in processPrepSlaTask for order ${sanitizedOrderId}:`, error);
+        return res.status(200).json({
+            error: 'Internal Error Handled',
+            message: 'Prep SLA processing failed safely.'
+        });
     }
 });
 
 /**
  * =============================================================================
- * FUNCTION: CLEANUP STUCK RIDERS
+ * KITCHEN STATION TICKETS
  * =============================================================================
- * Scheduled function that runs every 10 minutes to find and unlock riders
- * that are stuck in an unavailable state without an active assignment.
+ * For branches with `kitchenStations.enabled`, an accepted order is split
+ * into one `kitchen_tickets` doc per station (see kitchenStations.js) so
+ * each station's KDS only sees its own items. Stations move their ticket
+ * through pending → preparing → done; when every ticket is done the order
+ * moves to `prepared`, as long as the transition rules allow it from its
+ * current status.
  * =============================================================================
  */
-exports.cleanupStuckRiders = onSchedule("every 10 minutes", async (event) => {
-    try {
-        logger.log('🔍 Checking for stuck riders...');
-
-        // Find riders (staffType=driver) who are unavailable but have a currentOfferOrderId
-        const stuckRiders = await db.collection('staff')
-            .where('staffType', '==', 'driver')
-            .where('isAvailable', '==', false)
-            .where('status', '==', 'online')
-            .limit(50)
-            .get();
+async function getStationLookups(items) {
+    const menuIds = [...new Set((Array.isArray(items) ? items : []).map(getOrderItemMenuId).filter(Boolean))];
+    const menuItemsById = new Map();
+    const categoriesById = new Map();
+    if (menuIds.length === 0) return { menuItemsById, categoriesById };
+
+    const menuDocs = await db.getAll(...menuIds.map((id) => db.collection('menu_items').doc(id)));
+    menuDocs.filter((doc) => doc.exists).forEach((doc) => menuItemsById.set(doc.id, doc.data()));
+
+    const categoryIds = [...new Set([
+        ...items.map((item) => item?.categoryId),
+        ...Array.from(menuItemsById.values()).map((menuItem) => menuItem.categoryId),
+    ].filter(Boolean).map(String))];
+    if (categoryIds.length > 0) {
+        const categoryDocs = await db.getAll(...categoryIds.map((id) => db.collection('menu_categories').doc(id)));
+        categoryDocs.filter((doc) => doc.exists).forEach((doc) => categoriesById.set(doc.id, doc.data()));
+    }
 
-        if (stuckRiders.empty) {
-            logger.log('✅ No potentially stuck riders found');
-            return;
-        }
+    return { menuItemsById, categoriesById };
+}
 
-        let unlockedCount = 0;
+async function createKitchenTickets(orderId, branchId, orderData, stationsConfig, previousStatus) {
+    const existing = await db.collection('kitchen_tickets').where('orderId', '==', orderId).get();
+    if (!shouldSplitOrder(previousStatus, existing.docs.map((doc) => doc.data()))) {
+        logger.log(`[${orderId}] Kitchen tickets already exist or order was not just accepted (from ${previousStatus}) - not splitting again`);
+        return 0;
+    }
 
-        for (const riderDoc of stuckRiders.docs) {
-            const riderData = riderDoc.data();
-            const riderId = riderDoc.id;
-            const offerOrderId = riderData.currentOfferOrderId;
-            const assignedOrderId = riderData.assignedOrderId;
+    const { menuItemsById, categoriesById } = await getStationLookups(orderData.items);
+    const stationTickets = splitItemsByStation(orderData.items, menuItemsById, categoriesById, stationsConfig);
+    if (stationTickets.length === 0) return 0;
+
+    const batch = db.batch();
+    // Only cancelled tickets are left here; they would block areAllTicketsDone
+    existing.docs.forEach((doc) => batch.delete(doc.ref));
+    stationTickets.forEach(({ station, items }) => {
+        batch.set(db.collection('kitchen_tickets').doc(`${orderId}_${station}`), {
+            orderId,
+            branchId,
+            station,
+            items,
+            status: TICKET_STATUS.PENDING,
+            orderNumber: orderData.dailyOrderNumber || orderData.orderNumber || null,
+            orderType: normalizeOrderType(orderData.Order_type || orderData.orderType || ''),
+            stationCount: stationTickets.length,
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+    });
+    // Not a status change, so no _cloudFunctionUpdate flag
+    batch.update(db.collection('Orders').doc(orderId), {
+        kitchenStations: stationTickets.map((ticket) => ticket.station),
+        kitchenTicketsDoneAt: FieldValue.delete(),
+    });
+    await batch.commit();
+    return stationTickets.length;
+}
 
-            if (assignedOrderId && assignedOrderId !== '') {
-                try {
-                    const assignedOrderDoc = await db.collection('Orders').doc(assignedOrderId).get();
+async function cancelKitchenTickets(orderId) {
+    const tickets = await db.collection('kitchen_tickets').where('orderId', '==', orderId).get();
+    const open = tickets.docs.filter((doc) => isTicketOpen(doc.data()));
+    if (open.length === 0) return 0;
+
+    const batch = db.batch();
+    open.forEach((doc) => batch.update(doc.ref, {
+        status: TICKET_STATUS.CANCELLED,
+        updatedAt: FieldValue.serverTimestamp(),
+    }));
+    await batch.commit();
+    return open.length;
+}
 
-                    if (!assignedOrderDoc.exists) {
-                        await riderDoc.ref.update({
-                            'isAvailable': true,
-                            'assignedOrderId': FieldValue.delete(),
-                            'currentOfferOrderId': FieldValue.delete()
-                        });
-                        logger.log(`🔓 Unlocked rider ${riderId} - assigned order ${assignedOrderId} no longer exists`);
-                        unlockedCount++;
-                        continue;
-                    }
+exports.routeKitchenTickets = onDocumentUpdated(
+    { document: "Orders/{orderId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const orderId = event.params.orderId;
 
-                    const assignedOrderData = assignedOrderDoc.data();
-                    const assignedOrderStatus = normalizeStatus(assignedOrderData.status);
-                    const orderRiderId = assignedOrderData.riderId || '';
-
-                    if (isTerminalStatus(assignedOrderStatus) ||
-                        !orderRiderId ||
-                        orderRiderId !== riderId) {
-                        await riderDoc.ref.update({
-                            'isAvailable': true,
-                            'assignedOrderId': FieldValue.delete(),
-                            'currentOfferOrderId': FieldValue.delete(),
-                            'status': 'online'
-                        });
-                        logger.log(`🔓 Unlocked rider ${riderId} - stale assigned order ${assignedOrderId} (${assignedOrderStatus || 'missing_rider'})`);
-                        unlockedCount++;
-                        continue;
-                    }
+        const beforeStatus = normalizeStatus(beforeData.status);
+        const afterStatus = normalizeStatus(afterData.status);
+        if (beforeStatus === afterStatus) return null;
 
-                    // Rider is still legitimately attached to a live order.
-                    continue;
-                } catch (assignedOrderErr) {
-                    logger.warn(`Failed to verify assigned order ${assignedOrderId} for rider ${riderId}: ${assignedOrderErr.message}`);
-                    continue;
-                }
+        try {
+            if (afterStatus === STATUS.CANCELLED) {
+                const cancelled = await cancelKitchenTickets(orderId);
+                if (cancelled > 0) logger.log(`[${orderId}] 🍳 Cancelled ${cancelled} kitchen tickets`);
+                return null;
             }
+            if (afterStatus !== STATUS.PREPARING) return null;
 
-            // If rider has a current offer, check if the assignment is still active
-            if (offerOrderId) {
-                const assignDoc = await db.collection('rider_assignments').doc(offerOrderId).get();
-
-                if (assignDoc.exists) {
-                    const assignData = assignDoc.data();
-                    // Check if the assignment is recent (within 3 minutes = 180 seconds)
-                    const createdAt = assignData.createdAt?.toDate?.() || new Date(0);
-                    const ageSeconds = (Date.now() - createdAt.getTime()) / 1000;
-
-                    if (ageSeconds < 180) {
-                        // Assignment is still fresh, rider is legitimately locked
-                        continue;
-                    }
-                }
-                // Assignment doesn't exist or is stale - unlock rider
-            }
+            const branchId = (afterData.branchIds && afterData.branchIds[0]) || afterData.branchId;
+            if (!branchId) return null;
+            const { kitchenStations: stationsConfig } = await getBranchDispatchConfig(branchId);
+            if (!stationsConfig.enabled) return null;
 
-            // Unlock the stuck rider
-            try {
-                await riderDoc.ref.update({
-                    'isAvailable': true,
-                    'currentOfferOrderId': FieldValue.delete()
-                });
-                logger.log(`🔓 Unlocked stuck rider ${riderId} (was locked for order: ${offerOrderId || 'unknown'})`);
-                unlockedCount++;
-            } catch (err) {
-                logger.warn(`Failed to unlock rider ${riderId}: ${err.message}`);
-            }
+            const created = await createKitchenTickets(orderId, branchId, afterData, stationsConfig, beforeStatus);
+            if (created > 0) logger.log(`[${orderId}] 🍳 Split into ${created} kitchen station tickets`);
+        } catch (error) {
+            logger.error(`[${orderId}] Failed to route kitchen tickets:`, error);
         }
+        return null;
+    }
+);
 
-        if (unlockedCount > 0) {
-            logger.log(`✅ Unlocked ${unlockedCount} stuck riders`);
+exports.completeOrderFromKitchenTickets = onDocumentUpdated(
+    { document: "kitchen_tickets/{ticketId}", region: GCP_LOCATION },
+    async (event) => {
+        const beforeData = event.data.before.data();
+        const afterData = event.data.after.data();
+        const orderId = afterData.orderId;
+
+        if (beforeData.status === TICKET_STATUS.DONE || afterData.status !== TICKET_STATUS.DONE || !orderId) {
+            return null;
         }
 
-    } catch (error) {
-        logger.error('🔥 Error in cleanupStuckRiders:', error);
+        try {
+            const orderRef = db.collection('Orders').doc(orderId);
+            const ticketsQuery = db.collection('kitchen_tickets').where('orderId', '==', orderId);
+            const result = await db.runTransaction(async (transaction) => {
+                const [orderDoc, ticketsSnapshot] = await Promise.all([
+                    transaction.get(orderRef),
+                    transaction.get(ticketsQuery),
+                ]);
+                if (!orderDoc.exists) return { outcome: 'missing' };
+
+                const tickets = ticketsSnapshot.docs.map((doc) => doc.data());
+                if (!areAllTicketsDone(tickets)) return { outcome: 'waiting' };
+
+                const orderData = orderDoc.data();
+                if (orderData.kitchenTicketsDoneAt) return { outcome: 'already_handled' };
+
+                const currentStatus = normalizeStatus(orderData.status);
+                const stateMachine = await getOrderStateMachine(afterData.branchId);
+                const canMarkPrepared = currentStatus === STATUS.PREPARING &&
+                    getAllowedNextStatuses(stateMachine, orderData, orderData.status).includes(STATUS.PREPARED);
+
+                const updates = {
+                    kitchenTicketsDoneAt: FieldValue.serverTimestamp(),
+                    lastUpdated: FieldValue.serverTimestamp(),
+                };
+                // Left for validateOrderStatusTransition to check like any
+                // kitchen-initiated change, so no _cloudFunctionUpdate flag
+                if (canMarkPrepared) {
+                    Object.assign(updates, {
+                        status: STATUS.PREPARED,
+                        preparedAt: FieldValue.serverTimestamp(),
+                        preparedBy: 'Kitchen Stations',
+                        'timestamps.prepared': FieldValue.serverTimestamp(),
+                    });
+                }
+                transaction.update(orderRef, updates);
+                return { outcome: canMarkPrepared ? STATUS.PREPARED : 'stations_done', status: currentStatus };
+            });
+
+            if (result.outcome === STATUS.PREPARED) {
+                logger.log(`[${orderId}] 🍳 All kitchen stations done - order prepared`);
+            } else if (result.outcome === 'stations_done') {
+                logger.log(`[${orderId}] 🍳 All kitchen stations done; order stays '${result.status}'`);
+            }
+        } catch (error) {
+            logger.error(`[${orderId}] Failed to complete order from kitchen tickets:`, error);
+        }
+        return null;
     }
-});
+);
 
 /**
  * =============================================================================
- * FUNCTION: NOTIFY CUSTOMER - PICKUP ORDER READY
+ * ORDER TRANSITION API (CALLABLE)
  * =============================================================================
- * Triggered when an order's status changes to 'prepared' for pickup/takeaway orders.
- * Sends a push notification to the customer's device to let them know their order
- * is ready for collection.
- * 
- * TRIGGER CONDITIONS:
- * - Order status changes TO 'prepared'
- * - Order type is 'pickup' OR 'takeaway'
- * - Customer has a valid FCM token
+ * Validates a status change before it is written, so no trigger or customer
+ * notification ever sees an illegal status:
+ * 1. The caller is staff with access to the order's branch. Riders may only
+ *    move their own order to pickedUp/delivered; refunds and changes to a
+ *    finished order need a branch admin.
+ * 2. The move is allowed by the order state machine for the order's branch.
+ * 3. Status, `<status>At`, `timestamps.<status>` and a statusHistory entry
+ *    are written in one transaction.
+ * Rejected moves throw `failed-precondition`/`permission-denied` with
+ * `details.reason` from TRANSITION_ERROR_REASON. The write goes through
+ * validateOrderStatusTransition like any other, which finds it valid.
+ * Direct status writes from clients remain as the legacy path.
  * =============================================================================
  */
-exports.notifyCustomerPickupReady = onDocumentUpdated(
-    { document: "Orders/{orderId}", region: GCP_LOCATION },
-    async (event) => {
-        const beforeData = event.data.before.data();
-        const afterData = event.data.after.data();
-        const orderId = event.params.orderId;
+const TRANSITION_ADMIN_ROLES = ['super_admin', ...BRANCH_ADMIN_ROLES];
+const RIDER_TRANSITION_TARGETS = [STATUS.PICKED_UP, STATUS.DELIVERED];
+const REASON_REQUIRED_TARGETS = [STATUS.CANCELLED, 'refunded'];
+const TRANSITION_REASON_MAX_LENGTH = 200;
+const TRANSITION_ACTOR_MAX_LENGTH = 64;
+
+function sanitizeTransitionText(raw, maxLength) {
+    if (typeof raw !== 'string') return '';
+    return raw
+        .substring(0, maxLength)
+        .replace(/<[^>]*>/g, '')
+        .replace(/[\x00-\x1F\x7F]/g, '')
+        .trim();
+}
 
-        // --- GUARD 1: Status must have changed TO 'prepared' ---
-        const beforeStatus = normalizeStatus(beforeData.status);
-        const afterStatus = normalizeStatus(afterData.status);
+function transitionError(code, reason, message, details = {}) {
+    return new HttpsError(code, message, { reason, ...details });
+}
 
-        if (beforeStatus === STATUS.PREPARED || afterStatus !== STATUS.PREPARED) {
-            return null; // Not a transition to 'prepared'
-        }
+/**
+ * Role rules on top of the state machine.
+ * @returns {string|null} Why the caller may not make the move, or null
+ */
+function getTransitionRoleViolation(staff, orderData, fromStatus, toStatus) {
+    if (staff.data.staffType === 'driver') {
+        if (orderData.riderId !== staff.id) return 'Riders can only update their own orders';
+        if (!RIDER_TRANSITION_TARGETS.includes(toStatus)) return `Riders cannot move orders to ${toStatus}`;
+        return null;
+    }
+    const needsAdmin = toStatus === 'refunded' || isTerminalStatus(fromStatus);
+    if (needsAdmin && !TRANSITION_ADMIN_ROLES.includes(staff.data.role)) {
+        return `Only admins can move a ${fromStatus} order to ${toStatus}`;
+    }
+    return null;
+}
 
-        // --- GUARD 2: Only for pickup/takeaway orders (not delivery, not dine-in) ---
-        const rawOrderType = afterData.Order_type || afterData.orderType || '';
-        const orderType = normalizeOrderType(rawOrderType);
+function buildTransitionUpdate(orderData, fromStatus, toStatus, { reason, actor, changedBy }) {
+    const updates = {
+        status: toStatus,
+        orderStatus: toStatus,
+        lastUpdated: FieldValue.serverTimestamp(),
+        lastTransition: { from: fromStatus, to: toStatus, reason: reason || null, actor, changedBy, at: FieldValue.serverTimestamp() },
+        statusHistory: FieldValue.arrayUnion({
+            status: toStatus,
+            timestamp: new Date(),
+            by: changedBy.email || changedBy.staffId,
+            actor,
+            ...(reason ? { reason } : {}),
+        }),
+    };
 
-        if (orderType !== ORDER_TYPE.PICKUP && orderType !== ORDER_TYPE.TAKEAWAY) {
-            return null; // Not a pickup/takeaway order
-        }
+    const timestampFields = getStatusTimestampFields(toStatus);
+    if (timestampFields) {
+        updates[timestampFields.timestampPath] = FieldValue.serverTimestamp();
+        updates[timestampFields.atField] = FieldValue.serverTimestamp();
+    }
 
-        logger.log(`[${orderId}] 📦 PICKUP ORDER READY - Notifying customer (type: ${orderType})`);
+    if (toStatus === STATUS.PREPARING && fromStatus === STATUS.PENDING) {
+        // Same acceptance fields the KDS writes
+        Object.assign(updates, {
+            acceptedAt: FieldValue.serverTimestamp(),
+            acceptedBy: changedBy.email || changedBy.staffId,
+            kitchenDecisionStatus: 'accepted',
+            kitchenDecisionAt: FieldValue.serverTimestamp(),
+            kitchenDecisionBy: changedBy.email || changedBy.staffId,
+        });
+        const isDelivery = normalizeOrderType(orderData.Order_type || orderData.orderType || '') === ORDER_TYPE.DELIVERY;
+        if (isDelivery && !orderData.riderId && !orderData.autoAssignStarted) {
+            updates.autoAssignStarted = FieldValue.serverTimestamp();
+            updates.lastAssignmentUpdate = FieldValue.serverTimestamp();
+        }
+    } else if (toStatus === STATUS.CANCELLED) {
+        updates.cancelledBy = changedBy.email || changedBy.staffId;
+        updates.cancellationReason = reason;
+    } else if (toStatus === 'refunded') {
+        updates.refundReason = reason;
+    }
+    return updates;
+}
 
-        try {
-            // --- STEP 1: Get customer email from order ---
-            const customerEmail = afterData.userEmail || afterData.email || afterData.customerEmail;
+exports.transitionOrder = onCall(
+    { region: GCP_LOCATION },
+    async (request) => {
+        if (!request.auth) {
+            throw new HttpsError('unauthenticated', 'Authentication required');
+        }
 
-            if (!customerEmail) {
-                logger.warn(`[${orderId}] ❌ No customer email found on order`);
-                return null;
-            }
+        const { orderId, status } = request.data || {};
+        if (typeof orderId !== 'string' || !DOC_ID_PATTERN.test(orderId)) {
+            throw new HttpsError('invalid-argument', 'orderId is required and must be a valid document ID');
+        }
+        if (typeof status !== 'string' || !/^[A-Za-z_]{1,40}$/.test(status)) {
+            throw new HttpsError('invalid-argument', 'status is required and must be a status name');
+        }
+        const toStatus = normalizeStatus(status);
+        const reason = sanitizeTransitionText(request.data.reason, TRANSITION_REASON_MAX_LENGTH);
+        const actor = sanitizeTransitionText(request.data.actor, TRANSITION_ACTOR_MAX_LENGTH) || 'app';
+        if (REASON_REQUIRED_TARGETS.includes(toStatus) && !reason) {
+            throw transitionError('invalid-argument', TRANSITION_ERROR_REASON.REASON_REQUIRED,
+                `A reason is required to move an order to ${toStatus}`);
+        }
 
-            // --- STEP 2: Get customer's FCM token from Users collection ---
-            const userDoc = await db.collection('Users').doc(customerEmail).get();
+        const caller = await getCallerStaff(request.auth);
+        if (!caller) {
+            logger.warn(`🔒 SECURITY: Non-staff caller ${request.auth.uid} tried to move order ${orderId} to ${toStatus}`);
+            throw new HttpsError('permission-denied', 'Only staff can update orders');
+        }
+        const changedBy = {
+            uid: request.auth.uid,
+            staffId: caller.id,
+            name: caller.data.name || null,
+            email: request.auth.token.email || null,
+            role: caller.data.role || null,
+        };
 
-            if (!userDoc.exists) {
-                logger.warn(`[${orderId}] ❌ User document not found for: ${customerEmail}`);
-                return null;
-            }
+        const orderRef = db.collection('Orders').doc(orderId);
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists) {
+                    throw new HttpsError('not-found', 'Order not found');
+                }
 
-            const userData = userDoc.data();
-            const fcmToken = userData.fcmToken;
+                const orderData = orderDoc.data();
+                const branchId = (orderData.branchIds && orderData.branchIds[0]) || orderData.branchId;
+                if (!hasBranchAccess(caller.data, branchId)) {
+                    throw new HttpsError('permission-denied', 'No access to this branch');
+                }
 
-            if (!fcmToken) {
-                logger.warn(`[${orderId}] ❌ No FCM token for customer: ${customerEmail}`);
-                return null;
-            }
+                const fromStatus = normalizeStatus(orderData.status);
+                if (fromStatus === toStatus) {
+                    return { changed: false, fromStatus };
+                }
 
-            // --- STEP 3: Build and send FCM notification ---
-            const orderNumber = afterData.dailyOrderNumber || orderId.substring(0, 6).toUpperCase();
-            const branchName = afterData.branchName || 'the restaurant';
+                const roleViolation = getTransitionRoleViolation(caller, orderData, fromStatus, toStatus);
+                if (roleViolation) {
+                    throw transitionError('permission-denied', TRANSITION_ERROR_REASON.ROLE_NOT_ALLOWED, roleViolation,
+                        { from: fromStatus, to: toStatus });
+                }
 
-            const message = {
-                token: fcmToken,
-                notification: {
-                    title: '🎉 Your Order is Ready!',
-                    body: `Order #${orderNumber} is prepared and waiting for you at ${branchName}.`
-                },
-                data: {
-                    type: 'pickup_ready',
-                    orderId: orderId,
-                    orderNumber: String(orderNumber),
-                    click_action: 'FLUTTER_NOTIFICATION_CLICK',
-                    // For background handling
-                    title: '🎉 Your Order is Ready!',
-                    body: `Order #${orderNumber} is prepared and waiting for you at ${branchName}.`
-                },
-                android: {
-                    priority: 'high',
-                    notification: {
-                        channelId: 'order_updates',
-                        priority: 'high',
-                        sound: 'default',
-                        clickAction: 'FLUTTER_NOTIFICATION_CLICK'
-                    }
-                },
-                apns: {
-                    payload: {
-                        aps: {
-                            alert: {
-                                title: '🎉 Your Order is Ready!',
-                                body: `Order #${orderNumber} is prepared and waiting for you at ${branchName}.`
-                            },
-                            sound: 'default',
-                            badge: 1
-                        }
-                    }
+                const stateMachine = await getOrderStateMachine(branchId);
+                const allowedTransitions = getAllowedNextStatuses(stateMachine, orderData, orderData.status);
+                if (!allowedTransitions.includes(toStatus) && !allowedTransitions.includes(status)) {
+                    throw transitionError('failed-precondition', TRANSITION_ERROR_REASON.ILLEGAL_TRANSITION,
+                        `Cannot move a ${fromStatus} order to ${toStatus}`, {
+                            from: fromStatus,
+                            to: toStatus,
+                            allowedTransitions,
+                            stateMachineVersion: stateMachine.version,
+                            branchStateMachineVersion: stateMachine.branchVersion,
+                        });
                 }
-            };
 
-            await admin.messaging().send(message);
-            logger.log(`[${orderId}] ✅ Sent PICKUP READY notification to customer: ${customerEmail}`);
+                if (toStatus === STATUS.DELIVERED && !isDeliveryProofSatisfied(orderData.proofOfDelivery)) {
+                    throw transitionError('failed-precondition', TRANSITION_ERROR_REASON.DELIVERY_CODE_REQUIRED,
+                        'The customer delivery code must be verified first', { from: fromStatus, to: toStatus });
+                }
 
-            // --- STEP 4: Mark notification as sent on order (optional, for tracking) ---
-            await event.data.after.ref.update({
-                'pickupReadyNotificationSent': true,
-                'pickupReadyNotificationAt': FieldValue.serverTimestamp()
+                transaction.update(orderRef, buildTransitionUpdate(orderData, fromStatus, toStatus, { reason, actor, changedBy }));
+                return { changed: true, fromStatus };
             });
 
-            return null;
-
-        } catch (error) {
-            // Handle invalid FCM token (token expired or app uninstalled)
-            if (error.code === 'messaging/registration-token-not-registered' ||
-                error.code === 'messaging/invalid-registration-token') {
-                logger.warn(`[${orderId}] Customer FCM token is invalid/expired. Cleaning up...`);
-                // Optionally clean up invalid token from user document
-                try {
-                    const customerEmail = afterData.userEmail || afterData.email || afterData.customerEmail;
-                    if (customerEmail) {
-                        await db.collection('Users').doc(customerEmail).update({
-                            'fcmToken': FieldValue.delete()
-                        });
-                        logger.log(`[${orderId}] Removed invalid FCM token for: ${customerEmail}`);
-                    }
-                } catch (cleanupErr) {
-                    logger.warn(`[${orderId}] Failed to cleanup invalid token: ${cleanupErr.message}`);
+            if (result.changed) {
+                logger.log(`[${orderId}] 🔀 ${result.fromStatus} → ${toStatus} by ${caller.id} (${actor})${reason ? `: ${reason}` : ''}`);
+            }
+            return { success: true, orderId, status: toStatus, previousStatus: result.fromStatus, changed: result.changed };
+        } catch (err) {
+            if (err instanceof HttpsError) {
+                if (err.details?.reason) {
+                    logger.warn(`[${orderId}] Transition to ${toStatus} by ${caller.id} rejected: ${err.details.reason} - ${err.message}`);
                 }
-                return null;
+                throw err;
             }
-
-            logger.error(`[${orderId}] ❌ Error sending pickup ready notification:`, error);
-            return null;
+            logger.error(`[${orderId}] Transition to ${toStatus} by ${caller.id} failed:`, err);
+            throw new HttpsError('internal', 'Failed to update the order. Please try again.');
         }
     }
 );
@@ -0,0 +1,107 @@
+// Branch `kitchenLoad` setting:
+// { enabled, weightByItems, itemsPerOrder, raiseThreshold,
+//   minutesPerExtraOrder, busyThreshold, recoverThreshold }
+//
+// Load is the number of `preparing` orders, or with `weightByItems` each
+// order counts as itemCount / itemsPerOrder (at least 1). Above
+// `raiseThreshold` the branch `estimatedTime` grows by
+// `minutesPerExtraOrder` per extra unit of load. At `busyThreshold` the
+// branch turns busy and stays busy until load drops to `recoverThreshold`.
+const DEFAULT_KITCHEN_LOAD_CONFIG = {
+    enabled: false,
+    weightByItems: false,
+    itemsPerOrder: 3,
+    raiseThreshold: 10,
+    minutesPerExtraOrder: 2,
+    busyThreshold: 25,
+    recoverThreshold: 18,
+};
+
+const KITCHEN_LOAD_LEVEL = {
+    NORMAL: "normal",
+    RAISED: "raised",
+    BUSY: "busy",
+};
+
+// Same bounds normalizePrepTimeMinutes (dispatchPolicy.js) applies to `estimatedTime`
+const ESTIMATED_TIME_MIN_MINUTES = 10;
+const ESTIMATED_TIME_MAX_MINUTES = 90;
+
+function readNumber(raw, fallback, min, max) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || typeof raw === "boolean" || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(value, min), max);
+}
+
+function normalizeKitchenLoadConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object" || rawConfig.enabled !== true) {
+        return { ...DEFAULT_KITCHEN_LOAD_CONFIG };
+    }
+
+    const defaults = DEFAULT_KITCHEN_LOAD_CONFIG;
+    const busyThreshold = readNumber(rawConfig.busyThreshold, defaults.busyThreshold, 1, 1000);
+    return {
+        enabled: true,
+        weightByItems: rawConfig.weightByItems === true,
+        itemsPerOrder: readNumber(rawConfig.itemsPerOrder, defaults.itemsPerOrder, 1, 100),
+        raiseThreshold: readNumber(rawConfig.raiseThreshold, defaults.raiseThreshold, 0, 1000),
+        minutesPerExtraOrder: readNumber(rawConfig.minutesPerExtraOrder, defaults.minutesPerExtraOrder, 0, 30),
+        busyThreshold,
+        // Recovery below the busy threshold keeps the branch from flapping
+        recoverThreshold: readNumber(
+            rawConfig.recoverThreshold,
+            Math.floor(busyThreshold * 0.75),
+            0,
+            Math.max(busyThreshold - 1, 0)
+        ),
+    };
+}
+
+function countOrderItems(orderData) {
+    const itemCount = Number(orderData?.itemCount);
+    if (Number.isFinite(itemCount) && itemCount > 0) return itemCount;
+
+    const items = Array.isArray(orderData?.items) ? orderData.items : [];
+    const quantity = items.reduce((sum, item) => sum + (Number(item?.quantity) > 0 ? Number(item.quantity) : 1), 0);
+    return quantity || 1;
+}
+
+function computeKitchenLoad(orders, config) {
+    if (!config.weightByItems) return orders.length;
+    const load = orders.reduce((sum, order) => sum + Math.max(countOrderItems(order) / config.itemsPerOrder, 1), 0);
+    return Math.round(load * 100) / 100;
+}
+
+/**
+ * Kitchen state for the current load.
+ *
+ * @param {{load: number, baseEstimatedTime: number, wasBusy: boolean}} state
+ * @returns {{level: string, busy: boolean, estimatedTime: number}}
+ */
+function planKitchenLoadState({ load, baseEstimatedTime, wasBusy }, config) {
+    const busy = wasBusy ? load > config.recoverThreshold : load >= config.busyThreshold;
+
+    let estimatedTime = baseEstimatedTime;
+    if (load > config.raiseThreshold) {
+        estimatedTime = Math.min(
+            baseEstimatedTime + Math.ceil((load - config.raiseThreshold) * config.minutesPerExtraOrder),
+            ESTIMATED_TIME_MAX_MINUTES
+        );
+    }
+    estimatedTime = Math.max(estimatedTime, ESTIMATED_TIME_MIN_MINUTES);
+
+    let level = KITCHEN_LOAD_LEVEL.NORMAL;
+    if (busy) level = KITCHEN_LOAD_LEVEL.BUSY;
+    else if (estimatedTime > baseEstimatedTime) level = KITCHEN_LOAD_LEVEL.RAISED;
+
+    return { level, busy, estimatedTime };
+}
+
+module.exports = {
+    DEFAULT_KITCHEN_LOAD_CONFIG,
+    KITCHEN_LOAD_LEVEL,
+    normalizeKitchenLoadConfig,
+    countOrderItems,
+    computeKitchenLoad,
+    planKitchenLoadState,
+};
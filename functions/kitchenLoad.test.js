@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_KITCHEN_LOAD_CONFIG,
+    KITCHEN_LOAD_LEVEL,
+    normalizeKitchenLoadConfig,
+    countOrderItems,
+    computeKitchenLoad,
+    planKitchenLoadState,
+} = require("./kitchenLoad");
+
+test("kitchen load monitoring is opt-in and clamps thresholds", () => {
+    assert.deepEqual(normalizeKitchenLoadConfig(undefined), DEFAULT_KITCHEN_LOAD_CONFIG);
+    assert.equal(normalizeKitchenLoadConfig({ busyThreshold: 5 }).enabled, false);
+
+    const config = normalizeKitchenLoadConfig({ enabled: true, busyThreshold: 12, recoverThreshold: 40, itemsPerOrder: 0 });
+    assert.equal(config.enabled, true);
+    assert.equal(config.recoverThreshold, 11);
+    assert.equal(config.itemsPerOrder, 1);
+    assert.equal(normalizeKitchenLoadConfig({ enabled: true, busyThreshold: 20 }).recoverThreshold, 15);
+});
+
+test("load counts orders, or weighs them by item count", () => {
+    const orders = [
+        { itemCount: 9 },
+        { items: [{ quantity: 2 }, { quantity: 4 }] },
+        { items: [] },
+    ];
+    assert.equal(countOrderItems(orders[1]), 6);
+    assert.equal(countOrderItems(orders[2]), 1);
+
+    assert.equal(computeKitchenLoad(orders, normalizeKitchenLoadConfig({ enabled: true })), 3);
+    // 9/3 + 6/3 + max(1/3, 1)
+    assert.equal(computeKitchenLoad(orders, normalizeKitchenLoadConfig({ enabled: true, weightByItems: true })), 6);
+});
+
+test("estimated time rises above the raise threshold and is capped", () => {
+    const config = normalizeKitchenLoadConfig({ enabled: true, raiseThreshold: 10, minutesPerExtraOrder: 2 });
+
+    assert.deepEqual(planKitchenLoadState({ load: 10, baseEstimatedTime: 25, wasBusy: false }, config), {
+        level: KITCHEN_LOAD_LEVEL.NORMAL,
+        busy: false,
+        estimatedTime: 25,
+    });
+    assert.deepEqual(planKitchenLoadState({ load: 14, baseEstimatedTime: 25, wasBusy: false }, config), {
+        level: KITCHEN_LOAD_LEVEL.RAISED,
+        busy: false,
+        estimatedTime: 33,
+    });
+    assert.equal(planKitchenLoadState({ load: 24, baseEstimatedTime: 80, wasBusy: false }, config).estimatedTime, 90);
+});
+
+test("busy mode starts at the busy threshold and ends at the recover threshold", () => {
+    const config = normalizeKitchenLoadConfig({ enabled: true, busyThreshold: 20, recoverThreshold: 15 });
+
+    assert.equal(planKitchenLoadState({ load: 19, baseEstimatedTime: 25, wasBusy: false }, config).busy, false);
+    assert.equal(planKitchenLoadState({ load: 20, baseEstimatedTime: 25, wasBusy: false }, config).level, KITCHEN_LOAD_LEVEL.BUSY);
+    assert.equal(planKitchenLoadState({ load: 17, baseEstimatedTime: 25, wasBusy: true }, config).busy, true);
+
+    const recovered = planKitchenLoadState({ load: 15, baseEstimatedTime: 25, wasBusy: true }, config);
+    assert.equal(recovered.busy, false);
+    assert.equal(recovered.level, KITCHEN_LOAD_LEVEL.RAISED);
+});
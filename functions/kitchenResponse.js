@@ -0,0 +1,138 @@
+// Branch `kitchenResponsePolicy` setting, keyed by order source:
+// {
+//   pos:     { action: "auto_accept", timeoutSeconds: 30, warnAtFraction: 0.5 },
+//   app:     { action: "escalate", timeoutSeconds: 120 },
+//   web:     { action: "auto_reject", timeoutSeconds: 300, rejectReason: "..." },
+//   default: { action: "none" }
+// }
+// `default` applies to sources without their own entry. Without any
+// setting, POS orders auto-accept and other sources wait for the kitchen.
+// `warnAtFraction` pushes an "about to auto-accept" warning to branch staff
+// that far into the window; only auto-accept policies use it.
+const KITCHEN_RESPONSE_ACTION = {
+    AUTO_ACCEPT: "auto_accept",
+    AUTO_REJECT: "auto_reject",
+    ESCALATE: "escalate",
+    NONE: "none",
+};
+
+// Values written to Orders.kitchenDecisionStatus by the timeout task
+const KITCHEN_DECISION_STATUS = {
+    AUTO_ACCEPTED: "auto_accepted",
+    AUTO_REJECTED: "auto_rejected",
+    ESCALATED: "escalated",
+};
+
+// Orders.kitchenAutoAcceptWarning.status
+const KITCHEN_WARNING_STATUS = {
+    SCHEDULED: "scheduled",
+    SENT: "sent",
+};
+
+const DEFAULT_REJECT_REASON = "The restaurant could not confirm your order in time";
+const MIN_TIMEOUT_SECONDS = 10;
+const MAX_TIMEOUT_SECONDS = 24 * 60 * 60;
+const MAX_REJECT_REASON_LENGTH = 200;
+const MIN_WARN_FRACTION = 0.1;
+const MAX_WARN_FRACTION = 0.9;
+// Warnings closer than this to the deadline are not worth sending
+const MIN_WARNING_LEAD_SECONDS = 5;
+
+function normalizeOrderSource(orderData) {
+    if (orderData?.posOrder === true) return "pos";
+    const source = (orderData?.source || "").toString().trim().toLowerCase();
+    return source || "app";
+}
+
+function normalizeSourcePolicy(rawPolicy, fallback, key, issues) {
+    if (!rawPolicy || typeof rawPolicy !== "object") {
+        issues.push(`Ignored kitchen response policy "${key}": not an object`);
+        return fallback;
+    }
+
+    let action = rawPolicy.action;
+    if (!Object.values(KITCHEN_RESPONSE_ACTION).includes(action)) {
+        issues.push(`Ignored unknown kitchen response action "${action}" for "${key}"`);
+        action = fallback.action;
+    }
+
+    const timeout = Number(rawPolicy.timeoutSeconds);
+    const timeoutSeconds = rawPolicy.timeoutSeconds === undefined || !Number.isFinite(timeout)
+        ? fallback.timeoutSeconds
+        : Math.min(Math.max(Math.round(timeout), MIN_TIMEOUT_SECONDS), MAX_TIMEOUT_SECONDS);
+
+    const rejectReason = typeof rawPolicy.rejectReason === "string" && rawPolicy.rejectReason.trim()
+        ? rawPolicy.rejectReason.trim().substring(0, MAX_REJECT_REASON_LENGTH)
+        : fallback.rejectReason;
+
+    let warnAtFraction = fallback.warnAtFraction;
+    if (rawPolicy.warnAtFraction === null || rawPolicy.warnAtFraction === false) {
+        warnAtFraction = null;
+    } else if (rawPolicy.warnAtFraction !== undefined) {
+        const fraction = Number(rawPolicy.warnAtFraction);
+        if (typeof rawPolicy.warnAtFraction === "boolean" || !Number.isFinite(fraction)) {
+            issues.push(`Ignored kitchen response warnAtFraction "${rawPolicy.warnAtFraction}" for "${key}"`);
+        } else {
+            warnAtFraction = Math.min(Math.max(fraction, MIN_WARN_FRACTION), MAX_WARN_FRACTION);
+        }
+    }
+
+    return { action, timeoutSeconds, rejectReason, warnAtFraction };
+}
+
+/**
+ * @param {object} rawPolicies - Branch `kitchenResponsePolicy`
+ * @param {number} defaultTimeoutSeconds - Timeout for the built-in POS auto-accept
+ * @returns {{bySource: object, fallback: object, issues: string[]}}
+ */
+function normalizeKitchenResponsePolicies(rawPolicies, defaultTimeoutSeconds) {
+    const issues = [];
+    const base = {
+        action: KITCHEN_RESPONSE_ACTION.NONE,
+        timeoutSeconds: defaultTimeoutSeconds,
+        rejectReason: DEFAULT_REJECT_REASON,
+        warnAtFraction: null,
+    };
+    const bySource = { pos: { ...base, action: KITCHEN_RESPONSE_ACTION.AUTO_ACCEPT } };
+    let fallback = base;
+
+    if (rawPolicies && typeof rawPolicies === "object") {
+        for (const [rawKey, rawPolicy] of Object.entries(rawPolicies)) {
+            const key = rawKey.trim().toLowerCase();
+            if (key === "default") {
+                fallback = normalizeSourcePolicy(rawPolicy, fallback, key, issues);
+            } else {
+                bySource[key] = normalizeSourcePolicy(rawPolicy, bySource[key] || base, key, issues);
+            }
+        }
+    }
+
+    return { bySource, fallback, issues };
+}
+
+function resolveKitchenResponsePolicy(policies, source) {
+    return policies.bySource[source] || policies.fallback;
+}
+
+/**
+ * Seconds from now until the auto-accept warning, or null when the policy
+ * has no warning or the window is too short for one to help.
+ */
+function computeWarningDelaySeconds(policy, delaySeconds) {
+    if (policy.action !== KITCHEN_RESPONSE_ACTION.AUTO_ACCEPT || !policy.warnAtFraction) return null;
+
+    const warningDelay = Math.floor(delaySeconds * policy.warnAtFraction);
+    if (warningDelay < 1 || delaySeconds - warningDelay < MIN_WARNING_LEAD_SECONDS) return null;
+    return warningDelay;
+}
+
+module.exports = {
+    KITCHEN_RESPONSE_ACTION,
+    KITCHEN_DECISION_STATUS,
+    KITCHEN_WARNING_STATUS,
+    DEFAULT_REJECT_REASON,
+    normalizeOrderSource,
+    normalizeKitchenResponsePolicies,
+    resolveKitchenResponsePolicy,
+    computeWarningDelaySeconds,
+};
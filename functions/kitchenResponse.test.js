@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    KITCHEN_RESPONSE_ACTION,
+    DEFAULT_REJECT_REASON,
+    normalizeOrderSource,
+    normalizeKitchenResponsePolicies,
+    resolveKitchenResponsePolicy,
+    computeWarningDelaySeconds,
+} = require("./kitchenResponse");
+
+test("normalizeOrderSource treats POS flags and missing sources", () => {
+    assert.equal(normalizeOrderSource({ source: " WEB " }), "web");
+    assert.equal(normalizeOrderSource({ source: "app", posOrder: true }), "pos");
+    assert.equal(normalizeOrderSource({}), "app");
+});
+
+test("without a setting only POS orders auto-accept", () => {
+    const policies = normalizeKitchenResponsePolicies(undefined, 30);
+
+    assert.deepEqual(resolveKitchenResponsePolicy(policies, "pos"), {
+        action: KITCHEN_RESPONSE_ACTION.AUTO_ACCEPT,
+        timeoutSeconds: 30,
+        rejectReason: DEFAULT_REJECT_REASON,
+        warnAtFraction: null,
+    });
+    assert.equal(resolveKitchenResponsePolicy(policies, "app").action, KITCHEN_RESPONSE_ACTION.NONE);
+});
+
+test("per-source policies override the defaults with their own timeouts", () => {
+    const policies = normalizeKitchenResponsePolicies({
+        App: { action: "escalate", timeoutSeconds: 120 },
+        web: { action: "auto_reject", timeoutSeconds: 1, rejectReason: "  Kitchen closed early  " },
+        default: { action: "auto_accept", timeoutSeconds: 600 },
+    }, 30);
+
+    assert.deepEqual(resolveKitchenResponsePolicy(policies, "app"), {
+        action: KITCHEN_RESPONSE_ACTION.ESCALATE,
+        timeoutSeconds: 120,
+        rejectReason: DEFAULT_REJECT_REASON,
+        warnAtFraction: null,
+    });
+    assert.deepEqual(resolveKitchenResponsePolicy(policies, "web"), {
+        action: KITCHEN_RESPONSE_ACTION.AUTO_REJECT,
+        timeoutSeconds: 10,
+        rejectReason: "Kitchen closed early",
+        warnAtFraction: null,
+    });
+    assert.equal(resolveKitchenResponsePolicy(policies, "kiosk").timeoutSeconds, 600);
+    assert.equal(resolveKitchenResponsePolicy(policies, "pos").action, KITCHEN_RESPONSE_ACTION.AUTO_ACCEPT);
+});
+
+test("invalid entries are reported and fall back", () => {
+    const { bySource, issues } = normalizeKitchenResponsePolicies({
+        pos: { action: "explode", timeoutSeconds: 45 },
+        app: "auto_accept",
+    }, 30);
+
+    assert.equal(bySource.pos.action, KITCHEN_RESPONSE_ACTION.AUTO_ACCEPT);
+    assert.equal(bySource.pos.timeoutSeconds, 45);
+    assert.equal(bySource.app.action, KITCHEN_RESPONSE_ACTION.NONE);
+    assert.equal(issues.length, 2);
+});
+
+test("auto-accept warnings fire partway through the window", () => {
+    const { bySource } = normalizeKitchenResponsePolicies({
+        pos: { action: "auto_accept", warnAtFraction: 0.5 },
+        app: { action: "auto_accept", timeoutSeconds: 120, warnAtFraction: 2 },
+        web: { action: "escalate", warnAtFraction: 0.5 },
+        kiosk: { action: "auto_accept", warnAtFraction: "half" },
+    }, 30);
+
+    assert.equal(computeWarningDelaySeconds(bySource.pos, 30), 15);
+    // Clamped to 90% of the window
+    assert.equal(computeWarningDelaySeconds(bySource.app, 120), 108);
+    assert.equal(computeWarningDelaySeconds(bySource.web, 120), null);
+    assert.equal(bySource.kiosk.warnAtFraction, null);
+    // Too close to the deadline to help
+    assert.equal(computeWarningDelaySeconds(bySource.pos, 8), null);
+});
@@ -0,0 +1,122 @@
+// Branch `kitchenStations` setting: { enabled, defaultStation }
+//
+// Each order item goes to the `kitchenStation` set on the order item, its
+// menu item (`menu_items`), or the menu item's category
+// (`menu_categories`), in that order; anything unmapped goes to
+// `defaultStation`. One ticket per station is written to
+// `kitchen_tickets/{orderId}_{station}`.
+const DEFAULT_KITCHEN_STATIONS_CONFIG = {
+    enabled: false,
+    defaultStation: "main",
+};
+
+// kitchen_tickets/{ticketId}.status
+const TICKET_STATUS = {
+    PENDING: "pending",
+    PREPARING: "preparing",
+    DONE: "done",
+    CANCELLED: "cancelled",
+};
+
+// Order statuses an order is accepted from. Entering `preparing` from any
+// other status (sent back to the kitchen, rider dropped it) is not a new order.
+const ACCEPTANCE_STATUSES = ["pending", "pending_payment"];
+
+const MAX_STATION_NAME_LENGTH = 40;
+
+// Station names become part of the ticket doc id
+function normalizeStationName(rawName) {
+    if (typeof rawName !== "string") return null;
+    const name = rawName.trim().toLowerCase().replace(/\s+/g, "_");
+    return /^[a-z0-9_-]+$/.test(name) && name.length <= MAX_STATION_NAME_LENGTH ? name : null;
+}
+
+function normalizeKitchenStationsConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object") {
+        return { ...DEFAULT_KITCHEN_STATIONS_CONFIG };
+    }
+
+    return {
+        enabled: rawConfig.enabled === true,
+        defaultStation: normalizeStationName(rawConfig.defaultStation) || DEFAULT_KITCHEN_STATIONS_CONFIG.defaultStation,
+    };
+}
+
+// Same id lookup the app uses for inventory deduction
+function getOrderItemMenuId(item) {
+    const id = item?.menuItemId ?? item?.itemId ?? item?.productId;
+    return id === undefined || id === null || id === "" ? null : String(id);
+}
+
+function resolveItemStation(item, menuItem, category, config) {
+    return normalizeStationName(item?.kitchenStation) ||
+        normalizeStationName(menuItem?.kitchenStation) ||
+        normalizeStationName(category?.kitchenStation) ||
+        config.defaultStation;
+}
+
+/**
+ * Group order items by kitchen station. Ticket items keep their index in
+ * `Orders.items` so station screens can refer back to the order.
+ *
+ * @param {Array} items - Orders.items
+ * @param {Map<string, object>} menuItemsById - menu_items docs by id
+ * @param {Map<string, object>} categoriesById - menu_categories docs by id
+ * @returns {Array<{station: string, items: Array}>} Sorted by station
+ */
+function splitItemsByStation(items, menuItemsById, categoriesById, config) {
+    const byStation = new Map();
+
+    (Array.isArray(items) ? items : []).forEach((item, index) => {
+        if (!item || typeof item !== "object") return;
+
+        const menuItem = menuItemsById.get(getOrderItemMenuId(item)) || null;
+        const categoryId = item.categoryId ?? menuItem?.categoryId;
+        const category = categoryId ? categoriesById.get(String(categoryId)) || null : null;
+        const station = resolveItemStation(item, menuItem, category, config);
+
+        if (!byStation.has(station)) byStation.set(station, []);
+        byStation.get(station).push({
+            index,
+            name: item.name || menuItem?.name || "Item",
+            quantity: Number(item.quantity) > 0 ? Number(item.quantity) : 1,
+            notes: item.notes || item.note || null,
+            addons: Array.isArray(item.addons) ? item.addons : [],
+        });
+    });
+
+    return Array.from(byStation.entries())
+        .sort(([left], [right]) => left.localeCompare(right))
+        .map(([station, stationItems]) => ({ station, items: stationItems }));
+}
+
+function isTicketOpen(ticket) {
+    return ticket.status === TICKET_STATUS.PENDING || ticket.status === TICKET_STATUS.PREPARING;
+}
+
+function areAllTicketsDone(tickets) {
+    return tickets.length > 0 && tickets.every((ticket) => ticket.status === TICKET_STATUS.DONE);
+}
+
+/**
+ * Whether an order entering `preparing` from `previousStatus` is split into
+ * station tickets: on acceptance, or when it has no tickets yet. An order
+ * with open or finished tickets is never split again, so stations do not
+ * cook it twice; only cancelled tickets may be replaced.
+ */
+function shouldSplitOrder(previousStatus, existingTickets) {
+    if (existingTickets.some((ticket) => ticket.status !== TICKET_STATUS.CANCELLED)) return false;
+    return ACCEPTANCE_STATUSES.includes(previousStatus) || existingTickets.length === 0;
+}
+
+module.exports = {
+    DEFAULT_KITCHEN_STATIONS_CONFIG,
+    TICKET_STATUS,
+    normalizeStationName,
+    normalizeKitchenStationsConfig,
+    getOrderItemMenuId,
+    splitItemsByStation,
+    isTicketOpen,
+    areAllTicketsDone,
+    shouldSplitOrder,
+};
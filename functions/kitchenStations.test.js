@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_KITCHEN_STATIONS_CONFIG,
+    TICKET_STATUS,
+    normalizeStationName,
+    normalizeKitchenStationsConfig,
+    splitItemsByStation,
+    areAllTicketsDone,
+    shouldSplitOrder,
+} = require("./kitchenStations");
+
+test("station routing is opt-in and station names are id-safe", () => {
+    assert.deepEqual(normalizeKitchenStationsConfig(undefined), DEFAULT_KITCHEN_STATIONS_CONFIG);
+    assert.deepEqual(normalizeKitchenStationsConfig({ enabled: true, defaultStation: " Hot Line " }), {
+        enabled: true,
+        defaultStation: "hot_line",
+    });
+    assert.equal(normalizeStationName("grill/fryer"), null);
+    assert.equal(normalizeKitchenStationsConfig({ enabled: true, defaultStation: "" }).defaultStation, "main");
+});
+
+test("items route by order item, then menu item, then category", () => {
+    const config = normalizeKitchenStationsConfig({ enabled: true });
+    const menuItemsById = new Map([
+        ["burger", { name: "Burger", categoryId: "mains", kitchenStation: "grill" }],
+        ["fries", { name: "Fries", categoryId: "sides" }],
+        ["cola", { name: "Cola", categoryId: "drinks" }],
+    ]);
+    const categoriesById = new Map([
+        ["sides", { kitchenStation: "fryer" }],
+        ["drinks", { kitchenStation: "beverage" }],
+    ]);
+    const items = [
+        { menuItemId: "burger", name: "Burger", quantity: 2, notes: "no onion" },
+        { productId: "fries", name: "Fries", quantity: 1 },
+        { itemId: "cola", name: "Cola", quantity: 3, kitchenStation: "bar" },
+        { name: "Special", quantity: 1 },
+    ];
+
+    const tickets = splitItemsByStation(items, menuItemsById, categoriesById, config);
+
+    assert.deepEqual(tickets.map((ticket) => ticket.station), ["bar", "fryer", "grill", "main"]);
+    assert.deepEqual(tickets[2].items, [{ index: 0, name: "Burger", quantity: 2, notes: "no onion", addons: [] }]);
+    assert.equal(tickets[3].items[0].index, 3);
+});
+
+test("items of the same station share one ticket", () => {
+    const config = normalizeKitchenStationsConfig({ enabled: true, defaultStation: "kitchen" });
+    const tickets = splitItemsByStation([{ name: "A" }, null, { name: "B", quantity: 0 }], new Map(), new Map(), config);
+
+    assert.equal(tickets.length, 1);
+    assert.deepEqual(tickets[0].items.map((item) => [item.index, item.quantity]), [[0, 1], [2, 1]]);
+    assert.deepEqual(splitItemsByStation(undefined, new Map(), new Map(), config), []);
+});
+
+test("an order is done only when every station ticket is done", () => {
+    assert.equal(areAllTicketsDone([]), false);
+    assert.equal(areAllTicketsDone([{ status: TICKET_STATUS.DONE }, { status: TICKET_STATUS.PREPARING }]), false);
+    assert.equal(areAllTicketsDone([{ status: TICKET_STATUS.DONE }, { status: TICKET_STATUS.DONE }]), true);
+});
+
+test("orders are split on acceptance and never re-split once tickets exist", () => {
+    assert.equal(shouldSplitOrder("pending", []), true);
+    assert.equal(shouldSplitOrder("pending_payment", []), true);
+    // Enabled after the order was accepted
+    assert.equal(shouldSplitOrder("rider_assigned", []), true);
+    assert.equal(shouldSplitOrder("rider_assigned", [{ status: TICKET_STATUS.DONE }]), false);
+    assert.equal(shouldSplitOrder("pending", [{ status: TICKET_STATUS.PREPARING }]), false);
+    assert.equal(shouldSplitOrder("delivered", [{ status: TICKET_STATUS.CANCELLED }]), false);
+    assert.equal(shouldSplitOrder("pending", [{ status: TICKET_STATUS.CANCELLED }]), true);
+});
@@ -0,0 +1,147 @@
+const { toMillis } = require("./riderPresence");
+
+// Branch `liveEta` setting:
+// { enabled, recomputeIntervalSeconds, minChangeMinutes,
+//   minNotifyIntervalMinutes, nearbyDistanceMeters }
+//
+// Opt-in per branch. While a delivery is `pickedUp`, the rider's location updates refresh
+// `Orders.liveEta`. The customer is notified once when the ETA is first
+// known, again when it moves by `minChangeMinutes` (at most every
+// `minNotifyIntervalMinutes`), and once when the rider gets within
+// `nearbyDistanceMeters`.
+const DEFAULT_LIVE_ETA_CONFIG = {
+    enabled: false,
+    recomputeIntervalSeconds: 30,
+    minChangeMinutes: 3,
+    minNotifyIntervalMinutes: 5,
+    nearbyDistanceMeters: 500,
+};
+
+// Older orders may still carry the lowercase spelling
+const PICKED_UP_STATUSES = ["pickedUp", "pickedup"];
+
+const ETA_NOTIFICATION_REASON = {
+    FIRST: "first",
+    CHANGED: "eta_changed",
+    NEARBY: "nearby",
+};
+
+function readNumber(raw, fallback, min, max) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || typeof raw === "boolean" || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(value, min), max);
+}
+
+function normalizeLiveEtaConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object") {
+        return { ...DEFAULT_LIVE_ETA_CONFIG };
+    }
+
+    const defaults = DEFAULT_LIVE_ETA_CONFIG;
+    return {
+        enabled: rawConfig.enabled === true,
+        recomputeIntervalSeconds: readNumber(rawConfig.recomputeIntervalSeconds, defaults.recomputeIntervalSeconds, 10, 600),
+        minChangeMinutes: readNumber(rawConfig.minChangeMinutes, defaults.minChangeMinutes, 1, 60),
+        minNotifyIntervalMinutes: readNumber(rawConfig.minNotifyIntervalMinutes, defaults.minNotifyIntervalMinutes, 1, 60),
+        nearbyDistanceMeters: readNumber(rawConfig.nearbyDistanceMeters, defaults.nearbyDistanceMeters, 0, 5000),
+    };
+}
+
+function etaMinutes(etaSeconds) {
+    return Math.max(Math.ceil(etaSeconds / 60), 1);
+}
+
+/**
+ * Whether the stored ETA is old enough to ask the routing provider again.
+ */
+function isEtaDue(previousEta, config, nowMs) {
+    if (!previousEta || !Number.isFinite(previousEta.computedAtMs)) return true;
+    return nowMs - previousEta.computedAtMs >= config.recomputeIntervalSeconds * 1000;
+}
+
+/**
+ * Decide whether a fresh ETA is worth a customer notification.
+ *
+ * @param {{notifiedEtaMinutes?: number, lastNotifiedAtMs?: number, nearbyNotified?: boolean}|null} previousEta
+ * @param {{etaSeconds: number, distanceKm: number}} nextEta
+ * @returns {{notify: boolean, reason: string|null, etaMinutes: number}}
+ */
+function planEtaNotification(previousEta, nextEta, config, nowMs) {
+    const minutes = etaMinutes(nextEta.etaSeconds);
+    const previous = previousEta || {};
+
+    const isNearby = nextEta.distanceKm * 1000 <= config.nearbyDistanceMeters;
+    if (isNearby && !previous.nearbyNotified) {
+        return { notify: true, reason: ETA_NOTIFICATION_REASON.NEARBY, etaMinutes: minutes };
+    }
+
+    if (!Number.isFinite(previous.lastNotifiedAtMs)) {
+        return { notify: true, reason: ETA_NOTIFICATION_REASON.FIRST, etaMinutes: minutes };
+    }
+    if (isNearby || nowMs - previous.lastNotifiedAtMs < config.minNotifyIntervalMinutes * 60000) {
+        return { notify: false, reason: null, etaMinutes: minutes };
+    }
+
+    const changed = Math.abs(minutes - (previous.notifiedEtaMinutes || 0)) >= config.minChangeMinutes;
+    return { notify: changed, reason: changed ? ETA_NOTIFICATION_REASON.CHANGED : null, etaMinutes: minutes };
+}
+
+/**
+ * Whether a location update from `riderId` should refresh this order's ETA:
+ * the rider is carrying it, the branch opted in and the stored ETA is stale.
+ */
+function isOrderDueForEta(orderData, riderId, config, nowMs) {
+    if (!config.enabled || !orderData || orderData.riderId !== riderId) return false;
+    if (!PICKED_UP_STATUSES.includes(orderData.status)) return false;
+
+    const computedAtMs = toMillis(orderData.liveEta?.computedAt);
+    return isEtaDue(computedAtMs === null ? null : { computedAtMs }, config, nowMs);
+}
+
+/**
+ * New `Orders.liveEta` for a fresh travel time and the customer notification
+ * it calls for. `riderLocation` is stored as given.
+ *
+ * @param {object|undefined} storedEta - Current Orders.liveEta
+ * @param {{durationSeconds: number, distanceKm: number, source?: string}} travel
+ * @returns {{liveEta: object, notification: {notify: boolean, reason: string|null, etaMinutes: number}}}
+ */
+function buildLiveEta(storedEta, travel, riderLocation, riderId, config, nowMs) {
+    const previous = storedEta || {};
+    const notification = planEtaNotification({
+        notifiedEtaMinutes: previous.notifiedEtaMinutes,
+        lastNotifiedAtMs: toMillis(previous.lastNotifiedAt),
+        nearbyNotified: previous.nearbyNotified === true,
+    }, { etaSeconds: travel.durationSeconds, distanceKm: travel.distanceKm }, config, nowMs);
+
+    const liveEta = {
+        riderId,
+        etaSeconds: travel.durationSeconds,
+        distanceKm: Math.round(travel.distanceKm * 100) / 100,
+        source: travel.source || null,
+        estimatedArrivalAt: new Date(nowMs + travel.durationSeconds * 1000),
+        riderLocation,
+        computedAt: new Date(nowMs),
+        notifiedEtaMinutes: previous.notifiedEtaMinutes ?? null,
+        lastNotifiedAt: previous.lastNotifiedAt ?? null,
+        nearbyNotified: previous.nearbyNotified === true,
+    };
+    if (notification.notify) {
+        liveEta.notifiedEtaMinutes = notification.etaMinutes;
+        liveEta.lastNotifiedAt = new Date(nowMs);
+        liveEta.nearbyNotified = liveEta.nearbyNotified || notification.reason === ETA_NOTIFICATION_REASON.NEARBY;
+    }
+    return { liveEta, notification };
+}
+
+module.exports = {
+    DEFAULT_LIVE_ETA_CONFIG,
+    PICKED_UP_STATUSES,
+    ETA_NOTIFICATION_REASON,
+    normalizeLiveEtaConfig,
+    etaMinutes,
+    isEtaDue,
+    planEtaNotification,
+    isOrderDueForEta,
+    buildLiveEta,
+};
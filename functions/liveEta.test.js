@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_LIVE_ETA_CONFIG,
+    ETA_NOTIFICATION_REASON,
+    normalizeLiveEtaConfig,
+    etaMinutes,
+    isEtaDue,
+    planEtaNotification,
+    isOrderDueForEta,
+    buildLiveEta,
+} = require("./liveEta");
+
+const NOW = Date.parse("2026-03-01T20:00:00Z");
+const minutes = (value) => value * 60 * 1000;
+const config = normalizeLiveEtaConfig(undefined);
+const far = { etaSeconds: 15 * 60, distanceKm: 6 };
+
+test("normalizeLiveEtaConfig is opt-in and clamps values", () => {
+    assert.deepEqual(config, DEFAULT_LIVE_ETA_CONFIG);
+    assert.equal(config.enabled, false);
+    assert.equal(normalizeLiveEtaConfig({ enabled: "yes" }).enabled, false);
+    assert.deepEqual(normalizeLiveEtaConfig({ enabled: true, recomputeIntervalSeconds: 1, nearbyDistanceMeters: "300" }), {
+        ...DEFAULT_LIVE_ETA_CONFIG,
+        enabled: true,
+        recomputeIntervalSeconds: 10,
+        nearbyDistanceMeters: 300,
+    });
+});
+
+test("etaMinutes rounds up and never shows zero", () => {
+    assert.equal(etaMinutes(61), 2);
+    assert.equal(etaMinutes(0), 1);
+});
+
+test("isEtaDue throttles routing lookups", () => {
+    assert.equal(isEtaDue(null, config, NOW), true);
+    assert.equal(isEtaDue({ computedAtMs: NOW - 10000 }, config, NOW), false);
+    assert.equal(isEtaDue({ computedAtMs: NOW - 30000 }, config, NOW), true);
+});
+
+test("planEtaNotification sends the first ETA, then only meaningful changes", () => {
+    assert.equal(planEtaNotification(null, far, config, NOW).reason, ETA_NOTIFICATION_REASON.FIRST);
+
+    const notified = { notifiedEtaMinutes: 15, lastNotifiedAtMs: NOW - minutes(6), nearbyNotified: false };
+    assert.equal(planEtaNotification(notified, { ...far, etaSeconds: 13 * 60 }, config, NOW).notify, false);
+
+    const changed = planEtaNotification(notified, { ...far, etaSeconds: 20 * 60 }, config, NOW);
+    assert.deepEqual(changed, { notify: true, reason: ETA_NOTIFICATION_REASON.CHANGED, etaMinutes: 20 });
+
+    const tooSoon = { ...notified, lastNotifiedAtMs: NOW - minutes(2) };
+    assert.equal(planEtaNotification(tooSoon, { ...far, etaSeconds: 25 * 60 }, config, NOW).notify, false);
+});
+
+test("planEtaNotification announces the nearby rider once, ignoring the throttle", () => {
+    const near = { etaSeconds: 90, distanceKm: 0.4 };
+    const recent = { notifiedEtaMinutes: 5, lastNotifiedAtMs: NOW - minutes(1), nearbyNotified: false };
+
+    assert.equal(planEtaNotification(recent, near, config, NOW).reason, ETA_NOTIFICATION_REASON.NEARBY);
+    assert.equal(planEtaNotification({ ...recent, nearbyNotified: true, lastNotifiedAtMs: NOW - minutes(10) }, near, config, NOW).notify, false);
+});
+
+test("a location update on a rider carrying a picked-up order writes an ETA", () => {
+    const optedIn = normalizeLiveEtaConfig({ enabled: true });
+    const order = { riderId: "rider-1", status: "pickedUp" };
+    const riderLocation = { latitude: 24.7, longitude: 46.7 };
+
+    assert.equal(isOrderDueForEta(order, "rider-1", config, NOW), false);
+    assert.equal(isOrderDueForEta(order, "rider-2", optedIn, NOW), false);
+    assert.equal(isOrderDueForEta({ ...order, status: "rider_assigned" }, "rider-1", optedIn, NOW), false);
+    assert.equal(isOrderDueForEta(order, "rider-1", optedIn, NOW), true);
+
+    const { liveEta, notification } = buildLiveEta(
+        order.liveEta, { durationSeconds: 600, distanceKm: 4.256, source: "osrm" }, riderLocation, "rider-1", optedIn, NOW
+    );
+    assert.equal(notification.reason, ETA_NOTIFICATION_REASON.FIRST);
+    assert.deepEqual(liveEta, {
+        riderId: "rider-1",
+        etaSeconds: 600,
+        distanceKm: 4.26,
+        source: "osrm",
+        estimatedArrivalAt: new Date(NOW + minutes(10)),
+        riderLocation,
+        computedAt: new Date(NOW),
+        notifiedEtaMinutes: 10,
+        lastNotifiedAt: new Date(NOW),
+        nearbyNotified: false,
+    });
+
+    // The next update within the recompute interval leaves it alone
+    assert.equal(isOrderDueForEta({ ...order, liveEta }, "rider-1", optedIn, NOW + 10000), false);
+});
@@ -0,0 +1,132 @@
+const {
+    haversineKm,
+    bearingDegrees,
+    bearingDelta,
+} = require("./geoUtils");
+
+const DEFAULT_BATCHING_CONFIG = {
+    enabled: false,
+    radiusKm: 2,
+    maxBearingDeltaDegrees: 45,
+    maxOrders: 3,
+};
+
+function readNumber(raw, fallback, min, max) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Normalize the branch `orderBatching` setting.
+ */
+function normalizeBatchingConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object" || rawConfig.enabled !== true) {
+        return { ...DEFAULT_BATCHING_CONFIG };
+    }
+
+    return {
+        enabled: true,
+        radiusKm: readNumber(rawConfig.radiusKm, DEFAULT_BATCHING_CONFIG.radiusKm, 0.1, 20),
+        maxBearingDeltaDegrees: readNumber(
+            rawConfig.maxBearingDeltaDegrees,
+            DEFAULT_BATCHING_CONFIG.maxBearingDeltaDegrees,
+            0,
+            180
+        ),
+        maxOrders: Math.floor(readNumber(rawConfig.maxOrders, DEFAULT_BATCHING_CONFIG.maxOrders, 2, 6)),
+    };
+}
+
+/**
+ * Pick orders that can ride along with the anchor order: drop-off within
+ * `radiusKm` of the anchor's drop-off and heading the same way from the
+ * branch (within `maxBearingDeltaDegrees`). Closest partners come first.
+ *
+ * @param {{latitude:number, longitude:number}} origin - Branch location
+ * @param {{orderId:string, location:object}} anchor - Order being dispatched
+ * @param {Array<{orderId:string, location:object}>} candidates - Waiting orders
+ * @param {object} config - Normalized batching config
+ */
+function selectBatchPartners(origin, anchor, candidates, config) {
+    if (!config.enabled || !origin || !anchor?.location) return [];
+
+    const anchorBearing = bearingDegrees(origin, anchor.location);
+
+    const partners = [];
+    for (const candidate of candidates) {
+        if (!candidate?.location || candidate.orderId === anchor.orderId) continue;
+
+        const separationKm = haversineKm(anchor.location, candidate.location);
+        if (separationKm > config.radiusKm) continue;
+
+        const delta = bearingDelta(anchorBearing, bearingDegrees(origin, candidate.location));
+        if (delta > config.maxBearingDeltaDegrees) continue;
+
+        partners.push({ ...candidate, separationKm, bearingDelta: delta });
+    }
+
+    partners.sort((left, right) => left.separationKm - right.separationKm);
+    return partners.slice(0, Math.max(config.maxOrders - 1, 0));
+}
+
+/**
+ * Order drop-offs with a nearest-neighbour walk starting at the branch.
+ * Returns the order IDs in the sequence the rider should deliver them.
+ */
+function planDropSequence(origin, orders) {
+    const remaining = orders.filter((order) => order?.location);
+    const sequence = [];
+    let current = origin;
+
+    while (remaining.length > 0) {
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+        for (let index = 0; index < remaining.length; index++) {
+            const distance = current ? haversineKm(current, remaining[index].location) : index;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        }
+        const [next] = remaining.splice(bestIndex, 1);
+        sequence.push(next.orderId);
+        current = next.location;
+    }
+
+    return sequence;
+}
+
+/**
+ * Remove one order from a batch document's active set, keeping the drop
+ * sequence order for the orders that remain.
+ */
+function removeOrderFromBatch(batchData, orderId) {
+    const sequence = Array.isArray(batchData?.dropSequence) ? batchData.dropSequence : [];
+    const active = Array.isArray(batchData?.activeOrderIds) ? batchData.activeOrderIds : sequence;
+    const activeOrderIds = sequence.filter((id) => id !== orderId && active.includes(id));
+
+    return {
+        activeOrderIds,
+        wasActive: active.includes(orderId),
+        isEmpty: activeOrderIds.length === 0,
+        nextOrderId: activeOrderIds[0] || null,
+    };
+}
+
+/**
+ * Whether `orderId` rides along in another order's batch. The batch's
+ * anchor (original or re-anchored) keeps searching for the whole batch.
+ */
+function isBatchPartner(batchData, orderId) {
+    return Boolean(batchData?.anchorOrderId) && batchData.anchorOrderId !== orderId;
+}
+
+module.exports = {
+    DEFAULT_BATCHING_CONFIG,
+    normalizeBatchingConfig,
+    selectBatchPartners,
+    planDropSequence,
+    removeOrderFromBatch,
+    isBatchPartner,
+};
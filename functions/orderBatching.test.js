@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_BATCHING_CONFIG,
+    normalizeBatchingConfig,
+    selectBatchPartners,
+    planDropSequence,
+    removeOrderFromBatch,
+    isBatchPartner,
+} = require("./orderBatching");
+
+const branch = { latitude: 25.2854, longitude: 51.531 };
+const point = (northKm, eastKm) => ({
+    latitude: branch.latitude + northKm / 111.2,
+    longitude: branch.longitude + eastKm / (111.2 * Math.cos(branch.latitude * Math.PI / 180)),
+});
+
+test("normalizeBatchingConfig is disabled by default and clamps limits", () => {
+    assert.deepEqual(normalizeBatchingConfig(undefined), DEFAULT_BATCHING_CONFIG);
+    assert.deepEqual(normalizeBatchingConfig({ enabled: true, radiusKm: 100, maxOrders: 1 }), {
+        enabled: true,
+        radiusKm: 20,
+        maxBearingDeltaDegrees: 45,
+        maxOrders: 2,
+    });
+});
+
+test("selectBatchPartners keeps nearby orders heading the same way", () => {
+    const config = normalizeBatchingConfig({ enabled: true, radiusKm: 2, maxOrders: 3 });
+    const anchor = { orderId: "anchor", location: point(5, 0) };
+    const partners = selectBatchPartners(branch, anchor, [
+        { orderId: "same-way", location: point(6, 0.5) },
+        { orderId: "closer", location: point(4.5, 0) },
+        { orderId: "too-far", location: point(9, 0) },
+        { orderId: "opposite", location: point(-5, 0) },
+        { orderId: "third", location: point(5, 1) },
+    ], config);
+
+    assert.deepEqual(partners.map((partner) => partner.orderId), ["closer", "third"]);
+    assert.deepEqual(selectBatchPartners(branch, anchor, [], DEFAULT_BATCHING_CONFIG), []);
+});
+
+test("planDropSequence visits the nearest drop first", () => {
+    const sequence = planDropSequence(branch, [
+        { orderId: "far", location: point(6, 0) },
+        { orderId: "near", location: point(2, 0) },
+        { orderId: "middle", location: point(4, 0) },
+    ]);
+    assert.deepEqual(sequence, ["near", "middle", "far"]);
+});
+
+test("removeOrderFromBatch keeps the drop order of the remaining orders", () => {
+    const batch = { dropSequence: ["a", "b", "c"], activeOrderIds: ["a", "b", "c"] };
+
+    assert.deepEqual(removeOrderFromBatch(batch, "a"), {
+        activeOrderIds: ["b", "c"],
+        wasActive: true,
+        isEmpty: false,
+        nextOrderId: "b",
+    });
+    assert.equal(removeOrderFromBatch({ ...batch, activeOrderIds: ["c"] }, "c").isEmpty, true);
+    assert.equal(removeOrderFromBatch({ ...batch, activeOrderIds: ["c"] }, "a").wasActive, false);
+});
+
+test("a batched anchor keeps retrying its search; partners wait on it", () => {
+    const batch = { anchorOrderId: "a", dropSequence: ["a", "b", "c"], activeOrderIds: ["a", "b", "c"] };
+
+    assert.equal(isBatchPartner(batch, "a"), false);
+    assert.equal(isBatchPartner(batch, "b"), true);
+    assert.equal(isBatchPartner(null, "a"), false);
+
+    // After the anchor leaves, the re-anchored order searches in its place
+    const reanchored = { ...batch, anchorOrderId: removeOrderFromBatch(batch, "a").nextOrderId };
+    assert.equal(isBatchPartner(reanchored, "b"), false);
+    assert.equal(isBatchPartner(reanchored, "c"), true);
+});
@@ -0,0 +1,231 @@
+// Order status transitions, read from `order_state_machine/default` and
+// optionally overridden per branch by `Branch.orderStateMachine`:
+// {
+//   version: 3,
+//   transitions: { delivered: ["refunded"] },                       // every order type
+//   orderTypes: { pickup: { preparing: ["prepared", "cancelled"] } } // one order type
+// }
+// Each listed status replaces that status's allowed next statuses; statuses
+// not listed keep the layer below (built-in -> global -> branch). Within a
+// layer, order type entries win over `transitions` for that type.
+//
+// Order flows:
+// - DELIVERY:  pending → preparing → [prepared →] needs_rider_assignment → rider_assigned → pickedUp → delivered
+// - PICKUP:    pending → preparing → prepared → collected (prepaid) or paid
+// - TAKEAWAY:  pending → preparing → prepared → paid (pay at counter)
+// - DINE_IN:   pending → preparing → prepared → served → paid
+
+// Shared table, used as is for unrecognised order types. Finished or
+// cancelled orders are never reopened into the kitchen flow.
+const BUILT_IN_TRANSITIONS = {
+    // Common starting point
+    "pending": ["preparing", "cancelled"],
+    "pending_payment": ["pending", "preparing", "cancelled"],
+
+    // Delivery continues to rider assignment; other types to prepared
+    "preparing": ["prepared", "rider_assigned", "needs_rider_assignment", "cancelled"],
+
+    // Pickup: collected, takeaway: paid, dine-in: served, delivery: food
+    // ready before a rider was assigned (delayed dispatch)
+    "prepared": ["served", "paid", "collected", "rider_assigned", "needs_rider_assignment", "cancelled"],
+
+    "served": ["paid", "cancelled"],
+    "paid": ["refunded"],
+    "collected": ["refunded"],
+
+    // A rider must be assigned first. A legacy flow that skips that can list
+    // it in config, e.g. transitions: { needs_rider_assignment: [..., "pickedUp"] }
+    "needs_rider_assignment": ["rider_assigned", "cancelled"],
+    "rider_assigned": ["pickedUp", "pickedup", "cancelled"],
+    "pickedup": ["delivered", "cancelled"],
+    "pickedUp": ["delivered", "cancelled", "refunded"],
+    "delivered": ["refunded"],
+
+    "cancelled": ["refunded"],
+    "refunded": [],
+};
+
+const RIDER_STATUSES = ["rider_assigned", "needs_rider_assignment", "pickedUp", "pickedup", "delivered"];
+
+// The shared table without the statuses an order type never enters, plus
+// the rows that differ for that type
+function buildOrderTypeTable(excludedStatuses, rows = {}) {
+    const table = {};
+    for (const [status, next] of Object.entries(BUILT_IN_TRANSITIONS)) {
+        table[status] = next.filter((target) => !excludedStatuses.includes(target));
+    }
+    return { ...table, ...rows };
+}
+
+const BUILT_IN_STATE_MACHINE = {
+    version: 0,
+    branchVersion: null,
+    transitions: BUILT_IN_TRANSITIONS,
+    orderTypes: {
+        // prepared stays reachable: the kitchen can finish before a rider is assigned
+        delivery: buildOrderTypeTable(["served", "paid", "collected"]),
+        pickup: buildOrderTypeTable(["served", ...RIDER_STATUSES], {
+            "preparing": ["prepared", "cancelled"],
+            "prepared": ["collected", "paid", "cancelled"],
+        }),
+        takeaway: buildOrderTypeTable(["served", "collected", ...RIDER_STATUSES], {
+            "preparing": ["prepared", "cancelled"],
+            "prepared": ["paid", "cancelled"],
+        }),
+        dine_in: buildOrderTypeTable(["collected", ...RIDER_STATUSES], {
+            "preparing": ["prepared", "cancelled"],
+            "prepared": ["served", "cancelled"],
+            "served": ["paid", "cancelled"],
+        }),
+    },
+};
+
+// `timestamps.<key>` and `<key>At` written when an order enters a status
+const STATUS_TIMESTAMP_KEYS = {
+    "preparing": "preparing",
+    "prepared": "prepared",
+    "needs_rider_assignment": "needsRiderAssignment",
+    "rider_assigned": "riderAssigned",
+    "pickedUp": "pickedUp",
+    "delivered": "delivered",
+    "served": "served",
+    "paid": "paid",
+    "collected": "collected",
+    "cancelled": "cancelled",
+    "refunded": "refunded",
+};
+
+// HttpsError `details.reason` values returned by transitionOrder
+const TRANSITION_ERROR_REASON = {
+    ILLEGAL_TRANSITION: "illegal_transition",
+    ROLE_NOT_ALLOWED: "role_not_allowed",
+    REASON_REQUIRED: "reason_required",
+    DELIVERY_CODE_REQUIRED: "delivery_code_required",
+};
+
+const NAME_PATTERN = /^[A-Za-z_]{1,40}$/;
+
+function normalizeTransitionTable(rawTable, label, issues) {
+    const table = {};
+    if (rawTable === undefined || rawTable === null) return table;
+    if (typeof rawTable !== "object" || Array.isArray(rawTable)) {
+        issues.push(`Ignored ${label}: not a map of status -> next statuses`);
+        return table;
+    }
+
+    for (const [status, rawNext] of Object.entries(rawTable)) {
+        if (!NAME_PATTERN.test(status)) {
+            issues.push(`Ignored ${label} status "${status}": invalid name`);
+            continue;
+        }
+        if (!Array.isArray(rawNext)) {
+            issues.push(`Ignored ${label}.${status}: next statuses must be a list`);
+            continue;
+        }
+
+        const next = [];
+        rawNext.forEach((target) => {
+            if (typeof target !== "string" || !NAME_PATTERN.test(target) || target === status) {
+                issues.push(`Ignored ${label}.${status} target "${target}"`);
+            } else if (!next.includes(target)) {
+                next.push(target);
+            }
+        });
+        table[status] = next;
+    }
+    return table;
+}
+
+/**
+ * Validate a stored state machine config. Invalid entries are dropped and
+ * reported so the rest of the config still applies.
+ *
+ * @returns {{config: {version: number|null, transitions: object, orderTypes: object}|null, issues: string[]}}
+ */
+function normalizeStateMachineConfig(rawConfig) {
+    const issues = [];
+    if (!rawConfig || typeof rawConfig !== "object") {
+        return { config: null, issues };
+    }
+
+    let version = null;
+    if (Number.isInteger(rawConfig.version) && rawConfig.version > 0) {
+        version = rawConfig.version;
+    } else {
+        issues.push(`Missing or invalid version "${rawConfig.version}"`);
+    }
+
+    const transitions = normalizeTransitionTable(rawConfig.transitions, "transitions", issues);
+
+    const orderTypes = {};
+    if (rawConfig.orderTypes !== undefined && rawConfig.orderTypes !== null) {
+        if (typeof rawConfig.orderTypes !== "object" || Array.isArray(rawConfig.orderTypes)) {
+            issues.push("Ignored orderTypes: not a map of order type -> transitions");
+        } else {
+            for (const [orderType, rawTable] of Object.entries(rawConfig.orderTypes)) {
+                const key = orderType.trim().toLowerCase();
+                if (!NAME_PATTERN.test(key)) {
+                    issues.push(`Ignored order type "${orderType}": invalid name`);
+                    continue;
+                }
+                orderTypes[key] = normalizeTransitionTable(rawTable, `orderTypes.${key}`, issues);
+            }
+        }
+    }
+
+    return { config: { version, transitions, orderTypes }, issues };
+}
+
+/**
+ * Layer a normalized config over a state machine. The result keeps the base
+ * version; a branch override's version is kept as `branchVersion`.
+ * A status in the config's shared `transitions` also replaces that status in
+ * every order type table below it.
+ */
+function applyStateMachineConfig(machine, config, { isBranchOverride = false } = {}) {
+    if (!config) return machine;
+
+    const sharedStatuses = Object.keys(config.transitions);
+    const orderTypes = {};
+    for (const [orderType, table] of Object.entries(machine.orderTypes)) {
+        orderTypes[orderType] = Object.fromEntries(
+            Object.entries(table).filter(([status]) => !sharedStatuses.includes(status))
+        );
+    }
+    for (const [orderType, table] of Object.entries(config.orderTypes)) {
+        orderTypes[orderType] = { ...(orderTypes[orderType] || {}), ...table };
+    }
+
+    return {
+        version: isBranchOverride ? machine.version : config.version,
+        branchVersion: isBranchOverride ? config.version : machine.branchVersion,
+        transitions: { ...machine.transitions, ...config.transitions },
+        orderTypes,
+    };
+}
+
+function getAllowedTransitions(machine, orderType, status) {
+    const typeTable = machine.orderTypes[orderType];
+    if (typeTable && Object.prototype.hasOwnProperty.call(typeTable, status)) {
+        return typeTable[status];
+    }
+    return machine.transitions[status] || [];
+}
+
+/**
+ * Timestamp fields for entering `status`, or null for statuses without one.
+ * @returns {{timestampPath: string, atField: string}|null}
+ */
+function getStatusTimestampFields(status) {
+    const key = STATUS_TIMESTAMP_KEYS[status];
+    return key ? { timestampPath: `timestamps.${key}`, atField: `${key}At` } : null;
+}
+
+module.exports = {
+    BUILT_IN_STATE_MACHINE,
+    TRANSITION_ERROR_REASON,
+    normalizeStateMachineConfig,
+    applyStateMachineConfig,
+    getAllowedTransitions,
+    getStatusTimestampFields,
+};
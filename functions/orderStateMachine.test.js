@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    BUILT_IN_STATE_MACHINE,
+    normalizeStateMachineConfig,
+    applyStateMachineConfig,
+    getAllowedTransitions,
+    getStatusTimestampFields,
+} = require("./orderStateMachine");
+
+const allowed = (orderType, status) => getAllowedTransitions(BUILT_IN_STATE_MACHINE, orderType, status);
+
+test("without a config the built-in tables apply", () => {
+    assert.deepEqual(normalizeStateMachineConfig(undefined), { config: null, issues: [] });
+    assert.equal(applyStateMachineConfig(BUILT_IN_STATE_MACHINE, null), BUILT_IN_STATE_MACHINE);
+
+    assert.deepEqual(allowed("pickup", "pending"), ["preparing", "cancelled"]);
+    assert.deepEqual(allowed("delivery", "archived"), []);
+    // Unrecognised order types use the shared table
+    assert.ok(allowed("unknown", "prepared").includes("collected"));
+});
+
+test("finished and cancelled orders are never reopened into the kitchen", () => {
+    for (const orderType of ["delivery", "pickup", "takeaway", "dine_in", "unknown"]) {
+        for (const status of ["pickedUp", "pickedup", "delivered", "cancelled", "paid", "collected", "refunded"]) {
+            assert.ok(!allowed(orderType, status).includes("preparing"), `${orderType} ${status}`);
+        }
+    }
+});
+
+test("delivery orders go through riders, never to counter statuses", () => {
+    assert.deepEqual(allowed("delivery", "preparing"), ["prepared", "rider_assigned", "needs_rider_assignment", "cancelled"]);
+    assert.deepEqual(allowed("delivery", "prepared"), ["rider_assigned", "needs_rider_assignment", "cancelled"]);
+    assert.deepEqual(allowed("delivery", "needs_rider_assignment"), ["rider_assigned", "cancelled"]);
+    assert.deepEqual(allowed("delivery", "rider_assigned"), ["pickedUp", "pickedup", "cancelled"]);
+    assert.deepEqual(allowed("delivery", "pickedUp"), ["delivered", "cancelled", "refunded"]);
+    assert.deepEqual(allowed("delivery", "delivered"), ["refunded"]);
+});
+
+test("pickup, takeaway and dine-in orders follow their counter flows", () => {
+    assert.deepEqual(allowed("pickup", "preparing"), ["prepared", "cancelled"]);
+    assert.deepEqual(allowed("pickup", "prepared"), ["collected", "paid", "cancelled"]);
+    assert.deepEqual(allowed("pickup", "collected"), ["refunded"]);
+
+    assert.deepEqual(allowed("takeaway", "preparing"), ["prepared", "cancelled"]);
+    assert.deepEqual(allowed("takeaway", "prepared"), ["paid", "cancelled"]);
+
+    assert.deepEqual(allowed("dine_in", "preparing"), ["prepared", "cancelled"]);
+    assert.deepEqual(allowed("dine_in", "prepared"), ["served", "cancelled"]);
+    assert.deepEqual(allowed("dine_in", "served"), ["paid", "cancelled"]);
+
+    for (const orderType of ["pickup", "takeaway", "dine_in"]) {
+        assert.deepEqual(allowed(orderType, "pending_payment"), ["pending", "preparing", "cancelled"]);
+        assert.deepEqual(allowed(orderType, "needs_rider_assignment"), ["cancelled"]);
+    }
+});
+
+test("config entries replace statuses, order types win over the shared table", () => {
+    const { config, issues } = normalizeStateMachineConfig({
+        version: 4,
+        transitions: { delivered: ["refunded"], cancelled: ["refunded"] },
+        orderTypes: { " Pickup ": { preparing: ["prepared", "cancelled"] } },
+    });
+    const machine = applyStateMachineConfig(BUILT_IN_STATE_MACHINE, config);
+
+    assert.deepEqual(issues, []);
+    assert.equal(machine.version, 4);
+    assert.deepEqual(getAllowedTransitions(machine, "delivery", "delivered"), ["refunded"]);
+    assert.deepEqual(getAllowedTransitions(machine, "pickup", "preparing"), ["prepared", "cancelled"]);
+    assert.ok(getAllowedTransitions(machine, "delivery", "preparing").includes("rider_assigned"));
+    // Statuses the config does not mention keep the built-in transitions
+    assert.deepEqual(getAllowedTransitions(machine, "pickup", "pending"), ["preparing", "cancelled"]);
+});
+
+test("invalid entries are dropped and reported", () => {
+    const { config, issues } = normalizeStateMachineConfig({
+        transitions: {
+            prepared: ["served", "served", 42, "prepared", "bad status"],
+            "no-dashes": ["paid"],
+            paid: "refunded",
+        },
+        orderTypes: ["delivery"],
+    });
+
+    assert.equal(config.version, null);
+    assert.deepEqual(config.transitions, { prepared: ["served"] });
+    assert.deepEqual(config.orderTypes, {});
+    assert.equal(issues.length, 7);
+});
+
+test("a branch override layers over the global config and keeps its version apart", () => {
+    const global = applyStateMachineConfig(BUILT_IN_STATE_MACHINE, normalizeStateMachineConfig({
+        version: 2,
+        orderTypes: { dine_in: { prepared: ["served", "cancelled"] } },
+    }).config);
+    const branch = applyStateMachineConfig(global, normalizeStateMachineConfig({
+        version: 7,
+        orderTypes: { dine_in: { served: ["paid"] } },
+    }).config, { isBranchOverride: true });
+
+    assert.equal(branch.version, 2);
+    assert.equal(branch.branchVersion, 7);
+    assert.deepEqual(getAllowedTransitions(branch, "dine_in", "prepared"), ["served", "cancelled"]);
+    assert.deepEqual(getAllowedTransitions(branch, "dine_in", "served"), ["paid"]);
+    assert.deepEqual(getAllowedTransitions(global, "dine_in", "served"), ["paid", "cancelled"]);
+});
+
+test("entering a status stamps the same fields the app writes", () => {
+    assert.deepEqual(getStatusTimestampFields("rider_assigned"), {
+        timestampPath: "timestamps.riderAssigned",
+        atField: "riderAssignedAt",
+    });
+    assert.deepEqual(getStatusTimestampFields("pickedUp"), { timestampPath: "timestamps.pickedUp", atField: "pickedUpAt" });
+    assert.equal(getStatusTimestampFields("pending"), null);
+});
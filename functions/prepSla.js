@@ -0,0 +1,72 @@
+// Branch `prepSla` setting: { enabled, graceMinutes }
+//
+// Opt-in per branch. When an order starts `preparing`, the branch's promised
+// prep time (`estimatedTime`) plus `graceMinutes` sets `Orders.prepSla.dueAt`.
+// An order still preparing at that time is overdue and gets a breach record
+// in `Branch/{branchId}/prep_sla_breaches/{orderId}`, keyed by business date.
+const DEFAULT_PREP_SLA_CONFIG = {
+    enabled: false,
+    graceMinutes: 5,
+};
+
+// Orders.prepSla.status
+const PREP_SLA_STATUS = {
+    ON_TRACK: "on_track",
+    OVERDUE: "overdue",
+    // Left `preparing` before the due time
+    MET: "met",
+    // Left `preparing` after being marked overdue
+    BREACHED: "breached",
+};
+
+// prep_sla_breaches/{orderId}.status
+const BREACH_STATUS = {
+    OPEN: "open",
+    RESOLVED: "resolved",
+};
+
+function readNumber(raw, fallback, min, max) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || typeof raw === "boolean" || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(value, min), max);
+}
+
+function normalizePrepSlaConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object") {
+        return { ...DEFAULT_PREP_SLA_CONFIG };
+    }
+
+    return {
+        enabled: rawConfig.enabled === true,
+        graceMinutes: readNumber(rawConfig.graceMinutes, DEFAULT_PREP_SLA_CONFIG.graceMinutes, 0, 60),
+    };
+}
+
+function computePrepSlaDueAtMs(preparingAtMs, promisedMinutes, graceMinutes) {
+    return preparingAtMs + (promisedMinutes + graceMinutes) * 60000;
+}
+
+/**
+ * Outcome once an order leaves `preparing`.
+ *
+ * @param {{preparingAtMs: number, promisedMinutes: number, wasOverdue: boolean}} sla
+ * @returns {{status: string, actualPrepMinutes: number, overrunMinutes: number}}
+ */
+function summarizePrepCompletion({ preparingAtMs, promisedMinutes, wasOverdue }, completedAtMs) {
+    const actualPrepMinutes = Math.round(Math.max(completedAtMs - preparingAtMs, 0) / 6000) / 10;
+    return {
+        status: wasOverdue ? PREP_SLA_STATUS.BREACHED : PREP_SLA_STATUS.MET,
+        actualPrepMinutes,
+        // Measured against the promise, not the grace period
+        overrunMinutes: Math.round(Math.max(actualPrepMinutes - promisedMinutes, 0) * 10) / 10,
+    };
+}
+
+module.exports = {
+    DEFAULT_PREP_SLA_CONFIG,
+    PREP_SLA_STATUS,
+    BREACH_STATUS,
+    normalizePrepSlaConfig,
+    computePrepSlaDueAtMs,
+    summarizePrepCompletion,
+};
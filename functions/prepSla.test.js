@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_PREP_SLA_CONFIG,
+    PREP_SLA_STATUS,
+    normalizePrepSlaConfig,
+    computePrepSlaDueAtMs,
+    summarizePrepCompletion,
+} = require("./prepSla");
+
+const NOW = Date.parse("2026-03-01T20:00:00Z");
+
+test("prep SLA is opt-in and clamps the grace period", () => {
+    assert.deepEqual(normalizePrepSlaConfig(undefined), DEFAULT_PREP_SLA_CONFIG);
+    assert.equal(DEFAULT_PREP_SLA_CONFIG.enabled, false);
+    assert.equal(normalizePrepSlaConfig({ graceMinutes: 2 }).enabled, false);
+    assert.deepEqual(normalizePrepSlaConfig({ enabled: true, graceMinutes: 2 }), { enabled: true, graceMinutes: 2 });
+    assert.equal(normalizePrepSlaConfig({ graceMinutes: 500 }).graceMinutes, 60);
+    assert.equal(normalizePrepSlaConfig({ graceMinutes: "soon" }).graceMinutes, 5);
+});
+
+test("due time is the promised prep time plus grace", () => {
+    assert.equal(computePrepSlaDueAtMs(NOW, 25, 5), NOW + 30 * 60000);
+    assert.equal(computePrepSlaDueAtMs(NOW, 25, 0), NOW + 25 * 60000);
+});
+
+test("orders finished before going overdue meet the SLA", () => {
+    const completion = summarizePrepCompletion(
+        { preparingAtMs: NOW, promisedMinutes: 25, wasOverdue: false },
+        NOW + 27 * 60000
+    );
+    assert.deepEqual(completion, { status: PREP_SLA_STATUS.MET, actualPrepMinutes: 27, overrunMinutes: 2 });
+});
+
+test("overdue orders are breached with the overrun against the promise", () => {
+    const completion = summarizePrepCompletion(
+        { preparingAtMs: NOW, promisedMinutes: 20, wasOverdue: true },
+        NOW + 41.5 * 60000
+    );
+    assert.deepEqual(completion, { status: PREP_SLA_STATUS.BREACHED, actualPrepMinutes: 41.5, overrunMinutes: 21.5 });
+});
@@ -0,0 +1,102 @@
+// A rider holds one slot per accepted order until the order reaches an
+// assignment-terminal status (pickedUp, delivered, cancelled, ...). With the
+// default capacity of 1 this is exactly the old single `assignedOrderId` model.
+const DEFAULT_RIDER_CAPACITY = 1;
+const MAX_RIDER_CAPACITY = 10;
+
+function clampCapacity(raw) {
+    const value = Math.floor(Number(raw));
+    if (raw === null || raw === undefined || typeof raw === "boolean" || !Number.isFinite(value)) return null;
+    return Math.min(Math.max(value, 1), MAX_RIDER_CAPACITY);
+}
+
+function normalizeVehicleType(type) {
+    return String(type || "").trim().toLowerCase();
+}
+
+/**
+ * Normalize the branch `riderCapacity` setting:
+ * { default: 1, vehicleTypes: { motorcycle: 2, car: 3 } }
+ */
+function normalizeCapacityConfig(rawConfig) {
+    const config = { defaultCapacity: DEFAULT_RIDER_CAPACITY, vehicleTypes: {} };
+    if (!rawConfig || typeof rawConfig !== "object") return config;
+
+    config.defaultCapacity = clampCapacity(rawConfig.default) || DEFAULT_RIDER_CAPACITY;
+
+    const vehicleTypes = rawConfig.vehicleTypes;
+    if (vehicleTypes && typeof vehicleTypes === "object") {
+        for (const [type, capacity] of Object.entries(vehicleTypes)) {
+            const clamped = clampCapacity(capacity);
+            if (clamped) config.vehicleTypes[normalizeVehicleType(type)] = clamped;
+        }
+    }
+    return config;
+}
+
+/**
+ * Concurrent orders a rider may carry: the rider's own `maxConcurrentOrders`,
+ * else the branch capacity for their `vehicle.type`, else the branch default.
+ */
+function resolveRiderCapacity(riderData, capacityConfig) {
+    const config = capacityConfig || normalizeCapacityConfig(null);
+
+    const riderOverride = clampCapacity(riderData?.maxConcurrentOrders);
+    if (riderOverride) return riderOverride;
+
+    const vehicleType = normalizeVehicleType(riderData?.vehicle?.type);
+    return config.vehicleTypes[vehicleType] || config.defaultCapacity;
+}
+
+/**
+ * Orders the rider currently carries. Reads `activeOrderIds` and the legacy
+ * `assignedOrderId` so docs written before the capacity model still count.
+ */
+function getActiveOrderIds(riderData) {
+    const active = Array.isArray(riderData?.activeOrderIds)
+        ? riderData.activeOrderIds.filter((id) => typeof id === "string" && id !== "")
+        : [];
+    const legacy = riderData?.assignedOrderId;
+    if (typeof legacy === "string" && legacy !== "" && !active.includes(legacy)) {
+        active.unshift(legacy);
+    }
+    return active;
+}
+
+function getRemainingCapacity(riderData, capacityConfig) {
+    return Math.max(resolveRiderCapacity(riderData, capacityConfig) - getActiveOrderIds(riderData).length, 0);
+}
+
+/**
+ * Rider doc fields after the active order set changes. `assignedOrderId`
+ * mirrors the first active order for apps that still read a single order.
+ * The rider is available only with a free slot and no other pending offer.
+ *
+ * @param {object} riderData - Current rider doc data
+ * @param {string[]} activeOrderIds - New active order set (in delivery order)
+ * @param {object} capacityConfig - Normalized branch capacity config
+ * @param {string|null} releasedOfferOrderId - Offer being resolved by this write
+ */
+function buildRiderLoadUpdate(riderData, activeOrderIds, capacityConfig, releasedOfferOrderId = null) {
+    const capacity = resolveRiderCapacity(riderData, capacityConfig);
+    const offerOrderId = riderData?.currentOfferOrderId || null;
+    const keepsOtherOffer = Boolean(offerOrderId) && offerOrderId !== releasedOfferOrderId &&
+        !activeOrderIds.includes(offerOrderId);
+
+    return {
+        activeOrderIds,
+        assignedOrderId: activeOrderIds[0] || null,
+        isAvailable: !keepsOtherOffer && activeOrderIds.length < capacity,
+        clearOffer: !keepsOtherOffer,
+        capacity,
+    };
+}
+
+module.exports = {
+    DEFAULT_RIDER_CAPACITY,
+    normalizeCapacityConfig,
+    resolveRiderCapacity,
+    getActiveOrderIds,
+    getRemainingCapacity,
+    buildRiderLoadUpdate,
+};
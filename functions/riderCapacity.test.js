@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    normalizeCapacityConfig,
+    resolveRiderCapacity,
+    getActiveOrderIds,
+    getRemainingCapacity,
+    buildRiderLoadUpdate,
+} = require("./riderCapacity");
+
+test("normalizeCapacityConfig clamps values and keys vehicle types", () => {
+    assert.deepEqual(normalizeCapacityConfig(undefined), { defaultCapacity: 1, vehicleTypes: {} });
+    assert.deepEqual(
+        normalizeCapacityConfig({ default: 2, vehicleTypes: { Motorcycle: 3, Car: 99, bike: "x" } }),
+        { defaultCapacity: 2, vehicleTypes: { motorcycle: 3, car: 10 } }
+    );
+    assert.equal(normalizeCapacityConfig({ default: 0 }).defaultCapacity, 1);
+});
+
+test("resolveRiderCapacity prefers rider override, then vehicle, then default", () => {
+    const config = normalizeCapacityConfig({ default: 1, vehicleTypes: { car: 3 } });
+
+    assert.equal(resolveRiderCapacity({ maxConcurrentOrders: 2, vehicle: { type: "car" } }, config), 2);
+    assert.equal(resolveRiderCapacity({ vehicle: { type: "CAR" } }, config), 3);
+    assert.equal(resolveRiderCapacity({ vehicle: { type: "bicycle" } }, config), 1);
+    assert.equal(resolveRiderCapacity({}, null), 1);
+});
+
+test("getActiveOrderIds includes the legacy assignedOrderId once", () => {
+    assert.deepEqual(getActiveOrderIds({ assignedOrderId: "a" }), ["a"]);
+    assert.deepEqual(getActiveOrderIds({ assignedOrderId: "a", activeOrderIds: ["a", "b"] }), ["a", "b"]);
+    assert.deepEqual(getActiveOrderIds({ assignedOrderId: "", activeOrderIds: ["b", null] }), ["b"]);
+});
+
+test("getRemainingCapacity counts free slots", () => {
+    const config = normalizeCapacityConfig({ default: 2 });
+    assert.equal(getRemainingCapacity({ activeOrderIds: ["a"] }, config), 1);
+    assert.equal(getRemainingCapacity({ activeOrderIds: ["a", "b", "c"] }, config), 0);
+    assert.equal(getRemainingCapacity({ assignedOrderId: "a" }, null), 0);
+});
+
+test("buildRiderLoadUpdate keeps a rider with free slots available", () => {
+    const config = normalizeCapacityConfig({ default: 2 });
+    const rider = { currentOfferOrderId: "b", activeOrderIds: ["a"] };
+
+    const full = buildRiderLoadUpdate(rider, ["a", "b"], config, "b");
+    assert.deepEqual(full, {
+        activeOrderIds: ["a", "b"],
+        assignedOrderId: "a",
+        isAvailable: false,
+        clearOffer: true,
+        capacity: 2,
+    });
+
+    const released = buildRiderLoadUpdate({ activeOrderIds: ["a", "b"] }, ["b"], config, "a");
+    assert.equal(released.isAvailable, true);
+    assert.equal(released.assignedOrderId, "b");
+
+    const empty = buildRiderLoadUpdate({ activeOrderIds: ["a"] }, [], config, "a");
+    assert.equal(empty.assignedOrderId, null);
+});
+
+test("buildRiderLoadUpdate keeps a pending offer for another order", () => {
+    const config = normalizeCapacityConfig({ default: 3 });
+    const load = buildRiderLoadUpdate({ currentOfferOrderId: "c", activeOrderIds: ["a"] }, [], config, "a");
+
+    assert.equal(load.isAvailable, false);
+    assert.equal(load.clearOffer, false);
+});
@@ -0,0 +1,82 @@
+// Branch `riderPresence` setting:
+// { enabled: false, offlineAfterMinutes: 15, staleLocationSeconds: 300, staleLocationMode: "penalize" }
+//
+// A rider is "seen" whenever the app writes `lastHeartbeatAt` or a new
+// `currentLocation` (stamped in `currentLocationUpdatedAt`). Dispatch always
+// skips silent riders; forcing them offline is opt-in per branch (`enabled`).
+const DEFAULT_PRESENCE_CONFIG = {
+    enabled: false,
+    offlineAfterMinutes: 15,
+    staleLocationSeconds: 300,
+    staleLocationMode: "penalize",
+};
+
+const STALE_LOCATION_MODES = ["penalize", "skip"];
+
+function readNumber(raw, fallback, min, max) {
+    const value = Number(raw);
+    if (raw === undefined || raw === null || typeof raw === "boolean" || !Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(Math.round(value), min), max);
+}
+
+function normalizePresenceConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== "object") {
+        return { ...DEFAULT_PRESENCE_CONFIG };
+    }
+
+    return {
+        enabled: rawConfig.enabled === true,
+        offlineAfterMinutes: readNumber(rawConfig.offlineAfterMinutes, DEFAULT_PRESENCE_CONFIG.offlineAfterMinutes, 5, 240),
+        staleLocationSeconds: readNumber(rawConfig.staleLocationSeconds, DEFAULT_PRESENCE_CONFIG.staleLocationSeconds, 30, 3600),
+        staleLocationMode: STALE_LOCATION_MODES.includes(rawConfig.staleLocationMode)
+            ? rawConfig.staleLocationMode
+            : DEFAULT_PRESENCE_CONFIG.staleLocationMode,
+    };
+}
+
+/**
+ * Milliseconds since epoch for a Firestore Timestamp, Date, ISO string or
+ * number. null when the value is missing or unreadable.
+ */
+function toMillis(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value.toMillis === "function") return value.toMillis();
+    if (value instanceof Date) return Number.isFinite(value.getTime()) ? value.getTime() : null;
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value === "string") {
+        const parsed = Date.parse(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+    return null;
+}
+
+/**
+ * Presence of one rider at `nowMs`. Riders written before timestamps
+ * existed have no `lastSeenMs`; they are never treated as silent or stale
+ * here (the sweep gives them a starting heartbeat instead).
+ */
+function classifyRiderPresence(riderData, config, nowMs = Date.now()) {
+    const presence = config || DEFAULT_PRESENCE_CONFIG;
+    const locationMs = toMillis(riderData?.currentLocationUpdatedAt);
+    const heartbeatMs = toMillis(riderData?.lastHeartbeatAt);
+    const seen = [locationMs, heartbeatMs].filter((ms) => ms !== null);
+    const lastSeenMs = seen.length > 0 ? Math.max(...seen) : null;
+
+    const silentSeconds = lastSeenMs === null ? null : Math.max(Math.round((nowMs - lastSeenMs) / 1000), 0);
+    const locationAgeSeconds = locationMs === null ? null : Math.max(Math.round((nowMs - locationMs) / 1000), 0);
+
+    return {
+        lastSeenMs,
+        silentSeconds,
+        locationAgeSeconds,
+        isSilent: silentSeconds !== null && silentSeconds > presence.offlineAfterMinutes * 60,
+        isLocationStale: locationAgeSeconds !== null && locationAgeSeconds > presence.staleLocationSeconds,
+    };
+}
+
+module.exports = {
+    DEFAULT_PRESENCE_CONFIG,
+    normalizePresenceConfig,
+    toMillis,
+    classifyRiderPresence,
+};
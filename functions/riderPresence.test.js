@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_PRESENCE_CONFIG,
+    normalizePresenceConfig,
+    toMillis,
+    classifyRiderPresence,
+} = require("./riderPresence");
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60 * 1000);
+
+test("normalizePresenceConfig clamps values and rejects unknown modes", () => {
+    assert.deepEqual(normalizePresenceConfig(null), DEFAULT_PRESENCE_CONFIG);
+    assert.deepEqual(
+        normalizePresenceConfig({ offlineAfterMinutes: 1, staleLocationSeconds: "120", staleLocationMode: "skip" }),
+        { enabled: false, offlineAfterMinutes: 5, staleLocationSeconds: 120, staleLocationMode: "skip" }
+    );
+    assert.equal(normalizePresenceConfig({ enabled: true }).enabled, true);
+    assert.equal(normalizePresenceConfig({ enabled: "yes" }).enabled, false);
+    assert.equal(normalizePresenceConfig({ staleLocationMode: "ignore" }).staleLocationMode, "penalize");
+});
+
+test("toMillis reads Firestore timestamps, dates, strings and numbers", () => {
+    assert.equal(toMillis({ toMillis: () => 42 }), 42);
+    assert.equal(toMillis(new Date(NOW)), NOW);
+    assert.equal(toMillis("2026-03-01T12:00:00Z"), NOW);
+    assert.equal(toMillis(NOW), NOW);
+    assert.equal(toMillis("not a date"), null);
+    assert.equal(toMillis(undefined), null);
+});
+
+test("classifyRiderPresence uses the latest of heartbeat and location", () => {
+    const config = normalizePresenceConfig({ offlineAfterMinutes: 15, staleLocationSeconds: 300 });
+    const presence = classifyRiderPresence(
+        { currentLocationUpdatedAt: minutesAgo(20), lastHeartbeatAt: minutesAgo(2) },
+        config,
+        NOW
+    );
+
+    assert.equal(presence.silentSeconds, 120);
+    assert.equal(presence.isSilent, false);
+    assert.equal(presence.locationAgeSeconds, 1200);
+    assert.equal(presence.isLocationStale, true);
+});
+
+test("classifyRiderPresence flags silent riders", () => {
+    const presence = classifyRiderPresence({ lastHeartbeatAt: minutesAgo(16) }, DEFAULT_PRESENCE_CONFIG, NOW);
+    assert.equal(presence.isSilent, true);
+    assert.equal(presence.locationAgeSeconds, null);
+    assert.equal(presence.isLocationStale, false);
+});
+
+test("classifyRiderPresence treats riders without timestamps as unknown", () => {
+    const presence = classifyRiderPresence({ status: "online" }, DEFAULT_PRESENCE_CONFIG, NOW);
+    assert.equal(presence.lastSeenMs, null);
+    assert.equal(presence.isSilent, false);
+    assert.equal(presence.isLocationStale, false);
+});
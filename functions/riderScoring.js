@@ -0,0 +1,257 @@
+const SCORING_FACTORS = ["distance", "acceptanceRate", "idleTime", "timeouts"];
+
+// Distance-only weights keep the historical "nearest rider wins" behaviour
+// for branches that have not configured `riderScoringWeights`.
+const DEFAULT_SCORING_WEIGHTS = {
+    distance: 1,
+    acceptanceRate: 0,
+    idleTime: 0,
+    timeouts: 0,
+};
+
+const SCORING_LIMITS = {
+    maxDistanceKm: 10,
+    idleCapMinutes: 60,
+    timeoutCap: 5,
+    recentResponseWindow: 20,
+    acceptancePriorRate: 0.5,
+};
+
+// Distance given to riders without a usable location so they rank last
+const UNKNOWN_DISTANCE_KM = 999999;
+
+const RESPONSE_CODES = {
+    accepted: "a",
+    rejected: "r",
+    timeout: "t",
+};
+
+function toDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value;
+    }
+    if (typeof value.toDate === "function") {
+        try {
+            return value.toDate();
+        } catch (error) {
+            return null;
+        }
+    }
+    if (typeof value === "string" || typeof value === "number") {
+        const parsed = new Date(value);
+        return Number.isNaN(parsed.getTime()) ? null : parsed;
+    }
+    return null;
+}
+
+function normalizeScoringWeights(rawWeights) {
+    const issues = [];
+    if (!rawWeights || typeof rawWeights !== "object") {
+        return { weights: { ...DEFAULT_SCORING_WEIGHTS }, issues, isDefault: true };
+    }
+
+    const weights = {};
+    for (const factor of SCORING_FACTORS) {
+        const raw = rawWeights[factor];
+        if (raw === undefined || raw === null) {
+            weights[factor] = 0;
+            continue;
+        }
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < 0) {
+            issues.push(`Ignored invalid weight for "${factor}"`);
+            weights[factor] = 0;
+            continue;
+        }
+        weights[factor] = value;
+    }
+
+    for (const key of Object.keys(rawWeights)) {
+        if (!SCORING_FACTORS.includes(key)) {
+            issues.push(`Ignored unknown scoring factor "${key}"`);
+        }
+    }
+
+    const total = SCORING_FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+    if (total === 0) {
+        issues.push("All scoring weights are zero, using defaults");
+        return { weights: { ...DEFAULT_SCORING_WEIGHTS }, issues, isDefault: true };
+    }
+
+    return { weights, issues, isDefault: false };
+}
+
+/**
+ * Apply a dispatch outcome ("offered", "accepted", "rejected", "timeout",
+ * "delivered") to a rider's `dispatchStats` map and return the new map.
+ * `timeoutsToday` resets whenever `dateKey` moves to a new day.
+ */
+function applyDispatchOutcome(rawStats, outcome, dateKey, now = new Date()) {
+    const stats = rawStats && typeof rawStats === "object" ? { ...rawStats } : {};
+    const recent = Array.isArray(stats.recentResponses) ? [...stats.recentResponses] : [];
+
+    if (stats.statsDate !== dateKey) {
+        stats.statsDate = dateKey;
+        stats.timeoutsToday = 0;
+    }
+
+    stats.offers = stats.offers || 0;
+    stats.timeoutsToday = stats.timeoutsToday || 0;
+
+    switch (outcome) {
+        case "offered":
+            stats.offers += 1;
+            stats.lastOfferAt = now;
+            break;
+        case "accepted":
+        case "rejected":
+        case "timeout":
+            recent.push(RESPONSE_CODES[outcome]);
+            if (outcome === "timeout") {
+                stats.timeoutsToday += 1;
+            }
+            break;
+        case "delivered":
+            stats.lastDeliveredAt = now;
+            break;
+        default:
+            return stats;
+    }
+
+    stats.recentResponses = recent.slice(-SCORING_LIMITS.recentResponseWindow);
+    return stats;
+}
+
+function extractRiderDispatchStats(riderData, dateKey) {
+    const stats = riderData?.dispatchStats || {};
+    const recent = Array.isArray(stats.recentResponses) ? stats.recentResponses : [];
+    const accepts = recent.filter((code) => code === RESPONSE_CODES.accepted).length;
+
+    return {
+        recentResponses: recent.length,
+        recentAccepts: accepts,
+        timeoutsToday: stats.statsDate === dateKey ? (stats.timeoutsToday || 0) : 0,
+        lastDeliveredAt: toDate(stats.lastDeliveredAt),
+    };
+}
+
+function scoreRiderCandidate(candidate, weights, options = {}) {
+    const limits = { ...SCORING_LIMITS, ...(options.limits || {}) };
+    const now = options.now instanceof Date ? options.now : new Date();
+    const stats = candidate.stats || {};
+
+    // Each component is normalised to 0..1 where 1 is the most desirable rider.
+    let distanceComponent = 0;
+    if (typeof candidate.distance === "number" && Number.isFinite(candidate.distance)) {
+        distanceComponent = Math.max(0, 1 - (candidate.distance / limits.maxDistanceKm));
+    }
+
+    // Riders with few recent responses are pulled toward the prior so a
+    // single timeout does not sink a new rider.
+    const responses = stats.recentResponses || 0;
+    const accepts = stats.recentAccepts || 0;
+    const priorWeight = Math.max(0, limits.recentResponseWindow - responses) / limits.recentResponseWindow;
+    const observedRate = responses > 0 ? accepts / responses : limits.acceptancePriorRate;
+    const acceptanceComponent = (observedRate * (1 - priorWeight)) +
+        (limits.acceptancePriorRate * priorWeight);
+
+    let idleMinutes = null;
+    let idleComponent = 1;
+    if (stats.lastDeliveredAt instanceof Date) {
+        idleMinutes = Math.max(0, (now.getTime() - stats.lastDeliveredAt.getTime()) / 60000);
+        idleComponent = Math.min(idleMinutes / limits.idleCapMinutes, 1);
+    }
+
+    const timeoutsToday = stats.timeoutsToday || 0;
+    const timeoutComponent = Math.max(0, 1 - (timeoutsToday / limits.timeoutCap));
+
+    const components = {
+        distance: distanceComponent,
+        acceptanceRate: acceptanceComponent,
+        idleTime: idleComponent,
+        timeouts: timeoutComponent,
+    };
+
+    const totalWeight = SCORING_FACTORS.reduce((sum, factor) => sum + (weights[factor] || 0), 0) || 1;
+    let score = 0;
+    for (const factor of SCORING_FACTORS) {
+        score += (weights[factor] || 0) * components[factor];
+    }
+
+    return {
+        score: score / totalWeight,
+        components,
+        inputs: {
+            distanceKm: candidate.distance ?? null,
+            recentAccepts: accepts,
+            recentResponses: responses,
+            idleMinutes,
+            timeoutsToday,
+        },
+    };
+}
+
+/**
+ * Score and sort candidates, best first. Distance is scaled by the farthest
+ * located candidate when it lies beyond `maxDistanceKm`, so riders found by
+ * a wider search still score by how near they are instead of all scoring zero.
+ */
+function rankRiderCandidates(candidates, weights, options = {}) {
+    const limits = { ...SCORING_LIMITS, ...(options.limits || {}) };
+    const farthestKm = candidates.reduce((max, candidate) =>
+        (Number.isFinite(candidate.distance) && candidate.distance < UNKNOWN_DISTANCE_KM ? Math.max(max, candidate.distance) : max), 0);
+    const scoringOptions = farthestKm > limits.maxDistanceKm
+        ? { ...options, limits: { ...limits, maxDistanceKm: farthestKm } }
+        : options;
+
+    const scored = candidates.map((candidate) => ({
+        ...candidate,
+        ...scoreRiderCandidate(candidate, weights, scoringOptions),
+    }));
+
+    scored.sort((left, right) => {
+        if (right.score !== left.score) {
+            return right.score - left.score;
+        }
+        return (left.distance ?? Infinity) - (right.distance ?? Infinity);
+    });
+
+    return scored;
+}
+
+function roundTo(value, digits) {
+    if (typeof value !== "number" || !Number.isFinite(value)) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Compact, Firestore-friendly view of a ranked candidate for event logging.
+function summarizeScoredCandidate(candidate) {
+    const components = {};
+    for (const factor of SCORING_FACTORS) {
+        components[factor] = roundTo(candidate.components?.[factor], 3);
+    }
+    return {
+        riderId: candidate.riderId,
+        score: roundTo(candidate.score, 4),
+        distanceKm: roundTo(candidate.distance, 2),
+        travelSeconds: candidate.travelSeconds ?? null,
+        components,
+        timeoutsToday: candidate.inputs?.timeoutsToday ?? 0,
+        idleMinutes: roundTo(candidate.inputs?.idleMinutes, 1),
+    };
+}
+
+module.exports = {
+    SCORING_FACTORS,
+    DEFAULT_SCORING_WEIGHTS,
+    SCORING_LIMITS,
+    UNKNOWN_DISTANCE_KM,
+    normalizeScoringWeights,
+    applyDispatchOutcome,
+    extractRiderDispatchStats,
+    scoreRiderCandidate,
+    rankRiderCandidates,
+    summarizeScoredCandidate,
+};
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_SCORING_WEIGHTS,
+    normalizeScoringWeights,
+    applyDispatchOutcome,
+    extractRiderDispatchStats,
+    rankRiderCandidates,
+    UNKNOWN_DISTANCE_KM,
+} = require("./riderScoring");
+
+test("normalizeScoringWeights falls back to distance-only defaults", () => {
+    assert.deepEqual(normalizeScoringWeights(undefined).weights, DEFAULT_SCORING_WEIGHTS);
+    assert.deepEqual(
+        normalizeScoringWeights({ distance: 0, idleTime: 0 }).weights,
+        DEFAULT_SCORING_WEIGHTS
+    );
+
+    const result = normalizeScoringWeights({ distance: 2, timeouts: -1, speed: 3 });
+    assert.equal(result.weights.distance, 2);
+    assert.equal(result.weights.timeouts, 0);
+    assert.equal(result.issues.length, 2);
+});
+
+test("applyDispatchOutcome resets timeoutsToday on a new day and caps history", () => {
+    let stats = {};
+    for (let index = 0; index < 25; index++) {
+        stats = applyDispatchOutcome(stats, "timeout", "2026-04-07");
+    }
+    assert.equal(stats.timeoutsToday, 25);
+    assert.equal(stats.recentResponses.length, 20);
+
+    stats = applyDispatchOutcome(stats, "accepted", "2026-04-08");
+    assert.equal(stats.timeoutsToday, 0);
+    assert.equal(stats.recentResponses.at(-1), "a");
+});
+
+test("rankRiderCandidates keeps nearest-first ordering with default weights", () => {
+    const ranked = rankRiderCandidates(
+        [
+            { riderId: "far", distance: 4, stats: {} },
+            { riderId: "near", distance: 1, stats: {} },
+            { riderId: "unknown", distance: 999999, stats: {} },
+        ],
+        DEFAULT_SCORING_WEIGHTS
+    );
+
+    assert.deepEqual(ranked.map((rider) => rider.riderId), ["near", "far", "unknown"]);
+});
+
+test("rankRiderCandidates penalises timeouts and rewards idle riders when weighted", () => {
+    const now = new Date("2026-04-07T12:00:00Z");
+    const riderData = (timeouts, lastDeliveredAt) => ({
+        dispatchStats: {
+            statsDate: "2026-04-07",
+            timeoutsToday: timeouts,
+            recentResponses: [],
+            lastDeliveredAt,
+        },
+    });
+
+    const ranked = rankRiderCandidates(
+        [
+            {
+                riderId: "flaky",
+                distance: 1,
+                stats: extractRiderDispatchStats(
+                    riderData(5, new Date("2026-04-07T11:55:00Z")),
+                    "2026-04-07"
+                ),
+            },
+            {
+                riderId: "rested",
+                distance: 2,
+                stats: extractRiderDispatchStats(
+                    riderData(0, new Date("2026-04-07T10:00:00Z")),
+                    "2026-04-07"
+                ),
+            },
+        ],
+        { distance: 1, acceptanceRate: 0, idleTime: 1, timeouts: 1 },
+        { now }
+    );
+
+    assert.equal(ranked[0].riderId, "rested");
+    assert.equal(ranked[1].inputs.timeoutsToday, 5);
+    assert.equal(ranked[0].components.idleTime, 1);
+});
+
+test("rankRiderCandidates keeps distance meaningful beyond the 10km scale", () => {
+    const weights = { distance: 1, acceptanceRate: 0, idleTime: 1, timeouts: 0 };
+    const now = new Date("2026-03-01T20:00:00Z");
+    const ranked = rankRiderCandidates([
+        { riderId: "far", distance: 25, stats: { lastDeliveredAt: new Date(now.getTime() - 60 * 60000) } },
+        { riderId: "near", distance: 11, stats: { lastDeliveredAt: new Date(now.getTime() - 30 * 60000) } },
+    ], weights, { now });
+
+    assert.deepEqual(ranked.map((candidate) => candidate.riderId), ["near", "far"]);
+    assert.ok(ranked[0].components.distance > ranked[1].components.distance);
+
+    // Riders without a location do not stretch the scale
+    const withUnknown = rankRiderCandidates([
+        { riderId: "near", distance: 2 },
+        { riderId: "unknown", distance: UNKNOWN_DISTANCE_KM },
+    ], weights, { now });
+    assert.equal(withUnknown[0].components.distance, 0.8);
+});
@@ -0,0 +1,109 @@
+// Per-rider performance statistics rolled up from the assignment events
+// trail (`rider_assignments/{orderId}/events`).
+//
+// rider_stats/{riderId}              { openOffers, rolling30d, updatedAt }
+// rider_stats/{riderId}/daily/{date} { offers, accepts, rejects, timeouts,
+//                                      deliveries, responseSamples, ... }
+const STAT_COUNTER_BY_EVENT = {
+    rider_offered: "offers",
+    rider_accepted: "accepts",
+    rider_rejected: "rejects",
+    rider_timeout: "timeouts",
+    order_delivered: "deliveries",
+};
+const STAT_COUNTERS = Object.values(STAT_COUNTER_BY_EVENT);
+
+const ROLLING_WINDOW_DAYS = 30;
+// Response time samples kept per day; enough for a stable median
+const MAX_DAILY_RESPONSE_SAMPLES = 200;
+// Event ids remembered per day so retried trigger deliveries are not counted twice
+const MAX_DAILY_EVENT_IDS = 100;
+// Offers never answered (lost timeout task, deleted order) are forgotten after a day
+const OPEN_OFFER_TTL_MS = 24 * 60 * 60 * 1000;
+
+function isRiderStatEvent(type) {
+    return Object.prototype.hasOwnProperty.call(STAT_COUNTER_BY_EVENT, type);
+}
+
+function emptyDailyStats(dateKey) {
+    const daily = { date: dateKey, responseSamples: [], eventIds: [] };
+    STAT_COUNTERS.forEach((counter) => { daily[counter] = 0; });
+    return daily;
+}
+
+function medianOf(values) {
+    const sorted = values.filter((value) => Number.isFinite(value)).sort((left, right) => left - right);
+    if (sorted.length === 0) return null;
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Fold one assignment event into a rider's daily stats and open offers.
+ * Accepts and rejects are timed against the rider's offer for the same
+ * order; timeouts close the offer without a response time.
+ *
+ * @param {object|null} rawDaily - Stored daily doc, or null for a new day
+ * @param {object|null} rawOpenOffers - orderId -> offer time (ms)
+ * @param {{eventId: string, type: string, orderId: string, atMs: number}} event
+ * @returns {{daily: object, openOffers: object, applied: boolean}}
+ */
+function applyRiderStatEvent(rawDaily, rawOpenOffers, event, dateKey) {
+    const daily = { ...emptyDailyStats(dateKey), ...(rawDaily || {}) };
+    const openOffers = {};
+    for (const [orderId, offeredAtMs] of Object.entries(rawOpenOffers || {})) {
+        if (event.atMs - offeredAtMs < OPEN_OFFER_TTL_MS) openOffers[orderId] = offeredAtMs;
+    }
+
+    const eventIds = Array.isArray(daily.eventIds) ? daily.eventIds : [];
+    if (!isRiderStatEvent(event.type) || eventIds.includes(event.eventId)) {
+        return { daily, openOffers, applied: false };
+    }
+
+    const counter = STAT_COUNTER_BY_EVENT[event.type];
+    daily[counter] = (daily[counter] || 0) + 1;
+    daily.eventIds = [...eventIds, event.eventId].slice(-MAX_DAILY_EVENT_IDS);
+
+    const offeredAtMs = openOffers[event.orderId];
+    if (event.type === "rider_offered") {
+        openOffers[event.orderId] = event.atMs;
+    } else if (event.type === "rider_accepted" || event.type === "rider_rejected") {
+        if (Number.isFinite(offeredAtMs) && event.atMs >= offeredAtMs) {
+            const samples = Array.isArray(daily.responseSamples) ? daily.responseSamples : [];
+            daily.responseSamples = [...samples, Math.round((event.atMs - offeredAtMs) / 1000)]
+                .slice(-MAX_DAILY_RESPONSE_SAMPLES);
+        }
+        delete openOffers[event.orderId];
+    } else if (event.type === "rider_timeout") {
+        delete openOffers[event.orderId];
+    }
+
+    daily.medianResponseSeconds = medianOf(daily.responseSamples);
+    return { daily, openOffers, applied: true };
+}
+
+/**
+ * Totals over a set of daily docs (normally the last ROLLING_WINDOW_DAYS).
+ */
+function summarizeRiderStats(dailyStats) {
+    const summary = { days: dailyStats.length };
+    STAT_COUNTERS.forEach((counter) => {
+        summary[counter] = dailyStats.reduce((sum, daily) => sum + (Number(daily[counter]) || 0), 0);
+    });
+
+    const responses = summary.accepts + summary.rejects + summary.timeouts;
+    summary.acceptanceRate = responses > 0 ? Math.round((summary.accepts / responses) * 1000) / 1000 : null;
+    summary.medianResponseSeconds = medianOf(dailyStats.flatMap((daily) =>
+        Array.isArray(daily.responseSamples) ? daily.responseSamples : []));
+    return summary;
+}
+
+module.exports = {
+    STAT_COUNTERS,
+    ROLLING_WINDOW_DAYS,
+    MAX_DAILY_RESPONSE_SAMPLES,
+    isRiderStatEvent,
+    medianOf,
+    applyRiderStatEvent,
+    summarizeRiderStats,
+};
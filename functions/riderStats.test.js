@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    ROLLING_WINDOW_DAYS,
+    medianOf,
+    applyRiderStatEvent,
+    summarizeRiderStats,
+} = require("./riderStats");
+
+const NOW = Date.parse("2026-03-01T20:00:00Z");
+const DATE = "2026-03-01";
+const seconds = (value) => value * 1000;
+
+function replay(events) {
+    let daily = null;
+    let openOffers = null;
+    for (const event of events) {
+        ({ daily, openOffers } = applyRiderStatEvent(daily, openOffers, event, DATE));
+    }
+    return { daily, openOffers };
+}
+
+test("medianOf handles odd, even and empty lists", () => {
+    assert.equal(medianOf([9, 1, 5]), 5);
+    assert.equal(medianOf([4, 1, 3, 2]), 2.5);
+    assert.equal(medianOf([]), null);
+});
+
+test("applyRiderStatEvent counts events and times responses against the offer", () => {
+    const { daily, openOffers } = replay([
+        { eventId: "e1", type: "rider_offered", orderId: "o1", atMs: NOW },
+        { eventId: "e2", type: "rider_accepted", orderId: "o1", atMs: NOW + seconds(12) },
+        { eventId: "e3", type: "rider_offered", orderId: "o2", atMs: NOW + seconds(60) },
+        { eventId: "e4", type: "rider_rejected", orderId: "o2", atMs: NOW + seconds(90) },
+        { eventId: "e5", type: "rider_offered", orderId: "o3", atMs: NOW + seconds(120) },
+        { eventId: "e6", type: "rider_timeout", orderId: "o3", atMs: NOW + seconds(180) },
+        { eventId: "e7", type: "order_delivered", orderId: "o1", atMs: NOW + seconds(1800) },
+    ]);
+
+    assert.deepEqual(
+        [daily.offers, daily.accepts, daily.rejects, daily.timeouts, daily.deliveries],
+        [3, 1, 1, 1, 1]
+    );
+    assert.deepEqual(daily.responseSamples, [12, 30]);
+    assert.equal(daily.medianResponseSeconds, 21);
+    assert.deepEqual(openOffers, {});
+});
+
+test("applyRiderStatEvent ignores redelivered events and unrelated types", () => {
+    const offered = { eventId: "e1", type: "rider_offered", orderId: "o1", atMs: NOW };
+    const first = applyRiderStatEvent(null, null, offered, DATE);
+    const again = applyRiderStatEvent(first.daily, first.openOffers, offered, DATE);
+
+    assert.equal(again.applied, false);
+    assert.equal(again.daily.offers, 1);
+    assert.equal(applyRiderStatEvent(null, null, { ...offered, eventId: "e2", type: "rider_search" }, DATE).applied, false);
+});
+
+test("applyRiderStatEvent forgets offers that were never answered", () => {
+    const { openOffers } = applyRiderStatEvent(null, { stale: NOW - 25 * 60 * 60 * 1000, fresh: NOW - 1000 }, {
+        eventId: "e1", type: "rider_offered", orderId: "o1", atMs: NOW,
+    }, DATE);
+
+    assert.deepEqual(Object.keys(openOffers).sort(), ["fresh", "o1"]);
+});
+
+test("summarizeRiderStats totals days and pools response samples", () => {
+    const summary = summarizeRiderStats([
+        { offers: 4, accepts: 3, rejects: 0, timeouts: 1, deliveries: 3, responseSamples: [10, 20] },
+        { offers: 2, accepts: 1, rejects: 1, timeouts: 0, deliveries: 1, responseSamples: [40] },
+    ]);
+
+    assert.equal(summary.days, 2);
+    assert.equal(summary.offers, 6);
+    assert.equal(summary.deliveries, 4);
+    assert.equal(summary.acceptanceRate, 0.667);
+    assert.equal(summary.medianResponseSeconds, 20);
+    assert.equal(summarizeRiderStats([]).acceptanceRate, null);
+    assert.equal(ROLLING_WINDOW_DAYS, 30);
+});
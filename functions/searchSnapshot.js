@@ -0,0 +1,70 @@
+// Compact record of one findNextRider search for the assignment events
+// trail, so dispatch decisions can be explained after the fact.
+const { summarizeScoredCandidate } = require("./riderScoring");
+
+const SEARCH_QUERY_PATH = {
+    GEOHASH: "geohash",
+    PRIMARY: "primary",
+    FALLBACK: "fallback",
+    RELAXED_SCOPE: "relaxed_scope",
+};
+
+const SEARCH_OUTCOME = {
+    SELECTED: "selected",
+    NO_CANDIDATES: "no_candidates",
+    NO_ELIGIBLE: "no_eligible",
+};
+
+// Keeps an event doc well under Firestore's 1 MiB limit
+const MAX_SNAPSHOT_CANDIDATES = 25;
+const MAX_SNAPSHOT_SKIPPED = 50;
+
+/**
+ * @param {object} search
+ * @param {string} search.queryPath - SEARCH_QUERY_PATH that produced the candidates
+ * @param {number} search.candidateCount - Staff docs returned by the queries
+ * @param {Array<{id: string, reason: string}>} search.skippedRiders
+ * @param {Array} search.ranked - Eligible candidates, best first (rankRiderCandidates output)
+ * @param {Map<string, string>} [search.riderNames] - Staff names, so disputes can be read without lookups
+ * @returns {object} Firestore-friendly snapshot
+ */
+function buildSearchSnapshot({
+    trigger,
+    queryPath,
+    candidateCount = 0,
+    riderNames = new Map(),
+    triedRiders = [],
+    skippedRiders = [],
+    ranked = [],
+}) {
+    const nameOf = (riderId) => riderNames.get(riderId) || null;
+    const selected = ranked[0] || null;
+    let outcome = SEARCH_OUTCOME.SELECTED;
+    if (!selected) {
+        outcome = candidateCount === 0 ? SEARCH_OUTCOME.NO_CANDIDATES : SEARCH_OUTCOME.NO_ELIGIBLE;
+    }
+
+    return {
+        trigger: trigger || null,
+        queryPath,
+        outcome,
+        selectedRiderId: selected ? selected.riderId : null,
+        candidatesConsidered: candidateCount,
+        eligibleCount: ranked.length,
+        triedRiders: triedRiders.slice(),
+        candidates: ranked.slice(0, MAX_SNAPSHOT_CANDIDATES)
+            .map((candidate) => ({ ...summarizeScoredCandidate(candidate), riderName: nameOf(candidate.riderId) })),
+        skipped: skippedRiders.slice(0, MAX_SNAPSHOT_SKIPPED)
+            .map((skip) => ({ riderId: skip.id, riderName: nameOf(skip.id), reason: skip.reason })),
+        omittedCandidates: Math.max(ranked.length - MAX_SNAPSHOT_CANDIDATES, 0),
+        omittedSkipped: Math.max(skippedRiders.length - MAX_SNAPSHOT_SKIPPED, 0),
+    };
+}
+
+module.exports = {
+    SEARCH_QUERY_PATH,
+    SEARCH_OUTCOME,
+    MAX_SNAPSHOT_CANDIDATES,
+    MAX_SNAPSHOT_SKIPPED,
+    buildSearchSnapshot,
+};
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    SEARCH_QUERY_PATH,
+    SEARCH_OUTCOME,
+    MAX_SNAPSHOT_SKIPPED,
+    buildSearchSnapshot,
+} = require("./searchSnapshot");
+const { rankRiderCandidates, normalizeScoringWeights } = require("./riderScoring");
+
+const { weights } = normalizeScoringWeights(undefined);
+
+test("buildSearchSnapshot records candidates, skips and the pick", () => {
+    const ranked = rankRiderCandidates([
+        { riderId: "far", distance: 4.2, travelSeconds: 600 },
+        { riderId: "near", distance: 1.234, travelSeconds: 180 },
+    ], weights);
+
+    const snapshot = buildSearchSnapshot({
+        trigger: "retry_search",
+        queryPath: SEARCH_QUERY_PATH.GEOHASH,
+        candidateCount: 4,
+        riderNames: new Map([["near", "Ahmed"], ["busy", "Sara"]]),
+        triedRiders: ["tried"],
+        skippedRiders: [
+            { id: "tried", reason: "already tried" },
+            { id: "busy", reason: "at capacity 1/1" },
+        ],
+        ranked,
+    });
+
+    assert.equal(snapshot.outcome, SEARCH_OUTCOME.SELECTED);
+    assert.equal(snapshot.selectedRiderId, "near");
+    assert.equal(snapshot.candidatesConsidered, 4);
+    assert.deepEqual(snapshot.candidates.map((candidate) => [candidate.riderId, candidate.riderName, candidate.distanceKm]), [
+        ["near", "Ahmed", 1.23],
+        ["far", null, 4.2],
+    ]);
+    assert.deepEqual(snapshot.skipped, [
+        { riderId: "tried", riderName: null, reason: "already tried" },
+        { riderId: "busy", riderName: "Sara", reason: "at capacity 1/1" },
+    ]);
+});
+
+test("buildSearchSnapshot tells an empty query from all riders being skipped", () => {
+    const empty = buildSearchSnapshot({ queryPath: SEARCH_QUERY_PATH.RELAXED_SCOPE });
+    assert.equal(empty.outcome, SEARCH_OUTCOME.NO_CANDIDATES);
+    assert.equal(empty.selectedRiderId, null);
+    assert.equal(empty.trigger, null);
+
+    const skipped = buildSearchSnapshot({
+        queryPath: SEARCH_QUERY_PATH.FALLBACK,
+        candidateCount: 1,
+        skippedRiders: [{ id: "a", reason: "status=offline" }],
+    });
+    assert.equal(skipped.outcome, SEARCH_OUTCOME.NO_ELIGIBLE);
+});
+
+test("buildSearchSnapshot caps long skip lists", () => {
+    const skippedRiders = Array.from({ length: MAX_SNAPSHOT_SKIPPED + 7 }, (_, index) => ({
+        id: `r${index}`,
+        reason: "already tried",
+    }));
+    const snapshot = buildSearchSnapshot({ queryPath: SEARCH_QUERY_PATH.PRIMARY, candidateCount: 57, skippedRiders });
+
+    assert.equal(snapshot.skipped.length, MAX_SNAPSHOT_SKIPPED);
+    assert.equal(snapshot.omittedSkipped, 7);
+});
@@ -0,0 +1,217 @@
+const { toLatLng, haversineKm } = require("./geoUtils");
+
+const DEFAULT_AVERAGE_SPEED_KMH = 25;
+const DEFAULT_ROUTING_TIMEOUT_MS = 2000;
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_CACHE_MAX_ENTRIES = 2000;
+// ~11m: riders a few metres apart share cached routes
+const CACHE_COORDINATE_DECIMALS = 4;
+// OSRM rejects very large tables; chunk destinations above this
+const MAX_TABLE_DESTINATIONS = 90;
+
+/**
+ * Travel-time providers share one method:
+ *
+ *   getTravelTimes(origin, destinations) -> Promise<Array<{
+ *       distanceKm: number, durationSeconds: number, source: string
+ *   } | null>>
+ *
+ * One result per destination, in order. `null` when a location is unusable.
+ */
+
+/**
+ * Straight-line distance with a flat average speed. Never fails, so it is
+ * the default provider and the fallback for routed providers.
+ */
+function createHaversineProvider({ averageSpeedKmh = DEFAULT_AVERAGE_SPEED_KMH } = {}) {
+    const speed = Number(averageSpeedKmh) > 0 ? Number(averageSpeedKmh) : DEFAULT_AVERAGE_SPEED_KMH;
+
+    return {
+        name: "haversine",
+        async getTravelTimes(origin, destinations) {
+            const from = toLatLng(origin);
+            return destinations.map((destination) => {
+                const to = toLatLng(destination);
+                if (!from || !to) return null;
+                const distanceKm = haversineKm(from, to);
+                return {
+                    distanceKm,
+                    durationSeconds: Math.round((distanceKm / speed) * 3600),
+                    source: "haversine",
+                };
+            });
+        },
+    };
+}
+
+/**
+ * Adapter for a self-hosted OSRM-compatible `table` service
+ * (`/table/v1/{profile}/{lng,lat;...}?sources=0&annotations=duration,distance`).
+ * Any destination the router cannot answer falls back to `fallback`.
+ */
+function createOsrmProvider({
+    baseUrl,
+    profile = "driving",
+    timeoutMs = DEFAULT_ROUTING_TIMEOUT_MS,
+    fallback = createHaversineProvider(),
+    fetchImpl = globalThis.fetch,
+    onError = () => {},
+} = {}) {
+    if (!baseUrl) throw new Error("OSRM provider requires a baseUrl");
+    const root = String(baseUrl).replace(/\/+$/, "");
+
+    async function fetchTable(from, chunk) {
+        const coordinates = [from, ...chunk]
+            .map((point) => `${point.longitude},${point.latitude}`)
+            .join(";");
+        const url = `${root}/table/v1/${encodeURIComponent(profile)}/${coordinates}` +
+            "?sources=0&annotations=duration,distance";
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const response = await fetchImpl(url, { signal: controller.signal });
+            if (!response.ok) throw new Error(`Routing HTTP ${response.status}`);
+            const body = await response.json();
+            if (body.code !== "Ok" || !Array.isArray(body.durations)) {
+                throw new Error(`Routing error ${body.code || "unknown"}`);
+            }
+            const durations = body.durations[0] || [];
+            const distances = Array.isArray(body.distances) ? body.distances[0] || [] : [];
+
+            // Index 0 is the origin itself
+            return chunk.map((point, index) => {
+                const durationSeconds = durations[index + 1];
+                if (!Number.isFinite(durationSeconds)) return null;
+                const distanceMeters = distances[index + 1];
+                return {
+                    distanceKm: Number.isFinite(distanceMeters)
+                        ? distanceMeters / 1000
+                        : haversineKm(from, point),
+                    durationSeconds: Math.round(durationSeconds),
+                    source: "osrm",
+                };
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return {
+        name: "osrm",
+        async getTravelTimes(origin, destinations) {
+            const from = toLatLng(origin);
+            const points = destinations.map(toLatLng);
+            const results = new Array(destinations.length).fill(null);
+
+            const routable = from ? points.map((point, index) => ({ point, index })).filter((entry) => entry.point) : [];
+            for (let start = 0; start < routable.length; start += MAX_TABLE_DESTINATIONS) {
+                const chunk = routable.slice(start, start + MAX_TABLE_DESTINATIONS);
+                try {
+                    const chunkResults = await fetchTable(from, chunk.map((entry) => entry.point));
+                    chunk.forEach((entry, offset) => {
+                        results[entry.index] = chunkResults[offset];
+                    });
+                } catch (err) {
+                    onError(err);
+                }
+            }
+
+            const missing = results.map((result, index) => (result ? null : index)).filter((index) => index !== null);
+            if (missing.length > 0 && fallback) {
+                const fallbackResults = await fallback.getTravelTimes(origin, missing.map((index) => destinations[index]));
+                missing.forEach((destinationIndex, offset) => {
+                    results[destinationIndex] = fallbackResults[offset];
+                });
+            }
+            return results;
+        },
+    };
+}
+
+function cacheKey(from, to) {
+    const round = (value) => value.toFixed(CACHE_COORDINATE_DECIMALS);
+    return `${round(from.latitude)},${round(from.longitude)}>${round(to.latitude)},${round(to.longitude)}`;
+}
+
+/**
+ * Wrap a provider with an in-memory origin/destination cache. Only results
+ * from the wrapped provider's primary source are cached, so fallback
+ * estimates are retried against the router next time.
+ */
+function createCachedProvider(provider, {
+    ttlMs = DEFAULT_CACHE_TTL_MS,
+    maxEntries = DEFAULT_CACHE_MAX_ENTRIES,
+    now = () => Date.now(),
+} = {}) {
+    const cache = new Map();
+
+    return {
+        name: provider.name,
+        cacheSize: () => cache.size,
+        async getTravelTimes(origin, destinations) {
+            const from = toLatLng(origin);
+            const results = new Array(destinations.length).fill(null);
+            const misses = [];
+
+            destinations.forEach((destination, index) => {
+                const to = toLatLng(destination);
+                if (!from || !to) return;
+                const key = cacheKey(from, to);
+                const entry = cache.get(key);
+                if (entry && entry.expiresAt > now()) {
+                    results[index] = entry.value;
+                    return;
+                }
+                cache.delete(key);
+                misses.push({ index, key, destination });
+            });
+
+            if (misses.length > 0) {
+                const fresh = await provider.getTravelTimes(origin, misses.map((miss) => miss.destination));
+                misses.forEach((miss, offset) => {
+                    const value = fresh[offset] || null;
+                    results[miss.index] = value;
+                    if (value && value.source === provider.name) {
+                        cache.set(miss.key, { value, expiresAt: now() + ttlMs });
+                    }
+                });
+
+                // Map keeps insertion order: evict the oldest entries first
+                while (cache.size > maxEntries) {
+                    cache.delete(cache.keys().next().value);
+                }
+            }
+
+            return results;
+        },
+    };
+}
+
+/**
+ * Build the configured provider: `{ provider: "osrm", baseUrl, ... }` for a
+ * routed provider, anything else for haversine. Routed providers are cached.
+ */
+function createTravelTimeProvider(config = {}) {
+    const haversine = createHaversineProvider({ averageSpeedKmh: config.averageSpeedKmh });
+    if (config.provider !== "osrm" || !config.baseUrl) return haversine;
+
+    return createCachedProvider(
+        createOsrmProvider({
+            baseUrl: config.baseUrl,
+            profile: config.profile || "driving",
+            timeoutMs: Number(config.timeoutMs) || DEFAULT_ROUTING_TIMEOUT_MS,
+            fallback: haversine,
+            fetchImpl: config.fetchImpl,
+            onError: config.onError,
+        }),
+        { ttlMs: Number(config.cacheTtlMs) || DEFAULT_CACHE_TTL_MS }
+    );
+}
+
+module.exports = {
+    createHaversineProvider,
+    createOsrmProvider,
+    createCachedProvider,
+    createTravelTimeProvider,
+};
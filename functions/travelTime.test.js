@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const {
+    createHaversineProvider,
+    createOsrmProvider,
+    createCachedProvider,
+    createTravelTimeProvider,
+} = require("./travelTime");
+
+const branch = { latitude: 25.2854, longitude: 51.531 };
+const riderA = { latitude: 25.3, longitude: 51.52 };
+const riderB = { latitude: 25.31, longitude: 51.5 };
+
+/**
+ * Local stand-in for an OSRM `table` endpoint. Answers durations of 100s per
+ * destination index, or the status/body given by `respond`.
+ */
+async function startRouter(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const custom = respond ? respond(req) : null;
+        if (custom) {
+            res.writeHead(custom.status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(custom.body));
+            return;
+        }
+        const coordinates = decodeURIComponent(req.url.split("/")[4].split("?")[0]).split(";");
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({
+            code: "Ok",
+            durations: [coordinates.map((_, index) => index * 100)],
+            distances: [coordinates.map((_, index) => index * 1500)],
+        }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    return {
+        baseUrl: `http://127.0.0.1:${port}/`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+test("haversine provider estimates time from a flat speed", async () => {
+    const provider = createHaversineProvider({ averageSpeedKmh: 30 });
+    const [result, missing] = await provider.getTravelTimes(branch, [riderA, { street: "no coords" }]);
+
+    assert.equal(result.source, "haversine");
+    assert.ok(result.distanceKm > 1.5 && result.distanceKm < 2);
+    assert.equal(result.durationSeconds, Math.round((result.distanceKm / 30) * 3600));
+    assert.equal(missing, null);
+});
+
+test("osrm provider reads the table response in destination order", async () => {
+    const router = await startRouter();
+    try {
+        const provider = createOsrmProvider({ baseUrl: router.baseUrl });
+        const results = await provider.getTravelTimes(branch, [riderA, riderB]);
+
+        assert.deepEqual(results, [
+            { distanceKm: 1.5, durationSeconds: 100, source: "osrm" },
+            { distanceKm: 3, durationSeconds: 200, source: "osrm" },
+        ]);
+        assert.match(router.requests[0], /^\/table\/v1\/driving\/51\.531,25\.2854;51\.52,25\.3;51\.5,25\.31\?sources=0/);
+    } finally {
+        await router.close();
+    }
+});
+
+test("osrm provider falls back to haversine when the router fails", async () => {
+    const router = await startRouter(() => ({ status: 200, body: { code: "NoTable" } }));
+    const errors = [];
+    try {
+        const provider = createOsrmProvider({ baseUrl: router.baseUrl, onError: (err) => errors.push(err.message) });
+        const [result] = await provider.getTravelTimes(branch, [riderA]);
+
+        assert.equal(result.source, "haversine");
+        assert.deepEqual(errors, ["Routing error NoTable"]);
+    } finally {
+        await router.close();
+    }
+});
+
+test("cached provider reuses routed pairs and skips fallback results", async () => {
+    const router = await startRouter();
+    try {
+        const provider = createTravelTimeProvider({ provider: "osrm", baseUrl: router.baseUrl });
+        await provider.getTravelTimes(branch, [riderA]);
+        const [cached, fresh] = await provider.getTravelTimes(branch, [riderA, riderB]);
+
+        assert.equal(router.requests.length, 2);
+        assert.match(router.requests[1], /51\.5,25\.31\?/);
+        assert.equal(cached.durationSeconds, 100);
+        assert.equal(fresh.durationSeconds, 100);
+        assert.equal(provider.cacheSize(), 2);
+    } finally {
+        await router.close();
+    }
+
+    const fallbackOnly = createCachedProvider(
+        { name: "osrm", getTravelTimes: async (origin, points) => points.map(() => ({ distanceKm: 1, durationSeconds: 1, source: "haversine" })) },
+        { ttlMs: 10 }
+    );
+    await fallbackOnly.getTravelTimes(branch, [riderA]);
+    assert.equal(fallbackOnly.cacheSize(), 0);
+});